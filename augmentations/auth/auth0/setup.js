@@ -1,10 +1,10 @@
-import { execSync } from 'child_process';
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { execSync, writeFileSync, readFileSync, existsSync, mkdirSync } from '../../../lib/utils/io.js';
+import { addPackagesCommand } from '../../../lib/package-manager.js';
 import { join } from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
 
-export async function setupAuth0(projectPath, framework) {
+export async function setupAuth0(projectPath, framework, packageManager) {
   console.log(chalk.blue('\n🔐 Setting up Auth0\n'));
 
   const spinner = ora('Installing dependencies...').start();
@@ -22,7 +22,7 @@ export async function setupAuth0(projectPath, framework) {
       packages = '@auth0/auth0-react';
     }
     
-    execSync(`yarn add ${packages}`, { 
+    execSync(addPackagesCommand(packageManager, packages), { 
       cwd: projectPath,
       stdio: 'pipe'
     });
@@ -1,17 +1,17 @@
-import { execSync } from 'child_process';
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { execSync, writeFileSync, readFileSync, existsSync, mkdirSync } from '../../../lib/utils/io.js';
+import { addPackagesCommand } from '../../../lib/package-manager.js';
 import { join } from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
 
-export async function setupCognito(projectPath, framework) {
+export async function setupCognito(projectPath, framework, packageManager) {
   console.log(chalk.blue('\n🔐 Setting up AWS Cognito\n'));
 
   const spinner = ora('Installing dependencies...').start();
 
   try {
     // Install AWS Amplify
-    execSync('yarn add aws-amplify @aws-amplify/ui-react', { 
+    execSync(addPackagesCommand(packageManager, 'aws-amplify @aws-amplify/ui-react'), { 
       cwd: projectPath,
       stdio: 'pipe'
     });
@@ -8,12 +8,12 @@ export const authSetups = {
   cognito: setupCognito,
 };
 
-export async function setupAuth(projectPath, framework, authType) {
+export async function setupAuth(projectPath, framework, authType, packageManager) {
   const setupFunction = authSetups[authType];
   
   if (!setupFunction) {
     throw new Error(`Unknown auth type: ${authType}`);
   }
 
-  await setupFunction(projectPath, framework);
+  await setupFunction(projectPath, framework, packageManager);
 }
\ No newline at end of file
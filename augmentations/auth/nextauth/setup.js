@@ -1,10 +1,10 @@
-import { execSync } from 'child_process';
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { execSync, writeFileSync, readFileSync, existsSync, mkdirSync } from '../../../lib/utils/io.js';
+import { addPackagesCommand } from '../../../lib/package-manager.js';
 import { join } from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
 
-export async function setupNextAuth(projectPath, framework) {
+export async function setupNextAuth(projectPath, framework, packageManager) {
   if (framework !== 'nextjs') {
     console.log(chalk.yellow('\n⚠️  NextAuth.js is designed for Next.js applications\n'));
     return false;
@@ -16,14 +16,14 @@ export async function setupNextAuth(projectPath, framework) {
 
   try {
     // Install NextAuth dependencies
-    execSync('yarn add next-auth', { 
+    execSync(addPackagesCommand(packageManager, 'next-auth'), { 
       cwd: projectPath,
       stdio: 'pipe'
     });
     
     // Install adapters if using database
     if (existsSync(join(projectPath, 'prisma'))) {
-      execSync('yarn add @auth/prisma-adapter', { 
+      execSync(addPackagesCommand(packageManager, '@auth/prisma-adapter'), { 
         cwd: projectPath,
         stdio: 'pipe'
       });
@@ -8,12 +8,12 @@ export const databaseSetups = {
   mongodb: setupMongoDB,
 };
 
-export async function setupDatabase(projectPath, framework, databaseType) {
+export async function setupDatabase(projectPath, framework, databaseType, packageManager) {
   const setupFunction = databaseSetups[databaseType];
   
   if (!setupFunction) {
     throw new Error(`Unknown database type: ${databaseType}`);
   }
 
-  await setupFunction(projectPath, framework);
+  await setupFunction(projectPath, framework, packageManager);
 }
\ No newline at end of file
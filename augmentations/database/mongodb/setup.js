@@ -1,22 +1,26 @@
-import { execSync } from 'child_process';
-import { writeFileSync, readFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { execSync, writeFileSync, readFileSync, existsSync } from '../../../lib/utils/io.js';
+import { addPackagesCommand, runScriptCommand } from '../../../lib/package-manager.js';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import ora from 'ora';
 
-export async function setupMongoDB(projectPath, framework) {
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export async function setupMongoDB(projectPath, framework, packageManager) {
   console.log(chalk.blue('\n🍃 Setting up MongoDB with Prisma\n'));
 
   const spinner = ora('Installing dependencies...').start();
 
   try {
     // Install Prisma dependencies
-    execSync('yarn add --dev prisma', { 
+    execSync(addPackagesCommand(packageManager, 'prisma', { dev: true }), { 
       cwd: projectPath,
       stdio: 'pipe'
     });
     
-    execSync('yarn add @prisma/client', { 
+    execSync(addPackagesCommand(packageManager, '@prisma/client'), { 
       cwd: projectPath,
       stdio: 'pipe'
     });
@@ -60,8 +64,8 @@ export async function setupMongoDB(projectPath, framework) {
     console.log(chalk.green('\n✅ MongoDB setup complete!\n'));
     console.log(chalk.yellow('Next steps:'));
     console.log('1. Update your DATABASE_URL in .env');
-    console.log('2. Run `yarn db:generate` to generate Prisma client');
-    console.log('3. MongoDB doesn\'t require migrations - use `yarn db:push` to sync\n');
+    console.log(`2. Run \`${runScriptCommand(packageManager, 'db:generate')}\` to generate Prisma client`);
+    console.log(`3. MongoDB doesn't require migrations - use \`${runScriptCommand(packageManager, 'db:push')}\` to sync\n`);
 
   } catch (error) {
     spinner.fail('MongoDB setup failed');
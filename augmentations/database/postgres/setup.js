@@ -1,22 +1,27 @@
-import { execSync } from 'child_process';
-import { writeFileSync, readFileSync, existsSync } from 'fs';
-import { join } from 'path';
+import { execSync, writeFileSync, readFileSync, existsSync } from '../../../lib/utils/io.js';
+import { addPackagesCommand, runScriptCommand } from '../../../lib/package-manager.js';
+import { addFastifyPlugin } from '../../../lib/project-scaffolder.js';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import ora from 'ora';
 
-export async function setupPostgres(projectPath, framework) {
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export async function setupPostgres(projectPath, framework, packageManager) {
   console.log(chalk.blue('\n🐘 Setting up PostgreSQL with Prisma\n'));
 
   const spinner = ora('Installing dependencies...').start();
 
   try {
     // Install Prisma dependencies
-    execSync('yarn add --dev prisma', { 
+    execSync(addPackagesCommand(packageManager, 'prisma', { dev: true }), { 
       cwd: projectPath,
       stdio: 'pipe'
     });
     
-    execSync('yarn add @prisma/client', { 
+    execSync(addPackagesCommand(packageManager, '@prisma/client'), { 
       cwd: projectPath,
       stdio: 'pipe'
     });
@@ -60,8 +65,8 @@ export async function setupPostgres(projectPath, framework) {
     console.log(chalk.green('\n✅ PostgreSQL setup complete!\n'));
     console.log(chalk.yellow('Next steps:'));
     console.log('1. Update your DATABASE_URL in .env');
-    console.log('2. Run `yarn db:migrate` to create your database');
-    console.log('3. Run `yarn db:generate` to generate Prisma client\n');
+    console.log(`2. Run \`${runScriptCommand(packageManager, 'db:migrate')}\` to create your database`);
+    console.log(`3. Run \`${runScriptCommand(packageManager, 'db:generate')}\` to generate Prisma client\n`);
 
   } catch (error) {
     spinner.fail('PostgreSQL setup failed');
@@ -161,7 +166,8 @@ async function addDatabaseScripts(projectPath) {
   writeFileSync(packageJsonPath, JSON.stringify(packageJson, null, 2));
 }
 
-async function frameworkSpecificSetup(projectPath, framework) {
+// Shared with the MySQL and MongoDB setups, which use the same Prisma helpers
+export async function frameworkSpecificSetup(projectPath, framework) {
   switch (framework) {
     case 'nextjs':
       await setupNextjsDatabase(projectPath);
@@ -172,6 +178,15 @@ async function frameworkSpecificSetup(projectPath, framework) {
     case 'remix':
       await setupRemixDatabase(projectPath);
       break;
+    case 'sveltekit':
+      await setupSvelteKitDatabase(projectPath);
+      break;
+    case 'astro':
+      await setupAstroDatabase(projectPath);
+      break;
+    case 'fastify':
+      await setupFastifyDatabase(projectPath);
+      break;
   }
 }
 
@@ -236,4 +251,79 @@ export default function handleRequest(`
     
     writeFileSync(entryServerPath, content);
   }
-}
\ No newline at end of file
+}
+
+async function setupSvelteKitDatabase(projectPath) {
+  // Create API route for database health check
+  const apiDir = join(projectPath, 'src', 'routes', 'api', 'db-health');
+  execSync(`mkdir -p ${apiDir}`, { cwd: projectPath });
+
+  const healthRoute = `import { json } from '@sveltejs/kit';
+import { prisma } from '../../../../lib/db/prisma';
+
+export async function GET() {
+  try {
+    await prisma.$queryRaw\`SELECT 1\`;
+    return json({ status: 'healthy', database: 'connected' });
+  } catch (error) {
+    return json(
+      { status: 'unhealthy', database: 'disconnected' },
+      { status: 503 }
+    );
+  }
+}
+`;
+
+  writeFileSync(join(apiDir, '+server.ts'), healthRoute);
+}
+
+async function setupAstroDatabase(projectPath) {
+  // Create API route for database health check
+  const apiDir = join(projectPath, 'src', 'pages', 'api');
+  execSync(`mkdir -p ${apiDir}`, { cwd: projectPath });
+
+  const healthRoute = `import type { APIRoute } from 'astro';
+import { prisma } from '../../../lib/db/prisma';
+
+export const prerender = false;
+
+export const GET: APIRoute = async () => {
+  try {
+    await prisma.$queryRaw\`SELECT 1\`;
+    return Response.json({ status: 'healthy', database: 'connected' });
+  } catch (error) {
+    return Response.json(
+      { status: 'unhealthy', database: 'disconnected' },
+      { status: 503 }
+    );
+  }
+};
+`;
+
+  writeFileSync(join(apiDir, 'db-health.ts'), healthRoute);
+}
+
+async function setupFastifyDatabase(projectPath) {
+  // Connect on startup, disconnect on shutdown and expose a database health route
+  const databasePlugin = `import fp from 'fastify-plugin';
+import { prisma } from '../../lib/db/prisma';
+
+export default fp(async (app) => {
+  await prisma.$connect();
+  app.addHook('onClose', async () => {
+    await prisma.$disconnect();
+  });
+
+  app.get('/health/db', async (request, reply) => {
+    try {
+      await prisma.$queryRaw\`SELECT 1\`;
+      return { status: 'healthy', database: 'connected' };
+    } catch (error) {
+      return reply.code(503).send({ status: 'unhealthy', database: 'disconnected' });
+    }
+  });
+});
+`;
+
+  await addFastifyPlugin(projectPath, { file: 'database', name: 'database', content: databasePlugin });
+}
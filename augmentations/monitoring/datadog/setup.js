@@ -1,17 +1,17 @@
-import { execSync } from 'child_process';
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { execSync, writeFileSync, readFileSync, existsSync, mkdirSync } from '../../../lib/utils/io.js';
+import { addPackagesCommand } from '../../../lib/package-manager.js';
 import { join } from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
 
-export async function setupDatadog(projectPath, framework) {
+export async function setupDatadog(projectPath, framework, packageManager) {
   console.log(chalk.blue('\n📊 Setting up Datadog Monitoring\n'));
 
   const spinner = ora('Installing dependencies...').start();
 
   try {
     // Install Datadog packages
-    execSync('yarn add dd-trace @datadog/browser-rum @datadog/browser-logs', { 
+    execSync(addPackagesCommand(packageManager, 'dd-trace @datadog/browser-rum @datadog/browser-logs'), { 
       cwd: projectPath,
       stdio: 'pipe'
     });
@@ -5,12 +5,12 @@ export const monitoringSetups = {
   // TODO: Add New Relic and CloudWatch setups
 };
 
-export async function setupMonitoring(projectPath, framework, monitoringType) {
+export async function setupMonitoring(projectPath, framework, monitoringType, packageManager) {
   const setupFunction = monitoringSetups[monitoringType];
   
   if (!setupFunction) {
     throw new Error(`Unknown monitoring type: ${monitoringType}`);
   }
 
-  await setupFunction(projectPath, framework);
+  await setupFunction(projectPath, framework, packageManager);
 }
\ No newline at end of file
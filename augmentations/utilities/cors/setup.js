@@ -1,9 +1,11 @@
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { execSync, writeFileSync, readFileSync, existsSync, mkdirSync } from '../../../lib/utils/io.js';
+import { addPackagesCommand } from '../../../lib/package-manager.js';
+import { addFastifyPlugin } from '../../../lib/project-scaffolder.js';
 import { join } from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
 
-export async function setupCORS(projectPath, framework) {
+export async function setupCORS(projectPath, framework, packageManager) {
   console.log(chalk.blue('\n🔒 Setting up CORS Configuration\n'));
 
   const spinner = ora('Creating CORS configuration...').start();
@@ -15,7 +17,15 @@ export async function setupCORS(projectPath, framework) {
 
     // Create middleware
     spinner.start('Creating CORS middleware...');
-    await createCORSMiddleware(projectPath, framework);
+    if (framework === 'fastify') {
+      execSync(addPackagesCommand(packageManager, '@fastify/cors'), {
+        cwd: projectPath,
+        stdio: 'pipe'
+      });
+      await setupFastifyCORS(projectPath);
+    } else {
+      await createCORSMiddleware(projectPath, framework);
+    }
     spinner.succeed('CORS middleware created');
 
     // Update environment variables
@@ -160,6 +170,30 @@ export function createCORSConfig(overrides?: Partial<CORSConfig>): CORSConfig {
   writeFileSync(join(libDir, 'config.ts'), corsConfig);
 }
 
+async function setupFastifyCORS(projectPath) {
+  // @fastify/cors handles preflight; origins come from the shared lib/cors config.
+  // Relative imports: the Docker build context leaves out tsconfig.json and its path aliases
+  const corsPlugin = `import fp from 'fastify-plugin';
+import cors from '@fastify/cors';
+import { createCORSConfig, isOriginAllowed } from '../../lib/cors/config';
+
+export default fp(async (app) => {
+  const config = createCORSConfig();
+
+  await app.register(cors, {
+    origin: (origin, callback) => callback(null, !origin || isOriginAllowed(origin, config)),
+    methods: config.allowedMethods,
+    allowedHeaders: config.allowedHeaders,
+    exposedHeaders: config.exposedHeaders,
+    credentials: config.credentials,
+    maxAge: config.maxAge,
+  });
+});
+`;
+
+  await addFastifyPlugin(projectPath, { file: 'cors', name: 'cors', content: corsPlugin });
+}
+
 async function createCORSMiddleware(projectPath, framework) {
   const corsDir = join(projectPath, 'lib', 'cors');
 
@@ -10,12 +10,12 @@ export const utilitySetups = {
   cors: setupCORS,
 };
 
-export async function setupUtility(projectPath, framework, utilityType) {
+export async function setupUtility(projectPath, framework, utilityType, packageManager) {
   const setupFunction = utilitySetups[utilityType];
   
   if (!setupFunction) {
     throw new Error(`Unknown utility type: ${utilityType}`);
   }
 
-  await setupFunction(projectPath, framework);
+  await setupFunction(projectPath, framework, packageManager);
 }
\ No newline at end of file
@@ -1,24 +1,25 @@
-import { execSync } from 'child_process';
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { execSync, writeFileSync, readFileSync, existsSync, mkdirSync } from '../../../lib/utils/io.js';
+import { addPackagesCommand } from '../../../lib/package-manager.js';
+import { addFastifyPlugin } from '../../../lib/project-scaffolder.js';
 import { join } from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
 
-export async function setupLogging(projectPath, framework) {
+export async function setupLogging(projectPath, framework, packageManager) {
   console.log(chalk.blue('\n📝 Setting up Logging System\n'));
 
   const spinner = ora('Installing dependencies...').start();
 
   try {
     // Install Winston and related packages
-    execSync('yarn add winston winston-daily-rotate-file', { 
+    execSync(addPackagesCommand(packageManager, 'winston winston-daily-rotate-file'), { 
       cwd: projectPath,
       stdio: 'pipe'
     });
 
     // Install framework-specific packages
     if (framework === 'nextjs') {
-      execSync('yarn add next-logger', { 
+      execSync(addPackagesCommand(packageManager, 'next-logger'), { 
         cwd: projectPath,
         stdio: 'pipe'
       });
@@ -33,7 +34,11 @@ export async function setupLogging(projectPath, framework) {
 
     // Create log utilities
     spinner.start('Creating log utilities...');
-    await createLogUtilities(projectPath, framework);
+    if (framework === 'fastify') {
+      await setupFastifyLogging(projectPath);
+    } else {
+      await createLogUtilities(projectPath, framework);
+    }
     spinner.succeed('Log utilities created');
 
     // Update environment variables
@@ -230,6 +235,35 @@ process.on('uncaughtException', (error) => {
   }
 }
 
+async function setupFastifyLogging(projectPath) {
+  // Request logs go to winston alongside Fastify's own pino logger
+  const loggingPlugin = `import fp from 'fastify-plugin';
+import { logger } from '../../lib/logger';
+
+export default fp(async (app) => {
+  app.addHook('onResponse', async (request, reply) => {
+    logger.http('Request completed', {
+      method: request.method,
+      url: request.url,
+      statusCode: reply.statusCode,
+      duration: \`\${reply.elapsedTime.toFixed(1)}ms\`,
+    });
+  });
+
+  app.addHook('onError', async (request, reply, error) => {
+    logger.error('Request failed', {
+      method: request.method,
+      url: request.url,
+      error: error.message,
+      stack: error.stack,
+    });
+  });
+});
+`;
+
+  await addFastifyPlugin(projectPath, { file: 'logging', name: 'logging', content: loggingPlugin });
+}
+
 async function createLogUtilities(projectPath, framework) {
   // Create middleware for request logging
   const middlewareDir = join(projectPath, 'middleware');
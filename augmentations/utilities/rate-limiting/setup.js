@@ -1,32 +1,42 @@
-import { execSync } from 'child_process';
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { execSync, writeFileSync, readFileSync, existsSync, mkdirSync } from '../../../lib/utils/io.js';
+import { addPackagesCommand } from '../../../lib/package-manager.js';
+import { addFastifyPlugin } from '../../../lib/project-scaffolder.js';
 import { join } from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
 
-export async function setupRateLimiting(projectPath, framework) {
+export async function setupRateLimiting(projectPath, framework, packageManager) {
   console.log(chalk.blue('\n🚦 Setting up API Rate Limiting\n'));
 
   const spinner = ora('Installing dependencies...').start();
 
   try {
-    // Install rate limiting packages
-    execSync('yarn add express-rate-limit rate-limiter-flexible redis ioredis', { 
+    // Install rate limiting packages; Fastify has an official plugin
+    const packages = framework === 'fastify'
+      ? '@fastify/rate-limit ioredis'
+      : 'express-rate-limit rate-limiter-flexible redis ioredis';
+    execSync(addPackagesCommand(packageManager, packages), { 
       cwd: projectPath,
       stdio: 'pipe'
     });
 
     spinner.succeed('Dependencies installed');
 
-    // Create rate limiting configuration
-    spinner.start('Creating rate limiting configuration...');
-    await createRateLimitConfig(projectPath, framework);
-    spinner.succeed('Rate limiting configuration created');
-
-    // Create middleware
-    spinner.start('Creating rate limiting middleware...');
-    await createRateLimitMiddleware(projectPath, framework);
-    spinner.succeed('Rate limiting middleware created');
+    if (framework === 'fastify') {
+      spinner.start('Registering rate limiting plugin...');
+      await setupFastifyRateLimit(projectPath);
+      spinner.succeed('Rate limiting plugin registered');
+    } else {
+      // Create rate limiting configuration
+      spinner.start('Creating rate limiting configuration...');
+      await createRateLimitConfig(projectPath, framework);
+      spinner.succeed('Rate limiting configuration created');
+
+      // Create middleware
+      spinner.start('Creating rate limiting middleware...');
+      await createRateLimitMiddleware(projectPath, framework);
+      spinner.succeed('Rate limiting middleware created');
+    }
 
     // Update environment variables
     spinner.start('Updating environment variables...');
@@ -47,6 +57,30 @@ export async function setupRateLimiting(projectPath, framework) {
   }
 }
 
+async function setupFastifyRateLimit(projectPath) {
+  const rateLimitPlugin = `import fp from 'fastify-plugin';
+import rateLimit from '@fastify/rate-limit';
+import Redis from 'ioredis';
+
+export default fp(async (app) => {
+  if (process.env.RATE_LIMIT_ENABLED === 'false') {
+    return;
+  }
+
+  await app.register(rateLimit, {
+    max: Number(process.env.RATE_LIMIT_MAX) || 100,
+    timeWindow: process.env.RATE_LIMIT_WINDOW || '1 minute',
+    // Share counters between instances when Redis is configured
+    redis: process.env.REDIS_URL ? new Redis(process.env.REDIS_URL) : undefined,
+    // Never throttle the platform's health checks
+    allowList: (request) => request.url.startsWith('/health'),
+  });
+});
+`;
+
+  await addFastifyPlugin(projectPath, { file: 'rate-limit', name: 'rateLimit', content: rateLimitPlugin });
+}
+
 async function createRateLimitConfig(projectPath, framework) {
   const libDir = join(projectPath, 'lib', 'rate-limit');
   if (!existsSync(libDir)) {
@@ -1,10 +1,11 @@
-import { execSync } from 'child_process';
-import { writeFileSync, readFileSync, existsSync, mkdirSync } from 'fs';
+import { execSync, writeFileSync, readFileSync, existsSync, mkdirSync } from '../../../lib/utils/io.js';
+import { addPackagesCommand } from '../../../lib/package-manager.js';
+import { addFastifyPlugin } from '../../../lib/project-scaffolder.js';
 import { join } from 'path';
 import chalk from 'chalk';
 import ora from 'ora';
 
-export async function setupSentry(projectPath, framework) {
+export async function setupSentry(projectPath, framework, packageManager) {
   console.log(chalk.blue('\n🛡️  Setting up Sentry Error Tracking\n'));
 
   const spinner = ora('Installing dependencies...').start();
@@ -15,9 +16,15 @@ export async function setupSentry(projectPath, framework) {
       ? '@sentry/nextjs'
       : framework === 'nuxtjs'
       ? '@nuxtjs/sentry'
+      : framework === 'sveltekit'
+      ? '@sentry/sveltekit'
+      : framework === 'astro'
+      ? '@sentry/astro'
+      : framework === 'fastify'
+      ? '@sentry/node'
       : '@sentry/node @sentry/integrations';
     
-    execSync(`yarn add ${packages}`, { 
+    execSync(addPackagesCommand(packageManager, packages), { 
       cwd: projectPath,
       stdio: 'pipe'
     });
@@ -31,6 +38,12 @@ export async function setupSentry(projectPath, framework) {
       await setupSentryNuxt(projectPath);
     } else if (framework === 'remix') {
       await setupSentryRemix(projectPath);
+    } else if (framework === 'sveltekit') {
+      await setupSentrySvelteKit(projectPath);
+    } else if (framework === 'astro') {
+      await setupSentryAstro(projectPath);
+    } else if (framework === 'fastify') {
+      await setupSentryFastify(projectPath);
     }
 
     // Update environment variables
@@ -437,6 +450,145 @@ export function handleError(error: unknown, { request }: { request: Request }) {
   spinner.succeed('Sentry Remix setup complete');
 }
 
+async function setupSentrySvelteKit(projectPath) {
+  const spinner = ora('Setting up Sentry for SvelteKit...').start();
+
+  const srcDir = join(projectPath, 'src');
+  if (!existsSync(srcDir)) {
+    mkdirSync(srcDir, { recursive: true });
+  }
+
+  const hooksClient = `import * as Sentry from '@sentry/sveltekit';
+import { env } from '$env/dynamic/public';
+
+Sentry.init({
+  dsn: env.PUBLIC_SENTRY_DSN,
+  tracesSampleRate: import.meta.env.PROD ? 0.1 : 1.0,
+  replaysSessionSampleRate: 0.1,
+  replaysOnErrorSampleRate: 1.0,
+  integrations: [Sentry.replayIntegration()],
+});
+
+export const handleError = Sentry.handleErrorWithSentry();
+`;
+
+  writeFileSync(join(srcDir, 'hooks.client.ts'), hooksClient);
+
+  const sentryServerInit = `import * as Sentry from '@sentry/sveltekit';
+
+Sentry.init({
+  dsn: process.env.SENTRY_DSN,
+  tracesSampleRate: process.env.NODE_ENV === 'production' ? 0.1 : 1.0,
+  environment: process.env.NODE_ENV,
+});
+`;
+
+  // Run Sentry first in any existing handle sequence, e.g. the security headers hook
+  const hooksServerPath = join(srcDir, 'hooks.server.ts');
+  let hooksServer;
+  if (existsSync(hooksServerPath)) {
+    const content = readFileSync(hooksServerPath, 'utf8');
+    if (!content.includes('sequence(')) {
+      console.log(chalk.yellow('\nNote: Add Sentry.sentryHandle() to the handle hook in src/hooks.server.ts manually'));
+      spinner.succeed('Sentry SvelteKit setup complete');
+      return;
+    }
+    hooksServer = `${sentryServerInit}\n${content.replace('sequence(', 'sequence(Sentry.sentryHandle(), ')}`;
+  } else {
+    hooksServer = `import { sequence } from '@sveltejs/kit/hooks';
+${sentryServerInit}
+export const handle = sequence(Sentry.sentryHandle());
+`;
+  }
+  hooksServer += `
+export const handleError = Sentry.handleErrorWithSentry();
+`;
+
+  writeFileSync(hooksServerPath, hooksServer);
+
+  spinner.succeed('Sentry SvelteKit setup complete');
+}
+
+async function setupSentryAstro(projectPath) {
+  const spinner = ora('Setting up Sentry for Astro...').start();
+
+  // The integration reads these files for client and server initialization
+  const clientConfig = `import * as Sentry from '@sentry/astro';
+
+Sentry.init({
+  dsn: import.meta.env.PUBLIC_SENTRY_DSN,
+  tracesSampleRate: import.meta.env.PROD ? 0.1 : 1.0,
+  replaysSessionSampleRate: 0.1,
+  replaysOnErrorSampleRate: 1.0,
+  integrations: [Sentry.replayIntegration()],
+});
+`;
+
+  const serverConfig = `import * as Sentry from '@sentry/astro';
+
+Sentry.init({
+  dsn: process.env.SENTRY_DSN,
+  tracesSampleRate: process.env.NODE_ENV === 'production' ? 0.1 : 1.0,
+  environment: process.env.NODE_ENV,
+});
+`;
+
+  writeFileSync(join(projectPath, 'sentry.client.config.ts'), clientConfig);
+  writeFileSync(join(projectPath, 'sentry.server.config.ts'), serverConfig);
+
+  const configFile = ['astro.config.mjs', 'astro.config.ts', 'astro.config.js']
+    .find((file) => existsSync(join(projectPath, file)));
+  const configContent = configFile && readFileSync(join(projectPath, configFile), 'utf8');
+
+  if (!configContent || !configContent.includes('defineConfig({')) {
+    console.log(chalk.yellow('\nNote: Add the sentry() integration from @sentry/astro to your Astro config manually'));
+  } else if (!configContent.includes('@sentry/astro')) {
+    const withImport = `import sentry from '@sentry/astro';\n${configContent}`;
+    const updated = withImport.includes('integrations: [')
+      ? withImport.replace('integrations: [', 'integrations: [sentry(), ')
+      : withImport.replace('defineConfig({', 'defineConfig({\n  integrations: [sentry()],');
+    writeFileSync(join(projectPath, configFile), updated);
+  }
+
+  spinner.succeed('Sentry Astro setup complete');
+}
+
+async function setupSentryFastify(projectPath) {
+  const spinner = ora('Setting up Sentry for Fastify...').start();
+
+  // Sentry must initialize before fastify is imported to instrument it
+  const instrument = `import * as Sentry from '@sentry/node';
+
+Sentry.init({
+  dsn: process.env.SENTRY_DSN,
+  tracesSampleRate: process.env.NODE_ENV === 'production' ? 0.1 : 1.0,
+  environment: process.env.NODE_ENV,
+});
+`;
+
+  writeFileSync(join(projectPath, 'src', 'instrument.ts'), instrument);
+
+  const serverPath = join(projectPath, 'src', 'server.ts');
+  if (existsSync(serverPath)) {
+    const server = readFileSync(serverPath, 'utf8');
+    if (!server.includes('./instrument')) {
+      writeFileSync(serverPath, `import './instrument';\n${server}`);
+    }
+  }
+
+  const sentryPlugin = `import fp from 'fastify-plugin';
+import * as Sentry from '@sentry/node';
+
+export default fp(async (app) => {
+  Sentry.setupFastifyErrorHandler(app);
+});
+`;
+
+  await addFastifyPlugin(projectPath, { file: 'sentry', name: 'sentry', content: sentryPlugin });
+
+  spinner.succeed('Sentry Fastify setup complete');
+}
+
 async function updateEnvVariables(projectPath) {
   const envExamplePath = join(projectPath, '.env.example');
   let envContent = '';
@@ -449,6 +601,7 @@ async function updateEnvVariables(projectPath) {
 # Sentry Error Tracking
 SENTRY_DSN=
 NEXT_PUBLIC_SENTRY_DSN=
+PUBLIC_SENTRY_DSN=
 SENTRY_ORG=
 SENTRY_PROJECT=
 SENTRY_AUTH_TOKEN=
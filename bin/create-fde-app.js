@@ -9,7 +9,10 @@ const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 const packageJson = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf8'));
 
-console.log(`create-fde-app v${packageJson.version}`);
+// Keep stdout machine-readable for JSON reports
+if (!process.argv.includes('--json')) {
+  console.log(`create-fde-app v${packageJson.version}`);
+}
 
 runCLI().catch((error) => {
   console.error('Error:', error.message);
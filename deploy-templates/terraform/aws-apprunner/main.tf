@@ -27,6 +27,45 @@ resource "aws_ecr_repository" "app" {
   }
 }
 
+# Images of pull request previews, kept apart from the repository production deploys :latest from.
+# Previews belong to the production workspace, whose names the preview workflow uses.
+resource "aws_ecr_repository" "previews" {
+  count = var.environment == "production" ? 1 : 0
+
+  name                 = "${var.project_name}-previews"
+  image_tag_mutability = "MUTABLE"
+
+  tags = {
+    Name        = "${var.project_name}-previews"
+    Environment = var.environment
+    ManagedBy   = "terraform"
+  }
+}
+
+resource "aws_ecr_lifecycle_policy" "previews" {
+  count = var.environment == "production" ? 1 : 0
+
+  repository = aws_ecr_repository.previews[0].name
+
+  policy = jsonencode({
+    rules = [
+      {
+        rulePriority = 1
+        description  = "Expire preview images after 14 days"
+        selection = {
+          tagStatus   = "any"
+          countType   = "sinceImagePushed"
+          countUnit   = "days"
+          countNumber = 14
+        }
+        action = {
+          type = "expire"
+        }
+      }
+    ]
+  })
+}
+
 # IAM Role for App Runner to access ECR
 resource "aws_iam_role" "apprunner_ecr_access" {
   name = "${var.project_name}-apprunner-ecr-access"
@@ -164,4 +203,191 @@ resource "aws_apprunner_service" "app_with_vpc" {
     Environment = var.environment
     ManagedBy   = "terraform"
   }
-}
\ No newline at end of file
+}
+
+# GitHub Actions OIDC login (only when github_repository is set):
+# a role the deploy workflow assumes with its GitHub OIDC token instead of stored access keys,
+# and a separate role for the pull request preview workflow that can only touch preview resources
+locals {
+  github_oidc     = var.github_repository != ""
+  github_previews = local.github_oidc && var.environment == "production"
+
+  # Jobs running in a GitHub Environment present the environment in their OIDC token instead of the branch
+  github_subject         = var.github_environment != "" ? "repo:${var.github_repository}:environment:${var.github_environment}" : "repo:${var.github_repository}:ref:refs/heads/${var.github_branch}"
+  github_preview_subject = "repo:${var.github_repository}:pull_request"
+
+  github_oidc_provider_arn = var.create_github_oidc_provider ? one(aws_iam_openid_connect_provider.github[*].arn) : one(data.aws_iam_openid_connect_provider.github[*].arn)
+
+  apprunner_service_arn = length(var.vpc_subnets) > 0 ? aws_apprunner_service.app_with_vpc[0].arn : aws_apprunner_service.app.arn
+}
+
+data "aws_caller_identity" "current" {}
+
+# An account has one provider per issuer: set create_github_oidc_provider = false when it already exists
+resource "aws_iam_openid_connect_provider" "github" {
+  count = local.github_oidc && var.create_github_oidc_provider ? 1 : 0
+
+  url             = "https://token.actions.githubusercontent.com"
+  client_id_list  = ["sts.amazonaws.com"]
+  thumbprint_list = ["6938fd4d98bab03faadb97b34396831e3780aea1", "1c58a3a8518e8759bf075b76b750d4f2df264fcd"]
+}
+
+data "aws_iam_openid_connect_provider" "github" {
+  count = local.github_oidc && !var.create_github_oidc_provider ? 1 : 0
+
+  url = "https://token.actions.githubusercontent.com"
+}
+
+resource "aws_iam_role" "github_actions" {
+  count = local.github_oidc ? 1 : 0
+
+  name = "${var.project_name}-github-actions"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action = "sts:AssumeRoleWithWebIdentity"
+        Effect = "Allow"
+        Principal = {
+          Federated = local.github_oidc_provider_arn
+        }
+        Condition = {
+          StringEquals = {
+            "token.actions.githubusercontent.com:aud" = "sts.amazonaws.com"
+            "token.actions.githubusercontent.com:sub" = local.github_subject
+          }
+        }
+      }
+    ]
+  })
+
+  tags = {
+    Name        = "${var.project_name}-github-actions"
+    Environment = var.environment
+  }
+}
+
+# Push images and deploy the service
+resource "aws_iam_role_policy" "github_actions" {
+  count = local.github_oidc ? 1 : 0
+
+  name = "deploy"
+  role = aws_iam_role.github_actions[0].id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action   = "ecr:GetAuthorizationToken"
+        Effect   = "Allow"
+        Resource = "*"
+      },
+      {
+        Action = [
+          "ecr:BatchCheckLayerAvailability",
+          "ecr:BatchGetImage",
+          "ecr:CompleteLayerUpload",
+          "ecr:GetDownloadUrlForLayer",
+          "ecr:InitiateLayerUpload",
+          "ecr:PutImage",
+          "ecr:UploadLayerPart"
+        ]
+        Effect   = "Allow"
+        Resource = aws_ecr_repository.app.arn
+      },
+      {
+        Action = [
+          "apprunner:DescribeService",
+          "apprunner:StartDeployment"
+        ]
+        Effect   = "Allow"
+        Resource = local.apprunner_service_arn
+      }
+    ]
+  })
+}
+
+# Pull requests run code nobody has reviewed yet, so their role cannot reach the production service or its images
+resource "aws_iam_role" "github_previews" {
+  count = local.github_previews ? 1 : 0
+
+  name = "${var.project_name}-github-previews"
+
+  assume_role_policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action = "sts:AssumeRoleWithWebIdentity"
+        Effect = "Allow"
+        Principal = {
+          Federated = local.github_oidc_provider_arn
+        }
+        Condition = {
+          StringEquals = {
+            "token.actions.githubusercontent.com:aud" = "sts.amazonaws.com"
+            "token.actions.githubusercontent.com:sub" = local.github_preview_subject
+          }
+        }
+      }
+    ]
+  })
+
+  tags = {
+    Name        = "${var.project_name}-github-previews"
+    Environment = var.environment
+  }
+}
+
+# Push preview images and manage the <project>-pr-<number> services
+resource "aws_iam_role_policy" "github_previews" {
+  count = local.github_previews ? 1 : 0
+
+  name = "previews"
+  role = aws_iam_role.github_previews[0].id
+
+  policy = jsonencode({
+    Version = "2012-10-17"
+    Statement = [
+      {
+        Action   = "ecr:GetAuthorizationToken"
+        Effect   = "Allow"
+        Resource = "*"
+      },
+      {
+        Action = [
+          "ecr:BatchCheckLayerAvailability",
+          "ecr:BatchGetImage",
+          "ecr:CompleteLayerUpload",
+          "ecr:GetDownloadUrlForLayer",
+          "ecr:InitiateLayerUpload",
+          "ecr:PutImage",
+          "ecr:UploadLayerPart"
+        ]
+        Effect   = "Allow"
+        Resource = aws_ecr_repository.previews[0].arn
+      },
+      {
+        Action   = "apprunner:ListServices"
+        Effect   = "Allow"
+        Resource = "*"
+      },
+      {
+        Action = [
+          "apprunner:CreateService",
+          "apprunner:DeleteService",
+          "apprunner:DescribeService",
+          "apprunner:TagResource",
+          "apprunner:UpdateService"
+        ]
+        Effect   = "Allow"
+        Resource = "arn:aws:apprunner:${var.aws_region}:${data.aws_caller_identity.current.account_id}:service/${var.project_name}-pr-*/*"
+      },
+      {
+        Action   = "iam:PassRole"
+        Effect   = "Allow"
+        Resource = aws_iam_role.apprunner_ecr_access.arn
+      }
+    ]
+  })
+}
@@ -24,4 +24,21 @@ output "custom_domain_records" {
     domain = var.custom_domain
     records = aws_apprunner_custom_domain_association.app[0].certificate_validation_records
   } : null
-}
\ No newline at end of file
+}
+output "ecr_access_role_arn" {
+  description = "ARN of the role App Runner pulls images with; set it as the APPRUNNER_ECR_ACCESS_ROLE_ARN secret for pull request previews"
+  value       = aws_iam_role.apprunner_ecr_access.arn
+}
+
+output "preview_ecr_repository_url" {
+  description = "URL of the ECR repository of pull request preview images"
+  value       = one(aws_ecr_repository.previews[*].repository_url)
+}
+
+output "github_actions_secrets" {
+  description = "Values for the AWS_ROLE_ARN and, in the production workspace, AWS_PREVIEW_ROLE_ARN GitHub secrets"
+  value = local.github_oidc ? merge(
+    { AWS_ROLE_ARN = aws_iam_role.github_actions[0].arn },
+    local.github_previews ? { AWS_PREVIEW_ROLE_ARN = aws_iam_role.github_previews[0].arn } : {}
+  ) : null
+}
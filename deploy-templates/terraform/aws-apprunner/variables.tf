@@ -69,4 +69,28 @@ variable "vpc_security_groups" {
   description = "VPC security group IDs for VPC connector (optional)"
   type        = list(string)
   default     = []
-}
\ No newline at end of file
+}
+
+variable "github_repository" {
+  description = "GitHub repository (owner/name) allowed to deploy with OIDC; leave empty to skip"
+  type        = string
+  default     = ""
+}
+
+variable "github_branch" {
+  description = "Branch whose workflow runs may deploy"
+  type        = string
+  default     = "main"
+}
+
+variable "github_environment" {
+  description = "GitHub Environment whose deploy jobs may deploy; takes the place of github_branch when set"
+  type        = string
+  default     = ""
+}
+
+variable "create_github_oidc_provider" {
+  description = "Create the account's GitHub OIDC provider; set to false when it already exists"
+  type        = bool
+  default     = true
+}
@@ -0,0 +1,51 @@
+output "service_url" {
+  description = "URL of the application load balancer"
+  value       = "${var.certificate_arn != "" ? "https" : "http"}://${aws_lb.app.dns_name}"
+}
+
+output "alb_dns_name" {
+  description = "DNS name of the load balancer, for a CNAME or alias record"
+  value       = aws_lb.app.dns_name
+}
+
+output "ecr_repository_url" {
+  description = "URL of the ECR repository"
+  value       = aws_ecr_repository.app.repository_url
+}
+
+output "cluster_name" {
+  description = "Name of the ECS cluster"
+  value       = aws_ecs_cluster.app.name
+}
+
+output "service_name" {
+  description = "Name of the ECS service"
+  value       = aws_ecs_service.app.name
+}
+
+output "task_definition_family" {
+  description = "Task definition family the deploy workflow registers new revisions in"
+  value       = aws_ecs_task_definition.app.family
+}
+
+output "container_name" {
+  description = "Name of the application container in the task definition"
+  value       = local.container_name
+}
+
+output "log_group_name" {
+  description = "CloudWatch log group of the application"
+  value       = aws_cloudwatch_log_group.app.name
+}
+
+output "vpc_id" {
+  description = "ID of the VPC the service runs in"
+  value       = local.vpc_id
+}
+
+output "github_actions_secrets" {
+  description = "Value for the AWS_ROLE_ARN GitHub secret"
+  value = local.github_oidc ? {
+    AWS_ROLE_ARN = aws_iam_role.github_actions[0].arn
+  } : null
+}
@@ -0,0 +1,158 @@
+variable "aws_region" {
+  description = "AWS region for resources"
+  type        = string
+  default     = "us-east-1"
+}
+
+variable "project_name" {
+  description = "Name of the project"
+  type        = string
+}
+
+variable "environment" {
+  description = "Environment name (e.g., dev, staging, prod)"
+  type        = string
+  default     = "production"
+}
+
+variable "app_port" {
+  description = "Port on which the application runs"
+  type        = number
+  default     = 3000
+}
+
+variable "health_check_path" {
+  description = "Path for the load balancer health check"
+  type        = string
+  default     = "/api/health"
+}
+
+variable "environment_variables" {
+  description = "Environment variables for the application"
+  type        = map(string)
+  default = {
+    NODE_ENV = "production"
+  }
+}
+
+# Networking: leave vpc_id empty to create a new VPC
+variable "vpc_id" {
+  description = "Existing VPC ID (optional, a new VPC is created when empty)"
+  type        = string
+  default     = ""
+}
+
+variable "public_subnet_ids" {
+  description = "Public subnet IDs for the load balancer when using an existing VPC"
+  type        = list(string)
+  default     = []
+}
+
+variable "private_subnet_ids" {
+  description = "Private subnet IDs for the tasks when using an existing VPC (need a NAT gateway to pull images)"
+  type        = list(string)
+  default     = []
+}
+
+variable "vpc_cidr" {
+  description = "CIDR block of the VPC created when vpc_id is empty"
+  type        = string
+  default     = "10.0.0.0/16"
+}
+
+variable "az_count" {
+  description = "Number of availability zones used by the created VPC"
+  type        = number
+  default     = 2
+}
+
+variable "certificate_arn" {
+  description = "ACM certificate ARN for an HTTPS listener (optional)"
+  type        = string
+  default     = ""
+}
+
+# Task size and scaling
+variable "image_tag" {
+  description = "Image tag used by the initial task definition; CI deploys later revisions"
+  type        = string
+  default     = "latest"
+}
+
+variable "cpu" {
+  description = "Task CPU units (256 = 0.25 vCPU)"
+  type        = number
+  default     = 256
+}
+
+variable "memory" {
+  description = "Task memory in MiB"
+  type        = number
+  default     = 512
+}
+
+variable "desired_count" {
+  description = "Number of tasks started with the service"
+  type        = number
+  default     = 1
+}
+
+variable "min_capacity" {
+  description = "Minimum number of tasks"
+  type        = number
+  default     = 1
+}
+
+variable "max_capacity" {
+  description = "Maximum number of tasks"
+  type        = number
+  default     = 4
+}
+
+variable "cpu_target" {
+  description = "Average CPU utilization (%) the service scales towards"
+  type        = number
+  default     = 60
+}
+
+variable "memory_target" {
+  description = "Average memory utilization (%) the service scales towards"
+  type        = number
+  default     = 75
+}
+
+variable "requests_per_target" {
+  description = "Load balancer requests per task per minute the service scales towards"
+  type        = number
+  default     = 1000
+}
+
+variable "log_retention_days" {
+  description = "Days to keep application logs in CloudWatch"
+  type        = number
+  default     = 30
+}
+
+variable "github_repository" {
+  description = "GitHub repository (owner/name) allowed to deploy with OIDC; leave empty to skip"
+  type        = string
+  default     = ""
+}
+
+variable "github_branch" {
+  description = "Branch whose workflow runs may deploy"
+  type        = string
+  default     = "main"
+}
+
+variable "github_environment" {
+  description = "GitHub Environment whose deploy jobs may deploy; takes the place of github_branch when set"
+  type        = string
+  default     = ""
+}
+
+variable "create_github_oidc_provider" {
+  description = "Create the account's GitHub OIDC provider; set to false when it already exists"
+  type        = bool
+  default     = true
+}
@@ -0,0 +1,207 @@
+terraform {
+  required_providers {
+    azurerm = {
+      source  = "hashicorp/azurerm"
+      version = "~> 4.0"
+    }
+  }
+}
+
+provider "azurerm" {
+  features {}
+
+  # Falls back to ARM_SUBSCRIPTION_ID when not set
+  subscription_id = var.subscription_id
+}
+
+locals {
+  tags = {
+    Environment = var.environment
+    ManagedBy   = "terraform"
+  }
+
+  # Jobs running in a GitHub Environment present the environment in their OIDC token instead of the branch
+  github_subject = (var.github_environment != ""
+    ? "repo:${var.github_repository}:environment:${var.github_environment}"
+    : "repo:${var.github_repository}:ref:refs/heads/${var.github_branch}"
+  )
+}
+
+data "azurerm_client_config" "current" {}
+
+resource "azurerm_resource_group" "app" {
+  name     = "${var.project_name}-rg"
+  location = var.location
+
+  tags = local.tags
+}
+
+# Log Analytics
+resource "azurerm_log_analytics_workspace" "app" {
+  name                = "${var.project_name}-logs"
+  location            = azurerm_resource_group.app.location
+  resource_group_name = azurerm_resource_group.app.name
+  sku                 = "PerGB2018"
+  retention_in_days   = var.log_retention_days
+
+  tags = local.tags
+}
+
+# Container Registry
+resource "azurerm_container_registry" "app" {
+  name                = var.registry_name
+  location            = azurerm_resource_group.app.location
+  resource_group_name = azurerm_resource_group.app.name
+  sku                 = "Basic"
+  admin_enabled       = false
+
+  tags = local.tags
+}
+
+# Identity the container app pulls images with
+resource "azurerm_user_assigned_identity" "app" {
+  name                = "${var.project_name}-identity"
+  location            = azurerm_resource_group.app.location
+  resource_group_name = azurerm_resource_group.app.name
+
+  tags = local.tags
+}
+
+resource "azurerm_role_assignment" "app_acr_pull" {
+  scope                = azurerm_container_registry.app.id
+  role_definition_name = "AcrPull"
+  principal_id         = azurerm_user_assigned_identity.app.principal_id
+}
+
+# Container Apps Environment
+resource "azurerm_container_app_environment" "app" {
+  name                       = "${var.project_name}-env"
+  location                   = azurerm_resource_group.app.location
+  resource_group_name        = azurerm_resource_group.app.name
+  log_analytics_workspace_id = azurerm_log_analytics_workspace.app.id
+
+  tags = local.tags
+}
+
+resource "azurerm_container_app" "app" {
+  name                         = var.project_name
+  container_app_environment_id = azurerm_container_app_environment.app.id
+  resource_group_name          = azurerm_resource_group.app.name
+  revision_mode                = "Single"
+
+  identity {
+    type         = "UserAssigned"
+    identity_ids = [azurerm_user_assigned_identity.app.id]
+  }
+
+  registry {
+    server   = azurerm_container_registry.app.login_server
+    identity = azurerm_user_assigned_identity.app.id
+  }
+
+  ingress {
+    external_enabled = true
+    target_port      = var.container_port
+    transport        = "auto"
+
+    traffic_weight {
+      latest_revision = true
+      percentage      = 100
+    }
+  }
+
+  template {
+    min_replicas = var.min_replicas
+    max_replicas = var.max_replicas
+
+    container {
+      name   = var.project_name
+      image  = var.bootstrap_image
+      cpu    = var.cpu
+      memory = var.memory
+
+      env {
+        name  = "PORT"
+        value = tostring(var.container_port)
+      }
+
+      dynamic "env" {
+        for_each = var.environment_variables
+        content {
+          name  = env.key
+          value = env.value
+        }
+      }
+
+      liveness_probe {
+        transport               = "HTTP"
+        port                    = var.container_port
+        path                    = var.health_check_path
+        initial_delay           = 10
+        interval_seconds        = 10
+        failure_count_threshold = 3
+      }
+
+      readiness_probe {
+        transport               = "HTTP"
+        port                    = var.container_port
+        path                    = var.health_check_path
+        interval_seconds        = 5
+        failure_count_threshold = 3
+      }
+    }
+
+    http_scale_rule {
+      name                = "http-requests"
+      concurrent_requests = tostring(var.concurrent_requests)
+    }
+  }
+
+  # The deploy workflow owns the image, Terraform only creates the app with a placeholder
+  lifecycle {
+    ignore_changes = [template[0].container[0].image]
+  }
+
+  depends_on = [azurerm_role_assignment.app_acr_pull]
+
+  tags = local.tags
+}
+
+# GitHub Actions OIDC login (only when github_repository is set):
+# a federated credential on a second identity that may push images and update the app
+resource "azurerm_user_assigned_identity" "github" {
+  count = var.github_repository != "" ? 1 : 0
+
+  name                = "${var.project_name}-github"
+  location            = azurerm_resource_group.app.location
+  resource_group_name = azurerm_resource_group.app.name
+
+  tags = local.tags
+}
+
+resource "azurerm_federated_identity_credential" "github" {
+  count = var.github_repository != "" ? 1 : 0
+
+  name                = "github-${coalesce(var.github_environment, var.github_branch)}"
+  resource_group_name = azurerm_resource_group.app.name
+  parent_id           = azurerm_user_assigned_identity.github[0].id
+  audience            = ["api://AzureADTokenExchange"]
+  issuer              = "https://token.actions.githubusercontent.com"
+  subject             = local.github_subject
+}
+
+resource "azurerm_role_assignment" "github_acr_push" {
+  count = var.github_repository != "" ? 1 : 0
+
+  scope                = azurerm_container_registry.app.id
+  role_definition_name = "AcrPush"
+  principal_id         = azurerm_user_assigned_identity.github[0].principal_id
+}
+
+resource "azurerm_role_assignment" "github_app_contributor" {
+  count = var.github_repository != "" ? 1 : 0
+
+  scope                = azurerm_container_app.app.id
+  role_definition_name = "Contributor"
+  principal_id         = azurerm_user_assigned_identity.github[0].principal_id
+}
@@ -0,0 +1,28 @@
+output "app_url" {
+  description = "URL of the container app"
+  value       = "https://${azurerm_container_app.app.ingress[0].fqdn}"
+}
+
+output "container_app_name" {
+  description = "Name of the container app"
+  value       = azurerm_container_app.app.name
+}
+
+output "resource_group_name" {
+  description = "Name of the resource group"
+  value       = azurerm_resource_group.app.name
+}
+
+output "registry_login_server" {
+  description = "Login server of the container registry"
+  value       = azurerm_container_registry.app.login_server
+}
+
+output "github_actions_secrets" {
+  description = "Values for the AZURE_CLIENT_ID, AZURE_TENANT_ID and AZURE_SUBSCRIPTION_ID GitHub secrets"
+  value = var.github_repository != "" ? {
+    AZURE_CLIENT_ID       = azurerm_user_assigned_identity.github[0].client_id
+    AZURE_TENANT_ID       = data.azurerm_client_config.current.tenant_id
+    AZURE_SUBSCRIPTION_ID = data.azurerm_client_config.current.subscription_id
+  } : null
+}
@@ -0,0 +1,105 @@
+variable "subscription_id" {
+  description = "Azure subscription ID (defaults to ARM_SUBSCRIPTION_ID)"
+  type        = string
+  default     = null
+}
+
+variable "location" {
+  description = "Azure region for resources"
+  type        = string
+  default     = "westeurope"
+}
+
+variable "project_name" {
+  description = "Name of the project, also the container app name (at most 32 characters)"
+  type        = string
+}
+
+variable "environment" {
+  description = "Environment name (e.g., dev, staging, prod)"
+  type        = string
+  default     = "production"
+}
+
+variable "registry_name" {
+  description = "Azure Container Registry name (globally unique, 5-50 lowercase letters and digits)"
+  type        = string
+}
+
+variable "bootstrap_image" {
+  description = "Image the container app starts with, until the deploy workflow pushes the application image"
+  type        = string
+  default     = "mcr.microsoft.com/k8se/quickstart:latest"
+}
+
+variable "container_port" {
+  description = "Port on which the container listens"
+  type        = number
+  default     = 3000
+}
+
+variable "health_check_path" {
+  description = "Path for the liveness and readiness probes"
+  type        = string
+  default     = "/"
+}
+
+variable "environment_variables" {
+  description = "Environment variables for the application"
+  type        = map(string)
+  default     = {}
+}
+
+variable "cpu" {
+  description = "vCPUs per replica (0.25 to 4, paired with memory)"
+  type        = number
+  default     = 0.5
+}
+
+variable "memory" {
+  description = "Memory per replica, twice the CPU in Gi (e.g., '1Gi' for 0.5 vCPU)"
+  type        = string
+  default     = "1Gi"
+}
+
+variable "min_replicas" {
+  description = "Minimum number of replicas (0 scales to zero when idle)"
+  type        = number
+  default     = 1
+}
+
+variable "max_replicas" {
+  description = "Maximum number of replicas"
+  type        = number
+  default     = 10
+}
+
+variable "concurrent_requests" {
+  description = "Concurrent requests per replica before scaling out"
+  type        = number
+  default     = 50
+}
+
+variable "log_retention_days" {
+  description = "Days to keep logs in Log Analytics"
+  type        = number
+  default     = 30
+}
+
+variable "github_repository" {
+  description = "GitHub repository (owner/name) allowed to deploy with OIDC; leave empty to skip"
+  type        = string
+  default     = ""
+}
+
+variable "github_branch" {
+  description = "Branch whose workflow runs may deploy"
+  type        = string
+  default     = "main"
+}
+
+variable "github_environment" {
+  description = "GitHub Environment whose deploy jobs may deploy; takes the place of github_branch when set"
+  type        = string
+  default     = ""
+}
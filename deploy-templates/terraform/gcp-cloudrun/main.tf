@@ -12,6 +12,12 @@ provider "google" {
   region  = var.region
 }
 
+# Service account IDs take 6-30 characters and Workload Identity pool IDs 4-32. Names longer than the
+# longest suffix allows are cut and end in a hash of the full name, so they stay unique.
+locals {
+  id_prefix = length(var.project_name) <= 17 ? var.project_name : "${substr(var.project_name, 0, 12)}-${substr(md5(var.project_name), 0, 4)}"
+}
+
 # Enable required APIs
 resource "google_project_service" "cloud_run_api" {
   service = "run.googleapis.com"
@@ -121,7 +127,7 @@ resource "google_cloud_run_service_iam_member" "public_access" {
 
 # Service Account for Cloud Run
 resource "google_service_account" "cloud_run_sa" {
-  account_id   = "${var.project_name}-cloud-run-sa"
+  account_id   = "${local.id_prefix}-cloud-run-sa"
   display_name = "Service Account for ${var.project_name} Cloud Run"
 }
 
@@ -226,4 +232,158 @@ resource "google_cloud_run_domain_mapping" "app" {
     google_cloud_run_v2_service.app,
     google_cloud_run_v2_service.app_with_sa
   ]
-}
\ No newline at end of file
+}
+
+# Pull request previews: a <project>-pr-<number> service per pull request, created and deleted by the
+# preview workflow, built into their own repository and running as a service account without roles.
+# They belong to the production workspace, whose names the preview workflow uses.
+locals {
+  previews = var.environment == "production"
+}
+
+resource "google_artifact_registry_repository" "previews" {
+  count = local.previews ? 1 : 0
+
+  location      = var.region
+  repository_id = "${var.project_name}-previews"
+  description   = "Pull request previews of ${var.project_name}"
+  format        = "DOCKER"
+
+  cleanup_policies {
+    id     = "delete-after-14-days"
+    action = "DELETE"
+    condition {
+      older_than = "1209600s"
+    }
+  }
+
+  depends_on = [google_project_service.artifact_registry_api]
+}
+
+resource "google_service_account" "preview_runtime" {
+  count = local.previews ? 1 : 0
+
+  account_id   = "${local.id_prefix}-preview"
+  display_name = "Runtime of ${var.project_name} pull request previews"
+}
+
+# GitHub Actions OIDC login (only when github_repository is set):
+# Workload Identity Federation lets the deploy workflow act as a service account without a key,
+# and the pull request preview workflow as a separate one that can only touch preview resources
+locals {
+  github_oidc     = var.github_repository != ""
+  github_previews = local.github_oidc && local.previews
+
+  # Jobs running in a GitHub Environment present the environment in their OIDC token instead of the branch
+  github_subject         = var.github_environment != "" ? "repo:${var.github_repository}:environment:${var.github_environment}" : "repo:${var.github_repository}:ref:refs/heads/${var.github_branch}"
+  github_preview_subject = "repo:${var.github_repository}:pull_request"
+}
+
+resource "google_project_service" "iam_credentials_api" {
+  count = local.github_oidc ? 1 : 0
+
+  service            = "iamcredentials.googleapis.com"
+  disable_on_destroy = false
+}
+
+resource "google_iam_workload_identity_pool" "github" {
+  count = local.github_oidc ? 1 : 0
+
+  workload_identity_pool_id = "${local.id_prefix}-github"
+  display_name              = "GitHub Actions"
+}
+
+resource "google_iam_workload_identity_pool_provider" "github" {
+  count = local.github_oidc ? 1 : 0
+
+  workload_identity_pool_id          = google_iam_workload_identity_pool.github[0].workload_identity_pool_id
+  workload_identity_pool_provider_id = "github"
+  display_name                       = "GitHub Actions"
+
+  attribute_mapping = {
+    "google.subject"       = "assertion.sub"
+    "attribute.repository" = "assertion.repository"
+  }
+  attribute_condition = "assertion.sub in ${jsonencode(local.github_previews ? [local.github_subject, local.github_preview_subject] : [local.github_subject])}"
+
+  oidc {
+    issuer_uri = "https://token.actions.githubusercontent.com"
+  }
+}
+
+resource "google_service_account" "github_actions" {
+  count = local.github_oidc ? 1 : 0
+
+  account_id   = "${local.id_prefix}-github"
+  display_name = "GitHub Actions deploys of ${var.project_name}"
+}
+
+# Only the deploy subject may act as the deploy service account, not every token the pool admits
+resource "google_service_account_iam_member" "github_actions_workload_identity" {
+  count = local.github_oidc ? 1 : 0
+
+  service_account_id = google_service_account.github_actions[0].name
+  role               = "roles/iam.workloadIdentityUser"
+  member             = "principal://iam.googleapis.com/${google_iam_workload_identity_pool.github[0].name}/subject/${local.github_subject}"
+
+  depends_on = [google_project_service.iam_credentials_api]
+}
+
+# Push images and deploy revisions running as the service's runtime service account
+resource "google_project_iam_member" "github_actions" {
+  for_each = local.github_oidc ? toset(["roles/run.admin", "roles/artifactregistry.writer", "roles/iam.serviceAccountUser"]) : toset([])
+
+  project = var.project_id
+  role    = each.value
+  member  = "serviceAccount:${google_service_account.github_actions[0].email}"
+}
+
+# Pull requests run code nobody has reviewed yet, so their service account only reaches the preview resources
+resource "google_service_account" "github_previews" {
+  count = local.github_previews ? 1 : 0
+
+  account_id   = "${local.id_prefix}-github-pr"
+  display_name = "GitHub Actions pull request previews of ${var.project_name}"
+}
+
+resource "google_service_account_iam_member" "github_previews_workload_identity" {
+  count = local.github_previews ? 1 : 0
+
+  service_account_id = google_service_account.github_previews[0].name
+  role               = "roles/iam.workloadIdentityUser"
+  member             = "principal://iam.googleapis.com/${google_iam_workload_identity_pool.github[0].name}/subject/${local.github_preview_subject}"
+
+  depends_on = [google_project_service.iam_credentials_api]
+}
+
+resource "google_artifact_registry_repository_iam_member" "github_previews" {
+  count = local.github_previews ? 1 : 0
+
+  location   = google_artifact_registry_repository.previews[0].location
+  repository = google_artifact_registry_repository.previews[0].name
+  role       = "roles/artifactregistry.writer"
+  member     = "serviceAccount:${google_service_account.github_previews[0].email}"
+}
+
+# Creating, opening up and deleting services, limited by the condition to the pull request services
+resource "google_project_iam_member" "github_previews_run" {
+  count = local.github_previews ? 1 : 0
+
+  project = var.project_id
+  role    = "roles/run.admin"
+  member  = "serviceAccount:${google_service_account.github_previews[0].email}"
+
+  condition {
+    title      = "${var.project_name} pull request previews"
+    expression = "resource.name.extract(\"/services/{name}\").startsWith(\"${var.project_name}-pr-\")"
+  }
+}
+
+# Deploying a revision acts as the preview runtime service account
+resource "google_service_account_iam_member" "github_previews_runtime" {
+  count = local.github_previews ? 1 : 0
+
+  service_account_id = google_service_account.preview_runtime[0].name
+  role               = "roles/iam.serviceAccountUser"
+  member             = "serviceAccount:${google_service_account.github_previews[0].email}"
+}
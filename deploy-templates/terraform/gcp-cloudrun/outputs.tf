@@ -24,4 +24,15 @@ output "custom_domain_records" {
     domain = var.custom_domain
     instructions = "Configure your DNS to point to Cloud Run. Check the Cloud Console for specific DNS records."
   } : null
-}
\ No newline at end of file
+}
+
+output "github_actions_secrets" {
+  description = "Values for the GCP_WORKLOAD_IDENTITY_PROVIDER, GCP_SERVICE_ACCOUNT and, in the production workspace, GCP_PREVIEW_SERVICE_ACCOUNT GitHub secrets"
+  value = local.github_oidc ? merge(
+    {
+      GCP_WORKLOAD_IDENTITY_PROVIDER = google_iam_workload_identity_pool_provider.github[0].name
+      GCP_SERVICE_ACCOUNT            = google_service_account.github_actions[0].email
+    },
+    local.github_previews ? { GCP_PREVIEW_SERVICE_ACCOUNT = google_service_account.github_previews[0].email } : {}
+  ) : null
+}
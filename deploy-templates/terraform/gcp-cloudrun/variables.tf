@@ -102,4 +102,22 @@ variable "custom_domain" {
   description = "Custom domain for the application (optional)"
   type        = string
   default     = ""
-}
\ No newline at end of file
+}
+
+variable "github_repository" {
+  description = "GitHub repository (owner/name) allowed to deploy with OIDC; leave empty to skip"
+  type        = string
+  default     = ""
+}
+
+variable "github_branch" {
+  description = "Branch whose workflow runs may deploy"
+  type        = string
+  default     = "main"
+}
+
+variable "github_environment" {
+  description = "GitHub Environment whose deploy jobs may deploy; takes the place of github_branch when set"
+  type        = string
+  default     = ""
+}
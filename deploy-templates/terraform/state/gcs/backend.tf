@@ -0,0 +1,11 @@
+# Remote state in Cloud Storage, which locks the state itself.
+# Workspaces keep their state in <prefix>/<workspace>.tfstate in the same bucket.
+{{#if bootstrap}}
+# Create the bucket first: terraform -chdir=bootstrap init && terraform -chdir=bootstrap apply
+{{/if}}
+terraform {
+  backend "gcs" {
+    bucket = "{{ bucket }}"
+    prefix = "{{ prefix }}"
+  }
+}
@@ -0,0 +1,36 @@
+# Creates the Cloud Storage bucket that holds the Terraform state of the parent directory.
+# Apply it once before the first terraform init there; this module keeps its own state locally.
+terraform {
+  required_providers {
+    google = {
+      source  = "hashicorp/google"
+      version = "~> 5.0"
+    }
+  }
+}
+
+provider "google" {
+  project = var.project_id
+}
+
+resource "google_storage_bucket" "state" {
+  name     = var.state_bucket
+  location = var.location
+
+  uniform_bucket_level_access = true
+  public_access_prevention    = "enforced"
+
+  # Earlier state versions can be restored after a bad apply
+  versioning {
+    enabled = true
+  }
+
+  # Losing the bucket loses track of every resource Terraform manages
+  lifecycle {
+    prevent_destroy = true
+  }
+
+  labels = {
+    managed-by = "terraform"
+  }
+}
@@ -0,0 +1,4 @@
+output "state_bucket" {
+  description = "Cloud Storage bucket holding the Terraform state"
+  value       = google_storage_bucket.state.name
+}
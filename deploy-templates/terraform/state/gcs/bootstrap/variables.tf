@@ -0,0 +1,15 @@
+variable "project_id" {
+  description = "GCP project owning the state bucket"
+  type        = string
+}
+
+variable "location" {
+  description = "Location of the state bucket"
+  type        = string
+  default     = "us-central1"
+}
+
+variable "state_bucket" {
+  description = "Name of the Cloud Storage bucket holding the Terraform state; globally unique"
+  type        = string
+}
@@ -0,0 +1,14 @@
+# Remote state in S3, locked with a DynamoDB table.
+# Workspaces keep their state under env:/<workspace>/ in the same bucket.
+{{#if bootstrap}}
+# Create the bucket and table first: terraform -chdir=bootstrap init && terraform -chdir=bootstrap apply
+{{/if}}
+terraform {
+  backend "s3" {
+    bucket         = "{{ bucket }}"
+    key            = "{{ prefix }}/terraform.tfstate"
+    region         = "{{ awsRegion }}"
+    dynamodb_table = "{{ lockTable }}"
+    encrypt        = true
+  }
+}
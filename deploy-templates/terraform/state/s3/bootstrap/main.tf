@@ -0,0 +1,70 @@
+# Creates the S3 bucket and DynamoDB lock table that hold the Terraform state of the parent directory.
+# Apply it once before the first terraform init there; this module keeps its own state locally.
+terraform {
+  required_providers {
+    aws = {
+      source  = "hashicorp/aws"
+      version = "~> 5.0"
+    }
+  }
+}
+
+provider "aws" {
+  region = var.aws_region
+}
+
+resource "aws_s3_bucket" "state" {
+  bucket = var.state_bucket
+
+  # Losing the bucket loses track of every resource Terraform manages
+  lifecycle {
+    prevent_destroy = true
+  }
+
+  tags = {
+    ManagedBy = "terraform"
+  }
+}
+
+# Earlier state versions can be restored after a bad apply
+resource "aws_s3_bucket_versioning" "state" {
+  bucket = aws_s3_bucket.state.id
+
+  versioning_configuration {
+    status = "Enabled"
+  }
+}
+
+resource "aws_s3_bucket_server_side_encryption_configuration" "state" {
+  bucket = aws_s3_bucket.state.id
+
+  rule {
+    apply_server_side_encryption_by_default {
+      sse_algorithm = "AES256"
+    }
+  }
+}
+
+resource "aws_s3_bucket_public_access_block" "state" {
+  bucket = aws_s3_bucket.state.id
+
+  block_public_acls       = true
+  block_public_policy     = true
+  ignore_public_acls      = true
+  restrict_public_buckets = true
+}
+
+resource "aws_dynamodb_table" "lock" {
+  name         = var.lock_table
+  billing_mode = "PAY_PER_REQUEST"
+  hash_key     = "LockID"
+
+  attribute {
+    name = "LockID"
+    type = "S"
+  }
+
+  tags = {
+    ManagedBy = "terraform"
+  }
+}
@@ -0,0 +1,9 @@
+output "state_bucket" {
+  description = "S3 bucket holding the Terraform state"
+  value       = aws_s3_bucket.state.bucket
+}
+
+output "lock_table" {
+  description = "DynamoDB table locking the Terraform state"
+  value       = aws_dynamodb_table.lock.name
+}
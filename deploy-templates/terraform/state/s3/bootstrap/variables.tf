@@ -0,0 +1,15 @@
+variable "aws_region" {
+  description = "AWS region of the state bucket and lock table"
+  type        = string
+  default     = "us-east-1"
+}
+
+variable "state_bucket" {
+  description = "Name of the S3 bucket holding the Terraform state; globally unique"
+  type        = string
+}
+
+variable "lock_table" {
+  description = "Name of the DynamoDB table locking the Terraform state"
+  type        = string
+}
@@ -1,7 +1,18 @@
 import { join } from 'path';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
+import chalk from 'chalk';
 import { logger } from './utils/logger.js';
+import { detectFramework, detectAugmentations } from './project-detector.js';
+import { ManifestRecorder, readManifest, writeManifest } from './manifest.js';
+import { isDryRun, recordFailure } from './utils/io.js';
+import { DEFAULT_PACKAGE_MANAGER, detectPackageManager } from './package-manager.js';
+import {
+  checkAugmentationCompatibility,
+  validateAugmentationName,
+  validateFramework,
+  validatePackageManager,
+} from './validation.js';
 
 let setupDatabase, setupAuth, setupMonitoring, setupUtility;
 
@@ -18,45 +29,131 @@ async function loadAugmentationModules() {
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
-export async function processAugmentations(projectPath, framework, augmentations) {
+export async function processAugmentations(projectPath, framework, augmentations, packageManager) {
   logger.info(`Processing ${augmentations.length} augmentations...`);
 
   // Load augmentation modules first
   await loadAugmentationModules();
 
+  const applied = [];
   for (const augmentation of augmentations) {
-    await processAugmentation(projectPath, framework, augmentation);
+    if (await processAugmentation(projectPath, framework, augmentation, packageManager)) {
+      applied.push(augmentation);
+    }
+  }
+  return applied;
+}
+
+async function processAugmentation(projectPath, framework, augmentation, packageManager) {
+  try {
+    await runAugmentationSetup(projectPath, framework, augmentation, packageManager);
+    return true;
+  } catch (error) {
+    logger.error(`Failed to add ${augmentation}: ${error.message}`);
+    recordFailure(`Failed to add ${augmentation}: ${error.message}`);
+    // Continue with other augmentations even if one fails
+    return false;
   }
 }
 
-async function processAugmentation(projectPath, framework, augmentation) {
+async function runAugmentationSetup(projectPath, framework, augmentation, packageManager) {
   const [category, type] = augmentation.split(':');
   
   logger.info(`Adding ${type} (${category})...`);
 
-  try {
-    switch (category) {
-      case 'database':
-        await setupDatabase(projectPath, framework, type);
-        break;
-      
-      case 'auth':
-        await setupAuth(projectPath, framework, type);
-        break;
-      
-      case 'monitoring':
-        await setupMonitoring(projectPath, framework, type);
-        break;
-      
-      case 'utility':
-        await setupUtility(projectPath, framework, type);
-        break;
-      
-      default:
-        logger.warn(`Unknown augmentation category: ${category}`);
+  switch (category) {
+    case 'database':
+      await setupDatabase(projectPath, framework, type, packageManager);
+      break;
+    
+    case 'auth':
+      await setupAuth(projectPath, framework, type, packageManager);
+      break;
+    
+    case 'monitoring':
+      await setupMonitoring(projectPath, framework, type, packageManager);
+      break;
+    
+    case 'utility':
+      await setupUtility(projectPath, framework, type, packageManager);
+      break;
+    
+    default:
+      throw new Error(`Unknown augmentation category: ${category}`);
+  }
+}
+
+/**
+ * Add an augmentation to an existing project
+ */
+export async function addAugmentation(projectPath, augmentation, options = {}) {
+  const manifest = readManifest(projectPath);
+  const framework = options.framework || manifest?.project.framework || detectFramework(projectPath);
+  if (!framework) {
+    throw new Error(
+      'Could not detect the project framework. Pass --framework <framework> to specify it.'
+    );
+  }
+  logger.info(`Detected framework: ${chalk.cyan(framework)}`);
+
+  const problems = [
+    validateFramework(framework),
+    validateAugmentationName(augmentation),
+    options.packageManager && validatePackageManager(options.packageManager),
+  ].filter(Boolean);
+  if (problems.length === 0) {
+    problems.push(...checkAugmentationCompatibility([augmentation], {
+      framework,
+      deployTarget: manifest?.project.deployTarget,
+    }));
+  }
+  if (problems.length > 0) {
+    throw new Error(problems.join('\n'));
+  }
+
+  const [category] = augmentation.split(':');
+  const packageManager = options.packageManager
+    || manifest?.project.packageManager
+    || detectPackageManager(projectPath)
+    || DEFAULT_PACKAGE_MANAGER;
+
+  const present = new Set([
+    ...detectAugmentations(projectPath),
+    ...(manifest?.project.augmentations || []),
+  ]);
+  const conflicts = [...present].filter((existing) =>
+    existing === augmentation || (category === 'database' && existing.startsWith('database:'))
+  );
+
+  if (conflicts.length > 0) {
+    const message = conflicts.includes(augmentation)
+      ? `${augmentation} is already present in this project`
+      : `This project already uses ${conflicts.join(', ')}; adding ${augmentation} would overwrite it`;
+
+    if (!options.force) {
+      throw new Error(`${message}. Use --force to apply it anyway.`);
     }
-  } catch (error) {
-    logger.error(`Failed to add ${augmentation}: ${error.message}`);
-    // Continue with other augmentations even if one fails
+    logger.warn(`${message}. Continuing because --force was given.`);
   }
-}
\ No newline at end of file
+
+  // Snapshots read the real disk, so they cannot see dry-run writes
+  const recorder = manifest && !isDryRun() ? new ManifestRecorder(projectPath, manifest.files) : null;
+  await recorder?.checkpoint();
+
+  await loadAugmentationModules();
+  await runAugmentationSetup(projectPath, framework, augmentation, packageManager);
+
+  // Keep the manifest in sync so later commands see the new augmentation; a dry run reports the update
+  if (manifest) {
+    await recorder?.checkpoint('augmentation');
+    await writeManifest(projectPath, {
+      ...manifest,
+      updatedAt: new Date().toISOString(),
+      project: {
+        ...manifest.project,
+        augmentations: [...new Set([...manifest.project.augmentations, augmentation])],
+      },
+      files: recorder ? recorder.files : manifest.files,
+    });
+  }
+}
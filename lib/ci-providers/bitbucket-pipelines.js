@@ -0,0 +1,69 @@
+import { getJobName, getPipelineTitle, renderPipelineFile } from './pipeline.js';
+
+const FILE_NAME = 'bitbucket-pipelines.yml';
+
+/**
+ * Render a pipeline job as a Bitbucket step. Bitbucket has no YAML variables,
+ * so the script exports them before running the job's commands.
+ */
+function renderStep(pipeline, job, name, extra = {}) {
+  const variables = { COMMIT_SHA: '$BITBUCKET_COMMIT', ...pipeline.variables };
+
+  return {
+    step: {
+      name,
+      image: job.image,
+      ...(job.docker && { services: ['docker'] }),
+      ...extra,
+      // In a monorepo the steps only run when the app or its pipeline changed
+      ...(pipeline.appPath && { condition: { changesets: { includePaths: [`${pipeline.appPath}/**`, FILE_NAME] } } }),
+      script: [
+        ...Object.entries(variables).map(([key, value]) => `export ${key}=${value}`),
+        ...job.script,
+      ],
+    },
+  };
+}
+
+/**
+ * Render the pipelines as Bitbucket Pipelines: pull requests run the build step,
+ * pushes to a deploy branch run the deploy step as a Bitbucket deployment.
+ * In a monorepo the steps are named after the app, ready to merge into the root bitbucket-pipelines.yml.
+ */
+function render(pipelines) {
+  const branches = {};
+
+  for (const pipeline of pipelines) {
+    branches[pipeline.branch] = [
+      pipeline.deploy
+        ? renderStep(pipeline, pipeline.deploy, getJobName(pipeline, 'deploy'), {
+          deployment: pipeline.environment ? pipeline.environment.name : 'production',
+        })
+        : renderStep(pipeline, pipeline.build, getJobName(pipeline, 'build')),
+    ];
+  }
+
+  // Pull requests cannot be told apart by target branch, so they build once, like the first environment
+  const [first] = pipelines;
+  const document = {
+    pipelines: {
+      'pull-requests': {
+        '**': [renderStep(first, first.build, getJobName({ ...first, jobSuffix: '' }, 'build'))],
+      },
+      branches,
+    },
+  };
+
+  const secrets = [...new Set(pipelines.flatMap(({ secrets }) => secrets))];
+  const header = [
+    `# ${getPipelineTitle(pipelines)}`,
+    secrets.length > 0 && `# Set ${secrets.join(', ')} as secured repository or deployment variables (Repository settings > Pipelines)`,
+  ].filter(Boolean).join('\n');
+
+  return [{ path: FILE_NAME, content: renderPipelineFile(header, document) }];
+}
+
+export default {
+  displayName: 'Bitbucket Pipelines',
+  render,
+};
@@ -0,0 +1,88 @@
+import { getJobName, getPipelineTitle, renderPipelineFile } from './pipeline.js';
+
+const FILE_NAME = '.circleci/config.yml';
+
+// Alpine images lack the git and ssh client the checkout step needs
+const ALPINE_IMAGE_PATTERN = /^docker:|:alpine$/;
+
+/**
+ * Render a pipeline job as a CircleCI job; the script runs as one step so exports carry over
+ */
+function renderJob(pipeline, job, name) {
+  const steps = [];
+  if (ALPINE_IMAGE_PATTERN.test(job.image)) {
+    steps.push({ run: { name: 'Install git', command: 'apk add --no-cache git openssh-client' } });
+  }
+  steps.push('checkout');
+
+  // In a monorepo the job stops early unless the app or its pipeline changed since the branch's previous pipeline
+  if (pipeline.appPath) {
+    steps.push({
+      run: {
+        name: `Skip unless ${pipeline.appPath} changed`,
+        command: [
+          'BASE="<< pipeline.git.base_revision >>"',
+          `if [ -n "$BASE" ] && git diff --quiet "$BASE" HEAD -- ${pipeline.appPath} ${FILE_NAME}; then circleci-agent step halt; fi`,
+        ].join('\n'),
+      },
+    });
+  }
+  if (job.docker) {
+    steps.push('setup_remote_docker');
+  }
+  steps.push({ run: { name, command: ['export COMMIT_SHA=$CIRCLE_SHA1', ...job.script].join('\n') } });
+
+  return {
+    docker: [{ image: job.image }],
+    ...(Object.keys(pipeline.variables).length > 0 && { environment: pipeline.variables }),
+    steps,
+  };
+}
+
+/**
+ * Render the pipelines as a CircleCI workflow: branches other than the deploy branches run the build job,
+ * deploy branches run the deploy job, with the environment's context when the project has deploy environments
+ */
+function render(pipelines, projectDetails) {
+  const jobs = {};
+  const workflowJobs = [];
+  const deployBranches = pipelines.filter(({ deploy }) => deploy).map(({ branch }) => branch);
+
+  // Builds do not depend on the target branch, so the first environment's build covers them all
+  const [first] = pipelines;
+  const buildJob = getJobName({ ...first, jobSuffix: '' }, 'build');
+  jobs[buildJob] = renderJob(first, first.build, buildJob);
+  workflowJobs.push(deployBranches.length > 0
+    ? { [buildJob]: { filters: { branches: { ignore: deployBranches } } } }
+    : buildJob);
+
+  for (const pipeline of pipelines.filter(({ deploy }) => deploy)) {
+    const deployJob = getJobName(pipeline, 'deploy');
+    jobs[deployJob] = renderJob(pipeline, pipeline.deploy, deployJob);
+    workflowJobs.push({
+      [deployJob]: {
+        ...(pipeline.environment && { context: [pipeline.environment.name] }),
+        filters: { branches: { only: [pipeline.branch] } },
+      },
+    });
+  }
+
+  const document = {
+    version: 2.1,
+    jobs,
+    workflows: { [projectDetails.monorepo ? projectDetails.projectName : 'deploy']: { jobs: workflowJobs } },
+  };
+
+  const secrets = [...new Set(pipelines.flatMap(({ secrets }) => secrets))];
+  const header = [
+    `# ${getPipelineTitle(pipelines)}`,
+    secrets.length > 0 && `# Set ${secrets.join(', ')} as project environment variables${first.environment ? ', or in a context named after each environment' : ''}`,
+  ].filter(Boolean).join('\n');
+
+  return [{ path: FILE_NAME, content: renderPipelineFile(header, document) }];
+}
+
+export default {
+  displayName: 'CircleCI',
+  render,
+};
@@ -0,0 +1,86 @@
+import { getJobName, getPipelineTitle, renderPipelineFile } from './pipeline.js';
+
+// Docker-in-Docker over TLS; the variables point the docker CLI of any job image at the service
+const dockerService = 'docker:27-dind';
+const dockerVariables = {
+  DOCKER_HOST: 'tcp://docker:2376',
+  DOCKER_TLS_CERTDIR: '/certs',
+  DOCKER_TLS_VERIFY: '1',
+  DOCKER_CERT_PATH: '/certs/client',
+};
+
+// Secrets GitLab already provides: the Kubernetes image goes to the project's container registry
+const predefinedSecrets = {
+  REGISTRY_IMAGE: '$CI_REGISTRY_IMAGE',
+  REGISTRY_USERNAME: '$CI_REGISTRY_USER',
+  REGISTRY_PASSWORD: '$CI_REGISTRY_PASSWORD',
+};
+
+/**
+ * .gitlab-ci.yml, or <project>.gitlab-ci.yml in a monorepo for the root .gitlab-ci.yml to include
+ */
+function getFileName({ projectName, monorepo }) {
+  return monorepo ? `${projectName}.gitlab-ci.yml` : '.gitlab-ci.yml';
+}
+
+function renderJob(pipeline, job, stage, conditions, fileName) {
+  const variables = { COMMIT_SHA: '$CI_COMMIT_SHA', ...pipeline.variables };
+  for (const secret of pipeline.secrets) {
+    if (predefinedSecrets[secret]) {
+      variables[secret] = predefinedSecrets[secret];
+    }
+  }
+
+  return {
+    stage,
+    image: job.image,
+    ...(job.docker && { services: [dockerService] }),
+    variables: job.docker ? { ...variables, ...dockerVariables } : variables,
+    // In a monorepo the jobs only run when the app or its pipeline changed
+    rules: conditions.map((condition) => ({
+      if: condition,
+      ...(pipeline.appPath && { changes: [`${pipeline.appPath}/**/*`, fileName] }),
+    })),
+    script: job.script,
+  };
+}
+
+/**
+ * Render the pipelines as GitLab CI jobs: build runs for merge requests into the deploy branch,
+ * deploy for pushes to it, in a GitLab environment when the project has deploy environments
+ */
+function render(pipelines, projectDetails) {
+  const fileName = getFileName(projectDetails);
+  const jobs = {};
+
+  for (const pipeline of pipelines) {
+    const mergeRequest = `$CI_PIPELINE_SOURCE == "merge_request_event" && $CI_MERGE_REQUEST_TARGET_BRANCH_NAME == "${pipeline.branch}"`;
+    const push = `$CI_COMMIT_BRANCH == "${pipeline.branch}"`;
+
+    if (!pipeline.deploy) {
+      jobs[getJobName(pipeline, 'build')] = renderJob(pipeline, pipeline.build, 'build', [mergeRequest, push], fileName);
+      continue;
+    }
+
+    jobs[getJobName(pipeline, 'build')] = renderJob(pipeline, pipeline.build, 'build', [mergeRequest], fileName);
+    jobs[getJobName(pipeline, 'deploy')] = {
+      ...renderJob(pipeline, pipeline.deploy, 'deploy', [push], fileName),
+      ...(pipeline.environment && { environment: { name: pipeline.environment.name } }),
+      // Never run two deploys of the same environment at once
+      resource_group: getJobName(pipeline, 'deploy'),
+    };
+  }
+
+  const secrets = [...new Set(pipelines.flatMap(({ secrets }) => secrets))].filter((secret) => !predefinedSecrets[secret]);
+  const header = [
+    `# ${getPipelineTitle(pipelines)}`,
+    secrets.length > 0 && `# Set ${secrets.join(', ')} as masked CI/CD variables (Settings > CI/CD > Variables)${pipelines[0].environment ? ', scoped to each environment' : ''}`,
+  ].filter(Boolean).join('\n');
+
+  return [{ path: fileName, content: renderPipelineFile(header, { stages: ['build', 'deploy'], ...jobs }) }];
+}
+
+export default {
+  displayName: 'GitLab CI',
+  render,
+};
@@ -0,0 +1,17 @@
+import gitlabCi from './gitlab-ci.js';
+import bitbucketPipelines from './bitbucket-pipelines.js';
+import circleci from './circleci.js';
+
+/**
+ * CI providers rendering the provider-neutral pipelines described in pipeline.js, keyed by feature name.
+ * A provider has a displayName and render(pipelines, projectDetails), which returns the
+ * project-relative path and content of each configuration file.
+ * GitHub Actions renders its own templates from deploy-templates/github-actions instead.
+ */
+export const ciProviders = {
+  'gitlab-ci': gitlabCi,
+  'bitbucket-pipelines': bitbucketPipelines,
+  'circleci': circleci,
+};
+
+export { describePipeline } from './pipeline.js';
@@ -0,0 +1,350 @@
+import YAML from 'yaml';
+import { getPackageManager, runScriptIfPresentCommand } from '../package-manager.js';
+import { getEnvironmentResourceName } from '../environments.js';
+import { getAzureRegistryName } from '../terraform-executor.js';
+
+// Images the jobs run in. Docker jobs get a Docker daemon from the CI provider.
+export const NODE_IMAGE = 'node:20';
+export const DOCKER_IMAGE = 'docker:27';
+
+/**
+ * @typedef {object} PipelineJob
+ * @property {string} image - container image the job runs in
+ * @property {boolean} docker - whether the job needs a Docker daemon
+ * @property {string[]} script - shell commands, run from the repository root in one shell;
+ *   $COMMIT_SHA holds the commit being built
+ */
+
+/**
+ * @typedef {object} Pipeline
+ * @property {string} name - e.g. "Deploy to Fly.io (staging)"
+ * @property {string} jobPrefix - prepended to job names, the project name in a monorepo
+ * @property {string} jobSuffix - appended to job names, the environment name
+ * @property {string} branch - branch whose pushes deploy
+ * @property {{ name: string, branch: string }|null} environment - deploy environment
+ * @property {string|null} appPath - monorepo app directory; jobs only run when it changes
+ * @property {Object<string, string>} variables - plain variables the jobs share
+ * @property {string[]} secrets - variables to store as masked CI variables
+ * @property {PipelineJob} build - verifies merge requests: tests, builds, never deploys
+ * @property {PipelineJob|null} deploy - runs on pushes to the branch; null when the platform deploys by itself
+ */
+
+/**
+ * Commands shared by the Node.js jobs: enter the app directory, set up the package manager, install
+ */
+function nodeSetup({ appPath, packageManager }) {
+  const { dockerSetup, install } = getPackageManager(packageManager);
+  return [appPath && `cd ${appPath}`, dockerSetup, install].filter(Boolean);
+}
+
+/**
+ * Tests gate both merge requests and deploys; projects without the scripts skip them
+ */
+function checks({ packageManager }) {
+  return ['lint', 'test'].map((script) => runScriptIfPresentCommand(packageManager, script));
+}
+
+/**
+ * docker build arguments: the monorepo Dockerfile builds from the repository root
+ */
+function dockerBuild(image, { appPath }) {
+  return appPath ? `docker build -t ${image} -f ${appPath}/Dockerfile .` : `docker build -t ${image} .`;
+}
+
+const nodeJob = (script) => ({ image: NODE_IMAGE, docker: false, script });
+const dockerJob = (script, image = DOCKER_IMAGE) => ({ image, docker: true, script });
+
+/**
+ * Per target: the variables, secrets and scripts of the build and deploy jobs.
+ * Each mirrors the target's GitHub Actions workflow with plain CLIs in place of actions.
+ */
+const targetPipelines = {
+  'fly': (context) => {
+    const { appPath, environment, deployConfig, projectName } = context;
+    // flyctl builds remotely, from the repository root in a monorepo
+    const deployArgs = appPath
+      ? `. --remote-only --config ${appPath}/fly.toml --dockerfile ${appPath}/Dockerfile`
+      : '--remote-only';
+    const environmentArgs = environment
+      ? ` --app ${getEnvironmentResourceName(deployConfig.flyAppName || projectName, environment)} --env APP_ENV=${environment.name}`
+      : '';
+    const installFlyctl = ['curl -L https://fly.io/install.sh | sh', 'export PATH="$HOME/.fly/bin:$PATH"'];
+
+    return {
+      name: 'Fly.io',
+      secrets: ['FLY_API_TOKEN'],
+      build: nodeJob([...installFlyctl, `flyctl deploy ${deployArgs} --build-only${environmentArgs}`]),
+      deploy: nodeJob([...installFlyctl, `flyctl deploy ${deployArgs}${environmentArgs}`]),
+    };
+  },
+
+  // Vercel's Git integration deploys every push; the pipeline only tests and builds
+  'vercel': (context) => ({
+    name: 'Vercel',
+    secrets: [],
+    build: nodeJob([...nodeSetup(context), ...checks(context), context.buildCommand, runScriptIfPresentCommand(context.packageManager, 'type-check')]),
+    deploy: null,
+  }),
+
+  'netlify': (context) => ({
+    name: 'Netlify',
+    secrets: ['NETLIFY_AUTH_TOKEN', 'NETLIFY_SITE_ID'],
+    build: nodeJob([...nodeSetup(context), ...checks(context), 'npx netlify-cli build --offline']),
+    deploy: nodeJob([...nodeSetup(context), ...checks(context), 'npx netlify-cli deploy --build --prod']),
+  }),
+
+  'cloudflare': (context) => ({
+    name: 'Cloudflare',
+    secrets: ['CLOUDFLARE_API_TOKEN', 'CLOUDFLARE_ACCOUNT_ID'],
+    build: nodeJob([...nodeSetup(context), ...checks(context), context.buildCommand]),
+    deploy: nodeJob([...nodeSetup(context), ...checks(context), context.buildCommand, `npx wrangler ${context.wranglerCommand}`]),
+  }),
+
+  'render': (context) => ({
+    name: 'Render',
+    secrets: ['RENDER_DEPLOY_HOOK_URL'],
+    build: nodeJob([...nodeSetup(context), ...checks(context), context.buildCommand]),
+    deploy: nodeJob([
+      ...nodeSetup(context),
+      ...checks(context),
+      context.buildCommand,
+      'curl -fsS -X POST "$RENDER_DEPLOY_HOOK_URL?ref=$COMMIT_SHA"',
+    ]),
+  }),
+
+  'railway': (context) => {
+    const { deployConfig, projectName, environment } = context;
+    const environmentArgs = environment ? ` --environment ${environment.name}` : '';
+
+    return {
+      name: 'Railway',
+      secrets: ['RAILWAY_TOKEN'],
+      build: nodeJob([...nodeSetup(context), ...checks(context), context.buildCommand]),
+      deploy: nodeJob([
+        ...nodeSetup(context),
+        ...checks(context),
+        context.buildCommand,
+        `npx @railway/cli up --ci --service ${deployConfig.railwayService || projectName}${environmentArgs}`,
+      ]),
+    };
+  },
+
+  'aws-apprunner': (context) => ({
+    name: 'AWS App Runner',
+    variables: {
+      AWS_REGION: context.deployConfig.awsRegion || 'us-east-1',
+      ECR_REPOSITORY: context.resourceName,
+    },
+    secrets: ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY', 'APPRUNNER_SERVICE_ARN'],
+    build: dockerJob([dockerBuild('$ECR_REPOSITORY:$COMMIT_SHA', context)]),
+    deploy: dockerJob([
+      ...ecrPush(context),
+      'aws apprunner start-deployment --service-arn $APPRUNNER_SERVICE_ARN',
+    ]),
+  }),
+
+  'aws-ecs': (context) => ({
+    name: 'AWS ECS',
+    variables: {
+      AWS_REGION: context.deployConfig.awsRegion || 'us-east-1',
+      ECR_REPOSITORY: context.resourceName,
+      ECS_CLUSTER: `${context.resourceName}-cluster`,
+      ECS_SERVICE: `${context.resourceName}-service`,
+      TASK_FAMILY: context.resourceName,
+      CONTAINER_NAME: context.resourceName,
+    },
+    secrets: ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY'],
+    build: dockerJob([dockerBuild('$ECR_REPOSITORY:$COMMIT_SHA', context)]),
+    // Register a revision of the current task definition with the new image, then roll the service
+    deploy: dockerJob([
+      ...ecrPush(context),
+      'aws ecs describe-task-definition --task-definition $TASK_FAMILY --query taskDefinition > task-definition.json',
+      'jq --arg image "$ECR_REGISTRY/$ECR_REPOSITORY:$COMMIT_SHA" \'(.containerDefinitions[] | select(.name == env.CONTAINER_NAME)).image = $image | del(.taskDefinitionArn, .revision, .status, .requiresAttributes, .compatibilities, .registeredAt, .registeredBy)\' task-definition.json > new-task-definition.json',
+      'TASK_DEFINITION_ARN=$(aws ecs register-task-definition --cli-input-json file://new-task-definition.json --query taskDefinition.taskDefinitionArn --output text)',
+      'aws ecs update-service --cluster $ECS_CLUSTER --service $ECS_SERVICE --task-definition $TASK_DEFINITION_ARN',
+      'aws ecs wait services-stable --cluster $ECS_CLUSTER --services $ECS_SERVICE',
+    ]),
+  }),
+
+  'gcp-cloudrun': (context) => {
+    const { deployConfig, resourceName, frameworkConfig, environment } = context;
+    const image = '$GAR_LOCATION-docker.pkg.dev/$PROJECT_ID/$REPOSITORY/$SERVICE_NAME:$COMMIT_SHA';
+    const flags = [
+      `--port=${frameworkConfig.port || 3000}`,
+      '--allow-unauthenticated',
+      '--min-instances=0',
+      '--max-instances=100',
+      '--memory=512Mi',
+      '--cpu=1',
+      '--timeout=60',
+      '--concurrency=80',
+      environment && `--update-env-vars=APP_ENV=${environment.name}`,
+    ].filter(Boolean);
+
+    return {
+      name: 'Google Cloud Run',
+      variables: {
+        PROJECT_ID: deployConfig.gcpProjectId || '',
+        SERVICE_NAME: resourceName,
+        REGION: deployConfig.gcpRegion || 'us-central1',
+        GAR_LOCATION: deployConfig.gcpRegion || 'us-central1',
+        REPOSITORY: `${resourceName}-images`,
+      },
+      secrets: ['GCP_SA_KEY'],
+      build: dockerJob([dockerBuild('$SERVICE_NAME:$COMMIT_SHA', context)]),
+      deploy: dockerJob([
+        'apk add --no-cache docker-cli',
+        'echo "$GCP_SA_KEY" > /tmp/gcp-key.json',
+        'gcloud auth activate-service-account --key-file=/tmp/gcp-key.json',
+        'gcloud config set project $PROJECT_ID',
+        'gcloud auth configure-docker $GAR_LOCATION-docker.pkg.dev --quiet',
+        `gcloud artifacts repositories create $REPOSITORY --repository-format=docker --location=$GAR_LOCATION --description="Docker repository for ${resourceName}" || true`,
+        dockerBuild(image, context),
+        `docker push ${image}`,
+        `gcloud run deploy $SERVICE_NAME --image ${image} --region $REGION ${flags.join(' ')}`,
+      ], 'google/cloud-sdk:alpine'),
+    };
+  },
+
+  // Outside GitHub Actions there is no OIDC trust, so Azure logs in as the service principal with a client secret;
+  // ACR builds the image, no Docker daemon needed
+  'azure-containerapps': (context) => ({
+    name: 'Azure Container Apps',
+    variables: {
+      RESOURCE_GROUP: `${context.resourceName}-rg`,
+      CONTAINER_APP: context.resourceName,
+      REGISTRY_NAME: getAzureRegistryName({ ...context, projectName: context.resourceName }),
+      IMAGE_NAME: context.resourceName,
+    },
+    secrets: ['AZURE_CLIENT_ID', 'AZURE_CLIENT_SECRET', 'AZURE_TENANT_ID', 'AZURE_SUBSCRIPTION_ID'],
+    build: dockerJob([dockerBuild('$IMAGE_NAME:$COMMIT_SHA', context)]),
+    deploy: {
+      image: 'mcr.microsoft.com/azure-cli',
+      docker: false,
+      script: [
+        'az login --service-principal --username $AZURE_CLIENT_ID --password $AZURE_CLIENT_SECRET --tenant $AZURE_TENANT_ID',
+        'az account set --subscription $AZURE_SUBSCRIPTION_ID',
+        'az extension add --name containerapp --upgrade',
+        context.appPath
+          ? `az acr build --registry $REGISTRY_NAME --image $IMAGE_NAME:$COMMIT_SHA --file ${context.appPath}/Dockerfile .`
+          : 'az acr build --registry $REGISTRY_NAME --image $IMAGE_NAME:$COMMIT_SHA .',
+        'az containerapp update --name $CONTAINER_APP --resource-group $RESOURCE_GROUP --image $REGISTRY_NAME.azurecr.io/$IMAGE_NAME:$COMMIT_SHA',
+      ],
+    },
+  }),
+
+  // The image goes to the registry in REGISTRY_IMAGE; GitLab fills it in with the project's container registry
+  'kubernetes': (context) => {
+    const { appPath, deployConfig, projectName, environment, resourceName } = context;
+    const chart = appPath ? `./${appPath}/chart` : './chart';
+
+    return {
+      name: 'Kubernetes',
+      variables: {
+        RELEASE_NAME: resourceName,
+        NAMESPACE: getEnvironmentResourceName(deployConfig.k8sNamespace || projectName, environment),
+      },
+      secrets: ['REGISTRY_IMAGE', 'REGISTRY_USERNAME', 'REGISTRY_PASSWORD', 'KUBE_CONFIG', 'HELM_SECRET_VALUES'],
+      build: dockerJob([
+        'apk add --no-cache helm',
+        dockerBuild('$RELEASE_NAME:$COMMIT_SHA', context),
+        `helm lint ${chart}`,
+      ]),
+      deploy: dockerJob([
+        'apk add --no-cache helm',
+        'echo "$REGISTRY_PASSWORD" | docker login "${REGISTRY_IMAGE%%/*}" --username "$REGISTRY_USERNAME" --password-stdin',
+        dockerBuild('$REGISTRY_IMAGE:$COMMIT_SHA', context),
+        'docker push $REGISTRY_IMAGE:$COMMIT_SHA',
+        'mkdir -p ~/.kube',
+        'echo "$KUBE_CONFIG" | base64 -d > ~/.kube/config',
+        'chmod 600 ~/.kube/config',
+        'echo "$HELM_SECRET_VALUES" > /tmp/secret-values.yaml',
+        [
+          `helm upgrade --install $RELEASE_NAME ${chart}`,
+          '--namespace $NAMESPACE --create-namespace',
+          '--set image.repository=$REGISTRY_IMAGE --set image.tag=$COMMIT_SHA',
+          environment && `--set env.APP_ENV=${environment.name}`,
+          '-f /tmp/secret-values.yaml --wait --timeout 5m',
+        ].filter(Boolean).join(' '),
+      ]),
+    };
+  },
+};
+
+/**
+ * Log in to ECR, then build and push the image tagged with the commit and latest
+ */
+function ecrPush(context) {
+  const image = '$ECR_REGISTRY/$ECR_REPOSITORY';
+  return [
+    'apk add --no-cache aws-cli jq',
+    'ECR_REGISTRY=$(aws sts get-caller-identity --query Account --output text).dkr.ecr.$AWS_REGION.amazonaws.com',
+    'aws ecr get-login-password | docker login --username AWS --password-stdin $ECR_REGISTRY',
+    dockerBuild(`${image}:$COMMIT_SHA`, context),
+    `docker push ${image}:$COMMIT_SHA`,
+    `docker tag ${image}:$COMMIT_SHA ${image}:latest`,
+    `docker push ${image}:latest`,
+  ];
+}
+
+/**
+ * Describe the CI pipeline of a project for one deploy environment, or for main without environments.
+ * The build and wrangler commands come from the deploy injector, which knows the framework's scripts.
+ * Returns null for deploy targets without a pipeline.
+ *
+ * @returns {Pipeline|null}
+ */
+export function describePipeline(projectDetails, environment, { buildCommand, wranglerCommand }) {
+  const { deployTarget, projectName, monorepo, monorepoPath, deployConfig = {}, frameworkConfig = {} } = projectDetails;
+  const targetPipeline = targetPipelines[deployTarget];
+  if (!targetPipeline) {
+    return null;
+  }
+
+  const appPath = monorepo ? `${monorepoPath}${projectName}` : null;
+  const { name, variables = {}, secrets, build, deploy } = targetPipeline({
+    ...projectDetails,
+    appPath,
+    environment,
+    deployConfig,
+    frameworkConfig,
+    resourceName: getEnvironmentResourceName(projectName, environment),
+    buildCommand,
+    wranglerCommand,
+  });
+
+  return {
+    name: [`Deploy${monorepo ? ` ${projectName}` : ''} to ${name}`, environment && `(${environment.name})`].filter(Boolean).join(' '),
+    jobPrefix: monorepo ? `${projectName}-` : '',
+    jobSuffix: environment ? `-${environment.name}` : '',
+    branch: environment ? environment.branch : 'main',
+    environment,
+    appPath,
+    variables,
+    secrets,
+    build,
+    deploy,
+  };
+}
+
+/**
+ * Name of a pipeline's build or deploy job, unique across the environments and apps of a repository
+ */
+export function getJobName(pipeline, job) {
+  return `${pipeline.jobPrefix}${job}${pipeline.jobSuffix}`;
+}
+
+/**
+ * Title of a project's pipelines, without the environment
+ */
+export function getPipelineTitle(pipelines) {
+  return pipelines[0].name.replace(/ \(.+\)$/, '');
+}
+
+/**
+ * Render a pipeline configuration file: a header comment, then the document with a blank line between top-level keys
+ */
+export function renderPipelineFile(header, document) {
+  const content = YAML.stringify(document, { lineWidth: 0 }).replace(/\n(?=\S)/g, '\n\n');
+  return `${header}\n\n${content}`;
+}
@@ -1,9 +1,19 @@
 import { Command } from 'commander';
+import { join } from 'path';
 import chalk from 'chalk';
 import { promptProjectDetails } from './prompts.js';
+import { loadProjectConfig } from './config-loader.js';
+import { assertValidProjectDetails, validateDeployTarget, validateFramework, validateIacBinary, validatePackageManager } from './validation.js';
 import { wrapFrameworkCommand } from './framework-wrapper.js';
 import { processProject } from './post-processor.js';
 import { injectDeployConfig } from './deploy-injector.js';
+import { addAugmentation } from './augmentations-processor.js';
+import { ManifestRecorder, createManifest, writeManifest } from './manifest.js';
+import { renderProjectTemplates, saveTemplateBaseline, upgradeProject } from './project-upgrader.js';
+import { INFRA_ACTIONS, runInfraCommand } from './infra-runner.js';
+import { runScriptCommand } from './package-manager.js';
+import { enableDryRun } from './utils/io.js';
+import { printDryRunReport, redirectLogsToStderr } from './dry-run-report.js';
 import { logger } from './utils/logger.js';
 
 export async function runCLI() {
@@ -13,13 +23,23 @@ export async function runCLI() {
     .name('create-fde-app')
     .description('Create production-ready apps with built-in cloud deployment')
     .version('0.2.0')
+    .enablePositionalOptions()
     .argument('[project-name]', 'Name of the project')
-    .option('-f, --framework <framework>', 'Framework to use (nextjs, nuxtjs, remix)')
-    .option('-d, --deploy <target>', 'Deployment target (aws-apprunner, vercel, gcp-cloudrun)')
+    .option('-f, --framework <framework>', 'Framework to use (nextjs, nuxtjs, remix, sveltekit, astro, fastify)')
+    .option('-d, --deploy <target>', 'Deployment target (aws-apprunner, aws-ecs, vercel, gcp-cloudrun, fly, kubernetes, azure-containerapps, netlify, cloudflare, render, railway)')
+    .option('--package-manager <pm>', 'Package manager to use (yarn, npm, pnpm, bun; default: yarn)')
     .option('--skip-git', 'Skip git initialization')
     .option('--skip-install', 'Skip installing dependencies')
     .option('--monorepo', 'Enable monorepo mode for generated project')
     .option('--monorepo-path <path>', 'Path within monorepo where app will be created (default: apps/)')
+    .option('--environments <list>', 'Deploy environments, e.g. staging,production (name:branch picks the branch)')
+    .option('--iac-binary <binary>', 'Binary that runs the Terraform configuration (terraform, tofu; default: the one installed)')
+    .option('--allow-destroy', 'Apply a Terraform plan even if it destroys or replaces resources')
+    .option('--validate-providers', 'Also run terraform validate on the generated files, downloading the providers')
+    .option('-c, --config <file>', 'Read project settings from a JSON or YAML config file (e.g. fde.config.json)')
+    .option('-p, --preset <name>', 'Start from a named preset in ~/.config/create-fde-app/presets')
+    .option('--dry-run', 'Report the files and commands that would be produced without touching disk')
+    .option('--json', 'With --dry-run, print the report as JSON')
     .option('--help-ai', 'Output AI-friendly help in JSON format')
     .addHelpText('after', `
 AI AGENT USAGE (NON-INTERACTIVE MODE):
@@ -35,18 +55,24 @@ ENVIRONMENT VARIABLES (Required for AI usage):
 
 ENVIRONMENT VARIABLES (Optional):
   CREATE_FDE_APP_FRAMEWORK=<string>         # Framework choice
-    Values: nextjs | nuxtjs | remix
+    Values: nextjs | nuxtjs | remix | sveltekit | astro | fastify
     Default: nextjs
     
   CREATE_FDE_APP_DEPLOY_TARGET=<string>     # Deployment platform
-    Values: vercel | aws-apprunner | gcp-cloudrun
+    Values: vercel | aws-apprunner | aws-ecs | gcp-cloudrun | fly | kubernetes | azure-containerapps | netlify | cloudflare | render | railway
     Default: vercel
     
+  CREATE_FDE_APP_PACKAGE_MANAGER=<string>   # Package manager for install, Dockerfile and CI
+    Values: yarn | npm | pnpm | bun
+    Default: yarn
+    
   CREATE_FDE_APP_FEATURES=<string>          # Comma-separated features
-    Values: docker,github-actions,terraform
+    Values: docker,github-actions,gitlab-ci,bitbucket-pipelines,circleci,terraform
     Example: "docker,github-actions"
     Default: "docker,github-actions"
-    Note: terraform only available for aws-apprunner and gcp-cloudrun
+    Note: terraform only available for aws-apprunner, aws-ecs, gcp-cloudrun and azure-containerapps
+    Note: gitlab-ci, bitbucket-pipelines and circleci write .gitlab-ci.yml, bitbucket-pipelines.yml and .circleci/config.yml
+    Also accepted: health-check, security, production-ready, env-vars, typescript (post-processing extras)
     
   CREATE_FDE_APP_AUGMENTATIONS=<string>     # Comma-separated augmentations
     Database: database:postgres | database:mysql | database:mongodb
@@ -56,7 +82,7 @@ ENVIRONMENT VARIABLES (Optional):
     Example: "database:postgres,auth:nextauth,utility:sentry"
     Default: none
     Note: auth:nextauth only works with nextjs framework
-    Note: monitoring:* not available for vercel deployment
+    Note: monitoring:* not available for vercel, netlify or cloudflare deployment
     
   CREATE_FDE_APP_MONOREPO=<boolean>         # Enable monorepo structure
     Values: true | false
@@ -65,6 +91,55 @@ ENVIRONMENT VARIABLES (Optional):
   CREATE_FDE_APP_MONOREPO_PATH=<string>     # Monorepo app path
     Default: "apps/"
 
+  CREATE_FDE_APP_ENVIRONMENTS=<string>      # Comma-separated deploy environments
+    Values: name or name:branch
+    Example: "staging,production" or "staging:develop,production:main"
+    Default: none (a single production deploy from main)
+    Branches: production -> main, staging -> staging, dev -> develop, others -> branch of the same name
+    Generates one workflow per environment (deploy-<env>.yml) running in a GitHub Environment,
+    terraform/environments/<env>.tfvars and .env.<env>.example; non-production resources are named <project>-<env>
+
+  CREATE_FDE_APP_IAC_BINARY=<string>        # Binary that validates and applies the Terraform configuration
+    Values: terraform | tofu (OpenTofu)
+    Default: terraform if installed, otherwise tofu; the generated templates work with both
+
+SUBCOMMANDS (run inside an existing project):
+  add <augmentation>                        # Add an augmentation after creation
+    Example: npx create-fde-app@latest add utility:sentry
+    Options: --framework <fw> (override detection), --force (re-apply if present)
+  upgrade                                   # Merge newer deployment templates (needs fde.json)
+    Conflicting edits are left with <<<<<<< / >>>>>>> markers to resolve by hand
+  infra <plan|apply|destroy|outputs>        # Run the project's Terraform configuration (needs fde.json)
+    Example: npx create-fde-app@latest infra apply --env staging
+    Options: --env <name> (required with deploy environments), --auto-approve (required for apply/destroy in CI),
+             --allow-destroy, --iac-binary <terraform|tofu>, --json (plan summary or outputs on stdout)
+    Exits non-zero when the command fails or the apply is declined
+
+CONFIG FILES AND PRESETS:
+  --config fde.config.json                  # JSON or YAML file describing the whole project
+  --preset <name>                           # Load <name>.json|.yaml from ~/.config/create-fde-app/presets
+    Keys: projectName, framework, deployTarget, packageManager, iacBinary, deployConfig, features, augmentations,
+          monorepo { enabled, path }, environments, initGit, skipInstall, extends (preset to inherit from)
+    deployConfig: target settings such as awsRegion or gcpProjectId, plus cloudAuth (oidc | keys, default keys)
+          and githubRepository (owner/name trusted by the OIDC login) for AWS and Google Cloud targets
+    Terraform state: stateBucket (S3 for AWS, Cloud Storage for Cloud Run; local state when unset),
+          statePrefix (default: project name), stateLockTable (AWS, default: <bucket>-lock),
+          stateBootstrap (true generates terraform/bootstrap, which creates the bucket)
+    Precedence: CREATE_FDE_APP_* env vars (CI mode) > command-line flags > config file > preset > defaults
+    Schema: config/fde-config.schema.json
+
+DRY RUN:
+  --dry-run                                 # Print planned files, diffs and commands; write nothing
+  --dry-run --json                          # Same report as JSON on stdout (logs go to stderr)
+    Works for project creation, add and upgrade
+
+TERRAFORM PLAN:
+  When Terraform runs during creation (interactive mode only), the plan is summarized before apply:
+  resources to create, update, replace and destroy, replacement reasons and changed sensitive attributes.
+  The summary is saved as JSON in terraform/tfplan.summary.json.
+  --allow-destroy                           # Apply plans that destroy or replace resources (stopped otherwise)
+  --validate-providers                      # Also run terraform init -backend=false and validate (downloads the providers)
+
 COMPLETE EXAMPLES FOR COPY-PASTE:
 
 1. MINIMAL NEXT.JS WITH VERCEL:
@@ -110,6 +185,37 @@ FRAMEWORK DETAILS:
     - Health endpoint: /health
     - Post-processors: remix-health, remix-docker
 
+  sveltekit:
+    - Creates: SvelteKit minimal template with TypeScript (sv create)
+    - Build: yarn build
+    - Start: yarn start (node build, adapter-node)
+    - Dev: yarn dev
+    - Port: 3000
+    - Health endpoint: /api/health
+    - Adapter: adapter-vercel, adapter-netlify or adapter-cloudflare for those targets, adapter-node for container targets
+    - Post-processors: sveltekit-health, sveltekit-docker
+
+  astro:
+    - Creates: Astro minimal template (create-astro)
+    - Build: yarn build
+    - Start: yarn start (node ./dist/server/entry.mjs, @astrojs/node standalone)
+    - Dev: yarn dev
+    - Port: 3000
+    - Health endpoint: /api/health
+    - Adapter: @astrojs/vercel, @astrojs/netlify or @astrojs/cloudflare for those targets, @astrojs/node for container targets
+    - Post-processors: astro-health, astro-docker
+
+  fastify:
+    - Creates: Fastify API with TypeScript from the built-in template (no frontend)
+    - Build: yarn build (esbuild bundle to dist/server.js)
+    - Start: yarn start (node dist/server.js, graceful shutdown on SIGTERM)
+    - Dev: yarn dev
+    - Port: 3000
+    - Health endpoint: /health
+    - Deploy targets: aws-apprunner, aws-ecs, gcp-cloudrun, fly, kubernetes, azure-containerapps, render or railway (container targets only)
+    - Augmentations: database:* and utility:* only
+    - Post-processors: fastify-security, fastify-docker
+
 DEPLOYMENT TARGET DETAILS:
   vercel:
     - Platform: Frontend cloud platform
@@ -121,29 +227,108 @@ DEPLOYMENT TARGET DETAILS:
     
   aws-apprunner:
     - Platform: Fully managed container service
-    - Requirements: AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY (GitHub secrets)
-    - Optional: APPRUNNER_SERVICE_ARN (after first deployment)
-    - Features: Auto-scaling, managed containers, custom domains
+    - Requirements: AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY (GitHub secrets), or AWS_ROLE_ARN and AWS_PREVIEW_ROLE_ARN with OIDC
+    - OIDC: deployConfig cloudAuth: oidc; Terraform creates the deploy role and a preview role trusted by githubRepository
+    - Optional: APPRUNNER_SERVICE_ARN (after first deployment), APPRUNNER_ECR_ACCESS_ROLE_ARN (pull request previews)
+    - Features: Auto-scaling, managed containers, custom domains, a preview service per pull request
     - Terraform: Yes (infrastructure as code included)
     - Best for: Containerized apps, microservices
-    - GitHub Actions: aws-apprunner.yml
+    - GitHub Actions: aws-apprunner.yml, preview.yml (creates and deletes the pull request service)
+    - Env vars: AWS_REGION (default: us-east-1)
+
+  aws-ecs:
+    - Platform: ECS Fargate service behind an application load balancer
+    - Requirements: AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY (GitHub secrets), or AWS_ROLE_ARN with OIDC; terraform apply before the first deploy
+    - OIDC: deployConfig cloudAuth: oidc; Terraform creates the role trusted by githubRepository
+    - Features: New or existing VPC, ALB health check, CPU/memory/request autoscaling, CloudWatch logs
+    - Terraform: Yes (VPC, ALB, ECR, ECS cluster, service and task definition)
+    - Best for: Larger services that outgrow App Runner
+    - GitHub Actions: aws-ecs.yml (renders a new task definition revision and deploys it)
     - Env vars: AWS_REGION (default: us-east-1)
     
   gcp-cloudrun:
     - Platform: Serverless container platform
-    - Requirements: GCP_SA_KEY, GCP_PROJECT_ID (GitHub secrets)
-    - Features: Serverless containers, auto-scaling, VPC connector
+    - Requirements: GCP_SA_KEY, GCP_PROJECT_ID (GitHub secrets), or GCP_WORKLOAD_IDENTITY_PROVIDER, GCP_SERVICE_ACCOUNT and GCP_PREVIEW_SERVICE_ACCOUNT instead of GCP_SA_KEY with OIDC
+    - OIDC: deployConfig cloudAuth: oidc; Terraform creates the Workload Identity pool, deploy and preview service accounts trusted by githubRepository
+    - Features: Serverless containers, auto-scaling, VPC connector, a preview service per pull request
     - Terraform: Yes (infrastructure as code included)
     - Best for: Event-driven apps, microservices
-    - GitHub Actions: gcp-cloudrun.yml
+    - GitHub Actions: gcp-cloudrun.yml, preview.yml (deploys and deletes the pull request service)
     - Env vars: GCP_REGION (default: us-central1)
 
+  fly:
+    - Platform: Containers on Fly Machines, built remotely by flyctl
+    - Requirements: FLY_API_TOKEN (GitHub secret), app created with fly apps create
+    - Features: Auto stop/start machines, health checks, multiple regions
+    - Terraform: No
+    - Best for: Small APIs and apps that scale to zero
+    - GitHub Actions: fly.yml (flyctl deploy --remote-only)
+    - Generated: fly.toml (internal port and health check from the framework)
+    - Env vars: FLY_REGION (default: iad)
+
+  kubernetes:
+    - Platform: Any Kubernetes cluster, image pushed to GitHub Container Registry
+    - Requirements: KUBE_CONFIG (base64 kubeconfig) and HELM_SECRET_VALUES (GitHub secrets)
+    - Features: Liveness/readiness probes, HPA, optional Ingress, ConfigMap and Secret from .env.example
+    - Terraform: No
+    - Best for: Teams that already run a cluster
+    - GitHub Actions: kubernetes.yml (helm upgrade --install)
+    - Generated: chart/ (Helm chart with Deployment, Service, Ingress, HPA, ConfigMap and Secret)
+    - Env vars: K8S_NAMESPACE (default: project name), INGRESS_HOST (optional)
+
+  azure-containerapps:
+    - Platform: Serverless containers on Azure Container Apps
+    - Requirements: AZURE_CLIENT_ID, AZURE_TENANT_ID, AZURE_SUBSCRIPTION_ID (GitHub secrets, OIDC login), terraform apply before the first deploy
+    - Features: HTTP autoscaling (optionally to zero), liveness/readiness probes, Log Analytics
+    - Terraform: Yes (resource group, Log Analytics, Container Apps environment, ACR, container app, GitHub OIDC identity)
+    - Best for: Teams on Azure
+    - GitHub Actions: azure-containerapps.yml (az containerapp update)
+    - Env vars: AZURE_LOCATION (default: westeurope), AZURE_REGISTRY_NAME (default: project name + "acr")
+
+  netlify:
+    - Platform: Static assets and Netlify Functions
+    - Requirements: NETLIFY_AUTH_TOKEN, NETLIFY_SITE_ID (GitHub secrets)
+    - Features: Framework adapters (@netlify/plugin-nextjs, Nitro netlify preset, @netlify/remix-adapter, adapter-netlify, @astrojs/netlify), security headers
+    - Terraform: No
+    - Best for: Frontend apps and sites
+    - GitHub Actions: netlify.yml (netlify deploy --build --prod)
+    - Generated: netlify.toml (build command, publish directory, plugins, headers)
+
+  cloudflare:
+    - Platform: Cloudflare Workers with static assets (Cloudflare Pages for Remix)
+    - Requirements: CLOUDFLARE_API_TOKEN, CLOUDFLARE_ACCOUNT_ID (GitHub secrets)
+    - Features: Framework adapters (@opennextjs/cloudflare, Nitro cloudflare_module preset, @remix-run/cloudflare-pages, adapter-cloudflare, @astrojs/cloudflare)
+    - Terraform: No
+    - Best for: Apps served close to users worldwide
+    - GitHub Actions: cloudflare.yml (wrangler deploy, wrangler pages deploy for Remix)
+    - Generated: wrangler.toml
+
+  render:
+    - Platform: Managed web services on Render, described by a Blueprint
+    - Requirements: RENDER_DEPLOY_HOOK_URL (GitHub secret), a Blueprint created from the repository
+    - Features: Health checks, env var group from .env.example, managed Postgres with database:postgres
+    - Terraform: No
+    - Best for: Small teams that want infrastructure as config
+    - GitHub Actions: render.yml (builds, then calls the deploy hook)
+    - Generated: render.yaml (Docker runtime with the docker feature, Node runtime otherwise)
+    - Env vars: RENDER_REGION (default: oregon)
+
+  railway:
+    - Platform: Railway services configured as code
+    - Requirements: RAILWAY_TOKEN (GitHub secret, project token)
+    - Features: Health checks, restart on failure, Dockerfile or Railpack builds
+    - Terraform: No
+    - Best for: Small teams that want infrastructure as config
+    - GitHub Actions: railway.yml (railway up)
+    - Generated: railway.json
+    - Env vars: RAILWAY_SERVICE (default: project name)
+
 AUGMENTATION COMPATIBILITY MATRIX:
   auth:nextauth    -> nextjs only
   auth:auth0       -> all frameworks
   auth:cognito     -> all frameworks
   database:*       -> all frameworks
-  monitoring:*     -> aws-apprunner, gcp-cloudrun (not vercel)
+  monitoring:*     -> aws-apprunner, aws-ecs, gcp-cloudrun, fly, kubernetes, azure-containerapps, render, railway (not vercel, netlify or cloudflare)
   utility:*        -> all frameworks
 
 GENERATED PROJECT STRUCTURE:
@@ -154,6 +339,10 @@ GENERATED PROJECT STRUCTURE:
   ├── .github/
   │   └── workflows/
   │       └── deploy.yml         # If github-actions feature selected
+  ├── .gitlab-ci.yml             # If gitlab-ci feature selected
+  ├── bitbucket-pipelines.yml    # If bitbucket-pipelines feature selected
+  ├── .circleci/
+  │   └── config.yml             # If circleci feature selected
   ├── terraform/                 # If terraform feature selected
   │   ├── main.tf
   │   ├── variables.tf
@@ -179,10 +368,14 @@ POST-CREATION ACTIONS:
 VALIDATION RULES:
   - Project name: lowercase letters, numbers, hyphens only (^[a-z0-9-]+$)
   - Directory must not exist
-  - Framework must be exactly: nextjs, nuxtjs, or remix (lowercase)
-  - Deploy target must be exactly: vercel, aws-apprunner, or gcp-cloudrun (lowercase)
+  - Framework must be exactly: nextjs, nuxtjs, remix, sveltekit, astro, or fastify (lowercase)
+  - Deploy target must be exactly: vercel, aws-apprunner, aws-ecs, gcp-cloudrun, fly, kubernetes, azure-containerapps, netlify, cloudflare, render, or railway (lowercase)
   - Features are optional, can be empty string or omitted
   - Augmentations are optional, can be empty string or omitted
+  - Compatibility: auth:nextauth needs nextjs, terraform needs aws-apprunner, aws-ecs, gcp-cloudrun or azure-containerapps,
+    monitoring:* is not available on vercel, netlify or cloudflare, at most one database:* augmentation,
+    fastify needs a container target and accepts only database:* and utility:* augmentations
+  - Invalid values stop the run before anything is created, with a "did you mean" suggestion
 
 ERROR PREVENTION:
   - ALWAYS set CI=true to avoid interactive prompts
@@ -196,8 +389,8 @@ DEBUGGING CHECKLIST:
   1. CI environment variable is exactly "true" (CI=true)
   2. CREATE_FDE_APP_PROJECT_DIR is provided and valid
   3. Directory doesn't already exist (rm -rf my-app if needed)
-  4. Framework value is exactly one of: nextjs, nuxtjs, remix (lowercase)
-  5. Deploy target is exactly one of: vercel, aws-apprunner, gcp-cloudrun (lowercase)
+  4. Framework value is exactly one of: nextjs, nuxtjs, remix, sveltekit, astro, fastify (lowercase)
+  5. Deploy target is exactly one of: vercel, aws-apprunner, aws-ecs, gcp-cloudrun, fly, kubernetes, azure-containerapps, netlify, cloudflare, render, railway (lowercase)
   6. Features/augmentations use correct format (comma-separated, no spaces)
 
 COMMON AI AGENT MISTAKES TO AVOID:
@@ -241,23 +434,29 @@ For structured JSON output, use: npx create-fde-app@latest --help-ai
             optionalEnvVars: {
               CREATE_FDE_APP_FRAMEWORK: {
                 type: "enum",
-                values: ["nextjs", "nuxtjs", "remix"],
+                values: ["nextjs", "nuxtjs", "remix", "sveltekit", "astro", "fastify"],
                 default: "nextjs",
                 description: "Web framework to use"
               },
               CREATE_FDE_APP_DEPLOY_TARGET: {
                 type: "enum",
-                values: ["vercel", "aws-apprunner", "gcp-cloudrun"],
+                values: ["vercel", "aws-apprunner", "aws-ecs", "gcp-cloudrun", "fly", "kubernetes", "azure-containerapps", "netlify", "cloudflare", "render", "railway"],
                 default: "vercel",
                 description: "Cloud deployment platform"
               },
+              CREATE_FDE_APP_PACKAGE_MANAGER: {
+                type: "enum",
+                values: ["yarn", "npm", "pnpm", "bun"],
+                default: "yarn",
+                description: "Package manager used by the framework CLI, augmentations, Dockerfile and CI workflow"
+              },
               CREATE_FDE_APP_FEATURES: {
                 type: "array",
-                values: ["docker", "github-actions", "terraform"],
+                values: ["docker", "github-actions", "gitlab-ci", "bitbucket-pipelines", "circleci", "terraform"],
                 separator: ",",
                 default: ["docker", "github-actions"],
                 description: "Additional features to include",
-                notes: "terraform only available for aws-apprunner and gcp-cloudrun"
+                notes: "terraform only available for aws-apprunner, aws-ecs, gcp-cloudrun and azure-containerapps; gitlab-ci, bitbucket-pipelines and circleci generate the same build and deploy pipeline for any deploy target, logging in with keys"
               },
               CREATE_FDE_APP_AUGMENTATIONS: {
                 type: "array",
@@ -271,7 +470,7 @@ For structured JSON output, use: npx create-fde-app@latest --help-ai
                 description: "Advanced features and integrations",
                 notes: [
                   "auth:nextauth only works with nextjs",
-                  "monitoring:* not available for vercel"
+                  "monitoring:* not available for vercel, netlify or cloudflare"
                 ]
               },
               CREATE_FDE_APP_MONOREPO: {
@@ -284,8 +483,40 @@ For structured JSON output, use: npx create-fde-app@latest --help-ai
                 type: "string",
                 default: "apps/",
                 description: "Path within monorepo for app"
+              },
+              CREATE_FDE_APP_ENVIRONMENTS: {
+                type: "string",
+                format: "comma-separated name or name:branch",
+                example: "staging,production",
+                description: "Deploy environments; each gets its own workflow, GitHub Environment, tfvars file and .env.<env>.example"
+              },
+              CREATE_FDE_APP_IAC_BINARY: {
+                type: "enum",
+                values: ["terraform", "tofu"],
+                default: "terraform if installed, otherwise tofu",
+                description: "Binary (Terraform or OpenTofu) that validates and applies the Terraform configuration; the templates work with both"
               }
             },
+            configFile: {
+              flags: ["--config <file>", "--preset <name>"],
+              formats: ["json", "yaml"],
+              presetsDirectory: "~/.config/create-fde-app/presets",
+              schema: "config/fde-config.schema.json",
+              keys: ["projectName", "framework", "deployTarget", "packageManager", "iacBinary", "deployConfig", "features", "augmentations", "monorepo", "environments", "initGit", "skipInstall", "extends"],
+              cloudAuth: {
+                keys: { cloudAuth: ["oidc", "keys"], githubRepository: "owner/name" },
+                default: "keys",
+                targets: ["aws-apprunner", "aws-ecs", "gcp-cloudrun"],
+                description: "deployConfig.cloudAuth: oidc switches the AWS and Google Cloud workflows to role-to-assume / Workload Identity Federation; Terraform creates the identity trusted by githubRepository"
+              },
+              terraformState: {
+                keys: { stateBucket: "bucket name", statePrefix: "path in the bucket", stateLockTable: "DynamoDB table", stateBootstrap: "boolean" },
+                backends: { "aws-apprunner": "s3", "aws-ecs": "s3", "gcp-cloudrun": "gcs" },
+                description: "deployConfig.stateBucket writes terraform/backend.tf (S3 with DynamoDB locking, or Cloud Storage); stateBootstrap: true adds terraform/bootstrap, which creates the bucket. Without a bucket the state stays local"
+              },
+              precedence: ["CREATE_FDE_APP_* env vars (CI mode)", "command-line flags", "config file", "preset", "defaults"],
+              example: "CI=true npx create-fde-app@latest my-app --config fde.config.yaml"
+            },
             examples: [
               {
                 description: "Minimal Next.js with Vercel",
@@ -335,6 +566,37 @@ For structured JSON output, use: npx create-fde-app@latest --help-ai
                 port: 3000,
                 healthEndpoint: "/health",
                 postProcessors: ["remix-health", "remix-docker"]
+              },
+              sveltekit: {
+                displayName: "SvelteKit",
+                description: "Full-stack Svelte framework",
+                creates: "SvelteKit minimal template with TypeScript",
+                commands: { build: "yarn build", start: "yarn start", dev: "yarn dev" },
+                port: 3000,
+                healthEndpoint: "/api/health",
+                adapters: { vercel: "@sveltejs/adapter-vercel", netlify: "@sveltejs/adapter-netlify", cloudflare: "@sveltejs/adapter-cloudflare", default: "@sveltejs/adapter-node" },
+                postProcessors: ["sveltekit-health", "sveltekit-docker"]
+              },
+              astro: {
+                displayName: "Astro",
+                description: "Content-focused web framework",
+                creates: "Astro minimal template with server output",
+                commands: { build: "yarn build", start: "yarn start", dev: "yarn dev" },
+                port: 3000,
+                healthEndpoint: "/api/health",
+                adapters: { vercel: "@astrojs/vercel", netlify: "@astrojs/netlify", cloudflare: "@astrojs/cloudflare", default: "@astrojs/node" },
+                postProcessors: ["astro-health", "astro-docker"]
+              },
+              fastify: {
+                displayName: "Fastify",
+                description: "Backend API framework (no frontend)",
+                creates: "Fastify API with TypeScript from the built-in template",
+                commands: { build: "yarn build", start: "yarn start", dev: "yarn dev" },
+                port: 3000,
+                healthEndpoint: "/health",
+                deployTargets: ["aws-apprunner", "aws-ecs", "gcp-cloudrun", "fly", "kubernetes", "azure-containerapps", "render", "railway"],
+                augmentations: ["database:*", "utility:*"],
+                postProcessors: ["fastify-security", "fastify-docker"]
               }
             },
             deployTargetDetails: {
@@ -350,35 +612,122 @@ For structured JSON output, use: npx create-fde-app@latest --help-ai
                 displayName: "AWS App Runner",
                 description: "Fully managed container service",
                 githubSecrets: ["AWS_ACCESS_KEY_ID", "AWS_SECRET_ACCESS_KEY"],
-                optionalSecrets: ["APPRUNNER_SERVICE_ARN"],
-                features: ["auto-scaling", "managed containers", "custom domains"],
+                oidcSecrets: ["AWS_ROLE_ARN", "AWS_PREVIEW_ROLE_ARN"],
+                optionalSecrets: ["APPRUNNER_SERVICE_ARN", "APPRUNNER_ECR_ACCESS_ROLE_ARN"],
+                features: ["auto-scaling", "managed containers", "custom domains", "pull request preview services"],
                 terraform: true,
                 githubActionsFile: "aws-apprunner.yml",
+                previewWorkflowFile: "preview.yml",
+                defaultEnvVars: { AWS_REGION: "us-east-1" }
+              },
+              "aws-ecs": {
+                displayName: "AWS ECS Fargate",
+                description: "Container orchestration behind an application load balancer",
+                githubSecrets: ["AWS_ACCESS_KEY_ID", "AWS_SECRET_ACCESS_KEY"],
+                oidcSecrets: ["AWS_ROLE_ARN"],
+                features: ["new or existing VPC", "ALB health checks", "CPU/memory/request autoscaling", "CloudWatch logs"],
+                terraform: true,
+                terraformRequiredBeforeDeploy: true,
+                githubActionsFile: "aws-ecs.yml",
                 defaultEnvVars: { AWS_REGION: "us-east-1" }
               },
               "gcp-cloudrun": {
                 displayName: "Google Cloud Run",
                 description: "Serverless container platform",
                 githubSecrets: ["GCP_SA_KEY", "GCP_PROJECT_ID"],
-                features: ["serverless containers", "auto-scaling", "VPC connector"],
+                oidcSecrets: ["GCP_WORKLOAD_IDENTITY_PROVIDER", "GCP_SERVICE_ACCOUNT", "GCP_PREVIEW_SERVICE_ACCOUNT", "GCP_PROJECT_ID"],
+                features: ["serverless containers", "auto-scaling", "VPC connector", "pull request preview services"],
                 terraform: true,
                 githubActionsFile: "gcp-cloudrun.yml",
+                previewWorkflowFile: "preview.yml",
                 defaultEnvVars: { GCP_REGION: "us-central1" }
+              },
+              fly: {
+                displayName: "Fly.io",
+                description: "Container platform running apps on Fly Machines",
+                githubSecrets: ["FLY_API_TOKEN"],
+                features: ["auto stop/start machines", "health checks", "multiple regions"],
+                terraform: false,
+                githubActionsFile: "fly.yml",
+                generatedFiles: ["fly.toml"],
+                defaultEnvVars: { FLY_REGION: "iad" }
+              },
+              kubernetes: {
+                displayName: "Kubernetes",
+                description: "Any Kubernetes cluster, deployed with a generated Helm chart",
+                githubSecrets: ["KUBE_CONFIG", "HELM_SECRET_VALUES"],
+                features: ["liveness and readiness probes", "horizontal pod autoscaler", "optional ingress", "ConfigMap and Secret from .env.example"],
+                terraform: false,
+                githubActionsFile: "kubernetes.yml",
+                generatedFiles: ["chart/"],
+                defaultEnvVars: { K8S_NAMESPACE: "", INGRESS_HOST: "" }
+              },
+              "azure-containerapps": {
+                displayName: "Azure Container Apps",
+                description: "Serverless containers on Azure with built-in ingress and autoscaling",
+                githubSecrets: ["AZURE_CLIENT_ID", "AZURE_TENANT_ID", "AZURE_SUBSCRIPTION_ID"],
+                features: ["OIDC login", "HTTP autoscaling", "liveness and readiness probes", "Log Analytics"],
+                terraform: true,
+                terraformRequiredBeforeDeploy: true,
+                githubActionsFile: "azure-containerapps.yml",
+                defaultEnvVars: { AZURE_LOCATION: "westeurope" }
+              },
+              netlify: {
+                displayName: "Netlify",
+                description: "Web platform serving static assets and Netlify Functions",
+                githubSecrets: ["NETLIFY_AUTH_TOKEN", "NETLIFY_SITE_ID"],
+                features: ["framework adapters", "security headers"],
+                terraform: false,
+                githubActionsFile: "netlify.yml",
+                generatedFiles: ["netlify.toml"]
+              },
+              cloudflare: {
+                displayName: "Cloudflare",
+                description: "Cloudflare Workers with static assets (Cloudflare Pages for Remix)",
+                githubSecrets: ["CLOUDFLARE_API_TOKEN", "CLOUDFLARE_ACCOUNT_ID"],
+                features: ["framework adapters", "static assets"],
+                terraform: false,
+                githubActionsFile: "cloudflare.yml",
+                generatedFiles: ["wrangler.toml"]
+              },
+              render: {
+                displayName: "Render",
+                description: "Managed web services and Postgres described by a render.yaml Blueprint",
+                githubSecrets: ["RENDER_DEPLOY_HOOK_URL"],
+                features: ["health checks", "env var group from .env.example", "managed Postgres with database:postgres"],
+                terraform: false,
+                githubActionsFile: "render.yml",
+                generatedFiles: ["render.yaml"],
+                defaultEnvVars: { RENDER_REGION: "oregon" }
+              },
+              railway: {
+                displayName: "Railway",
+                description: "Railway services configured with railway.json",
+                githubSecrets: ["RAILWAY_TOKEN"],
+                features: ["health checks", "restart on failure", "Dockerfile or Railpack builds"],
+                terraform: false,
+                githubActionsFile: "railway.yml",
+                generatedFiles: ["railway.json"],
+                defaultEnvVars: { RAILWAY_SERVICE: "" }
               }
             },
             validationRules: [
               "Project name must match ^[a-z0-9-]+$",
               "Directory must not exist",
-              "Framework must be exactly: nextjs, nuxtjs, or remix",
-              "Deploy target must be exactly: vercel, aws-apprunner, or gcp-cloudrun",
+              "Framework must be exactly: nextjs, nuxtjs, remix, sveltekit, astro, or fastify",
+              "Deploy target must be exactly: vercel, aws-apprunner, aws-ecs, gcp-cloudrun, fly, kubernetes, azure-containerapps, netlify, cloudflare, render, or railway",
               "All values must be lowercase",
-              "Comma-separated values must not contain spaces"
+              "Comma-separated values must not contain spaces",
+              "auth:nextauth requires nextjs; terraform requires aws-apprunner, aws-ecs, gcp-cloudrun or azure-containerapps",
+              "monitoring:* is not available for vercel, netlify or cloudflare; at most one database:* augmentation",
+              "fastify needs a container target (aws-apprunner, aws-ecs, gcp-cloudrun, fly, kubernetes, azure-containerapps, render, railway) and accepts only database:* and utility:* augmentations",
+              "Invalid values fail before anything is created, with a did-you-mean suggestion"
             ],
             commonErrors: [
               { error: "Interactive prompts appear", solution: "Set CI=true" },
               { error: "Directory already exists", solution: "Remove directory or use different name" },
-              { error: "Invalid framework", solution: "Use exactly: nextjs, nuxtjs, or remix (lowercase)" },
-              { error: "Invalid deploy target", solution: "Use exactly: vercel, aws-apprunner, or gcp-cloudrun (lowercase)" },
+              { error: "Invalid framework", solution: "Use exactly: nextjs, nuxtjs, remix, sveltekit, astro, or fastify (lowercase)" },
+              { error: "Invalid deploy target", solution: "Use exactly: vercel, aws-apprunner, aws-ecs, gcp-cloudrun, fly, kubernetes, azure-containerapps, netlify, cloudflare, render, or railway (lowercase)" },
               { error: "Features not working", solution: "Use comma-separated list without spaces" }
             ],
             postCreationBehavior: {
@@ -391,7 +740,10 @@ For structured JSON output, use: npx create-fde-app@latest --help-ai
                 "Adds selected augmentations",
                 "Generates Dockerfile if docker feature selected",
                 "Creates GitHub Actions workflow if github-actions feature selected",
-                "Generates Terraform files if terraform feature selected and supported"
+                "Creates GitLab CI, Bitbucket Pipelines or CircleCI pipeline if gitlab-ci, bitbucket-pipelines or circleci feature selected",
+                "Generates Terraform files if terraform feature selected and supported",
+                "Validates the Terraform files (built-in syntax check, terraform fmt -check when installed, terraform validate with --validate-providers) and fails with file:line errors",
+                "Summarizes the Terraform plan before an interactive apply (JSON in terraform/tfplan.summary.json) and stops when it destroys or replaces resources unless --allow-destroy is passed"
               ]
             }
           };
@@ -400,29 +752,67 @@ For structured JSON output, use: npx create-fde-app@latest --help-ai
           process.exit(0);
         }
 
+        if (options.dryRun && options.json) {
+          redirectLogsToStderr();
+        }
+
         logger.info(chalk.bold('Welcome to create-fde-app!'));
         logger.info('Let\'s create a production-ready app with cloud deployment.\n');
 
-        // Get project details through prompts
-        const projectDetails = await promptProjectDetails(projectName, options);
+        // Reject bad flags before asking any questions
+        const flagErrors = [
+          options.framework && validateFramework(options.framework),
+          options.deploy && validateDeployTarget(options.deploy),
+          options.packageManager && validatePackageManager(options.packageManager),
+          options.iacBinary && validateIacBinary(options.iacBinary),
+        ].filter(Boolean);
+        if (flagErrors.length > 0) {
+          throw new Error(flagErrors.join('\n'));
+        }
+
+        // Get project details through prompts, skipping anything the config file defines
+        const fileConfig = loadProjectConfig(options);
+        const projectDetails = await promptProjectDetails(projectName, options, fileConfig);
+        assertValidProjectDetails(projectDetails);
+        const dryRun = options.dryRun ? enableDryRun() : null;
 
         // Create project using framework's official create command
         logger.info(chalk.blue('Creating project with official framework command...'));
         await wrapFrameworkCommand(projectDetails);
 
+        // Track every file written from here on for the project manifest
+        const projectPath = join(process.cwd(), projectDetails.projectName);
+        const recorder = dryRun ? null : new ManifestRecorder(projectPath);
+        await recorder?.checkpoint();
+
         // Process project with post-processors
         logger.info(chalk.blue('Processing project...'));
-        await processProject(projectDetails);
+        const augmentations = await processProject(projectDetails, recorder);
 
         // Inject deployment configurations
         logger.info(chalk.blue('Adding deployment configurations...'));
         await injectDeployConfig(projectDetails);
+        await recorder?.checkpoint('deploy');
+
+        // Record everything that was applied, and keep the template renderings for upgrades.
+        // Failed augmentations stay out of the manifest so add can retry them.
+        await writeManifest(projectPath, createManifest({ ...projectDetails, augmentations }, recorder?.files));
+        await saveTemplateBaseline(projectPath, await renderProjectTemplates(projectDetails, projectPath, { quiet: true }));
+
+        if (dryRun) {
+          printDryRunReport(dryRun, { json: options.json });
+          // The framework scaffold is only recorded, so steps that read its files cannot be previewed
+          if (dryRun.failures.length > 0) {
+            throw new Error(`${dryRun.failures.length} step(s) failed during the dry run; the preview is incomplete`);
+          }
+          return;
+        }
 
         // Success message
         logger.success(chalk.green.bold('\n✨ Your project is ready!'));
         logger.info(`\nNext steps:`);
         logger.info(chalk.cyan(`  cd ${projectDetails.projectName}`));
-        logger.info(chalk.cyan('  yarn dev'));
+        logger.info(chalk.cyan(`  ${runScriptCommand(projectDetails.packageManager, 'dev')}`));
         logger.info('\nTo deploy:');
         logger.info(chalk.cyan('  git push origin main'));
         logger.info('\nHappy coding! 🚀');
@@ -432,5 +822,94 @@ For structured JSON output, use: npx create-fde-app@latest --help-ai
       }
     });
 
+  program
+    .command('add')
+    .description('Add an augmentation to an existing project in the current directory')
+    .argument('<augmentation>', 'Augmentation to add (e.g. database:postgres, utility:sentry)')
+    .option('-f, --framework <framework>', 'Framework of the project (detected from package.json by default)')
+    .option('--force', 'Apply the augmentation even if it is already present')
+    .option('--package-manager <pm>', 'Package manager used to install dependencies (detected from the lockfile by default)')
+    .option('--dry-run', 'Report the files and commands that would be produced without touching disk')
+    .option('--json', 'With --dry-run, print the report as JSON')
+    .action(async (augmentation, options) => {
+      try {
+        if (options.dryRun && options.json) {
+          redirectLogsToStderr();
+        }
+        const dryRun = options.dryRun ? enableDryRun() : null;
+
+        await addAugmentation(process.cwd(), augmentation, options);
+
+        if (dryRun) {
+          printDryRunReport(dryRun, { json: options.json });
+          return;
+        }
+        logger.success(chalk.green(`Added ${augmentation}`));
+      } catch (error) {
+        logger.error(`Failed to add ${augmentation}:`, error.message);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('upgrade')
+    .description('Merge the latest Dockerfile, workflow and Terraform templates into the project in the current directory')
+    .option('--dry-run', 'Report the merge result without touching disk')
+    .option('--json', 'With --dry-run, print the report as JSON')
+    .action(async (options) => {
+      try {
+        if (options.dryRun && options.json) {
+          redirectLogsToStderr();
+        }
+        const dryRun = options.dryRun ? enableDryRun() : null;
+
+        const results = await upgradeProject(process.cwd());
+        if (dryRun) {
+          printDryRunReport(dryRun, { json: options.json });
+          return;
+        }
+
+        const icons = { added: '+', updated: '~', unchanged: '=', skipped: '-', conflict: '!' };
+
+        for (const { file, status, conflicts } of results) {
+          const line = `  ${icons[status]} ${file} (${status}${conflicts ? `, ${conflicts} conflict(s)` : ''})`;
+          logger.info(status === 'conflict' ? chalk.yellow(line) : line);
+        }
+
+        const conflicted = results.filter((result) => result.status === 'conflict');
+        if (conflicted.length > 0) {
+          logger.warn(`Resolve the conflict markers in ${conflicted.map((result) => result.file).join(', ')} before committing.`);
+        } else {
+          logger.success(chalk.green('Templates upgraded'));
+        }
+      } catch (error) {
+        logger.error('Failed to upgrade project:', error.message);
+        process.exit(1);
+      }
+    });
+
+  program
+    .command('infra')
+    .description('Plan, apply or destroy the Terraform infrastructure of the project in the current directory, or print its outputs')
+    .argument('<action>', INFRA_ACTIONS.join(' | '))
+    .option('--env <name>', 'Deploy environment whose workspace and variables file to use')
+    .option('--auto-approve', 'Apply or destroy without the confirmation prompt (required in CI mode)')
+    .option('--allow-destroy', 'Apply the plan even if it destroys or replaces resources')
+    .option('--iac-binary <binary>', 'Binary that runs the configuration (terraform, tofu; default: the one recorded in fde.json, else the one installed)')
+    .option('--json', 'Print the plan summary (plan) or the outputs (outputs) as JSON on stdout')
+    .action(async (action, options) => {
+      try {
+        if (options.json) {
+          redirectLogsToStderr();
+        }
+        if (!(await runInfraCommand(process.cwd(), action, options))) {
+          process.exit(1);
+        }
+      } catch (error) {
+        logger.error(`Failed to run infra ${action}:`, error.message);
+        process.exit(1);
+      }
+    });
+
   program.parse();
 }
\ No newline at end of file
@@ -0,0 +1,101 @@
+// How GitHub Actions logs in to the cloud: OIDC federation, or long-lived keys stored as GitHub secrets
+export const CLOUD_AUTH_METHODS = ['oidc', 'keys'];
+
+// Targets whose workflows can use either; Azure Container Apps always logs in with OIDC
+export const OIDC_DEPLOY_TARGETS = ['aws-apprunner', 'aws-ecs', 'gcp-cloudrun'];
+
+// GitHub secrets each target's workflows log in with, by auth method
+const cloudAuthSecrets = {
+  aws: {
+    oidc: ['AWS_ROLE_ARN'],
+    keys: ['AWS_ACCESS_KEY_ID', 'AWS_SECRET_ACCESS_KEY'],
+  },
+  gcp: {
+    oidc: ['GCP_WORKLOAD_IDENTITY_PROVIDER', 'GCP_SERVICE_ACCOUNT'],
+    keys: ['GCP_SA_KEY'],
+  },
+};
+
+// Secret holding the identity of the pull request preview workflow, which may only touch preview resources
+const previewAuthSecrets = {
+  'aws-apprunner': { secret: 'AWS_PREVIEW_ROLE_ARN', replaces: 'AWS_ROLE_ARN' },
+  'gcp-cloudrun': { secret: 'GCP_PREVIEW_SERVICE_ACCOUNT', replaces: 'GCP_SERVICE_ACCOUNT' },
+};
+
+function getCloud(deployTarget) {
+  return deployTarget.startsWith('aws-') ? 'aws' : 'gcp';
+}
+
+/**
+ * Whether the project's workflows log in with OIDC instead of stored keys.
+ * Projects that never chose keep the access keys they were generated with.
+ */
+export function usesOidc({ deployTarget, deployConfig = {} }) {
+  return OIDC_DEPLOY_TARGETS.includes(deployTarget) && deployConfig.cloudAuth === 'oidc';
+}
+
+/**
+ * GitHub secrets the workflows log in to the cloud with, or an empty list for other targets
+ */
+export function getCloudAuthSecrets(projectDetails) {
+  if (!OIDC_DEPLOY_TARGETS.includes(projectDetails.deployTarget)) {
+    return [];
+  }
+  if (!usesOidc(projectDetails)) {
+    return cloudAuthSecrets[getCloud(projectDetails.deployTarget)].keys;
+  }
+
+  const preview = previewAuthSecrets[projectDetails.deployTarget];
+  return [...cloudAuthSecrets[getCloud(projectDetails.deployTarget)].oidc, ...(preview ? [preview.secret] : [])];
+}
+
+// Actions that exchange the job's GitHub OIDC token for cloud credentials
+const CREDENTIALS_ACTIONS = /uses: (aws-actions\/configure-aws-credentials|google-github-actions\/auth)@/;
+
+/**
+ * Give a job id-token: write, so it can request the GitHub OIDC token
+ */
+function addIdTokenPermission(job) {
+  if (/^ {6}id-token: /m.test(job)) {
+    return job;
+  }
+  if (/^ {4}permissions:\n/m.test(job)) {
+    return job.replace(/^( {4}permissions:\n)/m, '$1      id-token: write\n');
+  }
+  return job.replace(
+    /^( {4}runs-on: .+\n)/m,
+    '$1\n    # id-token lets the job exchange its GitHub OIDC token for short-lived credentials\n    permissions:\n      contents: read\n      id-token: write\n'
+  );
+}
+
+/**
+ * Switch a workflow from stored keys to OIDC: AWS assumes the role in AWS_ROLE_ARN,
+ * GCP impersonates a service account through Workload Identity Federation.
+ * The preview workflow logs in as the preview identity instead of the deploy one.
+ * Every job that logs in gets id-token: write to request the GitHub OIDC token.
+ */
+export function applyWorkflowOidc(content, deployTarget, { preview = false } = {}) {
+  if (getCloud(deployTarget) === 'aws') {
+    content = content.replace(
+      /^( *)aws-access-key-id: .+\n *aws-secret-access-key: .+\n/gm,
+      '$1role-to-assume: ${{ secrets.AWS_ROLE_ARN }}\n'
+    );
+  } else {
+    content = content.replace(
+      /^( *)credentials_json: .+\n/gm,
+      '$1workload_identity_provider: ${{ secrets.GCP_WORKLOAD_IDENTITY_PROVIDER }}\n$1service_account: ${{ secrets.GCP_SERVICE_ACCOUNT }}\n'
+    );
+  }
+
+  if (preview && previewAuthSecrets[deployTarget]) {
+    const { secret, replaces } = previewAuthSecrets[deployTarget];
+    content = content.replaceAll(`secrets.${replaces} }}`, `secrets.${secret} }}`);
+  }
+
+  // Split before each job key, two spaces under jobs:
+  const jobsStart = content.search(/^jobs:\n/m);
+  const jobs = content.slice(jobsStart).split(/(?=^ {2}[\w-]+:\s*$)/m);
+  return content.slice(0, jobsStart) + jobs
+    .map((job) => (CREDENTIALS_ACTIONS.test(job) ? addIdTokenPermission(job) : job))
+    .join('');
+}
@@ -0,0 +1,189 @@
+import { existsSync, readFileSync } from 'fs';
+import { homedir } from 'os';
+import { join, dirname, extname, resolve } from 'path';
+import { fileURLToPath } from 'url';
+import YAML from 'yaml';
+import { suggest, validateDeployTarget, validateFramework } from './validation.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const configDir = join(__dirname, '..', 'config');
+
+export const CONFIG_SCHEMA = JSON.parse(readFileSync(join(configDir, 'fde-config.schema.json'), 'utf8'));
+
+const CONFIG_EXTENSIONS = ['.json', '.yaml', '.yml'];
+
+/**
+ * Directory holding named presets, following XDG_CONFIG_HOME when set
+ */
+export function getPresetsDir() {
+  const configHome = process.env.XDG_CONFIG_HOME || join(homedir(), '.config');
+  return join(configHome, 'create-fde-app', 'presets');
+}
+
+function typeOf(value) {
+  if (Array.isArray(value)) return 'array';
+  if (value === null) return 'null';
+  return typeof value;
+}
+
+/**
+ * Validate a value against the subset of JSON Schema used by fde-config.schema.json
+ *
+ * @returns {string[]} one message per problem, prefixed with the offending path
+ */
+export function validateAgainstSchema(value, schema, path = 'config') {
+  const errors = [];
+  const types = [].concat(schema.type || []);
+
+  if (types.length > 0 && !types.includes(typeOf(value))) {
+    return [`${path}: expected ${types.join(' or ')}, got ${typeOf(value)}`];
+  }
+
+  if (schema.enum && !schema.enum.includes(value)) {
+    const suggestion = suggest(value, schema.enum);
+    const hint = suggestion ? ` Did you mean "${suggestion}"?` : '';
+    errors.push(`${path}: must be one of ${schema.enum.join(', ')} (got "${value}").${hint}`);
+  }
+
+  if (schema.pattern && !new RegExp(schema.pattern).test(value)) {
+    errors.push(`${path}: "${value}" does not match ${schema.pattern}`);
+  }
+
+  if (typeOf(value) === 'array' && schema.items) {
+    value.forEach((item, index) => {
+      errors.push(...validateAgainstSchema(item, schema.items, `${path}[${index}]`));
+    });
+  }
+
+  if (typeOf(value) === 'object') {
+    const properties = schema.properties || {};
+    for (const [key, child] of Object.entries(value)) {
+      if (properties[key]) {
+        errors.push(...validateAgainstSchema(child, properties[key], `${path}.${key}`));
+      } else if (schema.additionalProperties === false) {
+        errors.push(`${path}: unknown property "${key}"`);
+      } else if (typeof schema.additionalProperties === 'object') {
+        errors.push(...validateAgainstSchema(child, schema.additionalProperties, `${path}.${key}`));
+      }
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Validate a config object, including framework and deploy target names
+ */
+export function validateConfig(config, source = 'config') {
+  const errors = validateAgainstSchema(config, CONFIG_SCHEMA, source);
+
+  if (typeof config.framework === 'string') {
+    const error = validateFramework(config.framework);
+    if (error) errors.push(`${source}.framework: ${error}`);
+  }
+  if (typeof config.deployTarget === 'string') {
+    const error = validateDeployTarget(config.deployTarget);
+    if (error) errors.push(`${source}.deployTarget: ${error}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Parse a JSON or YAML config file, chosen by extension
+ */
+export function parseConfigFile(filePath) {
+  if (!existsSync(filePath)) {
+    throw new Error(`Config file not found: ${filePath}`);
+  }
+
+  const extension = extname(filePath).toLowerCase();
+  if (!CONFIG_EXTENSIONS.includes(extension)) {
+    throw new Error(`Unsupported config file type "${extension}" (use ${CONFIG_EXTENSIONS.join(', ')})`);
+  }
+
+  const content = readFileSync(filePath, 'utf8');
+  let config;
+  try {
+    config = extension === '.json' ? JSON.parse(content) : YAML.parse(content);
+  } catch (error) {
+    throw new Error(`Could not parse ${filePath}: ${error.message}`);
+  }
+
+  if (typeOf(config) !== 'object') {
+    throw new Error(`${filePath} must contain an object at the top level`);
+  }
+  return config;
+}
+
+/**
+ * Find the file for a named preset in the presets directory
+ */
+export function findPreset(name) {
+  const presetsDir = getPresetsDir();
+  for (const extension of CONFIG_EXTENSIONS) {
+    const candidate = join(presetsDir, `${name}${extension}`);
+    if (existsSync(candidate)) {
+      return candidate;
+    }
+  }
+
+  throw new Error(`Preset "${name}" not found in ${presetsDir}`);
+}
+
+/**
+ * Overlay `override` on `base`: nested objects are merged, arrays and scalars replaced
+ */
+export function mergeConfigs(base, override) {
+  const merged = { ...base };
+  for (const [key, value] of Object.entries(override)) {
+    merged[key] = typeOf(value) === 'object' && typeOf(base[key]) === 'object'
+      ? { ...base[key], ...value }
+      : value;
+  }
+  return merged;
+}
+
+function loadConfigChain(filePath, seen) {
+  const resolved = resolve(filePath);
+  if (seen.includes(resolved)) {
+    throw new Error(`Circular "extends" in ${[...seen, resolved].join(' -> ')}`);
+  }
+
+  const config = parseConfigFile(resolved);
+  const errors = validateConfig(config, resolved);
+  if (errors.length > 0) {
+    throw new Error(`Invalid configuration:\n  ${errors.join('\n  ')}`);
+  }
+
+  const { extends: parent, ...own } = config;
+  delete own.$schema;
+  if (!parent) {
+    return own;
+  }
+  return mergeConfigs(loadConfigChain(findPreset(parent), [...seen, resolved]), own);
+}
+
+/**
+ * Load the project configuration from a preset and/or config file.
+ * The config file is applied on top of the preset; both may `extends` another preset.
+ *
+ * @param {{ config?: string, preset?: string }} options
+ * @returns {object|null} merged configuration, or null when neither is given
+ */
+export function loadProjectConfig({ config, preset } = {}) {
+  if (!config && !preset) {
+    return null;
+  }
+
+  let merged = {};
+  if (preset) {
+    merged = loadConfigChain(findPreset(preset), []);
+  }
+  if (config) {
+    merged = mergeConfigs(merged, loadConfigChain(config, []));
+  }
+  return merged;
+}
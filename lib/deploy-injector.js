@@ -1,11 +1,15 @@
 import { join, dirname } from 'path';
-import { readFile, writeFile, mkdir, copyFile } from 'fs/promises';
-import { existsSync } from 'fs';
+import { readFile, writeFile, mkdir, existsSync } from './utils/io.js';
 import { fileURLToPath } from 'url';
 import Handlebars from 'handlebars';
 import chalk from 'chalk';
 import { logger } from './utils/logger.js';
-import { executeTerraform } from './terraform-executor.js';
+import { executeTerraform, getAzureRegistryName, getGcpIdPrefix } from './terraform-executor.js';
+import { DEFAULT_PACKAGE_MANAGER, getPackageManager, runScriptCommand, runScriptIfPresentCommand } from './package-manager.js';
+import { parseEnvTemplate, renderHelmChart, splitEnv } from './helm-chart.js';
+import { PRODUCTION_ENVIRONMENT, getEnvironmentResourceName, renderEnvironmentEnvTemplate } from './environments.js';
+import { applyWorkflowOidc, getCloudAuthSecrets, usesOidc } from './cloud-auth.js';
+import { ciProviders, describePipeline } from './ci-providers/index.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
@@ -27,6 +31,11 @@ export async function injectDeployConfig(projectDetails) {
       await addGitHubActions(projectPath, projectDetails);
     }
 
+    // Add the pipelines of the other CI providers requested
+    for (const feature of Object.keys(ciProviders).filter((name) => features.includes(name))) {
+      await addCiPipelines(projectPath, projectDetails, feature);
+    }
+
     // Add Terraform configuration if requested
     if (features.includes('terraform') && deployConfig.terraform) {
       await executeTerraform(projectPath, deployTarget, projectDetails);
@@ -43,6 +52,17 @@ export async function injectDeployConfig(projectDetails) {
 }
 
 async function addDockerConfig(projectPath, framework, projectDetails) {
+  const dockerfileContent = await renderDockerfile(framework, projectDetails);
+
+  await writeFile(join(projectPath, 'Dockerfile'), dockerfileContent);
+  await writeFile(join(projectPath, '.dockerignore'), renderDockerignore());
+}
+
+/**
+ * Render the Dockerfile for a framework, adjusted for monorepo builds.
+ * With quiet set, the template in use is not logged.
+ */
+export async function renderDockerfile(framework, projectDetails, { quiet = false } = {}) {
   const { monorepo, monorepoPath, projectName } = projectDetails;
   
   // Read framework-specific Dockerfile template
@@ -51,10 +71,14 @@ async function addDockerConfig(projectPath, framework, projectDetails) {
   
   try {
     dockerfileContent = await readFile(dockerTemplatePath, 'utf-8');
-    logger.info(`Using ${framework}-specific Dockerfile template`);
+    if (!quiet) {
+      logger.info(`Using ${framework}-specific Dockerfile template`);
+    }
   } catch (error) {
     // Fall back to generic Node.js Dockerfile
-    logger.warn(`No ${framework}-specific Dockerfile found, using generic template`);
+    if (!quiet) {
+      logger.warn(`No ${framework}-specific Dockerfile found, using generic template`);
+    }
     const genericTemplatePath = join(__dirname, '..', 'deploy-templates', 'docker', 'common', 'Dockerfile.base');
     try {
       dockerfileContent = await readFile(genericTemplatePath, 'utf-8');
@@ -63,10 +87,14 @@ async function addDockerConfig(projectPath, framework, projectDetails) {
       dockerfileContent = `# Build stage
 FROM node:20-alpine AS builder
 WORKDIR /app
-COPY package*.json ./
-RUN yarn install --frozen-lockfile
+COPY package.json ./
+COPY {{lockfile}} ./
+{{#if dockerSetup}}
+RUN {{dockerSetup}}
+{{/if}}
+RUN {{install}}
 COPY . .
-RUN yarn build
+RUN {{buildCommand}}
 
 # Production stage
 FROM node:20-alpine AS runner
@@ -77,10 +105,17 @@ COPY --from=builder /app/node_modules ./node_modules
 COPY --from=builder /app/package*.json ./
 COPY --from=builder /app/build ./build
 EXPOSE 3000
-CMD ["yarn", "start"]
+CMD ["npm", "start"]
 `;
     }
   }
+
+  // Fill in the install and build commands for the project's package manager
+  const packageManager = getPackageManager(projectDetails.packageManager);
+  dockerfileContent = Handlebars.compile(dockerfileContent, { noEscape: true })({
+    ...packageManager,
+    buildCommand: runScriptCommand(packageManager.name, 'build'),
+  });
   
   // Adjust Dockerfile for monorepo context
   if (monorepo) {
@@ -95,7 +130,7 @@ CMD ["yarn", "start"]
           return `COPY ${appPath}/ ${dest}`;
         }
         // Handle package files
-        if (source.includes('package') || source.includes('yarn.lock') || source.includes('pnpm-lock')) {
+        if (source.includes('package') || source.includes('.lock') || source.includes('-lock')) {
           return `COPY ${appPath}/${source} ${dest}`;
         }
         // Handle other files
@@ -106,7 +141,14 @@ CMD ["yarn", "start"]
     dockerfileContent = `# Monorepo Dockerfile - Build context should be repository root\n# App path: ${appPath}\n\n${dockerfileContent}`;
   }
 
-  const dockerignoreContent = `# Dependencies
+  return dockerfileContent;
+}
+
+/**
+ * Render the .dockerignore shared by all frameworks
+ */
+export function renderDockerignore() {
+  return `# Dependencies
 node_modules
 yarn-error.log
 yarn-debug.log
@@ -169,31 +211,145 @@ terraform
 tsconfig.json
 jsconfig.json
 `;
-
-  await writeFile(join(projectPath, 'Dockerfile'), dockerfileContent);
-  await writeFile(join(projectPath, '.dockerignore'), dockerignoreContent);
 }
 
 async function addGitHubActions(projectPath, projectDetails) {
-  const { deployTarget, projectName, deployConfig, monorepo, monorepoPath } = projectDetails;
+  const { deployTarget } = projectDetails;
+  
+  const workflows = await renderGitHubWorkflows(projectDetails);
+  if (workflows.length === 0) {
+    logger.warn(`No GitHub Actions template found for ${deployTarget}`);
+    return;
+  }
   
   // Create .github/workflows directory
   const workflowDir = join(projectPath, '.github', 'workflows');
   await mkdir(workflowDir, { recursive: true });
   
+  // Write workflow files
+  for (const workflow of workflows) {
+    await writeFile(join(workflowDir, workflow.fileName), workflow.content);
+    logger.info(`Created GitHub Actions workflow ${workflow.fileName} for ${deployTarget}`);
+  }
+}
+
+async function addCiPipelines(projectPath, projectDetails, feature) {
+  const { deployTarget } = projectDetails;
+  const { displayName } = ciProviders[feature];
+
+  const files = renderCiPipelines(projectDetails, feature);
+  if (files.length === 0) {
+    logger.warn(`No ${displayName} pipeline available for ${deployTarget}`);
+    return;
+  }
+
+  for (const file of files) {
+    await mkdir(dirname(join(projectPath, file.path)), { recursive: true });
+    await writeFile(join(projectPath, file.path), file.content);
+    logger.info(`Created ${displayName} pipeline ${file.path} for ${deployTarget}`);
+  }
+}
+
+/**
+ * Render the configuration files of a CI provider other than GitHub Actions in the provider's format.
+ * Returns the project-relative path and content of each file, or an empty list when the target has no pipeline.
+ */
+export function renderCiPipelines(projectDetails, feature) {
+  const pipelines = describeCiPipelines(projectDetails);
+  return pipelines.length > 0 ? ciProviders[feature].render(pipelines, projectDetails) : [];
+}
+
+/**
+ * Describe the provider-neutral pipeline of each deploy environment, or of main when the project has no environments
+ */
+function describeCiPipelines(projectDetails) {
+  const { environments = [], packageManager } = projectDetails;
+  const buildCommand = runScriptCommand(packageManager, getBuildScript(projectDetails));
+
+  return (environments.length > 0 ? environments : [null])
+    .map((environment) => describePipeline(projectDetails, environment, {
+      buildCommand,
+      wranglerCommand: getWranglerCommand(projectDetails, environment),
+    }))
+    .filter(Boolean);
+}
+
+/**
+ * Render the GitHub Actions workflows for the deploy target: one per deploy environment,
+ * or a single workflow deploying main when the project has no environments,
+ * plus the pull request preview workflow where the target has one
+ */
+export async function renderGitHubWorkflows(projectDetails) {
+  const { environments = [] } = projectDetails;
+  const workflows = environments.length > 0
+    ? await Promise.all(environments.map((environment) => renderGitHubWorkflow(projectDetails, environment)))
+    : [await renderGitHubWorkflow(projectDetails)];
+
+  workflows.push(await renderPreviewWorkflow(projectDetails));
+
+  return workflows.filter(Boolean);
+}
+
+/**
+ * Render the GitHub Actions workflow for the deploy target.
+ * With an environment, the workflow deploys from the environment's branch to its resources,
+ * in a GitHub Environment of the same name.
+ * Returns the workflow file name and content, or null when the target has no template.
+ */
+export async function renderGitHubWorkflow(projectDetails, environment = null) {
+  const { deployTarget } = projectDetails;
+
   // Map deploy targets to workflow template files
   const workflowTemplates = {
     'aws-apprunner': 'aws-apprunner.yml',
+    'aws-ecs': 'aws-ecs.yml',
     'vercel': 'vercel-ci.yml',  // Use CI-only workflow for Vercel
-    'gcp-cloudrun': 'gcp-cloudrun.yml'
+    'gcp-cloudrun': 'gcp-cloudrun.yml',
+    'fly': 'fly.yml',
+    'kubernetes': 'kubernetes.yml',
+    'azure-containerapps': 'azure-containerapps.yml',
+    'netlify': 'netlify.yml',
+    'cloudflare': 'cloudflare.yml',
+    'render': 'render.yml',
+    'railway': 'railway.yml'
   };
   
   const templateFile = workflowTemplates[deployTarget];
   if (!templateFile) {
-    logger.warn(`No GitHub Actions template found for ${deployTarget}`);
-    return;
+    return null;
   }
-  
+
+  return renderWorkflowTemplate(templateFile, getWorkflowFileName(projectDetails, environment), projectDetails, environment);
+}
+
+// Targets that deploy each pull request to a short-lived preview, removed when the pull request closes
+const previewWorkflowTemplates = {
+  'aws-apprunner': 'aws-apprunner-preview.yml',
+  'gcp-cloudrun': 'gcp-cloudrun-preview.yml',
+};
+
+/**
+ * Render the pull request preview workflow for the deploy target.
+ * Returns the workflow file name and content, or null when the target has no preview template.
+ */
+export async function renderPreviewWorkflow(projectDetails) {
+  const { deployTarget, projectName, monorepo } = projectDetails;
+
+  const templateFile = previewWorkflowTemplates[deployTarget];
+  if (!templateFile) {
+    return null;
+  }
+
+  return renderWorkflowTemplate(templateFile, monorepo ? `${projectName}-preview.yml` : 'preview.yml', projectDetails, null, { preview: true });
+}
+
+/**
+ * Render a workflow template from deploy-templates/github-actions for a project and, optionally, a deploy environment
+ */
+async function renderWorkflowTemplate(templateFile, workflowFileName, projectDetails, environment = null, { preview = false } = {}) {
+  const { deployTarget, projectName, deployConfig, monorepo, monorepoPath, packageManager, frameworkConfig = {} } = projectDetails;
+  const resourceName = getEnvironmentResourceName(projectName, environment);
+
   // Read template file
   const templatePath = join(__dirname, '..', 'deploy-templates', 'github-actions', templateFile);
   let templateContent = await readFile(templatePath, 'utf-8');
@@ -201,10 +357,33 @@ async function addGitHubActions(projectPath, projectDetails) {
   // Replace Handlebars variables in the template
   // Only replace our custom variables, keep GitHub Actions expressions intact
   templateContent = templateContent
-    .replace(/\{\{ projectName \}\}/g, projectName)
+    .replace(/^( *)\{\{ installSteps \}\}$/m, (match, indent) => renderInstallSteps(packageManager, indent))
+    .replace(/\{\{ buildCommand \}\}/g, runScriptCommand(packageManager, getBuildScript(projectDetails)))
+    .replace(/\{\{ lintCommand \}\}/g, runScriptIfPresentCommand(packageManager, 'lint'))
+    .replace(/\{\{ testCommand \}\}/g, runScriptIfPresentCommand(packageManager, 'test'))
+    .replace(/\{\{ typeCheckCommand \}\}/g, runScriptIfPresentCommand(packageManager, 'type-check'))
+    .replace(/\{\{ projectName \}\}/g, resourceName)
     .replace(/\{\{ awsRegion \}\}/g, deployConfig.awsRegion || 'us-east-1')
     .replace(/\{\{ gcpProjectId \}\}/g, deployConfig.gcpProjectId || '')
-    .replace(/\{\{ gcpRegion \}\}/g, deployConfig.gcpRegion || 'us-central1');
+    .replace(/\{\{ gcpRegion \}\}/g, deployConfig.gcpRegion || 'us-central1')
+    .replace(
+      /\{\{ gcpPreviewRuntimeServiceAccount \}\}/g,
+      `${getGcpIdPrefix(resourceName)}-preview@${deployConfig.gcpProjectId || ''}.iam.gserviceaccount.com`
+    )
+    .replace(/\{\{ k8sNamespace \}\}/g, getEnvironmentResourceName(deployConfig.k8sNamespace || projectName, environment))
+    .replace(/\{\{ azureRegistryName \}\}/g, getAzureRegistryName({ ...projectDetails, projectName: resourceName }))
+    .replace(/\{\{ wranglerCommand \}\}/g, getWranglerCommand(projectDetails, environment))
+    .replace(/\{\{ railwayService \}\}/g, deployConfig.railwayService || projectName)
+    .replace(/\{\{ appPort \}\}/g, frameworkConfig.port || 3000)
+    .replace(/\{\{ healthCheckPath \}\}/g, frameworkConfig.healthCheckPath || '/');
+
+  if (usesOidc(projectDetails)) {
+    templateContent = applyWorkflowOidc(templateContent, deployTarget, { preview });
+  }
+
+  if (environment) {
+    templateContent = applyWorkflowEnvironment(templateContent, projectDetails, environment);
+  }
   
   // Handle monorepo-specific transformations
   if (monorepo) {
@@ -216,14 +395,15 @@ async function addGitHubActions(projectPath, projectDetails) {
     
     // Update workflow name to include project name
     templateContent = templateContent
-      .replace(/^name: Deploy to (.+)$/m, `name: Deploy ${projectName} to $1`);
+      .replace(/^name: Deploy to (.+)$/m, `name: Deploy ${projectName} to $1`)
+      .replace(/^name: Preview on (.+)$/m, `name: Preview ${projectName} on $1`);
     
     // Add path filters to triggers
     templateContent = templateContent
-      .replace(/(on:\s*push:\s*branches:\s*\[main\])/g, 
-        `$1\n    paths:\n      - '${appPath}/**'\n      - '.github/workflows/${projectName}-deploy.yml'`)
-      .replace(/(pull_request:\s*branches:\s*\[main\])/g,
-        `$1\n    paths:\n      - '${appPath}/**'\n      - '.github/workflows/${projectName}-deploy.yml'`);
+      .replace(/(on:\s*push:\s*branches:\s*\[[^\]]+\])/g, 
+        `$1\n    paths:\n      - '${appPath}/**'\n      - '.github/workflows/${workflowFileName}'`)
+      .replace(/(pull_request:(?:\s*branches:\s*\[[^\]]+\])?)/g,
+        `$1\n    paths:\n      - '${appPath}/**'\n      - '.github/workflows/${workflowFileName}'`);
     
     // Add working directory to all run commands
     templateContent = templateContent
@@ -234,6 +414,11 @@ async function addGitHubActions(projectPath, projectDetails) {
     // Update Docker build context for monorepo
     templateContent = templateContent
       .replace(/(docker build -t .+?) \./g, `$1 ${appPath}`);
+
+    // flyctl runs from the repository root, the build context of the monorepo Dockerfile
+    templateContent = templateContent
+      .replace(/flyctl deploy --remote-only/g,
+        `flyctl deploy . --remote-only --config ${appPath}/fly.toml --dockerfile ${appPath}/Dockerfile`);
     
     // Update vercel commands to not need cd
     templateContent = templateContent
@@ -244,76 +429,134 @@ async function addGitHubActions(projectPath, projectDetails) {
       .replace(/\{\{ appPath \}\}/g, '.');
   }
   
-  // Generate workflow filename
-  // In monorepo mode, use project-specific name; otherwise use deploy.yml
-  const workflowFileName = monorepo ? `${projectName}-deploy.yml` : 'deploy.yml';
-  
-  // Write workflow file
-  await writeFile(join(workflowDir, workflowFileName), templateContent);
-  logger.info(`Created GitHub Actions workflow ${workflowFileName} for ${deployTarget}`);
+  return { fileName: workflowFileName, content: templateContent };
 }
 
-async function addTerraformConfig(projectPath, projectDetails) {
-  const { deployTarget, projectName, deployConfig } = projectDetails;
-  
-  // Map deploy targets to terraform template directories
-  const terraformTemplates = {
-    'aws-apprunner': 'aws-apprunner',
-    'gcp-cloudrun': 'gcp-cloudrun'
-    // Vercel doesn't use Terraform
-  };
-  
-  const templateDir = terraformTemplates[deployTarget];
-  if (!templateDir) {
-    logger.info(`No Terraform template needed for ${deployTarget}`);
-    return;
+/**
+ * Workflow file name: deploy.yml, or deploy-<environment>.yml for a deploy environment.
+ * In monorepo mode the project name is prefixed so apps do not overwrite each other's workflows.
+ */
+function getWorkflowFileName({ projectName, monorepo }, environment = null) {
+  const workflowName = environment ? `deploy-${environment.name}` : 'deploy';
+  return monorepo ? `${projectName}-${workflowName}.yml` : `${workflowName}.yml`;
+}
+
+/**
+ * Point a workflow at a deploy environment: its branch, its GitHub Environment
+ * (whose protection rules and secrets apply to the deploy) and its APP_ENV
+ */
+function applyWorkflowEnvironment(content, projectDetails, environment) {
+  const { deployTarget, projectName, deployConfig = {} } = projectDetails;
+  const { name, branch } = environment;
+
+  content = content
+    .replace(/^name: (.+)$/m, `name: $1 (${name})`)
+    .replace(/branches: \[main\]/g, `branches: [${branch}]`)
+    .replace(/refs\/heads\/main/g, `refs/heads/${branch}`)
+    // Pull request builds run outside the environment, so they never wait for a reviewer
+    .replace(/^( {2}deploy:\n {4}runs-on: .+\n)/m,
+      `$1    environment: \${{ github.event_name == 'push' && '${name}' || '' }}\n`);
+
+  // Targets whose workflow sets APP_ENV or picks the environment's app; the others read them
+  // from the environment's Terraform variables or platform settings
+  if (deployTarget === 'fly') {
+    const appName = getEnvironmentResourceName(deployConfig.flyAppName || projectName, environment);
+    content = content.replace(/flyctl deploy --remote-only/g, `$& --app ${appName} --env APP_ENV=${name}`);
+  } else if (deployTarget === 'kubernetes') {
+    content = content.replace(/^( *)(--set image\.tag=.+\n)/m, `$1$2$1--set env.APP_ENV=${name} \\\n`);
+  } else if (deployTarget === 'gcp-cloudrun') {
+    content = content.replace(/^( *)(--concurrency=.+\n)/m, `$1$2$1--update-env-vars=APP_ENV=${name}\n`);
+  } else if (deployTarget === 'railway') {
+    content = content.replace(/(railway\/cli up .+)$/m, `$1 --environment ${name}`);
   }
-  
-  // Create terraform directory
-  const terraformDir = join(projectPath, 'terraform');
-  await mkdir(terraformDir, { recursive: true });
-  
-  // Copy all terraform files from template directory
-  const sourcePath = join(__dirname, '..', 'deploy-templates', 'terraform', templateDir);
-  const files = ['main.tf', 'variables.tf', 'outputs.tf', 'terraform.tfvars.example'];
-  
-  for (const file of files) {
-    const sourceFile = join(sourcePath, file);
-    const destFile = join(terraformDir, file);
-    
-    if (file === 'terraform.tfvars.example') {
-      // Process tfvars file with project-specific values
-      const content = await readFile(sourceFile, 'utf-8');
-      const template = Handlebars.compile(content);
-      const rendered = template({
-        projectName,
-        projectId: deployConfig.gcpProjectId || 'your-project-id',
-        awsRegion: deployConfig.awsRegion || 'us-east-1',
-        gcpRegion: deployConfig.gcpRegion || 'us-central1'
-      });
-      await writeFile(destFile, rendered);
-    } else {
-      // Copy other files as-is
-      await copyFile(sourceFile, destFile);
-    }
+
+  return content;
+}
+
+/**
+ * wrangler command deploying the Worker, or the Pages project, for an environment.
+ * Non-production Workers deploy from their [env.<name>] section of wrangler.toml,
+ * Pages deploys the environment's branch as a preview.
+ */
+function getWranglerCommand({ framework }, environment) {
+  if (!cloudflareWorkers[framework]) {
+    return environment ? `pages deploy --branch ${environment.branch}` : 'pages deploy';
   }
-  
-  logger.info(`Created Terraform configuration for ${deployTarget}`);
+  return environment && environment.name !== PRODUCTION_ENVIRONMENT ? `deploy --env ${environment.name}` : 'deploy';
+}
+
+/**
+ * Render the GitHub Actions steps that set up the package manager and install dependencies
+ */
+function renderInstallSteps(name, indent) {
+  const packageManager = getPackageManager(name);
+  const steps = [];
+
+  if (packageManager.name === 'pnpm') {
+    steps.push(['- name: Setup pnpm', '  uses: pnpm/action-setup@v4', '  with:', '    version: 9']);
+  } else if (packageManager.name === 'bun') {
+    steps.push(['- name: Setup Bun', '  uses: oven-sh/setup-bun@v2']);
+  }
+
+  // setup-node can cache yarn, npm and pnpm stores, but not bun's
+  const nodeSetup = ['- name: Setup Node.js', '  uses: actions/setup-node@v4', '  with:', "    node-version: '20'"];
+  if (packageManager.name !== 'bun') {
+    nodeSetup.push(`    cache: '${packageManager.name}'`);
+  }
+  steps.push(nodeSetup);
+  steps.push(['- name: Install dependencies', `  run: ${packageManager.install}`]);
+
+  return steps.map((step) => step.map((line) => indent + line).join('\n')).join('\n\n');
 }
 
 async function addDeploymentSpecificFiles(projectPath, projectDetails) {
-  const { deployTarget, projectName } = projectDetails;
+  const { deployTarget, projectName, packageManager = DEFAULT_PACKAGE_MANAGER, environments = [] } = projectDetails;
   
   // Add deployment-specific configuration files
   if (deployTarget === 'vercel') {
     await addVercelConfig(projectPath, projectDetails);
+  } else if (deployTarget === 'fly') {
+    await writeFile(join(projectPath, 'fly.toml'), await renderFlyConfig(projectDetails));
+    logger.info('Created Fly.io configuration');
+  } else if (deployTarget === 'kubernetes') {
+    await addHelmChart(projectPath, projectDetails);
+  } else if (deployTarget === 'netlify') {
+    await writeFile(join(projectPath, 'netlify.toml'), await renderNetlifyConfig(projectDetails));
+    logger.info('Created Netlify configuration');
+  } else if (deployTarget === 'cloudflare') {
+    await writeFile(join(projectPath, 'wrangler.toml'), await renderWranglerConfig(projectDetails));
+    logger.info('Created Cloudflare configuration');
+  } else if (deployTarget === 'render') {
+    // Runs after the augmentations, so the Blueprint picks up the variables they added
+    await writeFile(join(projectPath, 'render.yaml'), await renderRenderBlueprint(projectDetails, await readEnvTemplate(projectPath)));
+    logger.info('Created Render Blueprint');
+  } else if (deployTarget === 'railway') {
+    await writeFile(join(projectPath, 'railway.json'), renderRailwayConfig(projectDetails));
+    logger.info('Created Railway configuration');
+  }
+
+  // Add an env template for each deploy environment
+  if (environments.length > 0) {
+    const envTemplate = await readEnvTemplate(projectPath);
+    for (const environment of environments) {
+      await writeFile(join(projectPath, `.env.${environment.name}.example`), renderEnvironmentEnvTemplate(envTemplate, environment));
+    }
+    logger.info(`Created env templates for ${environments.map(({ name }) => name).join(', ')}`);
   }
   
   // Add README with deployment instructions
   const deployTargetDisplay = {
     'aws-apprunner': 'AWS App Runner',
+    'aws-ecs': 'AWS ECS Fargate',
     'vercel': 'Vercel',
-    'gcp-cloudrun': 'Google Cloud Run'
+    'gcp-cloudrun': 'Google Cloud Run',
+    'fly': 'Fly.io',
+    'kubernetes': 'Kubernetes',
+    'azure-containerapps': 'Azure Container Apps',
+    'netlify': 'Netlify',
+    'cloudflare': 'Cloudflare',
+    'render': 'Render',
+    'railway': 'Railway'
   }[deployTarget] || deployTarget;
 
   const readmeContent = `# ${projectName}
@@ -323,8 +566,8 @@ Created with create-fde-app 🚀
 ## Getting Started
 
 \`\`\`bash
-yarn install
-yarn dev
+${packageManager} install
+${runScriptCommand(packageManager, 'dev')}
 \`\`\`
 
 ## Deployment
@@ -333,12 +576,12 @@ This project is configured for deployment to ${deployTargetDisplay}.
 
 ### Prerequisites
 
-${getDeploymentPrerequisites(deployTarget)}
+${getDeploymentPrerequisites(projectDetails)}
 
 ### Deploy
 
-${getDeploymentInstructions(deployTarget)}
-
+${getDeploymentInstructions(projectDetails)}
+${renderCiPipelinesSection(projectDetails)}${environments.length > 0 ? `\n${renderEnvironmentsSection(projectDetails)}` : ''}
 ## Environment Variables
 
 See \`.env.example\` for required environment variables.
@@ -351,14 +594,219 @@ See \`.env.example\` for required environment variables.
   await writeFile(join(projectPath, 'README.md'), readmeContent);
 }
 
+/**
+ * Render the README section listing the pipelines of the CI providers other than GitHub Actions
+ * and the variables they need, or nothing when none was requested
+ */
+function renderCiPipelinesSection(projectDetails) {
+  const { features = [] } = projectDetails;
+  const files = Object.entries(ciProviders)
+    .filter(([feature]) => features.includes(feature))
+    .flatMap(([feature, { displayName }]) => renderCiPipelines(projectDetails, feature)
+      .map(({ path }) => `- ${displayName}: \`${path}\``));
+  if (files.length === 0) {
+    return '';
+  }
+
+  const pipelines = describeCiPipelines(projectDetails);
+  const branches = pipelines.map(({ branch }) => `\`${branch}\``).join(' and ');
+  const secrets = pipelines[0].secrets.map((secret) => `\`${secret}\``).join(', ');
+
+  return `
+### CI pipelines
+
+${files.join('\n')}
+
+${pipelines[0].deploy
+    ? `Merge and pull requests run the build job; pushes to ${branches} run the deploy job.`
+    : `The pipelines test and build merge and pull requests and pushes to ${branches}; the platform deploys by itself.`}${secrets ? ` Store ${secrets} as masked CI variables in place of the GitHub secrets above.` : ''}
+`;
+}
+
+// How each target keeps its deploy environments apart, beyond the per-environment secrets
+const environmentNotes = {
+  'vercel': 'Vercel deploys every branch itself: `main` goes to Production, other branches to Preview. Set per-branch values with `vercel env add APP_ENV preview <branch>`.',
+  'fly': 'Each environment deploys to its own Fly app, created with `fly apps create <app>`.',
+  'kubernetes': 'Each environment is a Helm release in its own namespace.',
+  'netlify': 'Each environment is its own Netlify site: set `NETLIFY_SITE_ID` as an environment secret.',
+  'cloudflare': 'Workers deploy the `[env.<name>]` sections of `wrangler.toml`; Pages projects deploy each branch as a preview.',
+  'render': 'Each environment is its own Render service: set its `RENDER_DEPLOY_HOOK_URL` as an environment secret.',
+  'railway': 'Each environment deploys to the Railway environment of the same name, created with `railway environment new <name>`.',
+};
+
+/**
+ * Render the README section mapping deploy environments to their branches, workflows and resources,
+ * with the commands creating their GitHub Environments
+ */
+function renderEnvironmentsSection(projectDetails) {
+  const { deployTarget, projectName, features = [], deployConfig = {}, environments } = projectDetails;
+  const githubActions = features.includes('github-actions');
+  const terraform = features.includes('terraform') && deployConfig.terraform;
+
+  const rows = environments.map((environment) => {
+    const workflow = githubActions ? `\`.github/workflows/${getWorkflowFileName(projectDetails, environment)}\`` : '-';
+    return `| ${environment.name} | \`${environment.branch}\` | ${workflow} | \`${getEnvironmentResourceName(projectName, environment)}\` | \`.env.${environment.name}.example\` |`;
+  });
+
+  const setupCommands = environments.map(({ name, branch }) => {
+    if (name !== PRODUCTION_ENVIRONMENT) {
+      return `gh api --method PUT "repos/{owner}/{repo}/environments/${name}"`;
+    }
+    // Production deploys wait for a reviewer and only run from the production branch
+    return `gh api --method PUT "repos/{owner}/{repo}/environments/${name}" --input - <<EOF
+{
+  "reviewers": [{ "type": "User", "id": $(gh api user --jq .id) }],
+  "deployment_branch_policy": { "protected_branches": false, "custom_branch_policies": true }
+}
+EOF
+gh api --method POST "repos/{owner}/{repo}/environments/${name}/deployment-branch-policies" -f name=${branch}`;
+  });
+
+  const notes = [
+    githubActions && 'Each workflow deploys in the GitHub Environment of the same name, so store each environment\'s secrets there. Pull request builds run outside the environments and only see repository secrets.',
+    terraform && 'Terraform keeps each environment in its own workspace with its own variables file: `terraform workspace select -or-create <name>`, then `terraform apply -var-file=environments/<name>.tfvars`.',
+    environmentNotes[deployTarget],
+  ].filter(Boolean);
+
+  return `## Environments
+
+| Environment | Branch | Workflow | Resources | Variables |
+| --- | --- | --- | --- | --- |
+${rows.join('\n')}
+
+${notes.join('\n\n')}
+${githubActions ? `
+Create the GitHub Environments; deploys to ${PRODUCTION_ENVIRONMENT} require your approval:
+
+\`\`\`bash
+${setupCommands.join('\n')}
+\`\`\`
+` : ''}`;
+}
+
+/**
+ * Render fly.toml with the framework's port and health check
+ */
+export async function renderFlyConfig(projectDetails) {
+  const { projectName, frameworkConfig = {}, deployConfig = {} } = projectDetails;
+
+  const templatePath = join(__dirname, '..', 'deploy-templates', 'fly', 'fly.toml');
+  const template = Handlebars.compile(await readFile(templatePath, 'utf-8'), { noEscape: true });
+
+  return template({
+    appName: deployConfig.flyAppName || projectName,
+    region: deployConfig.flyRegion || 'iad',
+    port: frameworkConfig.port || 3000,
+    healthCheckPath: frameworkConfig.healthCheckPath || '/',
+  });
+}
+
+/**
+ * Read the project's env template, which the Helm chart turns into its ConfigMap and Secret
+ */
+export async function readEnvTemplate(projectPath) {
+  const envExamplePath = join(projectPath, '.env.example');
+  return existsSync(envExamplePath) ? readFile(envExamplePath, 'utf-8') : '';
+}
+
+async function addHelmChart(projectPath, projectDetails) {
+  const files = renderHelmChart(projectDetails, await readEnvTemplate(projectPath));
+
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = join(projectPath, file);
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(filePath, content);
+  }
+
+  logger.info('Created Helm chart in chart/');
+}
+
+// Secrets Render can generate a random value for when the Blueprint is applied
+const GENERATED_SECRET_PATTERN = /^(NEXTAUTH|AUTH|AUTH0|JWT|SESSION)_SECRET$/;
+
+/**
+ * Render render.yaml: a web service, an env var group with the env template's plain variables,
+ * and with database:postgres a managed Postgres database wired to DATABASE_URL
+ */
+export async function renderRenderBlueprint(projectDetails, envTemplate = '') {
+  const { projectName, features = [], augmentations = [], packageManager, monorepo, monorepoPath, frameworkConfig = {}, deployConfig = {} } = projectDetails;
+  const docker = features.includes('docker');
+  const appPath = monorepo ? `${monorepoPath}${projectName}` : null;
+  const { config, secrets } = splitEnv(parseEnvTemplate(envTemplate));
+
+  const database = augmentations.includes('database:postgres')
+    ? { name: `${projectName}-db`, databaseName: projectName.replace(/-/g, '_'), user: projectName.replace(/-/g, '_') }
+    : null;
+  if (database) {
+    delete secrets.DATABASE_URL;
+  }
+
+  const templatePath = join(__dirname, '..', 'deploy-templates', 'render', 'render.yaml');
+  const template = Handlebars.compile(await readFile(templatePath, 'utf-8'), { noEscape: true });
+
+  return template({
+    name: projectName,
+    runtime: docker ? 'docker' : 'node',
+    region: deployConfig.renderRegion || 'oregon',
+    docker,
+    // The monorepo Dockerfile builds from the repository root
+    dockerfilePath: appPath ? `./${appPath}/Dockerfile` : './Dockerfile',
+    dockerContext: '.',
+    rootDir: appPath,
+    buildCommand: `${getPackageManager(packageManager).install} && ${runScriptCommand(packageManager, getBuildScript(projectDetails))}`,
+    startCommand: runScriptCommand(packageManager, 'start'),
+    healthCheckPath: frameworkConfig.healthCheckPath || '/',
+    envGroup: `${projectName}-env`,
+    database,
+    config: Object.entries({ NODE_ENV: 'production', ...config }).map(([key, value]) => ({ key, value: JSON.stringify(value) })),
+    secrets: Object.keys(secrets).map((key) => ({ key, generate: GENERATED_SECRET_PATTERN.test(key) })),
+  });
+}
+
+/**
+ * Render railway.json with the build, start command and health check for the framework
+ */
+export function renderRailwayConfig(projectDetails) {
+  const { features = [], packageManager, frameworkConfig = {} } = projectDetails;
+
+  // Railway builds the Dockerfile when there is one, otherwise it detects the Node app
+  const build = features.includes('docker')
+    ? { builder: 'DOCKERFILE', dockerfilePath: 'Dockerfile' }
+    : { builder: 'RAILPACK', buildCommand: runScriptCommand(packageManager, getBuildScript(projectDetails)) };
+
+  const railwayConfig = {
+    $schema: 'https://railway.com/railway.schema.json',
+    build,
+    deploy: {
+      startCommand: features.includes('docker') ? undefined : runScriptCommand(packageManager, 'start'),
+      healthcheckPath: frameworkConfig.healthCheckPath || '/',
+      healthcheckTimeout: 120,
+      restartPolicyType: 'ON_FAILURE',
+      restartPolicyMaxRetries: 10,
+    },
+  };
+
+  return `${JSON.stringify(railwayConfig, null, 2)}\n`;
+}
+
+// Vercel framework presets; adapter-vercel writes its own .vercel/output
+const vercelFrameworkPresets = {
+  'nextjs': 'nextjs',
+  'sveltekit': 'sveltekit-1',
+  'astro': 'astro',
+};
+
 async function addVercelConfig(projectPath, projectDetails) {
-  const { framework, monorepo, monorepoPath, projectName } = projectDetails;
+  const { framework, monorepo, monorepoPath, projectName, packageManager } = projectDetails;
   
+  // Frameworks Vercel builds with its own preset need no build or output settings
+  const preset = vercelFrameworkPresets[framework] || null;
+
   // Create vercel.json configuration
   const vercelConfig = {
-    buildCommand: framework === 'nextjs' ? null : 'yarn build',
-    outputDirectory: framework === 'nextjs' ? null : getOutputDirectory(framework),
-    framework: framework === 'nextjs' ? 'nextjs' : null,
+    buildCommand: preset ? null : runScriptCommand(packageManager, 'build'),
+    outputDirectory: preset ? null : getOutputDirectory(framework),
+    framework: preset,
     regions: ['iad1'], // Default to US East
     env: {
       NODE_ENV: 'production'
@@ -397,7 +845,78 @@ async function addVercelConfig(projectPath, projectDetails) {
   logger.info('Created Vercel configuration');
 }
 
-function getOutputDirectory(framework) {
+/**
+ * Package script that builds the project for its deploy target
+ */
+function getBuildScript({ framework, deployTarget }) {
+  // OpenNext wraps next build and turns its output into a Worker
+  return deployTarget === 'cloudflare' && framework === 'nextjs' ? 'build:cloudflare' : 'build';
+}
+
+// Netlify build plugins; the other frameworks' adapters write Netlify Functions themselves
+const netlifyFrameworkPlugins = {
+  'nextjs': ['@netlify/plugin-nextjs'],
+};
+
+/**
+ * Render netlify.toml with the build command, publish directory and framework plugins
+ */
+export async function renderNetlifyConfig(projectDetails) {
+  const { framework, packageManager } = projectDetails;
+
+  const templatePath = join(__dirname, '..', 'deploy-templates', 'netlify', 'netlify.toml');
+  const template = Handlebars.compile(await readFile(templatePath, 'utf-8'), { noEscape: true });
+
+  return template({
+    buildCommand: runScriptCommand(packageManager, getBuildScript(projectDetails)),
+    publishDir: getOutputDirectory(framework, 'netlify'),
+    nitroPreset: framework === 'nuxtjs' ? 'netlify' : null,
+    plugins: netlifyFrameworkPlugins[framework] || [],
+  });
+}
+
+// Worker entry each adapter builds, next to the assets in its output directory.
+// Remix has no Workers adapter, so it deploys to Cloudflare Pages with a Pages Function.
+const cloudflareWorkers = {
+  'nextjs': '.open-next/worker.js',
+  'nuxtjs': '.output/server/index.mjs',
+  'sveltekit': '.svelte-kit/cloudflare/_worker.js',
+  'astro': 'dist/_worker.js/index.js',
+};
+
+/**
+ * Render wrangler.toml for the framework's Worker, or for Cloudflare Pages.
+ * A Worker gets an [env.<name>] section for each non-production deploy environment.
+ */
+export async function renderWranglerConfig(projectDetails) {
+  const { framework, projectName, environments = [] } = projectDetails;
+  const worker = Boolean(cloudflareWorkers[framework]);
+
+  const templatePath = join(__dirname, '..', 'deploy-templates', 'cloudflare', 'wrangler.toml');
+  const template = Handlebars.compile(await readFile(templatePath, 'utf-8'), { noEscape: true });
+
+  // OpenNext fetches the app's own URLs, which Workers only allow with global_fetch_strictly_public
+  const compatibilityFlags = framework === 'nextjs' ? ['nodejs_compat', 'global_fetch_strictly_public'] : ['nodejs_compat'];
+
+  return template({
+    name: projectName,
+    compatibilityFlags: compatibilityFlags.map((flag) => `"${flag}"`).join(', '),
+    main: cloudflareWorkers[framework] || null,
+    assetsDir: getOutputDirectory(framework, 'cloudflare'),
+    appEnv: worker && environments.length > 0 ? PRODUCTION_ENVIRONMENT : null,
+    environments: worker
+      ? environments.filter(({ name }) => name !== PRODUCTION_ENVIRONMENT).map(({ name }) => name)
+      : [],
+  });
+}
+
+// Directories the edge adapters publish, where they differ from the framework's own build output
+const targetOutputDirs = {
+  'netlify': { 'nuxtjs': 'dist', 'sveltekit': 'build' },
+  'cloudflare': { 'nextjs': '.open-next/assets', 'sveltekit': '.svelte-kit/cloudflare' },
+};
+
+function getOutputDirectory(framework, deployTarget) {
   const outputDirs = {
     'nextjs': '.next',
     'nuxtjs': '.output/public',
@@ -407,10 +926,11 @@ function getOutputDirectory(framework) {
     'vite': 'dist'
   };
   
-  return outputDirs[framework] || 'dist';
+  return targetOutputDirs[deployTarget]?.[framework] || outputDirs[framework] || 'dist';
 }
 
-function getDeploymentInstructions(deployTarget) {
+function getDeploymentInstructions(projectDetails) {
+  const { deployTarget } = projectDetails;
   const instructions = {
     'aws-apprunner': `1. Push your code to GitHub
 2. The GitHub Actions workflow will automatically deploy your application
@@ -420,7 +940,18 @@ function getDeploymentInstructions(deployTarget) {
    terraform init
    terraform plan
    terraform apply
-   \`\`\``,
+   \`\`\`
+4. Pull requests get their own App Runner service (\`<service>-pr-<number>\`) from \`preview.yml\`, whose URL is commented on the pull request; it is deleted when the pull request closes`,
+    'aws-ecs': `1. Create the infrastructure with Terraform (VPC, load balancer, ECR, ECS cluster and service):
+   \`\`\`bash
+   cd terraform
+   terraform init
+   terraform plan
+   terraform apply
+   \`\`\`
+2. Push your code to GitHub
+3. The GitHub Actions workflow builds the image, renders a new task definition revision and deploys it to the service
+4. Open the \`service_url\` Terraform output`,
     'vercel': `### First-time Setup
 
 1. **Install Vercel CLI** (if not already installed):
@@ -458,29 +989,155 @@ The GitHub Actions workflow will:
    terraform init
    terraform plan
    terraform apply
-   \`\`\``
+   \`\`\`
+4. Pull requests are deployed by \`preview.yml\` to a \`<project>-pr-<number>\` service; its URL is commented on the pull request and the service is deleted when the pull request closes`,
+    'fly': `1. Create the app once (the name must match \`app\` in fly.toml):
+   \`\`\`bash
+   fly apps create <app-name>
+   \`\`\`
+2. Add a deploy token as the \`FLY_API_TOKEN\` GitHub secret:
+   \`\`\`bash
+   fly tokens create deploy
+   \`\`\`
+3. Push your code to GitHub; the workflow runs \`flyctl deploy --remote-only\`
+4. Or deploy manually with \`fly deploy\``,
+    'kubernetes': `1. Add your kubeconfig, base64 encoded, as the \`KUBE_CONFIG\` GitHub secret:
+   \`\`\`bash
+   base64 -w0 ~/.kube/config
+   \`\`\`
+2. Put the values of \`secretEnv\` in chart/values.yaml into the \`HELM_SECRET_VALUES\` GitHub secret:
+   \`\`\`yaml
+   secretEnv:
+     DATABASE_URL: postgresql://...
+   \`\`\`
+3. Push your code to GitHub; the workflow pushes the image to GitHub Container Registry and runs \`helm upgrade --install\`
+4. Or deploy manually:
+   \`\`\`bash
+   helm upgrade --install <release> ./chart --namespace <namespace> --create-namespace \\
+     --set image.repository=<image> --set image.tag=<tag>
+   \`\`\``,
+    'azure-containerapps': `1. Set \`github_repository\` in terraform/terraform.tfvars and create the infrastructure
+   (resource group, Log Analytics, Container Apps environment, registry, container app and the GitHub OIDC identity):
+   \`\`\`bash
+   cd terraform
+   terraform init
+   terraform apply
+   terraform output github_actions_secrets
+   \`\`\`
+2. Add the three values of \`github_actions_secrets\` as GitHub secrets
+3. Push your code to GitHub; the workflow logs in with OIDC, pushes the image to the registry and updates the container app
+4. Open the \`app_url\` Terraform output`,
+    'netlify': `1. Create the site once and note its Site ID (Site configuration > General):
+   \`\`\`bash
+   npx netlify-cli sites:create
+   \`\`\`
+2. Add a personal access token as \`NETLIFY_AUTH_TOKEN\` and the Site ID as \`NETLIFY_SITE_ID\` GitHub secrets
+3. Push your code to GitHub; the workflow runs \`netlify deploy --build --prod\`
+4. Or deploy manually with \`npx netlify-cli deploy --build --prod\``,
+    'cloudflare': `1. Create an API token with the "Edit Cloudflare Workers" template and add it as the \`CLOUDFLARE_API_TOKEN\` GitHub secret
+2. Add your account ID as the \`CLOUDFLARE_ACCOUNT_ID\` GitHub secret
+3. Remix only: create the Pages project once with \`npx wrangler pages project create <name>\` (the name in wrangler.toml)
+4. Push your code to GitHub; the workflow builds the app and deploys it with wrangler
+5. Or deploy manually with \`npx wrangler deploy\` (\`npx wrangler pages deploy\` for Remix) after a build`,
+    'render': `1. In the Render dashboard, create a Blueprint from this repository; it reads render.yaml
+2. Fill in the variables marked \`sync: false\` when Render asks for them
+3. Copy the web service's deploy hook (Settings > Deploy Hook) into the \`RENDER_DEPLOY_HOOK_URL\` GitHub secret
+4. Push your code to GitHub; the workflow builds the app and calls the deploy hook`,
+    'railway': `1. Create a project and a service named after this project (or set \`railwayService\`):
+   \`\`\`bash
+   npx @railway/cli init
+   \`\`\`
+2. With database:postgres, add a PostgreSQL database and set the service's \`DATABASE_URL\` to \`\${{Postgres.DATABASE_URL}}\`
+3. Set the variables from .env.example on the service
+4. Create a project token and add it as the \`RAILWAY_TOKEN\` GitHub secret
+5. Push your code to GitHub; the workflow runs \`railway up\` with the settings in railway.json`
   };
   
-  return instructions[deployTarget] || '1. Push your code to GitHub\n2. Follow the deployment guide';
+  const steps = instructions[deployTarget] || '1. Push your code to GitHub\n2. Follow the deployment guide';
+  return usesOidc(projectDetails) ? `${renderOidcSetup(projectDetails)}\n\n${steps}` : steps;
 }
 
-function getDeploymentPrerequisites(deployTarget) {
+/**
+ * README steps creating what the OIDC login trusts: Terraform creates it for the repository,
+ * and its outputs become the GitHub secrets the workflows log in with
+ */
+function renderOidcSetup(projectDetails) {
+  const { deployConfig = {} } = projectDetails;
+  const secrets = getCloudAuthSecrets(projectDetails).map((secret) => `\`${secret}\``).join(' and ');
+  const repository = deployConfig.githubRepository
+    ? `\`${deployConfig.githubRepository}\``
+    : 'the repository set as `github_repository` in terraform/terraform.tfvars';
+  const pullRequests = previewWorkflowTemplates[projectDetails.deployTarget]
+    ? 'pull request previews log in as a separate identity that only reaches preview resources'
+    : 'pull requests build without logging in';
+
+  return `GitHub Actions logs in with OIDC, so no cloud keys are stored in GitHub. Before the first deploy, let Terraform create the identity that trusts ${repository}:
+
+\`\`\`bash
+cd terraform
+terraform init
+terraform apply
+terraform output github_actions_secrets
+\`\`\`
+
+Add the values of \`github_actions_secrets\` (${secrets}) as GitHub secrets. Pushes to \`main\` (or jobs in the deploy environment) may deploy; ${pullRequests}, and forks may not log in.`;
+}
+
+function getDeploymentPrerequisites(projectDetails) {
+  const { deployTarget } = projectDetails;
+  const authSecrets = getCloudAuthSecrets(projectDetails).map((secret) => `  - ${secret}`).join('\n');
   const prerequisites = {
     'aws-apprunner': `- AWS Account
 - AWS CLI configured
 - Terraform installed (optional, for infrastructure setup)
 - GitHub Secrets configured:
-  - AWS_ACCESS_KEY_ID
-  - AWS_SECRET_ACCESS_KEY
-  - APPRUNNER_SERVICE_ARN`,
+${authSecrets}
+  - APPRUNNER_SERVICE_ARN
+  - APPRUNNER_ECR_ACCESS_ROLE_ARN (pull request previews; the \`ecr_access_role_arn\` Terraform output)`,
+    'aws-ecs': `- AWS Account
+- AWS CLI configured
+- Terraform installed (creates the cluster, service and task definition the workflow deploys to)
+- GitHub Secrets configured:
+${authSecrets}`,
     'vercel': `- Vercel Account (free tier available)
 - GitHub repository
 - No manual secrets configuration needed! Vercel handles everything automatically when you connect your GitHub repo`,
     'gcp-cloudrun': `- Google Cloud Account
 - gcloud CLI configured
 - GitHub Secrets configured:
-  - GCP_SA_KEY
-  - GCP_PROJECT_ID`
+${authSecrets}
+  - GCP_PROJECT_ID`,
+    'fly': `- Fly.io Account
+- flyctl installed and logged in (\`fly auth login\`)
+- GitHub Secrets configured:
+  - FLY_API_TOKEN`,
+    'kubernetes': `- A Kubernetes cluster with an ingress controller (only needed when ingress is enabled)
+- kubectl and Helm 3 installed
+- Pull access to GitHub Container Registry for the cluster (make the package public or set \`imagePullSecrets\`)
+- GitHub Secrets configured:
+  - KUBE_CONFIG
+  - HELM_SECRET_VALUES`,
+    'azure-containerapps': `- Azure Subscription
+- Azure CLI installed and logged in (\`az login\`)
+- Terraform installed (creates the container app and the identity the workflow logs in with)
+- GitHub Secrets configured (no client secret, the workflow uses OIDC):
+  - AZURE_CLIENT_ID
+  - AZURE_TENANT_ID
+  - AZURE_SUBSCRIPTION_ID`,
+    'netlify': `- Netlify Account (free tier available)
+- GitHub Secrets configured:
+  - NETLIFY_AUTH_TOKEN
+  - NETLIFY_SITE_ID`,
+    'cloudflare': `- Cloudflare Account (free tier available)
+- GitHub Secrets configured:
+  - CLOUDFLARE_API_TOKEN
+  - CLOUDFLARE_ACCOUNT_ID`,
+    'render': `- Render Account with access to this GitHub repository
+- GitHub Secrets configured:
+  - RENDER_DEPLOY_HOOK_URL`,
+    'railway': `- Railway Account
+- GitHub Secrets configured:
+  - RAILWAY_TOKEN (project token)`
   };
 
   return prerequisites[deployTarget] || 'Check documentation for deployment requirements.';
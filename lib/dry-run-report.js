@@ -0,0 +1,112 @@
+import chalk from 'chalk';
+import { relative, sep } from 'path';
+import { createUnifiedDiff } from './utils/merge.js';
+
+function toRelative(root, path) {
+  return relative(root, path).split(sep).join('/') || '.';
+}
+
+/**
+ * Build a serialisable report of everything recorded during a dry run
+ */
+export function buildDryRunReport(recorder, root = process.cwd()) {
+  const files = [...recorder.files.entries()]
+    .map(([path, { content, original }]) => {
+      const file = toRelative(root, path);
+
+      if (original === null) {
+        return { path: file, status: 'create', lines: content.split('\n').length, content };
+      }
+      if (original === content) {
+        return { path: file, status: 'unchanged' };
+      }
+      return { path: file, status: 'modify', diff: createUnifiedDiff(file, original, content) };
+    })
+    .sort((a, b) => a.path.localeCompare(b.path));
+
+  return {
+    dryRun: true,
+    commands: recorder.commands.map(({ command, cwd }) => ({ command, cwd: toRelative(root, cwd) })),
+    directories: [...recorder.directories].map((dir) => toRelative(root, dir)).sort(),
+    files,
+    failures: [...recorder.failures],
+  };
+}
+
+function renderTree(paths) {
+  const tree = {};
+  for (const path of paths) {
+    let node = tree;
+    for (const part of path.split('/')) {
+      node = node[part] = node[part] || {};
+    }
+  }
+
+  const lines = [];
+  const walk = (node, prefix) => {
+    const entries = Object.keys(node).sort();
+    entries.forEach((name, index) => {
+      const last = index === entries.length - 1;
+      const isDir = Object.keys(node[name]).length > 0;
+      lines.push(`${prefix}${last ? '└── ' : '├── '}${name}${isDir ? '/' : ''}`);
+      walk(node[name], prefix + (last ? '    ' : '│   '));
+    });
+  };
+  walk(tree, '  ');
+
+  return lines.join('\n');
+}
+
+/**
+ * Print a dry-run report as a human readable summary or as JSON
+ */
+export function printDryRunReport(recorder, { json = false } = {}) {
+  const report = buildDryRunReport(recorder);
+
+  if (json) {
+    process.stdout.write(JSON.stringify(report, null, 2) + '\n');
+    return;
+  }
+
+  console.log(chalk.bold('\nDry run: no files were written and no commands were executed.\n'));
+
+  if (report.commands.length > 0) {
+    console.log(chalk.cyan('Commands:'));
+    for (const { command, cwd } of report.commands) {
+      console.log(`  ${chalk.gray(`[${cwd}]`)} $ ${command}`);
+    }
+    console.log('');
+  }
+
+  if (report.files.length > 0) {
+    console.log(chalk.cyan('Files:'));
+    console.log(renderTree(report.files.map((file) => file.path)));
+    console.log('');
+
+    for (const file of report.files) {
+      if (file.status === 'create') {
+        console.log(chalk.green(`+ ${file.path} (new, ${file.lines} lines)`));
+      } else if (file.status === 'modify') {
+        console.log(chalk.yellow(`~ ${file.path} (modified)`));
+        console.log(chalk.gray(file.diff));
+      } else {
+        console.log(chalk.gray(`= ${file.path} (unchanged)`));
+      }
+    }
+  }
+
+  if (report.failures.length > 0) {
+    console.log(chalk.red('\nFailed steps (not included above):'));
+    for (const failure of report.failures) {
+      console.log(chalk.red(`  ✗ ${failure}`));
+    }
+  }
+}
+
+/**
+ * Send log output to stderr so stdout only carries the JSON report
+ */
+export function redirectLogsToStderr() {
+  console.log = console.error;
+  console.info = console.error;
+}
@@ -0,0 +1,63 @@
+// Environment whose resources keep the project name and whose deploys need a reviewer
+export const PRODUCTION_ENVIRONMENT = 'production';
+
+// Branch each well-known environment deploys from; others deploy from a branch of the same name
+const DEFAULT_BRANCHES = {
+  production: 'main',
+  staging: 'staging',
+  dev: 'develop',
+  development: 'develop',
+};
+
+/**
+ * Parse a deploy environment list such as "staging,production" or "staging:develop,production:main".
+ * Accepts a comma-separated string or an array of "name[:branch]" entries.
+ *
+ * @returns {{ name: string, branch: string }[]}
+ */
+export function parseEnvironments(value) {
+  if (!value) {
+    return [];
+  }
+
+  const entries = Array.isArray(value) ? value : String(value).split(',');
+
+  return entries
+    .map((entry) => entry.trim())
+    .filter(Boolean)
+    .map((entry) => {
+      const [name, branch] = entry.split(':');
+      return { name, branch: branch || DEFAULT_BRANCHES[name] || name };
+    });
+}
+
+/**
+ * Format environments back into the "name:branch" form accepted by parseEnvironments
+ */
+export function formatEnvironments(environments = []) {
+  return environments.map(({ name, branch }) => `${name}:${branch}`);
+}
+
+/**
+ * Name of the cloud resources for an environment: production keeps the project name,
+ * the others get the environment as a suffix so they can share an account
+ */
+export function getEnvironmentResourceName(projectName, environment) {
+  if (!environment || environment.name === PRODUCTION_ENVIRONMENT) {
+    return projectName;
+  }
+  return `${projectName}-${environment.name}`;
+}
+
+/**
+ * Render .env.<environment>.example from the project's env template
+ */
+export function renderEnvironmentEnvTemplate(envTemplate, environment) {
+  const base = envTemplate.trim() ? envTemplate.replace(/^APP_ENV=.*\n?/m, '') : 'NODE_ENV=production\n';
+
+  return `# ${environment.name} environment (deployed from the ${environment.branch} branch)
+# Set these values in the ${environment.name} GitHub Environment or on the platform, never commit real secrets
+
+APP_ENV=${environment.name}
+${base.endsWith('\n') ? base : `${base}\n`}`;
+}
@@ -1,16 +1,35 @@
-import { execa } from 'execa';
+import { execa, isDryRun, recordCommand } from './utils/io.js';
 import { join } from 'path';
 import chalk from 'chalk';
 import { logger } from './utils/logger.js';
+import { DEFAULT_PACKAGE_MANAGER } from './package-manager.js';
+import { scaffoldProject } from './project-scaffolder.js';
 
 export async function wrapFrameworkCommand(projectDetails) {
-  const { projectName, framework, frameworkConfig, features } = projectDetails;
+  const { projectName, framework, frameworkConfig, features, packageManager = DEFAULT_PACKAGE_MANAGER } = projectDetails;
   
   logger.startSpinner(`Creating ${frameworkConfig.displayName} project...`);
 
   try {
+    // Frameworks without a suitable create command are rendered from project-templates/
+    if (frameworkConfig.template) {
+      const projectPath = join(process.cwd(), projectName);
+      await scaffoldProject(frameworkConfig.template, projectPath, projectDetails);
+
+      if (!projectDetails.skipInstall) {
+        logger.info(chalk.gray(`Running: ${packageManager} install`));
+        await execa(packageManager, ['install'], { cwd: projectPath, stdio: 'pipe' });
+      }
+
+      const created = isDryRun() ? 'Would create' : 'Created';
+      logger.stopSpinner(true, `${created} ${frameworkConfig.displayName} project from the built-in template`);
+      return;
+    }
+
     // Build command arguments
     const args = [];
+    // Set for CLIs that cannot install with the chosen package manager themselves
+    let installAfterCreate = false;
     
     if (framework === 'nextjs') {
       args.push('create-next-app@latest');
@@ -29,6 +48,8 @@ export async function wrapFrameworkCommand(projectDetails) {
         ));
       }
       
+      args.push(`--use-${packageManager}`);
+
       // Skip installation if requested
       if (projectDetails.skipInstall) {
         args.push('--skip-install');
@@ -39,7 +60,7 @@ export async function wrapFrameworkCommand(projectDetails) {
       args.push(projectName);
       
       // Add package manager to avoid interactive prompt
-      args.push('--packageManager', 'yarn');
+      args.push('--packageManager', packageManager);
       
       // Skip git init as we handle it separately
       args.push('--gitInit=false');
@@ -61,6 +82,7 @@ export async function wrapFrameworkCommand(projectDetails) {
       
       // Add --yes to accept defaults and avoid prompts
       args.push('--yes');
+      args.push('--package-manager', packageManager);
       
       if (features.includes('typescript')) {
         args.push('--typescript');
@@ -69,6 +91,36 @@ export async function wrapFrameworkCommand(projectDetails) {
       if (projectDetails.skipInstall) {
         args.push('--no-install');
       }
+    } else if (framework === 'sveltekit') {
+      args.push('sv@latest');
+      args.push('create');
+      args.push(projectName);
+
+      // Minimal TypeScript template without the add-on prompt
+      args.push(...frameworkConfig.defaultArgs);
+
+      if (projectDetails.skipInstall) {
+        args.push('--no-install');
+      } else {
+        args.push('--install', packageManager);
+      }
+    } else if (framework === 'astro') {
+      args.push('create-astro@latest');
+      args.push(projectName);
+      args.push(...frameworkConfig.defaultArgs);
+
+      // create-astro installs with the package manager that launched it, i.e. npm
+      args.push('--no-install');
+      installAfterCreate = !projectDetails.skipInstall;
+    }
+
+    if (isDryRun()) {
+      recordCommand(`npx ${args.join(' ')}`, process.cwd());
+      if (installAfterCreate) {
+        recordCommand(`${packageManager} install`, join(process.cwd(), projectName));
+      }
+      logger.stopSpinner(true, `Would create ${frameworkConfig.displayName} project (dry run)`);
+      return;
     }
 
     // Execute the framework's create command
@@ -95,6 +147,14 @@ export async function wrapFrameworkCommand(projectDetails) {
 
     await subprocess;
 
+    if (installAfterCreate) {
+      logger.info(chalk.gray(`Running: ${packageManager} install`));
+      await execa(packageManager, ['install'], {
+        cwd: join(process.cwd(), projectName),
+        stdio: 'pipe',
+      });
+    }
+
     logger.stopSpinner(true, `${frameworkConfig.displayName} project created successfully!`);
   } catch (error) {
     logger.stopSpinner(false, 'Failed to create project');
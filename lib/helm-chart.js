@@ -0,0 +1,178 @@
+import { readdirSync, readFileSync } from 'fs';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Directory the chart is written to, relative to the project
+export const HELM_CHART_DIR = 'chart';
+
+// Variables whose values belong in a Kubernetes Secret rather than the ConfigMap
+const SECRET_ENV_PATTERN = /SECRET|PASSWORD|TOKEN|_KEY$|^KEY$|DSN|CREDENTIALS|DATABASE_URL|REDIS_URL/;
+
+// Set by the chart itself from .Values.containerPort
+const RESERVED_ENV = ['PORT'];
+
+/**
+ * Get the directory holding the static chart files (Go templates, copied verbatim)
+ */
+export function getHelmTemplateDir() {
+  // Relative to the module, not the project
+  return join(__dirname, '..', 'deploy-templates', 'helm');
+}
+
+function listTemplateFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = join(dir, entry.name);
+    return entry.isDirectory() ? listTemplateFiles(entryPath) : [entryPath];
+  });
+}
+
+/**
+ * Parse the active KEY=value lines of an env template.
+ * Commented-out variables are optional and left out of the chart.
+ */
+export function parseEnvTemplate(content = '') {
+  const env = {};
+
+  for (const line of content.split('\n')) {
+    const match = line.match(/^\s*(?:export\s+)?([A-Za-z_][A-Za-z0-9_]*)\s*=\s*(.*)$/);
+    if (!match || RESERVED_ENV.includes(match[1])) {
+      continue;
+    }
+
+    env[match[1]] = match[2].trim().replace(/^(['"])(.*)\1$/, '$2');
+  }
+
+  return env;
+}
+
+/**
+ * Split env template variables into plain config and secrets
+ */
+export function splitEnv(env) {
+  const config = {};
+  const secrets = {};
+
+  for (const [name, value] of Object.entries(env)) {
+    if (SECRET_ENV_PATTERN.test(name)) {
+      secrets[name] = value;
+    } else {
+      config[name] = value;
+    }
+  }
+
+  return { config, secrets };
+}
+
+function renderMap(map, indent) {
+  const entries = Object.entries(map);
+  if (entries.length === 0) {
+    return ' {}';
+  }
+
+  return entries.map(([name, value]) => `\n${indent}${name}: ${JSON.stringify(value)}`).join('');
+}
+
+/**
+ * Render Chart.yaml
+ */
+export function renderChartFile(projectDetails) {
+  const { projectName } = projectDetails;
+
+  return `apiVersion: v2
+name: ${projectName}
+description: Helm chart for ${projectName}
+type: application
+version: 0.1.0
+appVersion: "0.1.0"
+`;
+}
+
+/**
+ * Render values.yaml with the framework's port and health check and the env template's variables.
+ * Secret values are left empty; the deploy workflow supplies them with -f.
+ */
+export function renderValuesFile(projectDetails, envTemplate) {
+  const { projectName, frameworkConfig = {}, deployConfig = {} } = projectDetails;
+  const { config, secrets } = splitEnv(parseEnvTemplate(envTemplate));
+  const emptySecrets = Object.fromEntries(Object.keys(secrets).map((name) => [name, '']));
+  const ingressHost = deployConfig.ingressHost || '';
+
+  return `replicaCount: 2
+
+image:
+  # Set by the deploy workflow with --set image.repository and --set image.tag
+  repository: ghcr.io/OWNER/${projectName}
+  tag: ""
+  pullPolicy: IfNotPresent
+
+imagePullSecrets: []
+fullnameOverride: ""
+
+containerPort: ${frameworkConfig.port || 3000}
+terminationGracePeriodSeconds: 30
+
+healthCheck:
+  path: ${JSON.stringify(frameworkConfig.healthCheckPath || '/')}
+  initialDelaySeconds: 10
+  periodSeconds: 10
+
+service:
+  type: ClusterIP
+  port: 80
+
+ingress:
+  enabled: ${Boolean(ingressHost)}
+  className: ""
+  annotations: {}
+  hosts:
+    - host: ${JSON.stringify(ingressHost || `${projectName}.example.com`)}
+      paths:
+        - path: /
+          pathType: Prefix
+  tls: []
+
+resources:
+  requests:
+    cpu: 100m
+    memory: 256Mi
+  limits:
+    memory: 512Mi
+
+autoscaling:
+  enabled: true
+  minReplicas: 2
+  maxReplicas: 10
+  targetCPUUtilizationPercentage: 70
+  targetMemoryUtilizationPercentage: 80
+
+# Plain environment variables, stored in a ConfigMap
+env:${renderMap(config, '  ')}
+
+# Sensitive environment variables, stored in a Secret. Never commit real values:
+# pass them at deploy time (the HELM_SECRET_VALUES GitHub secret) or point existingSecret at a Secret you manage.
+secretEnv:${renderMap(emptySecrets, '  ')}
+
+existingSecret: ""
+`;
+}
+
+/**
+ * Render the Helm chart for a Kubernetes deployment, keyed by project-relative path
+ */
+export function renderHelmChart(projectDetails, envTemplate = '') {
+  const templateDir = getHelmTemplateDir();
+  const files = {
+    [`${HELM_CHART_DIR}/Chart.yaml`]: renderChartFile(projectDetails),
+    [`${HELM_CHART_DIR}/values.yaml`]: renderValuesFile(projectDetails, envTemplate),
+  };
+
+  for (const sourcePath of listTemplateFiles(templateDir)) {
+    const relativePath = relative(templateDir, sourcePath).split(/[\\/]/).join('/');
+    files[`${HELM_CHART_DIR}/${relativePath}`] = readFileSync(sourcePath, 'utf8');
+  }
+
+  return files;
+}
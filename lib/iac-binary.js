@@ -0,0 +1,88 @@
+// Not the io wrapper: the probe is read-only, so a dry run still reports what is installed
+import { execSync } from 'child_process';
+
+export const DEFAULT_IAC_BINARY = 'terraform';
+
+/**
+ * CLIs that can run the generated Terraform configuration. OpenTofu, the fork made after
+ * Terraform's license change, accepts the same templates, commands and flags.
+ */
+export const IAC_BINARIES = {
+  terraform: {
+    displayName: 'Terraform',
+    // workspace select -or-create, used for deploy environments
+    minimumVersion: '1.4.0',
+    // Homebrew core stopped at 1.5.7, the last release before the license change
+    install: [
+      ['brew install hashicorp/tap/terraform', 'macOS'],
+      ['https://developer.hashicorp.com/terraform/install', 'other platforms'],
+    ],
+  },
+  tofu: {
+    displayName: 'OpenTofu',
+    minimumVersion: '1.6.0',
+    install: [
+      ['brew install opentofu', 'macOS'],
+      ['https://opentofu.org/docs/intro/install/', 'other platforms'],
+    ],
+  },
+};
+
+/**
+ * Look up an IaC binary, falling back to the default
+ */
+export function getIacBinary(name = DEFAULT_IAC_BINARY) {
+  const binary = IAC_BINARIES[name];
+  if (!binary) {
+    throw new Error(`Unknown IaC binary "${name}". Available: ${Object.keys(IAC_BINARIES).join(', ')}`);
+  }
+  return { name, ...binary };
+}
+
+/**
+ * Version from the output of `<binary> version`, e.g. "OpenTofu v1.8.2" gives [1, 8, 2]
+ */
+export function parseIacVersion(output) {
+  const match = output.match(/v(\d+)\.(\d+)\.(\d+)/);
+  return match ? match.slice(1).map(Number) : null;
+}
+
+/**
+ * Whether a parsed version is at least the binary's minimum version
+ */
+export function isSupportedIacVersion(version, minimumVersion) {
+  const minimum = minimumVersion.split('.').map(Number);
+  for (let i = 0; i < minimum.length; i++) {
+    if (version[i] !== minimum[i]) {
+      return version[i] > minimum[i];
+    }
+  }
+  return true;
+}
+
+/**
+ * Find the installed binary to run: the requested one, otherwise terraform, then tofu.
+ * Returns null when none of them is installed.
+ */
+export function detectIacBinary(requested) {
+  const candidates = requested ? [requested] : Object.keys(IAC_BINARIES);
+
+  for (const name of candidates) {
+    let output;
+    try {
+      output = execSync(`${name} version`, { encoding: 'utf8', stdio: 'pipe' });
+    } catch {
+      continue;
+    }
+
+    const binary = getIacBinary(name);
+    const version = parseIacVersion(output);
+    return {
+      ...binary,
+      versionLine: output.split('\n')[0],
+      supported: version !== null && isSupportedIacVersion(version, binary.minimumVersion),
+    };
+  }
+
+  return null;
+}
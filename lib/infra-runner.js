@@ -0,0 +1,114 @@
+import { join } from 'path';
+import { existsSync } from './utils/io.js';
+import { logger } from './utils/logger.js';
+import { MANIFEST_FILE, projectDetailsFromManifest, readManifest } from './manifest.js';
+import { TerraformExecutor } from './terraform-executor.js';
+import { IAC_BINARIES } from './iac-binary.js';
+import { unknownValueMessage, validateIacBinary } from './validation.js';
+
+export const INFRA_ACTIONS = ['plan', 'apply', 'destroy', 'outputs'];
+
+/**
+ * Deploy environment to run against: required when the project has environments, rejected otherwise
+ */
+function resolveEnvironment(projectDetails, name) {
+  const names = projectDetails.environments.map((environment) => environment.name);
+
+  if (!name) {
+    if (names.length > 0) {
+      throw new Error(`This project has deploy environments (${names.join(', ')}); pick one with --env`);
+    }
+    return null;
+  }
+
+  if (names.length === 0) {
+    throw new Error('This project has no deploy environments; run without --env');
+  }
+  if (!names.includes(name)) {
+    throw new Error(unknownValueMessage('environment', name, names));
+  }
+  return name;
+}
+
+/**
+ * Run plan, apply, destroy or outputs against the terraform/ directory of an existing project.
+ * Resolves to false when the binary fails or the apply is declined, so the CLI exits non-zero.
+ *
+ * @param {string} projectPath root of a project created with create-fde-app
+ * @param {string} action one of INFRA_ACTIONS
+ * @param {object} [options] env, autoApprove, allowDestroy, iacBinary and json from the command line
+ */
+export async function runInfraCommand(projectPath, action, options = {}) {
+  if (!INFRA_ACTIONS.includes(action)) {
+    throw new Error(unknownValueMessage('infra action', action, INFRA_ACTIONS));
+  }
+
+  const manifest = readManifest(projectPath);
+  if (!manifest) {
+    throw new Error(
+      `No ${MANIFEST_FILE} found in ${projectPath}. Run infra from the root of a project created with create-fde-app.`
+    );
+  }
+
+  if (options.iacBinary) {
+    const iacBinaryError = validateIacBinary(options.iacBinary);
+    if (iacBinaryError) {
+      throw new Error(iacBinaryError);
+    }
+  }
+
+  const manifestDetails = projectDetailsFromManifest(manifest);
+  const projectDetails = {
+    ...manifestDetails,
+    iacBinary: options.iacBinary || manifestDetails.iacBinary,
+    // Destroying is what the destroy action is for
+    allowDestroy: options.allowDestroy || action === 'destroy',
+  };
+
+  if (!existsSync(join(projectPath, 'terraform'))) {
+    throw new Error(`No terraform/ directory in ${projectPath}; the project was created without the terraform feature`);
+  }
+
+  const environment = resolveEnvironment(projectDetails, options.env);
+  const executor = new TerraformExecutor(projectPath, projectDetails.deployTarget, projectDetails, {
+    environment,
+    autoApprove: options.autoApprove || false,
+    // Send the binary's own output to stderr, keeping stdout for the JSON result
+    stdio: options.json ? ['inherit', 2, 'inherit'] : 'inherit',
+  });
+
+  if (!(await executor.checkTerraformInstalled())) {
+    const candidates = projectDetails.iacBinary ? [IAC_BINARIES[projectDetails.iacBinary]] : Object.values(IAC_BINARIES);
+    const names = candidates.map(({ displayName }) => displayName);
+    const links = candidates.map(({ install }) => install.at(-1)[0]);
+    throw new Error(`${names.join(' or ')} is not installed. Install it from ${links.join(' or ')}`);
+  }
+
+  if (!(await executor.runInit()) || (environment && !(await executor.selectWorkspace()))) {
+    return false;
+  }
+
+  if (action === 'outputs') {
+    if (!executor.showOutputs({ json: options.json })) {
+      logger.error('Could not read the Terraform outputs');
+      return false;
+    }
+    return true;
+  }
+
+  if (!(await executor.runPlan({ destroy: action === 'destroy' }))) {
+    return false;
+  }
+
+  if (action === 'plan') {
+    if (options.json) {
+      if (!executor.planSummary) {
+        return false;
+      }
+      process.stdout.write(`${JSON.stringify(executor.planSummary, null, 2)}\n`);
+    }
+    return true;
+  }
+
+  return executor.runApply();
+}
@@ -0,0 +1,217 @@
+import { createHash } from 'crypto';
+import { readdir, readFile } from 'fs/promises';
+import { existsSync, readFileSync, writeFile } from './utils/io.js';
+import { join, dirname, relative, sep } from 'path';
+import { fileURLToPath } from 'url';
+import { formatEnvironments, parseEnvironments } from './environments.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+export const MANIFEST_FILE = 'fde.json';
+export const MANIFEST_VERSION = 1;
+
+// Directories that are never part of the generated output
+const IGNORED_DIRECTORIES = new Set([
+  'node_modules',
+  '.git',
+  '.fde',
+  '.next',
+  '.nuxt',
+  '.output',
+  '.cache',
+  '.terraform',
+  'build',
+  'dist',
+]);
+
+const packageJson = JSON.parse(readFileSync(join(__dirname, '..', 'package.json'), 'utf8'));
+const frameworksConfig = JSON.parse(
+  readFileSync(join(__dirname, '..', 'config', 'frameworks.json'), 'utf8')
+);
+const deployTargetsConfig = JSON.parse(
+  readFileSync(join(__dirname, '..', 'config', 'deploy-targets.json'), 'utf8')
+);
+
+// The running create-fde-app release
+export const generator = {
+  name: packageJson.name,
+  version: packageJson.version,
+};
+
+/**
+ * Compute the sha256 hash of a string or buffer
+ */
+export function hashContent(content) {
+  return createHash('sha256').update(content).digest('hex');
+}
+
+/**
+ * Hash every file of a project, keyed by its POSIX path relative to the project root
+ */
+export async function snapshotProject(projectPath) {
+  const snapshot = new Map();
+
+  async function walk(dir) {
+    let entries;
+    try {
+      entries = await readdir(dir, { withFileTypes: true });
+    } catch {
+      return;
+    }
+
+    for (const entry of entries) {
+      const entryPath = join(dir, entry.name);
+      if (entry.isDirectory()) {
+        if (!IGNORED_DIRECTORIES.has(entry.name)) {
+          await walk(entryPath);
+        }
+      } else if (entry.isFile()) {
+        const relativePath = relative(projectPath, entryPath).split(sep).join('/');
+        if (relativePath !== MANIFEST_FILE) {
+          snapshot.set(relativePath, hashContent(await readFile(entryPath)));
+        }
+      }
+    }
+  }
+
+  await walk(projectPath);
+  return snapshot;
+}
+
+/**
+ * Records files written by each generation step by comparing project snapshots
+ */
+export class ManifestRecorder {
+  constructor(projectPath, files = {}) {
+    this.projectPath = projectPath;
+    this.files = { ...files };
+    this.snapshot = null;
+  }
+
+  /**
+   * Snapshot the project and attribute every new or changed file to `source`.
+   * The first call only records the baseline.
+   */
+  async checkpoint(source) {
+    const snapshot = await snapshotProject(this.projectPath);
+
+    if (this.snapshot) {
+      for (const [file, sha256] of snapshot) {
+        if (this.snapshot.get(file) !== sha256) {
+          this.files[file] = { sha256, source };
+        }
+      }
+    }
+
+    this.snapshot = snapshot;
+  }
+}
+
+/**
+ * Build the manifest describing a generated project
+ */
+export function createManifest(projectDetails, files = {}) {
+  const {
+    projectName,
+    framework,
+    deployTarget,
+    features,
+    augmentations,
+    monorepo,
+    monorepoPath,
+    packageManager,
+    iacBinary,
+    environments = [],
+    deployConfig = {},
+  } = projectDetails;
+
+  // Only keep values supplied by the user, not the static target description
+  const staticConfig = deployTargetsConfig[deployTarget] || {};
+  const userDeployConfig = Object.fromEntries(
+    Object.entries(deployConfig).filter(([key]) => !(key in staticConfig))
+  );
+
+  return {
+    manifestVersion: MANIFEST_VERSION,
+    generator: { ...generator },
+    createdAt: new Date().toISOString(),
+    project: {
+      name: projectName,
+      framework,
+      deployTarget,
+      features: features || [],
+      augmentations: augmentations || [],
+      packageManager,
+      iacBinary,
+      monorepo: monorepo || false,
+      monorepoPath: monorepo ? monorepoPath : undefined,
+      environments: environments.length > 0 ? formatEnvironments(environments) : undefined,
+    },
+    deployConfig: userDeployConfig,
+    files: sortFiles(files),
+  };
+}
+
+/**
+ * Rebuild the project details used by the generator from a manifest
+ */
+export function projectDetailsFromManifest(manifest) {
+  const { project, deployConfig = {} } = manifest;
+
+  return {
+    projectName: project.name,
+    framework: project.framework,
+    deployTarget: project.deployTarget,
+    features: project.features || [],
+    augmentations: project.augmentations || [],
+    // Manifests written before package manager support was added are yarn projects
+    packageManager: project.packageManager || 'yarn',
+    iacBinary: project.iacBinary,
+    monorepo: project.monorepo || false,
+    monorepoPath: project.monorepoPath || 'apps/',
+    environments: parseEnvironments(project.environments),
+    frameworkConfig: frameworksConfig[project.framework],
+    deployConfig: {
+      ...deployTargetsConfig[project.deployTarget],
+      ...deployConfig,
+    },
+  };
+}
+
+/**
+ * Read the manifest of an existing project, or null when it has none
+ */
+export function readManifest(projectPath) {
+  const manifestPath = join(projectPath, MANIFEST_FILE);
+
+  if (!existsSync(manifestPath)) {
+    return null;
+  }
+
+  try {
+    return JSON.parse(readFileSync(manifestPath, 'utf8'));
+  } catch (error) {
+    throw new Error(`Invalid ${MANIFEST_FILE}: ${error.message}`);
+  }
+}
+
+/**
+ * Write the manifest into the project root
+ */
+export async function writeManifest(projectPath, manifest) {
+  const content = {
+    ...manifest,
+    files: sortFiles(manifest.files || {}),
+  };
+
+  await writeFile(join(projectPath, MANIFEST_FILE), JSON.stringify(content, null, 2) + '\n');
+}
+
+function sortFiles(files) {
+  return Object.fromEntries(
+    Object.keys(files)
+      .sort()
+      .map((file) => [file, files[file]])
+  );
+}
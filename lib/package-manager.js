@@ -0,0 +1,112 @@
+import { join } from 'path';
+import { existsSync, readFileSync } from './utils/io.js';
+
+export const DEFAULT_PACKAGE_MANAGER = 'yarn';
+
+/**
+ * Commands and files that differ between package managers
+ */
+export const PACKAGE_MANAGERS = {
+  yarn: {
+    lockfile: 'yarn.lock',
+    install: 'yarn install --frozen-lockfile',
+    installProduction: 'yarn install --frozen-lockfile --production',
+    add: 'yarn add',
+    addDev: 'yarn add --dev',
+    run: 'yarn',
+    // Yarn has no --if-present
+    runIfPresent: null,
+    // Yarn 1 ships with the node images; corepack enable would clash with its binary
+    dockerSetup: null,
+  },
+  npm: {
+    lockfile: 'package-lock.json',
+    install: 'npm ci',
+    installProduction: 'npm ci --omit=dev',
+    add: 'npm install',
+    addDev: 'npm install --save-dev',
+    run: 'npm run',
+    runIfPresent: 'npm run --if-present',
+    dockerSetup: null,
+  },
+  pnpm: {
+    lockfile: 'pnpm-lock.yaml',
+    install: 'pnpm install --frozen-lockfile',
+    installProduction: 'pnpm install --frozen-lockfile --prod',
+    add: 'pnpm add',
+    addDev: 'pnpm add --save-dev',
+    run: 'pnpm',
+    runIfPresent: 'pnpm run --if-present',
+    dockerSetup: 'corepack enable pnpm',
+  },
+  bun: {
+    lockfile: 'bun.lock',
+    install: 'bun install --frozen-lockfile',
+    installProduction: 'bun install --frozen-lockfile --production',
+    add: 'bun add',
+    addDev: 'bun add --dev',
+    run: 'bun run',
+    runIfPresent: 'bun run --if-present',
+    dockerSetup: 'npm install -g bun',
+  },
+};
+
+/**
+ * Look up a package manager, falling back to the default
+ */
+export function getPackageManager(name = DEFAULT_PACKAGE_MANAGER) {
+  const packageManager = PACKAGE_MANAGERS[name];
+  if (!packageManager) {
+    throw new Error(`Unknown package manager "${name}". Available: ${Object.keys(PACKAGE_MANAGERS).join(', ')}`);
+  }
+  return { name, ...packageManager };
+}
+
+/**
+ * Command that runs a package.json script, e.g. `pnpm build` or `npm run build`
+ */
+export function runScriptCommand(name, script) {
+  return `${getPackageManager(name).run} ${script}`;
+}
+
+/**
+ * Command that runs a package.json script only when the project defines it, e.g. `npm run --if-present lint`
+ */
+export function runScriptIfPresentCommand(name, script) {
+  const { run, runIfPresent } = getPackageManager(name);
+  if (runIfPresent) {
+    return `${runIfPresent} ${script}`;
+  }
+  return `if node -e "process.exit(require('./package.json').scripts?.['${script}'] ? 0 : 1)"; then ${run} ${script}; fi`;
+}
+
+/**
+ * Command that adds dependencies to a project
+ */
+export function addPackagesCommand(name, packages, { dev = false } = {}) {
+  const packageManager = getPackageManager(name);
+  return `${dev ? packageManager.addDev : packageManager.add} ${[].concat(packages).join(' ')}`;
+}
+
+/**
+ * Detect the package manager of an existing project from the packageManager
+ * field of package.json or its lockfile. Returns null when nothing matches.
+ */
+export function detectPackageManager(projectPath) {
+  const packageJsonPath = join(projectPath, 'package.json');
+  if (existsSync(packageJsonPath)) {
+    const { packageManager } = JSON.parse(readFileSync(packageJsonPath, 'utf8'));
+    const name = packageManager?.split('@')[0];
+    if (PACKAGE_MANAGERS[name]) {
+      return name;
+    }
+  }
+
+  for (const [name, { lockfile }] of Object.entries(PACKAGE_MANAGERS)) {
+    if (existsSync(join(projectPath, lockfile))) {
+      return name;
+    }
+  }
+  // Older bun releases write a binary lockfile
+  return existsSync(join(projectPath, 'bun.lockb')) ? 'bun' : null;
+}
@@ -56,7 +56,7 @@ export class PostProcessorLoader {
    * Get available post-processors
    */
   async getAvailableProcessors() {
-    const processors = ['nextjs', 'nuxtjs', 'remix'];
+    const processors = ['nextjs', 'nuxtjs', 'remix', 'sveltekit', 'astro', 'fastify'];
     const available = [];
 
     for (const name of processors) {
@@ -4,29 +4,38 @@ import { initGit } from './utils/git.js';
 import { postProcessorLoader } from './post-processor-loader.js';
 import { processAugmentations } from './augmentations-processor.js';
 
-export async function processProject(projectDetails) {
-  const { projectName, framework, initGit: shouldInitGit, augmentations } = projectDetails;
+/**
+ * Run the framework post-processor, the selected augmentations and git init.
+ * Resolves to the augmentations that were applied; failed ones are logged and skipped.
+ */
+export async function processProject(projectDetails, recorder) {
+  const { projectName, framework, initGit: shouldInitGit, augmentations, packageManager } = projectDetails;
   const projectPath = join(process.cwd(), projectName);
 
   logger.startSpinner('Processing project...');
+  let appliedAugmentations = [];
 
   try {
     // Use the new post-processor system
     await postProcessorLoader.process(framework, projectPath, projectDetails);
+    await recorder?.checkpoint('post-processor');
 
     // Process augmentations if any selected
     if (augmentations && augmentations.length > 0) {
       logger.startSpinner('Adding advanced features...');
-      await processAugmentations(projectPath, framework, augmentations);
+      appliedAugmentations = await processAugmentations(projectPath, framework, augmentations, packageManager);
       logger.stopSpinner(true, 'Advanced features added!');
+      await recorder?.checkpoint('augmentation');
     }
 
     // Initialize git if requested
     if (shouldInitGit) {
       await initGit(projectPath);
+      await recorder?.checkpoint('git');
     }
 
     logger.stopSpinner(true, 'Project processed successfully!');
+    return appliedAugmentations;
   } catch (error) {
     logger.stopSpinner(false, 'Failed to process project');
     throw error;
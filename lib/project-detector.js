@@ -0,0 +1,124 @@
+import { existsSync, readFileSync } from 'fs';
+import { join } from 'path';
+
+/**
+ * Signatures used to recognise the framework of an existing project.
+ * Dependencies are checked first, config files are the fallback.
+ */
+const frameworkSignatures = {
+  nextjs: {
+    dependencies: ['next'],
+    configFiles: ['next.config.js', 'next.config.mjs', 'next.config.ts'],
+  },
+  nuxtjs: {
+    dependencies: ['nuxt'],
+    configFiles: ['nuxt.config.ts', 'nuxt.config.js'],
+  },
+  remix: {
+    dependencies: ['@remix-run/react', '@remix-run/node', '@remix-run/dev'],
+    configFiles: ['remix.config.js'],
+  },
+  sveltekit: {
+    dependencies: ['@sveltejs/kit'],
+    configFiles: ['svelte.config.js'],
+  },
+  astro: {
+    dependencies: ['astro'],
+    configFiles: ['astro.config.mjs', 'astro.config.ts', 'astro.config.js'],
+  },
+  fastify: {
+    dependencies: ['fastify'],
+    configFiles: [],
+  },
+};
+
+/**
+ * Checks telling whether an augmentation has already been applied to a project
+ */
+const augmentationChecks = {
+  'database:postgres': (project) => project.prismaProvider === 'postgresql',
+  'database:mysql': (project) => project.prismaProvider === 'mysql',
+  'database:mongodb': (project) => project.prismaProvider === 'mongodb',
+  'auth:nextauth': (project) => project.hasDependency('next-auth'),
+  'auth:auth0': (project) =>
+    project.hasDependency('@auth0/nextjs-auth0', '@auth0/auth0-vue', 'remix-auth-auth0', '@auth0/auth0-react'),
+  'auth:cognito': (project) => project.hasDependency('aws-amplify'),
+  'monitoring:datadog': (project) => project.hasDependency('dd-trace'),
+  'utility:sentry': (project) => project.hasDependency('@sentry/nextjs', '@nuxtjs/sentry', '@sentry/sveltekit', '@sentry/astro', '@sentry/node'),
+  'utility:logging': (project) => project.hasDependency('winston'),
+  'utility:rate-limiting': (project) => project.hasDependency('rate-limiter-flexible', '@fastify/rate-limit'),
+  'utility:cors': (project) => project.hasFile('lib/cors/config.ts'),
+};
+
+/**
+ * Read package.json of an existing project
+ */
+export function readProjectPackageJson(projectPath) {
+  const packageJsonPath = join(projectPath, 'package.json');
+
+  if (!existsSync(packageJsonPath)) {
+    throw new Error(
+      `No package.json found in ${projectPath}. Run this command from the root of an existing project.`
+    );
+  }
+
+  return JSON.parse(readFileSync(packageJsonPath, 'utf8'));
+}
+
+/**
+ * Detect the framework of an existing project from package.json and config files
+ */
+export function detectFramework(projectPath) {
+  const packageJson = readProjectPackageJson(projectPath);
+  const dependencies = {
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+  };
+
+  for (const [framework, signature] of Object.entries(frameworkSignatures)) {
+    if (signature.dependencies.some((dep) => dep in dependencies)) {
+      return framework;
+    }
+  }
+
+  for (const [framework, signature] of Object.entries(frameworkSignatures)) {
+    if (signature.configFiles.some((file) => existsSync(join(projectPath, file)))) {
+      return framework;
+    }
+  }
+
+  return null;
+}
+
+/**
+ * Detect which augmentations have already been applied to an existing project
+ */
+export function detectAugmentations(projectPath) {
+  const packageJson = readProjectPackageJson(projectPath);
+  const dependencies = {
+    ...packageJson.dependencies,
+    ...packageJson.devDependencies,
+  };
+
+  const project = {
+    prismaProvider: readPrismaProvider(projectPath),
+    hasDependency: (...names) => names.some((name) => name in dependencies),
+    hasFile: (file) => existsSync(join(projectPath, file)),
+  };
+
+  return Object.entries(augmentationChecks)
+    .filter(([, check]) => check(project))
+    .map(([augmentation]) => augmentation);
+}
+
+function readPrismaProvider(projectPath) {
+  const schemaPath = join(projectPath, 'prisma', 'schema.prisma');
+
+  if (!existsSync(schemaPath)) {
+    return null;
+  }
+
+  const schema = readFileSync(schemaPath, 'utf8');
+  const match = schema.match(/datasource\s+\w+\s*{[^}]*provider\s*=\s*"(\w+)"/);
+  return match ? match[1] : null;
+}
@@ -0,0 +1,111 @@
+import { readdirSync, readFileSync as readTemplateFile } from 'fs';
+import { join, dirname, relative } from 'path';
+import { fileURLToPath } from 'url';
+import Handlebars from 'handlebars';
+import { existsSync, mkdir, readFile, writeFile } from './utils/io.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// npm drops .gitignore files when publishing, so templates ship them under this name
+const RENAMED_FILES = { _gitignore: '.gitignore' };
+
+/**
+ * Get the skeleton directory for a framework without an official create command
+ */
+export function getProjectTemplateDir(template) {
+  // Relative to the module, not the project
+  return join(__dirname, '..', 'project-templates', template);
+}
+
+function listTemplateFiles(dir) {
+  return readdirSync(dir, { withFileTypes: true }).flatMap((entry) => {
+    const entryPath = join(dir, entry.name);
+    return entry.isDirectory() ? listTemplateFiles(entryPath) : [entryPath];
+  });
+}
+
+/**
+ * Render a project skeleton from project-templates/<template>, keyed by file path
+ */
+export function renderProjectTemplate(template, projectDetails) {
+  const templateDir = getProjectTemplateDir(template);
+  const files = {};
+
+  for (const sourcePath of listTemplateFiles(templateDir)) {
+    const relativePath = relative(templateDir, sourcePath);
+    const fileName = relativePath.split(/[\\/]/).pop();
+    const targetPath = RENAMED_FILES[fileName]
+      ? join(dirname(relativePath), RENAMED_FILES[fileName])
+      : relativePath;
+
+    const content = readTemplateFile(sourcePath, 'utf8');
+    files[targetPath] = Handlebars.compile(content, { noEscape: true })({
+      projectName: projectDetails.projectName,
+    });
+  }
+
+  return files;
+}
+
+/**
+ * Write a project skeleton into a new project directory
+ */
+export async function scaffoldProject(template, projectPath, projectDetails) {
+  if (existsSync(projectPath)) {
+    throw new Error(`Directory ${projectPath} already exists`);
+  }
+
+  const files = renderProjectTemplate(template, projectDetails);
+  for (const [file, content] of Object.entries(files)) {
+    const filePath = join(projectPath, file);
+    await mkdir(dirname(filePath), { recursive: true });
+    await writeFile(filePath, content);
+  }
+}
+
+/**
+ * Register a plugin in the buildApp() of a Fastify skeleton, ahead of the routes.
+ * Returns false when src/app.ts is missing or does not have the expected shape.
+ *
+ * @param {string} projectPath
+ * @param {{ name: string, from: string, options?: string }} plugin
+ */
+export async function registerFastifyPlugin(projectPath, { name, from, options }) {
+  const appPath = join(projectPath, 'src', 'app.ts');
+  if (!existsSync(appPath)) {
+    return false;
+  }
+
+  let content = await readFile(appPath, 'utf-8');
+  if (content.includes(`from '${from}'`)) {
+    return true;
+  }
+
+  const routes = content.indexOf('  await app.register(healthRoutes);');
+  const imports = [...content.matchAll(/^import .*$/gm)];
+  if (routes === -1 || imports.length === 0) {
+    return false;
+  }
+
+  const registration = `  await app.register(${name}${options ? `, ${options}` : ''});\n`;
+  content = content.slice(0, routes) + registration + content.slice(routes);
+
+  const lastImport = imports[imports.length - 1];
+  const importEnd = lastImport.index + lastImport[0].length;
+  content = `${content.slice(0, importEnd)}\nimport ${name} from '${from}';${content.slice(importEnd)}`;
+
+  await writeFile(appPath, content);
+  return true;
+}
+
+/**
+ * Write a plugin to src/plugins/<file>.ts of a Fastify skeleton and register it in buildApp()
+ */
+export async function addFastifyPlugin(projectPath, { file, name, content }) {
+  const pluginsDir = join(projectPath, 'src', 'plugins');
+  await mkdir(pluginsDir, { recursive: true });
+  await writeFile(join(pluginsDir, `${file}.ts`), content);
+
+  return registerFastifyPlugin(projectPath, { name, from: `./plugins/${file}` });
+}
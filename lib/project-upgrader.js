@@ -0,0 +1,194 @@
+import { existsSync, mkdir, readFile, writeFile } from './utils/io.js';
+import { join, dirname } from 'path';
+import { logger } from './utils/logger.js';
+import { mergeThreeWay } from './utils/merge.js';
+import {
+  readEnvTemplate,
+  renderCiPipelines,
+  renderDockerfile,
+  renderDockerignore,
+  renderFlyConfig,
+  renderGitHubWorkflows,
+  renderNetlifyConfig,
+  renderRailwayConfig,
+  renderRenderBlueprint,
+  renderWranglerConfig,
+} from './deploy-injector.js';
+import { ciProviders } from './ci-providers/index.js';
+import { renderHelmChart } from './helm-chart.js';
+import { readTerraformTemplates } from './terraform-executor.js';
+import { renderStateFiles } from './terraform-state.js';
+import {
+  MANIFEST_FILE,
+  generator,
+  hashContent,
+  projectDetailsFromManifest,
+  readManifest,
+  writeManifest,
+} from './manifest.js';
+
+// Pristine renderings of the templates, used as the merge base on upgrade
+export const TEMPLATE_BASE_DIR = '.fde/templates';
+
+/**
+ * Render every deployment template a project uses, keyed by project-relative path.
+ * The Helm chart's values and the Render Blueprint are rendered from the env template in projectPath.
+ * With quiet set, nothing is logged, for renderings that are not written to the project.
+ */
+export async function renderProjectTemplates(projectDetails, projectPath, { quiet = false } = {}) {
+  const { framework, deployTarget, features, deployConfig } = projectDetails;
+  const templates = {};
+
+  if (features.includes('docker')) {
+    templates['Dockerfile'] = await renderDockerfile(framework, projectDetails, { quiet });
+    templates['.dockerignore'] = renderDockerignore();
+  }
+
+  if (features.includes('github-actions')) {
+    for (const workflow of await renderGitHubWorkflows(projectDetails)) {
+      templates[`.github/workflows/${workflow.fileName}`] = workflow.content;
+    }
+  }
+
+  for (const feature of Object.keys(ciProviders).filter((name) => features.includes(name))) {
+    for (const file of renderCiPipelines(projectDetails, feature)) {
+      templates[file.path] = file.content;
+    }
+  }
+
+  if (deployTarget === 'fly') {
+    templates['fly.toml'] = await renderFlyConfig(projectDetails);
+  }
+
+  if (deployTarget === 'netlify') {
+    templates['netlify.toml'] = await renderNetlifyConfig(projectDetails);
+  }
+
+  if (deployTarget === 'cloudflare') {
+    templates['wrangler.toml'] = await renderWranglerConfig(projectDetails);
+  }
+
+  if (deployTarget === 'render') {
+    templates['render.yaml'] = await renderRenderBlueprint(projectDetails, await readEnvTemplate(projectPath));
+  }
+
+  if (deployTarget === 'railway') {
+    templates['railway.json'] = renderRailwayConfig(projectDetails);
+  }
+
+  if (deployTarget === 'kubernetes') {
+    Object.assign(templates, renderHelmChart(projectDetails, await readEnvTemplate(projectPath)));
+  }
+
+  if (features.includes('terraform') && deployConfig.terraform) {
+    for (const [file, content] of Object.entries(readTerraformTemplates(deployTarget))) {
+      templates[`terraform/${file}`] = content;
+    }
+
+    // Like terraform.tfvars, the bootstrap variables hold the user's values
+    for (const [file, content] of Object.entries(renderStateFiles(projectDetails))) {
+      if (file !== 'bootstrap/terraform.tfvars') {
+        templates[`terraform/${file}`] = content;
+      }
+    }
+  }
+
+  return templates;
+}
+
+/**
+ * Store the renderings of templates present in the project as the base for later upgrades
+ */
+export async function saveTemplateBaseline(projectPath, templates) {
+  for (const [file, content] of Object.entries(templates)) {
+    if (existsSync(join(projectPath, file))) {
+      await writeBaseline(projectPath, file, content);
+    }
+  }
+}
+
+async function writeBaseline(projectPath, file, content) {
+  const basePath = join(projectPath, TEMPLATE_BASE_DIR, file);
+  await mkdir(dirname(basePath), { recursive: true });
+  await writeFile(basePath, content);
+}
+
+async function readIfExists(path) {
+  return existsSync(path) ? await readFile(path, 'utf-8') : null;
+}
+
+/**
+ * Re-render the templates of an existing project and three-way merge them
+ * with the user's files, using the stored baseline as the common ancestor.
+ *
+ * @returns {Promise<Array<{ file: string, status: string, conflicts?: number }>>}
+ */
+export async function upgradeProject(projectPath) {
+  const manifest = readManifest(projectPath);
+  if (!manifest) {
+    throw new Error(
+      `No ${MANIFEST_FILE} found in ${projectPath}. Run upgrade from the root of a project created with create-fde-app.`
+    );
+  }
+
+  const projectDetails = projectDetailsFromManifest(manifest);
+  const templates = await renderProjectTemplates(projectDetails, projectPath);
+  const labels = {
+    ours: 'current',
+    theirs: `create-fde-app ${generator.version}`,
+  };
+
+  const files = { ...manifest.files };
+  const results = [];
+
+  for (const [file, theirs] of Object.entries(templates)) {
+    const filePath = join(projectPath, file);
+    const base = await readIfExists(join(projectPath, TEMPLATE_BASE_DIR, file));
+    const ours = await readIfExists(filePath);
+
+    if (ours === null) {
+      // Respect files the user removed, but add templates that are new in this release
+      if (base !== null || files[file]) {
+        results.push({ file, status: 'skipped' });
+        continue;
+      }
+
+      await mkdir(dirname(filePath), { recursive: true });
+      await writeFile(filePath, theirs);
+      await writeBaseline(projectPath, file, theirs);
+      files[file] = { sha256: hashContent(theirs), source: 'upgrade' };
+      results.push({ file, status: 'added' });
+      continue;
+    }
+
+    // Without a stored baseline, an untouched file (hash matches the manifest) is its own base
+    let mergeBase = base;
+    if (mergeBase === null && files[file]?.sha256 === hashContent(ours)) {
+      mergeBase = ours;
+    }
+
+    const { content, conflicts } = mergeThreeWay(mergeBase ?? '', ours, theirs, labels);
+
+    if (content !== ours) {
+      await writeFile(filePath, content);
+      files[file] = { source: 'deploy', ...files[file], sha256: hashContent(content) };
+    }
+    await writeBaseline(projectPath, file, theirs);
+
+    if (conflicts > 0) {
+      results.push({ file, status: 'conflict', conflicts });
+    } else {
+      results.push({ file, status: content === ours ? 'unchanged' : 'updated' });
+    }
+  }
+
+  await writeManifest(projectPath, {
+    ...manifest,
+    generator: { ...generator },
+    updatedAt: new Date().toISOString(),
+    files,
+  });
+
+  logger.info(`Upgraded templates from create-fde-app ${manifest.generator?.version || 'unknown'} to ${generator.version}`);
+  return results;
+}
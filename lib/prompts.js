@@ -2,6 +2,11 @@ import inquirer from 'inquirer';
 import { existsSync } from 'fs';
 import { join } from 'path';
 import chalk from 'chalk';
+import { GITHUB_REPOSITORY_PATTERN, PROJECT_NAME_PATTERN, STATE_BUCKET_PATTERN } from './validation.js';
+import { DEFAULT_PACKAGE_MANAGER, PACKAGE_MANAGERS } from './package-manager.js';
+import { parseEnvironments } from './environments.js';
+import { OIDC_DEPLOY_TARGETS } from './cloud-auth.js';
+import { STATE_BACKENDS } from './terraform-state.js';
 import { readFileSync } from 'fs';
 import { fileURLToPath } from 'url';
 import { dirname } from 'path';
@@ -56,7 +61,10 @@ export async function promptQuestions() {
       choices: answers => {
         const choices = [
           { name: 'Docker containerization', value: 'docker' },
-          { name: 'GitHub Actions CI/CD', value: 'github-actions' }
+          { name: 'GitHub Actions CI/CD', value: 'github-actions' },
+          { name: 'GitLab CI/CD', value: 'gitlab-ci' },
+          { name: 'Bitbucket Pipelines', value: 'bitbucket-pipelines' },
+          { name: 'CircleCI', value: 'circleci' }
         ];
         
         // Add Terraform only for supported targets
@@ -109,29 +117,49 @@ export async function promptQuestions() {
   return await inquirer.prompt(questions);
 }
 
-export async function promptProjectDetails(projectName, options) {
+/**
+ * Collect project details from CLI options, environment variables and an optional
+ * config file (see lib/config-loader.js). Anything the config defines is not prompted for.
+ */
+export async function promptProjectDetails(projectName, options, fileConfig = null) {
+  const config = fileConfig || {};
+
   // Check if running in CI mode
   if (process.env.CI === 'true') {
+    const framework = process.env.CREATE_FDE_APP_FRAMEWORK || options.framework || config.framework || 'nextjs';
+    const deployTarget = process.env.CREATE_FDE_APP_DEPLOY_TARGET || options.deploy || config.deployTarget || 'vercel';
+
     return {
-      projectName: process.env.CREATE_FDE_APP_PROJECT_DIR || projectName || 'my-fde-app',
-      framework: process.env.CREATE_FDE_APP_FRAMEWORK || options.framework || 'nextjs',
-      deployTarget: process.env.CREATE_FDE_APP_DEPLOY_TARGET || options.deploy || 'vercel',
+      projectName: process.env.CREATE_FDE_APP_PROJECT_DIR || projectName || config.projectName || 'my-fde-app',
+      framework,
+      deployTarget,
+      packageManager: process.env.CREATE_FDE_APP_PACKAGE_MANAGER || options.packageManager || config.packageManager || DEFAULT_PACKAGE_MANAGER,
+      iacBinary: process.env.CREATE_FDE_APP_IAC_BINARY || options.iacBinary || config.iacBinary,
       features: process.env.CREATE_FDE_APP_FEATURES 
         ? process.env.CREATE_FDE_APP_FEATURES.split(',').filter(Boolean)
-        : ['docker', 'github-actions'],
+        : config.features || ['docker', 'github-actions'],
       augmentations: process.env.CREATE_FDE_APP_AUGMENTATIONS
         ? process.env.CREATE_FDE_APP_AUGMENTATIONS.split(',').filter(Boolean)
-        : [],
-      initGit: false,
-      skipInstall: true,
-      monorepo: process.env.CREATE_FDE_APP_MONOREPO === 'true' || options.monorepo || false,
-      monorepoPath: process.env.CREATE_FDE_APP_MONOREPO_PATH || options.monorepoPath || 'apps/',
-      frameworkConfig: frameworksConfig[process.env.CREATE_FDE_APP_FRAMEWORK || options.framework || 'nextjs'],
-      deployConfig: deployTargetsConfig[process.env.CREATE_FDE_APP_DEPLOY_TARGET || options.deploy || 'vercel']
+        : config.augmentations || [],
+      initGit: options.skipGit ? false : config.initGit ?? false,
+      skipInstall: options.skipInstall || (config.skipInstall ?? true),
+      allowDestroy: options.allowDestroy || false,
+      validateProviders: options.validateProviders || false,
+      monorepo: process.env.CREATE_FDE_APP_MONOREPO === 'true' || options.monorepo || config.monorepo?.enabled || false,
+      monorepoPath: process.env.CREATE_FDE_APP_MONOREPO_PATH || options.monorepoPath || config.monorepo?.path || 'apps/',
+      environments: parseEnvironments(process.env.CREATE_FDE_APP_ENVIRONMENTS || options.environments || config.environments),
+      frameworkConfig: frameworksConfig[framework],
+      deployConfig: {
+        ...deployTargetsConfig[deployTarget],
+        ...config.deployConfig
+      }
     };
   }
 
   const questions = [];
+  projectName = projectName || config.projectName;
+  const framework = options.framework || config.framework;
+  const deployTarget = options.deploy || config.deployTarget;
 
   // Project name
   if (!projectName) {
@@ -141,7 +169,7 @@ export async function promptProjectDetails(projectName, options) {
       message: 'What is your project name?',
       default: 'my-fde-app',
       validate: (input) => {
-        if (!/^[a-z0-9-]+$/.test(input)) {
+        if (!PROJECT_NAME_PATTERN.test(input)) {
           return 'Project name can only contain lowercase letters, numbers, and hyphens';
         }
         if (existsSync(join(process.cwd(), input))) {
@@ -153,7 +181,7 @@ export async function promptProjectDetails(projectName, options) {
   }
 
   // Framework selection
-  if (!options.framework) {
+  if (!framework) {
     questions.push({
       type: 'list',
       name: 'framework',
@@ -166,71 +194,96 @@ export async function promptProjectDetails(projectName, options) {
   }
 
   // Deploy target selection
-  if (!options.deploy) {
+  if (!deployTarget) {
     questions.push({
       type: 'list',
       name: 'deployTarget',
       message: 'Where would you like to deploy?',
-      choices: Object.entries(deployTargetsConfig).map(([key, config]) => ({
-        name: config.displayName,
-        value: key,
-      })),
+      choices: (answers) => {
+        // API frameworks have no static frontend to host, so they need a container target
+        const apiOnly = frameworksConfig[framework || answers.framework]?.kind === 'api';
+        return Object.entries(deployTargetsConfig)
+          .filter(([, config]) => !apiOnly || config.container)
+          .map(([key, config]) => ({
+            name: config.displayName,
+            value: key,
+          }));
+      },
+    });
+  }
+
+  // Package manager selection
+  const packageManager = options.packageManager || config.packageManager;
+  if (!packageManager) {
+    questions.push({
+      type: 'list',
+      name: 'packageManager',
+      message: 'Which package manager would you like to use?',
+      choices: Object.keys(PACKAGE_MANAGERS),
+      default: DEFAULT_PACKAGE_MANAGER,
     });
   }
 
   // Features selection
-  questions.push({
-    type: 'checkbox',
-    name: 'features',
-    message: 'Select features to include:',
-    choices: (answers) => {
-      const choices = [
-        { name: 'Docker containerization', value: 'docker' },
-        { name: 'GitHub Actions CI/CD', value: 'github-actions' },
-      ];
-
-      // Add Terraform only for supported targets
-      const deployTarget = options.deploy || answers.deployTarget;
-      const deployConfig = deployTargetsConfig[deployTarget] || {};
-      if (deployConfig.terraform) {
-        choices.push({ name: 'Terraform Infrastructure', value: 'terraform' });
-      }
+  if (!config.features) {
+    questions.push({
+      type: 'checkbox',
+      name: 'features',
+      message: 'Select features to include:',
+      choices: (answers) => {
+        const choices = [
+          { name: 'Docker containerization', value: 'docker' },
+          { name: 'GitHub Actions CI/CD', value: 'github-actions' },
+          { name: 'GitLab CI/CD', value: 'gitlab-ci' },
+          { name: 'Bitbucket Pipelines', value: 'bitbucket-pipelines' },
+          { name: 'CircleCI', value: 'circleci' },
+        ];
 
-      return choices;
-    },
-    when: () => questions.some(q => q.name === 'deployTarget') || options.deploy,
-  });
+        // Add Terraform only for supported targets
+        const target = deployTarget || answers.deployTarget;
+        const deployConfig = deployTargetsConfig[target] || {};
+        if (deployConfig.terraform) {
+          choices.push({ name: 'Terraform Infrastructure', value: 'terraform' });
+        }
+
+        return choices;
+      },
+      when: () => questions.some(q => q.name === 'deployTarget') || deployTarget,
+    });
+  }
 
   // Advanced features (augmentations)
-  questions.push({
-    type: 'checkbox',
-    name: 'augmentations',
-    message: 'Select advanced features (optional):',
-    choices: [
-      new inquirer.Separator('--- Database ---'),
-      { name: 'PostgreSQL with Prisma', value: 'database:postgres' },
-      { name: 'MySQL with Prisma', value: 'database:mysql' },
-      { name: 'MongoDB with Mongoose', value: 'database:mongodb' },
-      new inquirer.Separator('--- Authentication ---'),
-      { name: 'NextAuth.js (Next.js only)', value: 'auth:nextauth', when: (answers) => (options.framework || answers.framework) === 'nextjs' },
-      { name: 'Auth0 Integration', value: 'auth:auth0' },
-      { name: 'AWS Cognito', value: 'auth:cognito' },
-      new inquirer.Separator('--- Monitoring ---'),
-      { name: 'Datadog APM & RUM', value: 'monitoring:datadog' },
-      new inquirer.Separator('--- Utilities ---'),
-      { name: 'Sentry Error Tracking', value: 'utility:sentry' },
-      { name: 'Winston Logging', value: 'utility:logging' },
-      { name: 'Rate Limiting', value: 'utility:rate-limiting' },
-      { name: 'CORS Configuration', value: 'utility:cors' },
-    ],
-    when: (answers) => {
-      const deployTarget = options.deploy || answers.deployTarget;
-      return deployTarget !== 'vercel'; // Vercel has its own monitoring
-    }
-  });
+  if (!config.augmentations) {
+    questions.push({
+      type: 'checkbox',
+      name: 'augmentations',
+      message: 'Select advanced features (optional):',
+      choices: [
+        new inquirer.Separator('--- Database ---'),
+        { name: 'PostgreSQL with Prisma', value: 'database:postgres' },
+        { name: 'MySQL with Prisma', value: 'database:mysql' },
+        { name: 'MongoDB with Mongoose', value: 'database:mongodb' },
+        new inquirer.Separator('--- Authentication ---'),
+        { name: 'NextAuth.js (Next.js only)', value: 'auth:nextauth', when: (answers) => (framework || answers.framework) === 'nextjs' },
+        { name: 'Auth0 Integration', value: 'auth:auth0' },
+        { name: 'AWS Cognito', value: 'auth:cognito' },
+        new inquirer.Separator('--- Monitoring ---'),
+        { name: 'Datadog APM & RUM', value: 'monitoring:datadog' },
+        new inquirer.Separator('--- Utilities ---'),
+        { name: 'Sentry Error Tracking', value: 'utility:sentry' },
+        { name: 'Winston Logging', value: 'utility:logging' },
+        { name: 'Rate Limiting', value: 'utility:rate-limiting' },
+        { name: 'CORS Configuration', value: 'utility:cors' },
+      ],
+      when: (answers) => {
+        const target = deployTarget || answers.deployTarget;
+        return target !== 'vercel'; // Vercel has its own monitoring
+      }
+    });
+  }
 
   // Git initialization
-  if (!options.skipGit) {
+  if (!options.skipGit && config.initGit === undefined) {
     questions.push({
       type: 'confirm',
       name: 'initGit',
@@ -242,32 +295,42 @@ export async function promptProjectDetails(projectName, options) {
   const answers = await inquirer.prompt(questions);
 
   // Get deployment-specific configuration
-  const deployTarget = options.deploy || answers.deployTarget;
-  const deploymentConfig = await promptDeploymentConfig(deployTarget);
+  const selectedTarget = deployTarget || answers.deployTarget;
+  const deploymentConfig = await promptDeploymentConfig(selectedTarget, config.deployConfig, {
+    projectName: projectName || answers.projectName,
+    features: config.features || answers.features || [],
+  });
 
   return {
     projectName: projectName || answers.projectName,
-    framework: options.framework || answers.framework,
-    deployTarget,
-    features: answers.features || [],
-    augmentations: answers.augmentations || [],
-    initGit: options.skipGit ? false : answers.initGit,
-    skipInstall: options.skipInstall || false,
-    monorepo: options.monorepo || false,
-    monorepoPath: options.monorepoPath || 'apps/',
-    frameworkConfig: frameworksConfig[options.framework || answers.framework],
+    framework: framework || answers.framework,
+    deployTarget: selectedTarget,
+    packageManager: packageManager || answers.packageManager,
+    iacBinary: options.iacBinary || config.iacBinary,
+    features: config.features || answers.features || [],
+    augmentations: config.augmentations || answers.augmentations || [],
+    initGit: options.skipGit ? false : config.initGit ?? answers.initGit,
+    skipInstall: options.skipInstall || config.skipInstall || false,
+    allowDestroy: options.allowDestroy || false,
+    validateProviders: options.validateProviders || false,
+    monorepo: options.monorepo || config.monorepo?.enabled || false,
+    monorepoPath: options.monorepoPath || config.monorepo?.path || 'apps/',
+    environments: parseEnvironments(options.environments || config.environments),
+    frameworkConfig: frameworksConfig[framework || answers.framework],
     deployConfig: {
-      ...deployTargetsConfig[deployTarget],
+      ...deployTargetsConfig[selectedTarget],
+      ...config.deployConfig,
       ...deploymentConfig
     },
   };
 }
 
-async function promptDeploymentConfig(deployTarget) {
-  const questions = [];
+async function promptDeploymentConfig(deployTarget, known = {}, { projectName, features = [] } = {}) {
+  let questions = [];
 
   switch (deployTarget) {
     case 'aws-apprunner':
+    case 'aws-ecs':
       questions.push({
         type: 'input',
         name: 'awsRegion',
@@ -296,11 +359,115 @@ async function promptDeploymentConfig(deployTarget) {
       });
       break;
 
+    case 'fly':
+      // The app name defaults to the project name, config files can set flyAppName
+      questions.push({
+        type: 'input',
+        name: 'flyRegion',
+        message: 'Fly.io primary region:',
+        default: 'iad',
+      });
+      break;
+
+    case 'kubernetes':
+      // The namespace defaults to the project name, config files can set k8sNamespace
+      questions.push({
+        type: 'input',
+        name: 'ingressHost',
+        message: 'Ingress host (leave empty to skip the Ingress):',
+        default: '',
+      });
+      break;
+
+    case 'azure-containerapps':
+      // The registry name defaults to the project name, config files can set azureRegistryName
+      questions.push({
+        type: 'input',
+        name: 'azureLocation',
+        message: 'Azure region:',
+        default: 'westeurope',
+      });
+      break;
+
+    case 'render':
+      questions.push({
+        type: 'list',
+        name: 'renderRegion',
+        message: 'Render region:',
+        choices: ['oregon', 'ohio', 'virginia', 'frankfurt', 'singapore'],
+        default: 'oregon',
+      });
+      break;
+
+    case 'railway':
+      // The service name defaults to the project name, config files can set railwayService
+      return {};
+
     case 'vercel':
-      // Vercel configuration is handled via CLI
+    case 'netlify':
+    case 'cloudflare':
+      // Sites and accounts are linked through the CLI and GitHub secrets
       return {};
   }
 
+  // AWS and GCP workflows log in with OIDC or stored keys; Azure always uses OIDC
+  if (OIDC_DEPLOY_TARGETS.includes(deployTarget)) {
+    questions.push({
+      type: 'list',
+      name: 'cloudAuth',
+      message: 'How should GitHub Actions log in to the cloud?',
+      choices: [
+        { name: 'OIDC - short-lived credentials, no keys stored in GitHub (recommended)', value: 'oidc' },
+        { name: 'Access keys stored as GitHub secrets', value: 'keys' },
+      ],
+      default: 'oidc',
+    });
+  }
+
+  // The repository Terraform lets log in with OIDC
+  if (OIDC_DEPLOY_TARGETS.includes(deployTarget) || deployTarget === 'azure-containerapps') {
+    questions.push({
+      type: 'input',
+      name: 'githubRepository',
+      message: 'GitHub repository allowed to deploy (owner/name, leave empty to set it in Terraform later):',
+      default: '',
+      when: (answers) => deployTarget === 'azure-containerapps' || (known.cloudAuth ?? answers.cloudAuth) === 'oidc',
+      validate: (input) => !input || GITHUB_REPOSITORY_PATTERN.test(input) || 'Use the form owner/name, e.g. acme/my-app',
+    });
+  }
+
+  // Terraform keeps its state in a bucket shared by everyone applying it
+  if (STATE_BACKENDS[deployTarget] && features.includes('terraform')) {
+    const hasBucket = (answers) => Boolean(known.stateBucket ?? answers.stateBucket);
+
+    questions.push(
+      {
+        type: 'input',
+        name: 'stateBucket',
+        message: `${STATE_BACKENDS[deployTarget] === 's3' ? 'S3' : 'Cloud Storage'} bucket for the Terraform state (leave empty to keep it local):`,
+        default: '',
+        validate: (input) => !input || STATE_BUCKET_PATTERN.test(input) || 'Use 3-63 lowercase letters, digits, dots and hyphens',
+      },
+      {
+        type: 'input',
+        name: 'statePrefix',
+        message: 'Path of the state in the bucket:',
+        default: projectName,
+        when: hasBucket,
+      },
+      {
+        type: 'confirm',
+        name: 'stateBootstrap',
+        message: 'Generate a bootstrap module that creates the bucket?',
+        default: true,
+        when: hasBucket,
+      }
+    );
+  }
+
+  // Values supplied by a config file are not asked again
+  questions = questions.filter((question) => known[question.name] === undefined);
+
   if (questions.length > 0) {
     console.log(chalk.yellow('\nDeployment Configuration:'));
     return await inquirer.prompt(questions);
@@ -1,36 +1,109 @@
-import { execSync } from 'child_process';
-import { existsSync, mkdirSync, writeFileSync, readFileSync } from 'fs';
+import { execSync, existsSync, mkdirSync, writeFileSync, readFileSync, isDryRun } from './utils/io.js';
+import { cpSync, mkdtempSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
 import { join, dirname } from 'path';
+import { createHash } from 'crypto';
 import { fileURLToPath } from 'url';
 import chalk from 'chalk';
 import ora from 'ora';
 import inquirer from 'inquirer';
 import Handlebars from 'handlebars';
 import { logger } from './utils/logger.js';
+import { PRODUCTION_ENVIRONMENT, getEnvironmentResourceName } from './environments.js';
+import { getStateBackend, renderStateFiles } from './terraform-state.js';
+import { checkHclSyntax } from './utils/hcl.js';
+import { DEFAULT_IAC_BINARY, IAC_BINARIES, detectIacBinary, getIacBinary } from './iac-binary.js';
+import { PLAN_SUMMARY_FILE, describePlanCounts, describeReplacement, hasPlanChanges, summarizePlan } from './terraform-plan.js';
 
 const __filename = fileURLToPath(import.meta.url);
 const __dirname = dirname(__filename);
 
+// Files copied verbatim from deploy-templates/terraform/<target>
+export const TERRAFORM_TEMPLATE_FILES = ['main.tf', 'variables.tf', 'outputs.tf', 'terraform.tfvars.example'];
+
+/**
+ * Name of the Azure Container Registry for a project: 5-50 lowercase letters and digits, globally unique
+ */
+export function getAzureRegistryName(projectDetails) {
+  const { projectName, deployConfig = {} } = projectDetails;
+  return deployConfig.azureRegistryName || `${projectName.replace(/[^a-z0-9]/g, '')}acr`.slice(0, 50);
+}
+
+/**
+ * Prefix of the Google Cloud service account and Workload Identity pool IDs of a project, as the
+ * gcp-cloudrun template's id_prefix local computes it: names over 17 characters are cut to 12 and
+ * end in a hash of the full name, so the longest suffix stays within the 30-character limit
+ */
+export function getGcpIdPrefix(projectName) {
+  if (projectName.length <= 17) {
+    return projectName;
+  }
+  return `${projectName.slice(0, 12)}-${createHash('md5').update(projectName).digest('hex').slice(0, 4)}`;
+}
+
+/**
+ * Get the Terraform template directory for a deploy target
+ */
+export function getTerraformTemplateDir(deployTarget) {
+  // Relative to the module, not the project
+  return join(__dirname, '..', 'deploy-templates', 'terraform', deployTarget);
+}
+
+/**
+ * Read the Terraform templates for a deploy target, keyed by file name
+ */
+export function readTerraformTemplates(deployTarget) {
+  const templateDir = getTerraformTemplateDir(deployTarget);
+  const templates = {};
+
+  for (const file of TERRAFORM_TEMPLATE_FILES) {
+    const sourcePath = join(templateDir, file);
+    if (existsSync(sourcePath)) {
+      templates[file] = readFileSync(sourcePath, 'utf8');
+    }
+  }
+
+  return templates;
+}
+
 export class TerraformExecutor {
-  constructor(projectPath, deployTarget, projectDetails) {
+  /**
+   * @param {object} [options] set by the infra command
+   * @param {string} [options.environment] deploy environment whose workspace and variables file plan uses
+   * @param {boolean} [options.autoApprove] apply without the confirmation prompt
+   * @param {string|Array} [options.stdio] stdio of the terraform commands, 'inherit' by default
+   */
+  constructor(projectPath, deployTarget, projectDetails, options = {}) {
     this.projectPath = projectPath;
     this.deployTarget = deployTarget;
     this.projectDetails = projectDetails;
     this.terraformDir = join(projectPath, 'terraform');
+    this.terraformInstalled = false;
+    this.planSummary = null;
+    this.environment = options.environment || null;
+    this.autoApprove = options.autoApprove || false;
+    this.stdio = options.stdio || 'inherit';
+    // Set by runPlan for a destroy plan
+    this.destroying = false;
+    // terraform or tofu; the installed one replaces the default once detected
+    this.binary = projectDetails.iacBinary || DEFAULT_IAC_BINARY;
   }
 
   /**
-   * Check if Terraform is installed
+   * Check if Terraform, or OpenTofu, is installed
    */
   async checkTerraformInstalled() {
-    try {
-      const version = execSync('terraform version', { encoding: 'utf8' });
-      logger.info(`Terraform version: ${version.split('\n')[0]}`);
-      return true;
-    } catch (error) {
-      logger.error('Terraform is not installed');
+    const iac = detectIacBinary(this.projectDetails.iacBinary);
+    if (!iac) {
       return false;
     }
+
+    this.binary = iac.name;
+    logger.info(`${iac.displayName} version: ${iac.versionLine}`);
+    if (!iac.supported) {
+      logger.warn(`${iac.displayName} ${iac.minimumVersion} or later is needed for the generated workspace commands; please upgrade`);
+    }
+    return true;
   }
 
   /**
@@ -39,16 +112,21 @@ export class TerraformExecutor {
   async initialize() {
     const spinner = ora('Checking Terraform installation...').start();
 
-    // Check if Terraform is installed
-    const isInstalled = await this.checkTerraformInstalled();
-    if (!isInstalled) {
-      spinner.fail('Terraform is not installed');
-      console.log(chalk.yellow('\nPlease install Terraform first:'));
-      console.log(chalk.cyan('  brew install terraform') + ' (macOS)');
-      console.log(chalk.cyan('  https://www.terraform.io/downloads') + ' (other platforms)\n');
-      return false;
+    // Without Terraform the configuration is still generated, checked with the built-in syntax check
+    this.terraformInstalled = await this.checkTerraformInstalled();
+    if (!this.terraformInstalled) {
+      const candidates = this.projectDetails.iacBinary ? [getIacBinary(this.projectDetails.iacBinary)] : Object.values(IAC_BINARIES);
+      spinner.warn(`${candidates.map(({ displayName }) => displayName).join(' or ')} is not installed; generating the configuration without running it`);
+      for (const { displayName, install } of candidates) {
+        console.log(chalk.yellow(`\nInstall ${displayName} to apply it:`));
+        for (const [command, platform] of install) {
+          console.log(chalk.cyan(`  ${command}`) + ` (${platform})`);
+        }
+      }
+      console.log('');
+    } else {
+      spinner.succeed(`${getIacBinary(this.binary).displayName} is installed`);
     }
-    spinner.succeed('Terraform is installed');
 
     // Create terraform directory
     if (!existsSync(this.terraformDir)) {
@@ -61,23 +139,143 @@ export class TerraformExecutor {
     // Generate tfvars file
     await this.generateTfvars();
 
+    // Point Terraform at the remote state bucket
+    this.generateStateFiles();
+
+    // Catch broken substitutions now rather than at terraform apply
+    this.assertValidConfiguration();
+
+    // Document the commands of the binary that was found
+    this.generateTerraformReadme();
+
     return true;
   }
 
+  /**
+   * Generated .tf and .tfvars files, relative to the terraform directory
+   */
+  getGeneratedFiles() {
+    const environments = this.getEnvironments();
+    const files = [
+      ...Object.keys(readTerraformTemplates(this.deployTarget)),
+      ...(environments.length > 0 ? environments.map(({ name }) => `environments/${name}.tfvars`) : ['terraform.tfvars']),
+      ...Object.keys(renderStateFiles({ ...this.projectDetails, deployTarget: this.deployTarget })),
+    ];
+
+    return files.filter((file) => /\.tf(vars)?$/.test(file) && existsSync(join(this.terraformDir, file)));
+  }
+
+  /**
+   * Check the generated configuration: the built-in syntax check of every file, then
+   * terraform fmt -check when the binary can run, and with validateProviders terraform validate
+   *
+   * @returns {{ errors: string[], warnings: string[] }} messages starting with terraform/<file>:<line>
+   */
+  validateConfiguration() {
+    const errors = [];
+    const warnings = [];
+
+    for (const file of this.getGeneratedFiles()) {
+      for (const { line, message } of checkHclSyntax(readFileSync(join(this.terraformDir, file), 'utf8'))) {
+        errors.push(`terraform/${file}:${line}: ${message}`);
+      }
+    }
+
+    // terraform validate would report the same syntax errors, less precisely for .tfvars
+    if (errors.length > 0 || !this.terraformInstalled || isDryRun()) {
+      return { errors, warnings };
+    }
+
+    const fmt = this.runTerraformCheck(`${this.binary} fmt -check -recursive -list=true -no-color`);
+    if (!fmt.ok) {
+      const unformatted = fmt.stdout.split('\n').filter(Boolean);
+      warnings.push(...unformatted.map((file) => `terraform/${file}: not in canonical format; run ${this.binary} fmt`));
+      if (unformatted.length === 0) {
+        errors.push(`${this.binary} fmt: ${fmt.stderr.trim().split('\n')[0]}`);
+      }
+    }
+
+    // validate needs the providers, which init downloads, so it only runs on request
+    if (!this.projectDetails.validateProviders) {
+      return { errors, warnings };
+    }
+
+    // A temporary copy keeps .terraform/ and the lock file init writes out of the project
+    const checkDir = mkdtempSync(join(tmpdir(), 'fde-terraform-'));
+    try {
+      cpSync(this.terraformDir, checkDir, { recursive: true });
+      this.runProviderValidation(checkDir, errors, warnings);
+    } finally {
+      rmSync(checkDir, { recursive: true, force: true });
+    }
+
+    return { errors, warnings };
+  }
+
+  /**
+   * terraform init -backend=false and terraform validate in dir, adding their problems to errors and warnings
+   */
+  runProviderValidation(dir, errors, warnings) {
+    const init = this.runTerraformCheck(`${this.binary} init -backend=false -input=false -no-color`, dir);
+    if (!init.ok) {
+      warnings.push(`${this.binary} init -backend=false failed, skipping ${this.binary} validate: ${init.stderr.trim().split('\n')[0]}`);
+      return;
+    }
+
+    const validate = this.runTerraformCheck(`${this.binary} validate -json -no-color`, dir);
+    let diagnostics = [];
+    try {
+      ({ diagnostics = [] } = JSON.parse(validate.stdout));
+    } catch {
+      errors.push(`${this.binary} validate: ${validate.stderr.trim().split('\n')[0]}`);
+    }
+
+    for (const { severity, summary, detail, range } of diagnostics) {
+      const location = range ? `terraform/${range.filename}:${range.start.line}` : 'terraform';
+      const message = `${location}: ${summary}${detail ? ` (${detail})` : ''}`;
+      (severity === 'error' ? errors : warnings).push(message);
+    }
+  }
+
+  /**
+   * Run a terraform check in the terraform directory, or another one, capturing its output
+   */
+  runTerraformCheck(command, cwd = this.terraformDir) {
+    try {
+      const stdout = execSync(command, { cwd, encoding: 'utf8', stdio: 'pipe' });
+      return { ok: true, stdout, stderr: '' };
+    } catch (error) {
+      return { ok: false, stdout: error.stdout?.toString() || '', stderr: error.stderr?.toString() || error.message };
+    }
+  }
+
+  /**
+   * Report the problems found by validateConfiguration, throwing when the configuration is invalid
+   */
+  assertValidConfiguration() {
+    const spinner = ora('Validating the Terraform configuration...').start();
+    const { errors, warnings } = this.validateConfiguration();
+
+    if (errors.length > 0) {
+      spinner.fail('The generated Terraform configuration is invalid');
+      throw new Error(`Invalid Terraform configuration:\n  - ${errors.join('\n  - ')}`);
+    }
+
+    if (warnings.length > 0) {
+      spinner.warn('Terraform configuration is valid, with warnings');
+      warnings.forEach((warning) => logger.warn(warning));
+    } else {
+      spinner.succeed('Terraform configuration is valid');
+    }
+  }
+
   /**
    * Copy Terraform templates for the deploy target
    */
   async copyTerraformTemplates() {
     const spinner = ora('Copying Terraform templates...').start();
 
-    // Fix the template directory path - should be relative to the module, not project
-    const templateDir = join(
-      __dirname,
-      '..',
-      'deploy-templates',
-      'terraform',
-      this.deployTarget
-    );
+    const templateDir = getTerraformTemplateDir(this.deployTarget);
 
     if (!existsSync(templateDir)) {
       spinner.fail(`Terraform templates not found for ${this.deployTarget}`);
@@ -85,22 +283,13 @@ export class TerraformExecutor {
       return false;
     }
 
-    // Copy all .tf files
-    const files = ['main.tf', 'variables.tf', 'outputs.tf'];
-    for (const file of files) {
-      const sourcePath = join(templateDir, file);
-      if (existsSync(sourcePath)) {
-        const content = readFileSync(sourcePath, 'utf8');
-        writeFileSync(join(this.terraformDir, file), content);
-      }
+    // Copy all .tf files and terraform.tfvars.example as reference
+    const templates = readTerraformTemplates(this.deployTarget);
+    for (const [file, content] of Object.entries(templates)) {
+      writeFileSync(join(this.terraformDir, file), content);
     }
 
-    // Copy terraform.tfvars.example as reference
-    const tfvarsExamplePath = join(templateDir, 'terraform.tfvars.example');
-    if (existsSync(tfvarsExamplePath)) {
-      const content = readFileSync(tfvarsExamplePath, 'utf8');
-      writeFileSync(join(this.terraformDir, 'terraform.tfvars.example'), content);
-    } else {
+    if (!templates['terraform.tfvars.example']) {
       logger.warn('terraform.tfvars.example not found in template directory');
     }
 
@@ -109,17 +298,65 @@ export class TerraformExecutor {
   }
 
   /**
-   * Generate terraform.tfvars file with project-specific values
+   * Remote state settings of the project, or null when the state stays local
+   */
+  getStateBackend() {
+    return getStateBackend({ ...this.projectDetails, deployTarget: this.deployTarget });
+  }
+
+  /**
+   * Write backend.tf for the remote state and, with stateBootstrap, the bootstrap module creating its bucket
+   */
+  generateStateFiles() {
+    const files = renderStateFiles({ ...this.projectDetails, deployTarget: this.deployTarget });
+
+    for (const [file, content] of Object.entries(files)) {
+      mkdirSync(dirname(join(this.terraformDir, file)), { recursive: true });
+      writeFileSync(join(this.terraformDir, file), content);
+    }
+
+    if (files['backend.tf']) {
+      const { type, bucket } = this.getStateBackend();
+      console.log(chalk.green(`✓ Generated backend.tf (${type} bucket ${bucket})`));
+    }
+  }
+
+  /**
+   * Deploy environments of the project; each gets its own variables file and workspace
+   */
+  getEnvironments() {
+    return this.projectDetails.environments || [];
+  }
+
+  /**
+   * Generate terraform.tfvars, or terraform/environments/<name>.tfvars for each deploy environment
    */
   async generateTfvars() {
-    const tfvarsPath = join(this.terraformDir, 'terraform.tfvars');
+    const environments = this.getEnvironments();
+    if (environments.length === 0) {
+      await this.generateEnvironmentTfvars('terraform.tfvars');
+      return;
+    }
+
+    mkdirSync(join(this.terraformDir, 'environments'), { recursive: true });
+    for (const environment of environments) {
+      await this.generateEnvironmentTfvars(`environments/${environment.name}.tfvars`, environment);
+    }
+  }
+
+  /**
+   * Generate a tfvars file with project-specific values for one environment.
+   * Non-production environments get their own resource names so they can share an account.
+   */
+  async generateEnvironmentTfvars(file, environment = null) {
+    const tfvarsPath = join(this.terraformDir, file);
     
     // If tfvars already exists, ask if user wants to regenerate (skip in CI mode)
     if (existsSync(tfvarsPath) && process.env.CI !== 'true') {
       const { regenerate } = await inquirer.prompt([{
         type: 'confirm',
         name: 'regenerate',
-        message: 'terraform.tfvars already exists. Regenerate?',
+        message: `${file} already exists. Regenerate?`,
         default: false
       }]);
 
@@ -132,7 +369,7 @@ export class TerraformExecutor {
     const examplePath = join(this.terraformDir, 'terraform.tfvars.example');
     if (!existsSync(examplePath)) {
       logger.warn('terraform.tfvars.example not found, creating basic tfvars');
-      this.createBasicTfvars();
+      this.createBasicTfvars(tfvarsPath, environment);
       return;
     }
 
@@ -140,44 +377,77 @@ export class TerraformExecutor {
     const compiledTemplate = Handlebars.compile(template);
 
     // Prepare template variables
+    const projectName = getEnvironmentResourceName(this.projectDetails.projectName, environment);
     const templateVars = {
-      projectName: this.projectDetails.projectName,
+      projectName,
+      repositoryName: this.projectDetails.projectName,
+      githubRepository: this.projectDetails.deployConfig.githubRepository || '',
       awsRegion: this.projectDetails.deployConfig.awsRegion || 'us-east-1',
       gcpProjectId: this.projectDetails.deployConfig.gcpProjectId || '',
       gcpRegion: this.projectDetails.deployConfig.gcpRegion || 'us-central1',
-      environment: 'production'
+      azureLocation: this.projectDetails.deployConfig.azureLocation || 'westeurope',
+      azureRegistryName: getAzureRegistryName({ ...this.projectDetails, projectName }),
+      appPort: this.projectDetails.frameworkConfig?.port || 3000,
+      healthCheckPath: this.projectDetails.frameworkConfig?.healthCheckPath || '/',
+      environment: environment ? environment.name : PRODUCTION_ENVIRONMENT,
+      // Deploy jobs running in a GitHub Environment present an environment OIDC subject
+      githubEnvironment: environment ? environment.name : null
     };
 
     const tfvarsContent = compiledTemplate(templateVars);
     writeFileSync(tfvarsPath, tfvarsContent);
 
-    console.log(chalk.green('\n✓ Generated terraform.tfvars'));
-    console.log(chalk.yellow('  Please review and update the values before running terraform apply\n'));
+    console.log(chalk.green(`\n✓ Generated ${file}`));
+    console.log(chalk.yellow(`  Please review and update the values before running ${this.binary} apply\n`));
   }
 
   /**
    * Create basic tfvars file if template is missing
    */
-  createBasicTfvars() {
+  createBasicTfvars(tfvarsPath = join(this.terraformDir, 'terraform.tfvars'), environment = null) {
     const basicTfvars = `# Project Configuration
-project_name = "${this.projectDetails.projectName}"
-environment  = "production"
+project_name = "${getEnvironmentResourceName(this.projectDetails.projectName, environment)}"
+environment  = "${environment ? environment.name : PRODUCTION_ENVIRONMENT}"
 
 # Add your configuration values here
 `;
-    writeFileSync(join(this.terraformDir, 'terraform.tfvars'), basicTfvars);
+    writeFileSync(tfvarsPath, basicTfvars);
+  }
+
+  /**
+   * Create the state bucket with the bootstrap module; terraform apply asks for confirmation itself
+   */
+  async runBootstrap() {
+    const spinner = ora('Creating the Terraform state bucket...').start();
+
+    try {
+      execSync(`${this.binary} -chdir=bootstrap init`, {
+        cwd: this.terraformDir,
+        stdio: this.stdio
+      });
+      execSync(`${this.binary} -chdir=bootstrap apply`, {
+        cwd: this.terraformDir,
+        stdio: this.stdio
+      });
+      spinner.succeed('Terraform state bucket created');
+      return true;
+    } catch (error) {
+      spinner.fail('Creating the Terraform state bucket failed');
+      logger.error(error.message);
+      return false;
+    }
   }
 
   /**
    * Run terraform init
    */
   async runInit() {
-    const spinner = ora('Running terraform init...').start();
+    const spinner = ora(`Running ${this.binary} init...`).start();
 
     try {
-      execSync('terraform init', {
+      execSync(`${this.binary} init${process.env.CI === 'true' ? ' -input=false' : ''}`, {
         cwd: this.terraformDir,
-        stdio: 'inherit'
+        stdio: this.stdio
       });
       spinner.succeed('Terraform initialized');
       return true;
@@ -189,56 +459,181 @@ environment  = "production"
   }
 
   /**
-   * Run terraform plan
+   * Select the deploy environment's workspace, creating it the first time
    */
-  async runPlan() {
-    const spinner = ora('Running terraform plan...').start();
+  async selectWorkspace() {
+    try {
+      execSync(`${this.binary} workspace select -or-create ${this.environment}`, {
+        cwd: this.terraformDir,
+        stdio: this.stdio
+      });
+      return true;
+    } catch (error) {
+      logger.error(`Selecting the ${this.environment} workspace failed: ${error.message}`);
+      return false;
+    }
+  }
+
+  /**
+   * Run terraform plan, with the deploy environment's variables; a destroy plan removes everything
+   */
+  async runPlan({ destroy = false } = {}) {
+    const spinner = ora(`Running ${this.binary} plan...`).start();
+    this.destroying = destroy;
+
+    const command = [
+      `${this.binary} plan -out=tfplan`,
+      destroy && '-destroy',
+      this.environment && `-var-file=environments/${this.environment}.tfvars`,
+      process.env.CI === 'true' && '-input=false',
+    ].filter(Boolean).join(' ');
 
     try {
-      execSync('terraform plan -out=tfplan', {
+      execSync(command, {
         cwd: this.terraformDir,
-        stdio: 'inherit'
+        stdio: this.stdio
       });
       spinner.succeed('Terraform plan completed');
-      return true;
     } catch (error) {
       spinner.fail('Terraform plan failed');
       logger.error(error.message);
       return false;
     }
+
+    this.planSummary = this.readPlanSummary();
+    if (this.planSummary) {
+      this.printPlanSummary(this.planSummary);
+    }
+    return true;
+  }
+
+  /**
+   * Summarize the saved plan and write the summary next to it for CI jobs.
+   * Returns null when the plan cannot be read.
+   */
+  readPlanSummary() {
+    try {
+      const plan = execSync(`${this.binary} show -json tfplan`, {
+        cwd: this.terraformDir,
+        encoding: 'utf8',
+        stdio: 'pipe',
+        // Plans of large configurations run to megabytes of JSON
+        maxBuffer: 64 * 1024 * 1024
+      });
+      const summary = summarizePlan(JSON.parse(plan));
+      writeFileSync(join(this.terraformDir, PLAN_SUMMARY_FILE), `${JSON.stringify(summary, null, 2)}\n`);
+      return summary;
+    } catch (error) {
+      logger.warn(`Could not read the plan with ${this.binary} show -json: ${error.message}`);
+      return null;
+    }
+  }
+
+  /**
+   * Print the plan grouped by action, with the reason for each replacement and the sensitive attributes it changes
+   */
+  printPlanSummary(summary) {
+    console.log(chalk.bold(`\nPlan: ${describePlanCounts(summary)}`));
+
+    const groups = [
+      ['create', chalk.green('  + ')],
+      ['update', chalk.yellow('  ~ ')],
+      ['destroy', chalk.red('  - ')],
+    ];
+    for (const [action, symbol] of groups) {
+      summary[action].forEach((address) => console.log(`${symbol}${address}`));
+    }
+    for (const replacement of summary.replace) {
+      console.log(`${chalk.red('-/+ ')}${replacement.address} ${chalk.gray(`(${describeReplacement(replacement)})`)}`);
+    }
+
+    if (summary.replace.length > 0) {
+      console.log(chalk.yellow(`\n⚠️  ${summary.replace.length} resource(s) will be destroyed and recreated, losing their data and causing downtime`));
+    }
+    if (summary.sensitive.length > 0) {
+      console.log(chalk.yellow('\nSensitive values change in:'));
+      summary.sensitive.forEach(({ address, attributes }) => console.log(chalk.gray(`  ${address}: ${attributes.join(', ')}`)));
+    }
+    console.log(chalk.gray(`\nSummary written to terraform/${PLAN_SUMMARY_FILE}`));
+  }
+
+  /**
+   * Whether the saved plan may be applied: plans that destroy or replace resources,
+   * or that could not be read, need --allow-destroy
+   */
+  checkDestroyAllowed(summary = this.planSummary) {
+    if (this.projectDetails.allowDestroy || (summary && !summary.destructive)) {
+      return true;
+    }
+
+    if (!summary) {
+      logger.error('The plan could not be checked for destroyed resources. Re-run with --allow-destroy to apply it anyway.');
+    } else {
+      const count = summary.destroy.length + summary.replace.length;
+      logger.error(`The plan destroys ${count} resource(s). Review it, then re-run with --allow-destroy to apply it.`);
+    }
+    return false;
   }
 
   /**
    * Run terraform apply
    */
   async runApply() {
-    console.log(chalk.yellow('\n⚠️  This will create real infrastructure and may incur costs!\n'));
+    const summary = this.planSummary;
+    if (summary && !hasPlanChanges(summary)) {
+      console.log(chalk.green('\nNo changes: the infrastructure matches the configuration'));
+      return true;
+    }
+    if (!this.checkDestroyAllowed(summary)) {
+      return false;
+    }
 
-    const { proceed } = await inquirer.prompt([{
-      type: 'confirm',
-      name: 'proceed',
-      message: 'Do you want to apply the Terraform configuration?',
-      default: false
-    }]);
+    console.log(chalk.yellow(this.destroying
+      ? '\n⚠️  This will destroy the infrastructure and the data it holds!\n'
+      : '\n⚠️  This will create real infrastructure and may incur costs!\n'));
+
+    let proceed = this.autoApprove;
+    if (!proceed) {
+      // Nobody can answer the prompt in CI mode
+      if (process.env.CI === 'true') {
+        logger.error('CI mode cannot confirm the apply. Pass --auto-approve to apply without confirmation.');
+        return false;
+      }
+
+      const target = this.environment ? ` to ${this.environment}` : '';
+      ({ proceed } = await inquirer.prompt([{
+        type: 'confirm',
+        name: 'proceed',
+        message: summary
+          ? `Apply the plan${target} (${describePlanCounts(summary)})?`
+          : `Do you want to apply the Terraform configuration${target}?`,
+        default: false
+      }]));
+    }
 
     if (!proceed) {
       console.log(chalk.yellow('Terraform apply cancelled'));
       return false;
     }
 
-    const spinner = ora('Running terraform apply...').start();
+    const spinner = ora(`Running ${this.binary} apply...`).start();
 
     try {
-      execSync('terraform apply tfplan', {
+      execSync(`${this.binary} apply tfplan`, {
         cwd: this.terraformDir,
-        stdio: 'inherit'
+        stdio: this.stdio
       });
       spinner.succeed('Terraform apply completed');
-      
+
+      if (this.destroying) {
+        console.log(chalk.green('\n✓ Infrastructure destroyed'));
+        return true;
+      }
+
       // Show outputs
       console.log(chalk.green('\n✓ Infrastructure created successfully!'));
       this.showOutputs();
-      
+
       return true;
     } catch (error) {
       spinner.fail('Terraform apply failed');
@@ -248,25 +643,62 @@ environment  = "production"
   }
 
   /**
-   * Show Terraform outputs
+   * Show Terraform outputs, hiding sensitive values; with json, print `terraform output -json` as is on stdout.
+   * Returns false when the outputs cannot be read.
    */
-  showOutputs() {
+  showOutputs({ json = false } = {}) {
+    let outputData;
     try {
-      const outputs = execSync('terraform output -json', {
+      const outputs = execSync(`${this.binary} output -json`, {
         cwd: this.terraformDir,
         encoding: 'utf8'
       });
+      outputData = JSON.parse(outputs);
+    } catch {
+      // Outputs might not be available
+      return false;
+    }
 
-      const outputData = JSON.parse(outputs);
-      if (Object.keys(outputData).length > 0) {
-        console.log(chalk.cyan('\nTerraform Outputs:'));
-        for (const [key, value] of Object.entries(outputData)) {
-          console.log(`  ${key}: ${chalk.green(value.value)}`);
-        }
+    if (json) {
+      process.stdout.write(`${JSON.stringify(outputData, null, 2)}\n`);
+      return true;
+    }
+
+    if (Object.keys(outputData).length > 0) {
+      console.log(chalk.cyan('\nTerraform Outputs:'));
+      for (const [key, { value, sensitive }] of Object.entries(outputData)) {
+        const shown = sensitive ? chalk.gray('(sensitive)') : chalk.green(typeof value === 'string' ? value : JSON.stringify(value));
+        console.log(`  ${key}: ${shown}`);
       }
-    } catch (error) {
-      // Outputs might not be available
     }
+    return true;
+  }
+
+  /**
+   * Print the commands that create the infrastructure later, one workspace per deploy environment
+   */
+  showDeployLaterInstructions() {
+    console.log(chalk.yellow('\nTerraform files have been generated in the terraform/ directory'));
+    console.log(chalk.cyan('To deploy your infrastructure later, run:'));
+    console.log(chalk.gray('  cd terraform'));
+    if (this.getStateBackend()?.bootstrap) {
+      console.log(chalk.gray(`  ${this.binary} -chdir=bootstrap init`));
+      console.log(chalk.gray(`  ${this.binary} -chdir=bootstrap apply`));
+    }
+    console.log(chalk.gray(`  ${this.binary} init`));
+
+    const environments = this.getEnvironments();
+    if (environments.length === 0) {
+      console.log(chalk.gray(`  ${this.binary} plan`));
+      console.log(chalk.gray(`  ${this.binary} apply\n`));
+      return;
+    }
+
+    for (const { name } of environments) {
+      console.log(chalk.gray(`  ${this.binary} workspace select -or-create ${name}`));
+      console.log(chalk.gray(`  ${this.binary} apply -var-file=environments/${name}.tfvars`));
+    }
+    console.log('');
   }
 
   /**
@@ -281,14 +713,9 @@ environment  = "production"
       return false;
     }
 
-    // Skip interactive prompt in CI mode
-    if (process.env.CI === 'true') {
-      console.log(chalk.yellow('\nTerraform files have been generated in the terraform/ directory'));
-      console.log(chalk.cyan('To deploy your infrastructure later, run:'));
-      console.log(chalk.gray('  cd terraform'));
-      console.log(chalk.gray('  terraform init'));
-      console.log(chalk.gray('  terraform plan'));
-      console.log(chalk.gray('  terraform apply\n'));
+    // Skip interactive prompt in CI and dry-run mode, without Terraform, and when each environment is applied in its own workspace
+    if (process.env.CI === 'true' || isDryRun() || !this.terraformInstalled || this.getEnvironments().length > 0) {
+      this.showDeployLaterInstructions();
       return true;
     }
 
@@ -301,16 +728,16 @@ environment  = "production"
     }]);
 
     if (!runNow) {
-      console.log(chalk.yellow('\nTerraform files have been generated in the terraform/ directory'));
-      console.log(chalk.cyan('To deploy your infrastructure later, run:'));
-      console.log(chalk.gray('  cd terraform'));
-      console.log(chalk.gray('  terraform init'));
-      console.log(chalk.gray('  terraform plan'));
-      console.log(chalk.gray('  terraform apply\n'));
+      this.showDeployLaterInstructions();
       return true;
     }
 
-    // Run Terraform workflow
+    // Run Terraform workflow, creating the state bucket first
+    if (this.getStateBackend()?.bootstrap) {
+      const bootstrapSuccess = await this.runBootstrap();
+      if (!bootstrapSuccess) return false;
+    }
+
     const initSuccess = await this.runInit();
     if (!initSuccess) return false;
 
@@ -334,31 +761,31 @@ This directory contains Terraform configuration for deploying your application t
 
 ## Prerequisites
 
-1. Install Terraform: https://www.terraform.io/downloads
+1. ${this.getInstallInstructions()}
 2. Configure cloud credentials:
    ${this.getCredentialsInstructions()}
-
-## Usage
+${this.getStateUsage()}
+${this.getEnvironments().length > 0 ? this.getEnvironmentsUsage() : `## Usage
 
 1. Review and update \`terraform.tfvars\` with your configuration
 2. Initialize Terraform:
    \`\`\`bash
-   terraform init
+   ${this.binary} init
    \`\`\`
 3. Plan the infrastructure:
    \`\`\`bash
-   terraform plan
+   ${this.binary} plan
    \`\`\`
 4. Apply the configuration:
    \`\`\`bash
-   terraform apply
+   ${this.binary} apply
    \`\`\`
 
 ## Destroy Infrastructure
 
 To tear down the infrastructure:
 \`\`\`bash
-terraform destroy
+${this.binary} destroy
 \`\`\`
 
 ## Files
@@ -368,11 +795,110 @@ terraform destroy
 - \`outputs.tf\`: Output values
 - \`terraform.tfvars\`: Your configuration values (not committed to git)
 - \`terraform.tfvars.example\`: Example configuration file
-`;
+${this.getStateFilesList()}`}`;
 
     writeFileSync(join(this.terraformDir, 'README.md'), readme);
   }
 
+  /**
+   * README step installing the binary the commands use; OpenTofu runs them with tofu in place of terraform
+   */
+  getInstallInstructions() {
+    const { terraform, tofu } = IAC_BINARIES;
+    if (this.binary === 'tofu') {
+      return `Install OpenTofu: ${tofu.install[1][0]}`;
+    }
+    return `Install Terraform: ${terraform.install[1][0]} (or OpenTofu: ${tofu.install[1][0]}, running \`tofu\` in place of \`terraform\`)`;
+  }
+
+  /**
+   * README section on where the state is kept and how to create its bucket, or nothing for local state
+   */
+  getStateUsage() {
+    const backend = this.getStateBackend();
+    if (!backend) {
+      return '';
+    }
+
+    const location = backend.type === 's3'
+      ? `the S3 bucket \`${backend.bucket}\` under \`${backend.prefix}/terraform.tfstate\`, locked with the DynamoDB table \`${backend.lockTable}\``
+      : `the Cloud Storage bucket \`${backend.bucket}\` under \`${backend.prefix}/\``;
+
+    return `
+## Remote State
+
+\`backend.tf\` keeps the state in ${location}, so everyone applying this configuration shares it.
+${backend.bootstrap ? `
+Create the bucket once, before the first \`${this.binary} init\`:
+\`\`\`bash
+${this.binary} -chdir=bootstrap init
+${this.binary} -chdir=bootstrap apply
+\`\`\`
+
+The bootstrap module keeps its own state in \`bootstrap/terraform.tfstate\`, which git ignores: keep a copy to manage the bucket later. The bucket is protected with \`prevent_destroy\`.
+` : `
+The bucket must exist before \`${this.binary} init\`.
+`}`;
+  }
+
+  /**
+   * README file list entries of the remote state files
+   */
+  getStateFilesList() {
+    const backend = this.getStateBackend();
+    if (!backend) {
+      return '';
+    }
+
+    return `- \`backend.tf\`: Remote state backend
+${backend.bootstrap ? '- `bootstrap/`: Module creating the state bucket\n' : ''}`;
+  }
+
+  /**
+   * Usage for a project with deploy environments: a workspace keeps each environment's state apart
+   */
+  getEnvironmentsUsage() {
+    const [example] = this.getEnvironments();
+
+    return `## Usage
+
+Each deploy environment has its own variables file in \`environments/\` and its own workspace, so its state is kept apart:
+
+${this.getEnvironments().map(({ name, branch }) => `- \`${name}\` (deployed from \`${branch}\`): \`environments/${name}.tfvars\``).join('\n')}
+
+1. Review and update the variables file of the environment
+2. Initialize Terraform:
+   \`\`\`bash
+   ${this.binary} init
+   \`\`\`
+3. Select the environment's workspace, creating it the first time:
+   \`\`\`bash
+   ${this.binary} workspace select -or-create ${example.name}
+   \`\`\`
+4. Plan and apply with the environment's variables:
+   \`\`\`bash
+   ${this.binary} plan -var-file=environments/${example.name}.tfvars
+   ${this.binary} apply -var-file=environments/${example.name}.tfvars
+   \`\`\`
+
+## Destroy Infrastructure
+
+To tear down an environment, from its workspace:
+\`\`\`bash
+${this.binary} workspace select ${example.name}
+${this.binary} destroy -var-file=environments/${example.name}.tfvars
+\`\`\`
+
+## Files
+
+- \`main.tf\`: Main infrastructure configuration
+- \`variables.tf\`: Variable definitions
+- \`outputs.tf\`: Output values
+- \`environments/<name>.tfvars\`: Configuration values of each environment (not committed to git)
+- \`terraform.tfvars.example\`: Example configuration file
+${this.getStateFilesList()}`;
+  }
+
   /**
    * Get cloud-specific credentials instructions
    */
@@ -390,6 +916,11 @@ terraform destroy
         return `
    - GCP: Authenticate with \`gcloud auth application-default login\` or set:
      - GOOGLE_APPLICATION_CREDENTIALS (path to service account key file)`;
+
+      case 'azure-containerapps':
+        return `
+   - Azure: Log in with \`az login\` and select the subscription, or set:
+     - ARM_SUBSCRIPTION_ID`;
       
       default:
         return '   - Configure appropriate cloud provider credentials';
@@ -402,10 +933,7 @@ terraform destroy
  */
 export async function executeTerraform(projectPath, deployTarget, projectDetails) {
   const executor = new TerraformExecutor(projectPath, deployTarget, projectDetails);
-  
-  // Generate README
-  executor.generateTerraformReadme();
-  
-  // Execute Terraform workflow
+
+  // Execute Terraform workflow; initialize() writes the README
   return await executor.execute();
 }
\ No newline at end of file
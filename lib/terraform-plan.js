@@ -0,0 +1,111 @@
+/**
+ * Summary of a saved plan, read from `terraform show -json tfplan` (or tofu).
+ * Resources are grouped by what the apply does to them; only attribute names are
+ * kept for sensitive changes, never their values.
+ */
+
+// Saved next to tfplan for CI jobs to read
+export const PLAN_SUMMARY_FILE = 'tfplan.summary.json';
+
+// action_reason of a replacement in the plan JSON
+const REPLACE_REASONS = {
+  replace_because_tainted: 'the resource is tainted',
+  replace_because_cannot_update: 'a changed attribute cannot be updated in place',
+  replace_by_request: 'requested with -replace',
+  replace_by_triggers: 'replace_triggered_by changed',
+};
+
+/**
+ * Attribute paths marked true in a before_sensitive / after_sensitive tree, e.g. "env.0.value"
+ */
+function sensitivePaths(tree, prefix = []) {
+  if (tree === true) {
+    return [prefix.join('.')];
+  }
+  if (!tree || typeof tree !== 'object') {
+    return [];
+  }
+  return Object.entries(tree).flatMap(([key, value]) => sensitivePaths(value, [...prefix, key]));
+}
+
+function valueAt(value, path) {
+  return path.split('.').reduce((node, key) => (node == null ? undefined : node[key]), value);
+}
+
+/**
+ * Sensitive attributes whose value the change sets or alters
+ */
+function changedSensitiveAttributes({ actions, before, after, after_unknown: afterUnknown, after_sensitive: afterSensitive }) {
+  const paths = sensitivePaths(afterSensitive);
+  // Created and replaced resources set every attribute
+  if (actions.includes('create')) {
+    return paths;
+  }
+
+  return paths.filter((path) => valueAt(afterUnknown, path) === true
+    || JSON.stringify(valueAt(before, path)) !== JSON.stringify(valueAt(after, path)));
+}
+
+/**
+ * Group the resource changes of a plan.
+ *
+ * @returns {{
+ *   create: string[], update: string[], destroy: string[],
+ *   replace: { address: string, reason: string | null, paths: string[] }[],
+ *   sensitive: { address: string, attributes: string[] }[],
+ *   destructive: boolean
+ * }}
+ */
+export function summarizePlan(plan) {
+  const summary = { create: [], update: [], replace: [], destroy: [], sensitive: [], destructive: false };
+
+  for (const { address, mode, change, action_reason: reason } of plan.resource_changes || []) {
+    const { actions } = change;
+    // Data sources are read, not changed
+    if (mode === 'data' || actions.includes('no-op') || actions.includes('read')) {
+      continue;
+    }
+
+    if (actions.includes('create') && actions.includes('delete')) {
+      // replace_paths lists the attributes forcing the replacement, as arrays of path steps
+      const paths = (change.replace_paths || []).map((path) => path.join('.'));
+      summary.replace.push({ address, reason: reason || null, paths });
+    } else if (actions.includes('create')) {
+      summary.create.push(address);
+    } else if (actions.includes('delete')) {
+      summary.destroy.push(address);
+    } else if (actions.includes('update')) {
+      summary.update.push(address);
+    }
+
+    const attributes = actions.includes('delete') && !actions.includes('create') ? [] : changedSensitiveAttributes(change);
+    if (attributes.length > 0) {
+      summary.sensitive.push({ address, attributes });
+    }
+  }
+
+  summary.destructive = summary.destroy.length > 0 || summary.replace.length > 0;
+  return summary;
+}
+
+/**
+ * One-line count of a summary, e.g. "2 to create, 1 to update, 0 to replace, 0 to destroy"
+ */
+export function describePlanCounts(summary) {
+  return ['create', 'update', 'replace', 'destroy'].map((action) => `${summary[action].length} to ${action}`).join(', ');
+}
+
+/**
+ * Whether applying the plan changes anything
+ */
+export function hasPlanChanges(summary) {
+  return ['create', 'update', 'replace', 'destroy'].some((action) => summary[action].length > 0);
+}
+
+/**
+ * Why a resource is replaced, e.g. "a changed attribute cannot be updated in place: image"
+ */
+export function describeReplacement({ reason, paths }) {
+  const description = REPLACE_REASONS[reason] || 'the provider requires it';
+  return paths.length > 0 ? `${description}: ${paths.join(', ')}` : description;
+}
@@ -0,0 +1,67 @@
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import Handlebars from 'handlebars';
+import { existsSync, readFileSync } from './utils/io.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+// Remote state backend of each Terraform target; Azure Container Apps keeps its state local
+export const STATE_BACKENDS = {
+  'aws-apprunner': 's3',
+  'aws-ecs': 's3',
+  'gcp-cloudrun': 'gcs',
+};
+
+// Files of the module in terraform/bootstrap that creates the state bucket
+const BOOTSTRAP_FILES = ['main.tf', 'variables.tf', 'outputs.tf'];
+
+/**
+ * Remote state settings of a project, or null when its state stays local:
+ * the target has no backend or no state bucket was given
+ */
+export function getStateBackend({ deployTarget, projectName, deployConfig = {} }) {
+  const type = STATE_BACKENDS[deployTarget];
+  if (!type || !deployConfig.stateBucket) {
+    return null;
+  }
+
+  return {
+    type,
+    bucket: deployConfig.stateBucket,
+    prefix: deployConfig.statePrefix || projectName,
+    lockTable: deployConfig.stateLockTable || `${deployConfig.stateBucket}-lock`,
+    bootstrap: deployConfig.stateBootstrap === true,
+    awsRegion: deployConfig.awsRegion || 'us-east-1',
+    gcpProjectId: deployConfig.gcpProjectId || '',
+    gcpRegion: deployConfig.gcpRegion || 'us-central1',
+  };
+}
+
+/**
+ * Render the remote state files of a project, keyed by path relative to terraform/:
+ * backend.tf and, with stateBootstrap, the bootstrap module with its terraform.tfvars.
+ * Returns an empty object when the state stays local.
+ */
+export function renderStateFiles(projectDetails) {
+  const backend = getStateBackend(projectDetails);
+  if (!backend) {
+    return {};
+  }
+
+  const templateDir = join(__dirname, '..', 'deploy-templates', 'terraform', 'state', backend.type);
+  const render = (file) => Handlebars.compile(readFileSync(join(templateDir, file), 'utf8'), { noEscape: true })(backend);
+  const files = { 'backend.tf': render('backend.tf') };
+
+  if (backend.bootstrap) {
+    for (const file of BOOTSTRAP_FILES) {
+      const sourcePath = join(templateDir, 'bootstrap', file);
+      if (existsSync(sourcePath)) {
+        files[`bootstrap/${file}`] = readFileSync(sourcePath, 'utf8');
+      }
+    }
+    files['bootstrap/terraform.tfvars'] = render('bootstrap/terraform.tfvars.example');
+  }
+
+  return files;
+}
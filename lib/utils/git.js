@@ -1,5 +1,4 @@
-import { execa } from 'execa';
-import { writeFile } from 'fs/promises';
+import { execa, writeFile } from './io.js';
 import { join } from 'path';
 import { logger } from './logger.js';
 
@@ -50,6 +49,8 @@ npm-debug.log*
 # terraform
 *.tfstate
 *.tfstate.*
+tfplan
+tfplan.summary.json
 .terraform/
 .terraform.lock.hcl
 
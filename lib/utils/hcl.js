@@ -0,0 +1,149 @@
+/**
+ * Structural syntax check for Terraform (HCL) files, used when the terraform binary
+ * cannot run. It catches what a broken template substitution leaves behind: unclosed
+ * brackets, strings and heredocs, arguments without a value and unrendered {{ }}
+ * placeholders. It does not type-check expressions; terraform validate does that.
+ */
+
+const CLOSING = { '{': '}', '[': ']', '(': ')', '${': '}' };
+const HEREDOC_PATTERN = /^<<(-?)([A-Za-z_][\w-]*)[ \t]*\r?\n/;
+const PLACEHOLDER_PATTERN = /^\{\{[#/^!]?\s*[\w.]/;
+
+/**
+ * Check one HCL file.
+ *
+ * @returns {{ line: number, message: string }[]} one entry per problem, in file order
+ */
+export function checkHclSyntax(content) {
+  const problems = [];
+  const stack = [];
+  let line = 1;
+  let i = 0;
+
+  const report = (message, at = line) => problems.push({ line: at, message });
+  const top = () => stack[stack.length - 1];
+
+  // Skip to the end of the line, leaving the newline for the main loop
+  const skipLine = () => {
+    while (i < content.length && content[i] !== '\n') i++;
+  };
+
+  while (i < content.length) {
+    const char = content[i];
+    const next = content[i + 1];
+
+    // Quoted string: escapes, ${ } / %{ } templates, and no line breaks
+    if (top()?.type === '"') {
+      // \" escapes and $${ / %%{ literals
+      if (char === '\\' || ((char === '$' || char === '%') && next === char)) {
+        i += 2;
+        continue;
+      }
+      if (char === '"') {
+        stack.pop();
+      } else if (char === '\n') {
+        report('Unterminated string', stack.pop().line);
+        line++;
+      } else if ((char === '$' || char === '%') && next === '{' && content[i + 2] !== '{') {
+        stack.push({ type: '${', line });
+        i += 2;
+        continue;
+      } else if (char === '{' && PLACEHOLDER_PATTERN.test(content.slice(i))) {
+        report('Unrendered template placeholder');
+      }
+      i++;
+      continue;
+    }
+
+    if (char === '\n') {
+      line++;
+      i++;
+      continue;
+    }
+
+    if (char === '#' || (char === '/' && next === '/')) {
+      skipLine();
+      continue;
+    }
+
+    if (char === '/' && next === '*') {
+      const end = content.indexOf('*/', i + 2);
+      if (end === -1) {
+        report('Unterminated comment');
+        break;
+      }
+      line += content.slice(i, end).split('\n').length - 1;
+      i = end + 2;
+      continue;
+    }
+
+    if (char === '"') {
+      stack.push({ type: '"', line });
+      i++;
+      continue;
+    }
+
+    // Heredoc: its body is free text up to a line holding only the marker
+    const heredoc = char === '<' && next === '<' && content.slice(i).match(HEREDOC_PATTERN);
+    if (heredoc) {
+      const start = line;
+      const marker = heredoc[2];
+      i += heredoc[0].length;
+      line++;
+
+      let closed = false;
+      while (i < content.length) {
+        const end = content.indexOf('\n', i);
+        const bodyLine = content.slice(i, end === -1 ? content.length : end);
+        i = end === -1 ? content.length : end;
+        if (bodyLine.trim() === marker) {
+          closed = true;
+          break;
+        }
+        if (end !== -1) {
+          i++;
+          line++;
+        }
+      }
+      if (!closed) {
+        report(`Unterminated heredoc ${marker}`, start);
+      }
+      continue;
+    }
+
+    if (char === '{' && PLACEHOLDER_PATTERN.test(content.slice(i))) {
+      report('Unrendered template placeholder');
+      skipLine();
+      continue;
+    }
+
+    if (char === '{' || char === '[' || char === '(') {
+      stack.push({ type: char, line });
+    } else if (char === '}' || char === ']' || char === ')') {
+      const open = top();
+      if (!open || open.type === '"') {
+        report(`Unexpected "${char}"`);
+      } else if (CLOSING[open.type] !== char) {
+        report(`Expected "${CLOSING[open.type]}" to close "${open.type}" from line ${open.line}, found "${char}"`);
+        stack.pop();
+      } else {
+        stack.pop();
+      }
+    } else if (char === '=' && !'=!<>'.includes(content[i - 1]) && next !== '=' && next !== '>') {
+      // Outside brackets an argument's value starts on the same line
+      const lineEnd = content.indexOf('\n', i);
+      const rest = content.slice(i + 1, lineEnd === -1 ? content.length : lineEnd).trim();
+      if (!['[', '('].includes(top()?.type) && (rest === '' || rest.startsWith('#') || rest.startsWith('//'))) {
+        const name = content.slice(content.lastIndexOf('\n', i) + 1, i).trim();
+        report(`Missing value for ${name || 'argument'}`);
+      }
+    }
+    i++;
+  }
+
+  for (const open of stack) {
+    report(open.type === '"' ? 'Unterminated string' : `Unclosed "${open.type}"`, open.line);
+  }
+
+  return problems.sort((a, b) => a.line - b.line);
+}
@@ -0,0 +1,176 @@
+import * as fs from 'fs';
+import * as fsp from 'fs/promises';
+import * as childProcess from 'child_process';
+import { execa as realExeca } from 'execa';
+import { resolve } from 'path';
+
+/**
+ * Filesystem and shell access used by the generator.
+ *
+ * In dry-run mode nothing touches the disk: writes are kept in an in-memory
+ * overlay (so later steps can read what earlier steps "wrote") and commands
+ * are recorded instead of executed.
+ */
+export class DryRunRecorder {
+  constructor() {
+    // Absolute path -> { content, original } where original is the on-disk content (or null)
+    this.files = new Map();
+    this.directories = new Set();
+    this.commands = [];
+    // Steps that failed, so the preview is incomplete
+    this.failures = [];
+  }
+
+  hasFile(path) {
+    return this.files.has(resolve(path));
+  }
+
+  hasDirectory(path) {
+    const target = resolve(path);
+    if (this.directories.has(target)) {
+      return true;
+    }
+    for (const file of this.files.keys()) {
+      if (file.startsWith(target + '/')) {
+        return true;
+      }
+    }
+    return false;
+  }
+
+  readFile(path) {
+    return this.files.get(resolve(path))?.content;
+  }
+
+  recordFile(path, content) {
+    const target = resolve(path);
+    const existing = this.files.get(target);
+    const original = existing
+      ? existing.original
+      : fs.existsSync(target) ? fs.readFileSync(target, 'utf8') : null;
+
+    this.files.set(target, { content: String(content), original });
+  }
+
+  recordDirectory(path) {
+    const target = resolve(path);
+    if (!fs.existsSync(target)) {
+      this.directories.add(target);
+    }
+  }
+
+  recordCommand(command, cwd = process.cwd()) {
+    this.commands.push({ command, cwd: resolve(cwd) });
+  }
+
+  recordFailure(message) {
+    this.failures.push(message);
+  }
+}
+
+let recorder = null;
+
+/**
+ * Switch all subsequent I/O to dry-run mode
+ */
+export function enableDryRun() {
+  recorder = new DryRunRecorder();
+  return recorder;
+}
+
+export function isDryRun() {
+  return recorder !== null;
+}
+
+export function getDryRunRecorder() {
+  return recorder;
+}
+
+/**
+ * Record a command that would be executed in dry-run mode
+ */
+export function recordCommand(command, cwd) {
+  recorder.recordCommand(command, cwd);
+}
+
+/**
+ * Record a step that failed in dry-run mode; does nothing otherwise
+ */
+export function recordFailure(message) {
+  recorder?.recordFailure(message);
+}
+
+export function existsSync(path) {
+  if (recorder && (recorder.hasFile(path) || recorder.hasDirectory(path))) {
+    return true;
+  }
+  return fs.existsSync(path);
+}
+
+export function readFileSync(path, encoding) {
+  if (recorder?.hasFile(path)) {
+    return recorder.readFile(path);
+  }
+  return fs.readFileSync(path, encoding);
+}
+
+export function writeFileSync(path, content) {
+  if (recorder) {
+    recorder.recordFile(path, content);
+    return;
+  }
+  fs.writeFileSync(path, content);
+}
+
+export function mkdirSync(path, options) {
+  if (recorder) {
+    recorder.recordDirectory(path);
+    return;
+  }
+  fs.mkdirSync(path, options);
+}
+
+export async function readFile(path, encoding) {
+  return readFileSync(path, encoding);
+}
+
+export async function writeFile(path, content) {
+  if (recorder) {
+    recorder.recordFile(path, content);
+    return;
+  }
+  await fsp.writeFile(path, content);
+}
+
+export async function mkdir(path, options) {
+  if (recorder) {
+    recorder.recordDirectory(path);
+    return;
+  }
+  await fsp.mkdir(path, options);
+}
+
+export async function copyFile(source, destination) {
+  if (recorder) {
+    recorder.recordFile(destination, readFileSync(source, 'utf8'));
+    return;
+  }
+  await fsp.copyFile(source, destination);
+}
+
+export function execSync(command, options = {}) {
+  if (recorder) {
+    recorder.recordCommand(command, options.cwd);
+    return options.encoding ? '' : Buffer.alloc(0);
+  }
+  return childProcess.execSync(command, options);
+}
+
+// Not async: callers attach to the returned subprocess's stdout/stderr streams
+export function execa(file, args = [], options = {}) {
+  if (recorder) {
+    recorder.recordCommand([file, ...args].join(' '), options.cwd);
+    return Promise.resolve({ stdout: '', stderr: '', exitCode: 0 });
+  }
+  return realExeca(file, args, options);
+}
@@ -0,0 +1,194 @@
+/**
+ * Line-based diff and three-way merge, used to preview generated files and to
+ * apply regenerated templates on top of user changes
+ */
+
+/**
+ * Match lines of `a` against `b` using their longest common subsequence.
+ * Returns an array where entry i is the index in `b` matched with a[i], or -1.
+ */
+function matchLines(a, b) {
+  const matches = new Array(a.length).fill(-1);
+
+  // Trim common prefix and suffix to keep the LCS table small
+  let start = 0;
+  while (start < a.length && start < b.length && a[start] === b[start]) {
+    matches[start] = start;
+    start++;
+  }
+
+  let endA = a.length;
+  let endB = b.length;
+  while (endA > start && endB > start && a[endA - 1] === b[endB - 1]) {
+    endA--;
+    endB--;
+    matches[endA] = endB;
+  }
+
+  const rows = endA - start;
+  const cols = endB - start;
+  if (rows === 0 || cols === 0) {
+    return matches;
+  }
+
+  // lengths[i][j] = LCS length of a[start + i..endA) and b[start + j..endB)
+  const width = cols + 1;
+  const lengths = new Uint32Array((rows + 1) * width);
+  for (let i = rows - 1; i >= 0; i--) {
+    for (let j = cols - 1; j >= 0; j--) {
+      lengths[i * width + j] = a[start + i] === b[start + j]
+        ? lengths[(i + 1) * width + j + 1] + 1
+        : Math.max(lengths[(i + 1) * width + j], lengths[i * width + j + 1]);
+    }
+  }
+
+  let i = 0;
+  let j = 0;
+  while (i < rows && j < cols) {
+    if (a[start + i] === b[start + j]) {
+      matches[start + i] = start + j;
+      i++;
+      j++;
+    } else if (lengths[(i + 1) * width + j] >= lengths[i * width + j + 1]) {
+      i++;
+    } else {
+      j++;
+    }
+  }
+
+  return matches;
+}
+
+function sameLines(a, b) {
+  return a.length === b.length && a.every((line, index) => line === b[index]);
+}
+
+/**
+ * Merge `ours` and `theirs`, both derived from `base`.
+ * Changes made on only one side are applied; overlapping changes produce
+ * git-style conflict markers.
+ *
+ * @returns {{ content: string, conflicts: number }}
+ */
+export function mergeThreeWay(base, ours, theirs, labels = {}) {
+  const { ours: oursLabel = 'ours', theirs: theirsLabel = 'theirs' } = labels;
+  const baseLines = base.split('\n');
+  const oursLines = ours.split('\n');
+  const theirsLines = theirs.split('\n');
+
+  const oursMatch = matchLines(baseLines, oursLines);
+  const theirsMatch = matchLines(baseLines, theirsLines);
+
+  const output = [];
+  let conflicts = 0;
+  let i = 0;
+  let j = 0;
+  let k = 0;
+
+  for (;;) {
+    // Find the next base line left untouched by both sides
+    let next = i;
+    while (next < baseLines.length && (oursMatch[next] === -1 || theirsMatch[next] === -1)) {
+      next++;
+    }
+
+    const oursEnd = next < baseLines.length ? oursMatch[next] : oursLines.length;
+    const theirsEnd = next < baseLines.length ? theirsMatch[next] : theirsLines.length;
+
+    // Resolve the changed region before it
+    const baseChunk = baseLines.slice(i, next);
+    const oursChunk = oursLines.slice(j, oursEnd);
+    const theirsChunk = theirsLines.slice(k, theirsEnd);
+
+    if (sameLines(oursChunk, theirsChunk) || sameLines(theirsChunk, baseChunk)) {
+      output.push(...oursChunk);
+    } else if (sameLines(oursChunk, baseChunk)) {
+      output.push(...theirsChunk);
+    } else {
+      output.push(`<<<<<<< ${oursLabel}`, ...oursChunk, '=======', ...theirsChunk, `>>>>>>> ${theirsLabel}`);
+      conflicts++;
+    }
+
+    if (next >= baseLines.length) {
+      break;
+    }
+
+    output.push(baseLines[next]);
+    i = next + 1;
+    j = oursEnd + 1;
+    k = theirsEnd + 1;
+  }
+
+  return { content: output.join('\n'), conflicts };
+}
+
+function diffOps(before, after) {
+  const matches = matchLines(before, after);
+  const ops = [];
+  let j = 0;
+
+  for (let i = 0; i < before.length; i++) {
+    if (matches[i] === -1) {
+      ops.push({ type: '-', line: before[i] });
+      continue;
+    }
+    while (j < matches[i]) {
+      ops.push({ type: '+', line: after[j++] });
+    }
+    ops.push({ type: ' ', line: before[i] });
+    j++;
+  }
+  while (j < after.length) {
+    ops.push({ type: '+', line: after[j++] });
+  }
+
+  return ops;
+}
+
+/**
+ * Render a unified diff between two versions of a file.
+ * Returns an empty string when they are identical.
+ */
+export function createUnifiedDiff(fileName, before, after, context = 3) {
+  const ops = diffOps(before.split('\n'), after.split('\n'));
+
+  let oldLine = 1;
+  let newLine = 1;
+  for (const op of ops) {
+    op.oldLine = oldLine;
+    op.newLine = newLine;
+    if (op.type !== '+') oldLine++;
+    if (op.type !== '-') newLine++;
+  }
+
+  const changed = ops.flatMap((op, index) => (op.type === ' ' ? [] : [index]));
+  if (changed.length === 0) {
+    return '';
+  }
+
+  // Group changes whose context windows overlap into hunks
+  const hunks = [];
+  let start = Math.max(0, changed[0] - context);
+  let end = Math.min(ops.length, changed[0] + context + 1);
+  for (const index of changed.slice(1)) {
+    if (index - context <= end) {
+      end = Math.min(ops.length, index + context + 1);
+    } else {
+      hunks.push([start, end]);
+      start = index - context;
+      end = Math.min(ops.length, index + context + 1);
+    }
+  }
+  hunks.push([start, end]);
+
+  const lines = [`--- a/${fileName}`, `+++ b/${fileName}`];
+  for (const [hunkStart, hunkEnd] of hunks) {
+    const hunk = ops.slice(hunkStart, hunkEnd);
+    const oldCount = hunk.filter((op) => op.type !== '+').length;
+    const newCount = hunk.filter((op) => op.type !== '-').length;
+    lines.push(`@@ -${hunk[0].oldLine},${oldCount} +${hunk[0].newLine},${newCount} @@`);
+    lines.push(...hunk.map((op) => `${op.type}${op.line}`));
+  }
+
+  return lines.join('\n');
+}
@@ -0,0 +1,290 @@
+import { readFileSync } from 'fs';
+import { join, dirname } from 'path';
+import { fileURLToPath } from 'url';
+import { databaseSetups } from '../augmentations/database/index.js';
+import { authSetups } from '../augmentations/auth/index.js';
+import { monitoringSetups } from '../augmentations/monitoring/index.js';
+import { utilitySetups } from '../augmentations/utilities/index.js';
+import { PACKAGE_MANAGERS } from './package-manager.js';
+import { CLOUD_AUTH_METHODS } from './cloud-auth.js';
+import { STATE_BACKENDS } from './terraform-state.js';
+import { IAC_BINARIES } from './iac-binary.js';
+
+const __filename = fileURLToPath(import.meta.url);
+const __dirname = dirname(__filename);
+
+const frameworksConfig = JSON.parse(
+  readFileSync(join(__dirname, '..', 'config', 'frameworks.json'), 'utf8')
+);
+const deployTargetsConfig = JSON.parse(
+  readFileSync(join(__dirname, '..', 'config', 'deploy-targets.json'), 'utf8')
+);
+
+export const PROJECT_NAME_PATTERN = /^[a-z0-9-]+$/;
+
+// Environment names become resource name suffixes and GitHub Environment names
+export const ENVIRONMENT_NAME_PATTERN = /^[a-z][a-z0-9-]*$/;
+
+// owner/name of the GitHub repository an OIDC login trusts
+export const GITHUB_REPOSITORY_PATTERN = /^[A-Za-z0-9-]+\/[A-Za-z0-9._-]+$/;
+
+// S3 and Cloud Storage bucket names holding the Terraform state
+export const STATE_BUCKET_PATTERN = /^[a-z0-9][a-z0-9.-]{1,61}[a-z0-9]$/;
+
+export const FEATURES = ['docker', 'github-actions', 'gitlab-ci', 'bitbucket-pipelines', 'circleci', 'terraform'];
+
+// Opt-in tweaks read by the framework wrapper and post-processors
+export const POST_PROCESSING_FEATURES = ['health-check', 'security', 'production-ready', 'env-vars', 'typescript'];
+
+// Augmentation category -> registry of setup functions keyed by type
+export const augmentationRegistries = {
+  database: databaseSetups,
+  auth: authSetups,
+  monitoring: monitoringSetups,
+  utility: utilitySetups,
+};
+
+function editDistance(a, b) {
+  let previous = Array.from({ length: b.length + 1 }, (_, j) => j);
+  for (let i = 1; i <= a.length; i++) {
+    const current = [i];
+    for (let j = 1; j <= b.length; j++) {
+      current[j] = Math.min(
+        previous[j] + 1,
+        current[j - 1] + 1,
+        previous[j - 1] + (a[i - 1] === b[j - 1] ? 0 : 1)
+      );
+    }
+    previous = current;
+  }
+  return previous[b.length];
+}
+
+/**
+ * Find the candidate closest to `value`, or null if none is a plausible typo
+ */
+export function suggest(value, candidates) {
+  const input = String(value).toLowerCase();
+  let best = null;
+  let bestDistance = Infinity;
+
+  for (const candidate of candidates) {
+    const distance = editDistance(input, candidate.toLowerCase());
+    if (distance < bestDistance) {
+      best = candidate;
+      bestDistance = distance;
+    }
+  }
+
+  return bestDistance <= Math.max(2, Math.floor(input.length / 3)) ? best : null;
+}
+
+/**
+ * Describe an unknown value, with a "did you mean" hint when one is close enough
+ */
+export function unknownValueMessage(kind, value, candidates) {
+  const suggestion = suggest(value, candidates);
+  const hint = suggestion ? ` Did you mean "${suggestion}"?` : '';
+  return `Unknown ${kind} "${value}".${hint} Available: ${candidates.join(', ')}`;
+}
+
+export function validateFramework(framework) {
+  return frameworksConfig[framework] ? null : unknownValueMessage('framework', framework, Object.keys(frameworksConfig));
+}
+
+export function validatePackageManager(packageManager) {
+  return PACKAGE_MANAGERS[packageManager]
+    ? null
+    : unknownValueMessage('package manager', packageManager, Object.keys(PACKAGE_MANAGERS));
+}
+
+export function validateIacBinary(iacBinary) {
+  return IAC_BINARIES[iacBinary] ? null : unknownValueMessage('IaC binary', iacBinary, Object.keys(IAC_BINARIES));
+}
+
+export function validateDeployTarget(deployTarget) {
+  return deployTargetsConfig[deployTarget]
+    ? null
+    : unknownValueMessage('deploy target', deployTarget, Object.keys(deployTargetsConfig));
+}
+
+/**
+ * Check an augmentation name against the augmentation registries
+ */
+export function validateAugmentationName(augmentation) {
+  const [category, type, ...rest] = String(augmentation).split(':');
+  if (!category || !type || rest.length > 0) {
+    return `Invalid augmentation "${augmentation}". Use the form <category>:<type>, e.g. database:postgres`;
+  }
+
+  const registry = augmentationRegistries[category];
+  if (!registry) {
+    return unknownValueMessage('augmentation category', category, Object.keys(augmentationRegistries));
+  }
+  if (!registry[type]) {
+    const known = Object.keys(registry).map((name) => `${category}:${name}`);
+    return unknownValueMessage('augmentation', augmentation, known);
+  }
+  return null;
+}
+
+/**
+ * Check that augmentations can be combined with each other, the framework and the deploy target
+ */
+export function checkAugmentationCompatibility(augmentations, { framework, deployTarget } = {}) {
+  const errors = [];
+
+  // API frameworks have no pages, so only server-side augmentations apply
+  if (frameworksConfig[framework]?.kind === 'api') {
+    const unsupported = augmentations.filter(
+      (augmentation) => !augmentation.startsWith('database:') && !augmentation.startsWith('utility:')
+    );
+    if (unsupported.length > 0) {
+      errors.push(`${unsupported.join(', ')} is not available for ${framework}. API frameworks support database:* and utility:* augmentations.`);
+    }
+  }
+
+  if (framework && augmentations.includes('auth:nextauth') && framework !== 'nextjs') {
+    errors.push(`auth:nextauth requires the nextjs framework (got ${framework}). Use auth:auth0 or auth:cognito instead.`);
+  }
+
+  // Monitoring agents need a long-running server, which only container targets provide
+  if (deployTarget && deployTargetsConfig[deployTarget]?.container === false) {
+    const monitoring = augmentations.filter((augmentation) => augmentation.startsWith('monitoring:'));
+    if (monitoring.length > 0) {
+      errors.push(`${monitoring.join(', ')} is not available for ${deployTarget}, which provides its own monitoring.`);
+    }
+  }
+
+  const databases = augmentations.filter((augmentation) => augmentation.startsWith('database:'));
+  if (databases.length > 1) {
+    errors.push(`Only one database augmentation can be used at a time (got ${databases.join(', ')}).`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check deploy environments: valid names, each listed once and deployed from its own branch
+ */
+export function validateEnvironments(environments = []) {
+  const errors = [];
+  const names = new Set();
+  const branches = new Map();
+
+  for (const { name, branch } of environments) {
+    if (!ENVIRONMENT_NAME_PATTERN.test(name)) {
+      errors.push(`Invalid environment name "${name}". Use lowercase letters, numbers and hyphens, starting with a letter.`);
+    } else if (names.has(name)) {
+      errors.push(`Environment "${name}" is listed more than once.`);
+    }
+    names.add(name);
+
+    if (branches.has(branch)) {
+      errors.push(`Environments ${branches.get(branch)} and ${name} both deploy from the ${branch} branch. Use name:branch to pick another branch.`);
+    } else {
+      branches.set(branch, name);
+    }
+  }
+
+  return errors;
+}
+
+/**
+ * Check how the workflows log in to the cloud and the repository an OIDC login trusts
+ */
+export function validateCloudAuth(deployConfig = {}) {
+  const { cloudAuth, githubRepository } = deployConfig;
+  const errors = [];
+
+  if (cloudAuth !== undefined && !CLOUD_AUTH_METHODS.includes(cloudAuth)) {
+    errors.push(unknownValueMessage('cloud auth method', cloudAuth, CLOUD_AUTH_METHODS));
+  }
+  if (githubRepository && !GITHUB_REPOSITORY_PATTERN.test(githubRepository)) {
+    errors.push(`Invalid GitHub repository "${githubRepository}". Use the form owner/name, e.g. acme/my-app`);
+  }
+
+  return errors;
+}
+
+/**
+ * Check the Terraform state bucket: a valid name, on a target whose Terraform supports remote state
+ */
+export function validateStateBackend(deployConfig = {}, deployTarget) {
+  const { stateBucket } = deployConfig;
+  const errors = [];
+
+  if (!stateBucket) {
+    return errors;
+  }
+  if (!STATE_BUCKET_PATTERN.test(stateBucket)) {
+    errors.push(`Invalid state bucket "${stateBucket}". Use 3-63 lowercase letters, numbers, dots and hyphens.`);
+  }
+  if (deployTarget && !STATE_BACKENDS[deployTarget]) {
+    errors.push(`Remote Terraform state is not supported for ${deployTarget}. Supported targets: ${Object.keys(STATE_BACKENDS).join(', ')}`);
+  }
+
+  return errors;
+}
+
+/**
+ * Validate resolved project details before anything is generated
+ *
+ * @returns {string[]} one message per problem
+ */
+export function validateProjectDetails(projectDetails) {
+  const { projectName, framework, deployTarget, packageManager, iacBinary, features = [], augmentations = [], environments = [], deployConfig } = projectDetails;
+  const errors = [];
+
+  if (!PROJECT_NAME_PATTERN.test(projectName || '')) {
+    errors.push(`Invalid project name "${projectName}". Use only lowercase letters, numbers and hyphens.`);
+  }
+
+  const frameworkError = validateFramework(framework);
+  const deployTargetError = validateDeployTarget(deployTarget);
+  const packageManagerError = packageManager === undefined ? null : validatePackageManager(packageManager);
+  const iacBinaryError = iacBinary === undefined ? null : validateIacBinary(iacBinary);
+  errors.push(...[frameworkError, deployTargetError, packageManagerError, iacBinaryError].filter(Boolean));
+
+  for (const feature of features) {
+    if (!FEATURES.includes(feature) && !POST_PROCESSING_FEATURES.includes(feature)) {
+      errors.push(unknownValueMessage('feature', feature, [...FEATURES, ...POST_PROCESSING_FEATURES]));
+    }
+  }
+
+  if (features.includes('terraform') && !deployTargetError && !deployTargetsConfig[deployTarget].terraform) {
+    const supported = Object.keys(deployTargetsConfig).filter((key) => deployTargetsConfig[key].terraform);
+    errors.push(`The terraform feature is not supported for ${deployTarget}. Supported targets: ${supported.join(', ')}`);
+  }
+
+  if (!frameworkError && !deployTargetError && frameworksConfig[framework].kind === 'api' && !deployTargetsConfig[deployTarget].container) {
+    const supported = Object.keys(deployTargetsConfig).filter((key) => deployTargetsConfig[key].container);
+    errors.push(`${framework} is an API framework and needs a container deploy target. Supported targets: ${supported.join(', ')}`);
+  }
+
+  errors.push(...validateEnvironments(environments));
+  errors.push(...validateCloudAuth(deployConfig));
+  errors.push(...validateStateBackend(deployConfig, deployTargetError ? undefined : deployTarget));
+
+  const augmentationErrors = augmentations.map(validateAugmentationName).filter(Boolean);
+  errors.push(...augmentationErrors);
+
+  if (augmentationErrors.length === 0) {
+    errors.push(...checkAugmentationCompatibility(augmentations, {
+      framework: frameworkError ? undefined : framework,
+      deployTarget: deployTargetError ? undefined : deployTarget,
+    }));
+  }
+
+  return errors;
+}
+
+/**
+ * Throw a single error listing every problem found in the project details
+ */
+export function assertValidProjectDetails(projectDetails) {
+  const errors = validateProjectDetails(projectDetails);
+  if (errors.length > 0) {
+    throw new Error(`Invalid project configuration:\n  - ${errors.join('\n  - ')}`);
+  }
+}
@@ -0,0 +1,181 @@
+import { join } from 'path';
+import { existsSync, mkdir, writeFile, readFile } from '../../lib/utils/io.js';
+import { BasePostProcessor } from '../common/index.js';
+import { logger } from '../../lib/utils/logger.js';
+
+// SSR adapter used for each deploy target; container targets run the standalone Node server
+const adapters = {
+  vercel: { name: '@astrojs/vercel', version: '^8.0.0', importName: 'vercel', call: 'vercel()' },
+  netlify: { name: '@astrojs/netlify', version: '^6.0.0', importName: 'netlify', call: 'netlify()' },
+  cloudflare: { name: '@astrojs/cloudflare', version: '^12.0.0', importName: 'cloudflare', call: 'cloudflare()' },
+  node: { name: '@astrojs/node', version: '^9.0.0', importName: 'node', call: "node({ mode: 'standalone' })" },
+};
+
+const ASTRO_CONFIG_FILES = ['astro.config.mjs', 'astro.config.ts', 'astro.config.js'];
+
+export default class AstroPostProcessor extends BasePostProcessor {
+  /**
+   * Adapter package for the project's deploy target
+   */
+  getAdapter() {
+    return adapters[this.projectDetails.deployTarget] || adapters.node;
+  }
+
+  /**
+   * Switch the project to server output with the adapter matching the deploy target
+   */
+  async configureAdapter() {
+    const adapter = this.getAdapter();
+    await this.addDependency(adapter);
+
+    // Standalone mode builds a server entry that runs without astro itself
+    if (adapter === adapters.node) {
+      await this.setScripts({ start: 'node ./dist/server/entry.mjs' });
+    }
+
+    const configFile = ASTRO_CONFIG_FILES.find((file) => existsSync(join(this.projectPath, file)));
+    if (!configFile) {
+      logger.warn(`No astro.config found, add ${adapter.name} to your Astro config manually`);
+      return;
+    }
+
+    const configPath = join(this.projectPath, configFile);
+    let configContent = await readFile(configPath, 'utf-8');
+
+    if (configContent.includes('adapter:')) {
+      logger.warn(`${configFile} already sets an adapter, leaving it unchanged`);
+      return;
+    }
+
+    configContent = configContent
+      .replace(
+        /(import \{ defineConfig \} from ['"]astro\/config['"];?)/,
+        `$1\nimport ${adapter.importName} from '${adapter.name}';`
+      )
+      .replace(/defineConfig\(\{/, `defineConfig({\n  output: 'server',\n  adapter: ${adapter.call},`);
+
+    await writeFile(configPath, configContent);
+    logger.info(`Configured ${adapter.name} for ${this.projectDetails.deployTarget}`);
+  }
+
+  /**
+   * Add Astro health check API route
+   */
+  async addHealthCheck() {
+    const apiDir = join(this.projectPath, 'src', 'pages', 'api');
+    await mkdir(apiDir, { recursive: true });
+
+    const healthCheckContent = `import type { APIRoute } from 'astro';
+
+// Always rendered on request, never prerendered at build time
+export const prerender = false;
+
+export const GET: APIRoute = () => {
+  return new Response(
+    JSON.stringify({
+      status: 'ok',
+      timestamp: new Date().toISOString(),
+      environment: process.env.NODE_ENV || 'development',
+      framework: 'astro',
+      version: process.env.npm_package_version || 'unknown'
+    }),
+    { headers: { 'Content-Type': 'application/json' } }
+  );
+};
+`;
+
+    await writeFile(join(apiDir, 'health.ts'), healthCheckContent);
+
+    logger.info('Added Astro health check endpoint at /api/health');
+  }
+
+  /**
+   * Add security headers middleware
+   */
+  async addSecurityHeaders() {
+    const middlewarePath = join(this.projectPath, 'src', 'middleware.ts');
+
+    if (existsSync(middlewarePath)) {
+      logger.warn('src/middleware.ts already exists, skipping security headers');
+      return;
+    }
+
+    const middlewareContent = `import { defineMiddleware, sequence } from 'astro:middleware';
+
+// Security headers
+const securityHeaders = defineMiddleware(async (context, next) => {
+  const response = await next();
+
+  response.headers.set('X-Frame-Options', 'SAMEORIGIN');
+  response.headers.set('X-Content-Type-Options', 'nosniff');
+  response.headers.set('X-XSS-Protection', '1; mode=block');
+  response.headers.set('Referrer-Policy', 'strict-origin-when-cross-origin');
+  response.headers.set('Permissions-Policy', 'camera=(), microphone=(), geolocation=()');
+
+  if (import.meta.env.PROD) {
+    response.headers.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+  }
+
+  return response;
+});
+
+export const onRequest = sequence(securityHeaders);
+`;
+
+    await mkdir(join(this.projectPath, 'src'), { recursive: true });
+    await writeFile(middlewarePath, middlewareContent);
+    logger.info('Added security headers middleware at src/middleware.ts');
+  }
+
+  /**
+   * Add Astro-specific environment configuration
+   */
+  async addEnvTemplate() {
+    const envTemplate = `# Application
+NODE_ENV=production
+PORT=3000
+HOST=0.0.0.0
+
+# Public site URL, used for canonical URLs and the sitemap
+SITE_URL=http://localhost:3000
+
+# Database (optional)
+# DATABASE_URL=
+
+# Authentication (optional)
+# AUTH_SECRET=
+
+# External APIs (PUBLIC_ variables are exposed to the browser)
+# API_KEY=
+# PUBLIC_API_BASE_URL=
+
+# Monitoring (optional)
+# SENTRY_DSN=
+# PUBLIC_SENTRY_DSN=
+`;
+
+    await writeFile(join(this.projectPath, '.env.example'), envTemplate);
+    await writeFile(join(this.projectPath, '.env'), envTemplate);
+  }
+
+  /**
+   * Run all Astro-specific post-processing tasks
+   */
+  async process() {
+    // Run common tasks first
+    await super.process();
+
+    // The deploy target decides the adapter, so this always runs
+    await this.configureAdapter();
+
+    if (this.projectDetails.features.includes('health-check')) {
+      await this.addHealthCheck();
+    }
+
+    if (this.projectDetails.features.includes('security')) {
+      await this.addSecurityHeaders();
+    }
+
+    logger.success('Astro post-processing completed');
+  }
+}
@@ -1,7 +1,7 @@
 import { join } from 'path';
-import { existsSync } from 'fs';
-import { mkdir, writeFile, readFile } from 'fs/promises';
+import { existsSync, mkdir, writeFile, readFile, execSync, recordFailure } from '../../lib/utils/io.js';
 import { logger } from '../../lib/utils/logger.js';
+import { addPackagesCommand } from '../../lib/package-manager.js';
 
 /**
  * Base post-processor functionality shared across all frameworks
@@ -66,6 +66,40 @@ PORT=${this.projectDetails.frameworkConfig.port || 3000}
     logger.warn('Security headers not implemented for this framework');
   }
 
+  /**
+   * Add a dependency with the project's package manager so the lockfile stays in sync.
+   * When installs are skipped it is only declared in package.json.
+   */
+  async addDependency({ name, version }, { dev = false } = {}) {
+    if (!this.projectDetails.skipInstall) {
+      execSync(addPackagesCommand(this.projectDetails.packageManager, name, { dev }), {
+        cwd: this.projectPath,
+        stdio: 'pipe',
+      });
+      return;
+    }
+
+    const packageJsonPath = join(this.projectPath, 'package.json');
+    if (existsSync(packageJsonPath)) {
+      const packageJson = JSON.parse(await readFile(packageJsonPath, 'utf-8'));
+      const field = dev ? 'devDependencies' : 'dependencies';
+      packageJson[field] = { ...packageJson[field], [name]: version };
+      await writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+    }
+  }
+
+  /**
+   * Set package.json scripts, keeping the others
+   */
+  async setScripts(scripts) {
+    const packageJsonPath = join(this.projectPath, 'package.json');
+    if (existsSync(packageJsonPath)) {
+      const packageJson = JSON.parse(await readFile(packageJsonPath, 'utf-8'));
+      packageJson.scripts = { ...packageJson.scripts, ...scripts };
+      await writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
+    }
+  }
+
   /**
    * Add deployment scripts to package.json
    */
@@ -99,6 +133,7 @@ PORT=${this.projectDetails.frameworkConfig.port || 3000}
       await writeFile(packageJsonPath, JSON.stringify(packageJson, null, 2) + '\n');
     } catch (error) {
       logger.warn('Could not update package.json scripts:', error.message);
+      recordFailure(`Could not update package.json scripts: ${error.message}`);
     }
   }
 
@@ -0,0 +1,69 @@
+import { join } from 'path';
+import { writeFile } from '../../lib/utils/io.js';
+import { BasePostProcessor } from '../common/index.js';
+import { logger } from '../../lib/utils/logger.js';
+import { registerFastifyPlugin } from '../../lib/project-scaffolder.js';
+
+export default class FastifyPostProcessor extends BasePostProcessor {
+  /**
+   * Add security headers with @fastify/helmet
+   */
+  async addSecurityHeaders() {
+    await this.addDependency({ name: '@fastify/helmet', version: '^13.0.0' });
+
+    // An API serves no HTML, so the content security policy only gets in the way
+    const registered = await registerFastifyPlugin(this.projectPath, {
+      name: 'helmet',
+      from: '@fastify/helmet',
+      options: '{ contentSecurityPolicy: false }',
+    });
+
+    if (registered) {
+      logger.info('Registered @fastify/helmet in src/app.ts');
+    } else {
+      logger.warn('Could not find buildApp() in src/app.ts, register @fastify/helmet manually');
+    }
+  }
+
+  /**
+   * Add API server environment configuration
+   */
+  async addEnvTemplate() {
+    const envTemplate = `# Application
+NODE_ENV=production
+PORT=3000
+HOST=0.0.0.0
+LOG_LEVEL=info
+
+# Milliseconds open requests get to finish on SIGTERM
+SHUTDOWN_TIMEOUT_MS=10000
+
+# Database (optional)
+# DATABASE_URL=
+
+# External APIs
+# API_KEY=
+
+# Monitoring (optional)
+# SENTRY_DSN=
+`;
+
+    await writeFile(join(this.projectPath, '.env.example'), envTemplate);
+    await writeFile(join(this.projectPath, '.env'), envTemplate);
+  }
+
+  /**
+   * Run all Fastify-specific post-processing tasks.
+   * The /health route and graceful shutdown are part of the skeleton itself.
+   */
+  async process() {
+    // Run common tasks first
+    await super.process();
+
+    if (this.projectDetails.features.includes('security')) {
+      await this.addSecurityHeaders();
+    }
+
+    logger.success('Fastify post-processing completed');
+  }
+}
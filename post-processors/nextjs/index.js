@@ -1,6 +1,5 @@
 import { join } from 'path';
-import { existsSync } from 'fs';
-import { mkdir, writeFile, readFile } from 'fs/promises';
+import { existsSync, mkdir, writeFile, readFile } from '../../lib/utils/io.js';
 import { BasePostProcessor } from '../common/index.js';
 import { logger } from '../../lib/utils/logger.js';
 
@@ -276,6 +275,38 @@ export default function Error({
     }
   }
 
+  /**
+   * Add the Netlify Next.js runtime, loaded as a build plugin from netlify.toml
+   */
+  async configureNetlify() {
+    await this.addDependency({ name: '@netlify/plugin-nextjs', version: '^5.10.0' }, { dev: true });
+    logger.info('Added @netlify/plugin-nextjs for Netlify builds');
+  }
+
+  /**
+   * Build the app as a Cloudflare Worker with the OpenNext adapter
+   */
+  async configureCloudflare() {
+    await this.addDependency({ name: '@opennextjs/cloudflare', version: '^1.0.0' });
+    await this.addDependency({ name: 'wrangler', version: '^4.0.0' }, { dev: true });
+
+    await writeFile(
+      join(this.projectPath, 'open-next.config.ts'),
+      `import { defineCloudflareConfig } from '@opennextjs/cloudflare';
+
+export default defineCloudflareConfig();
+`
+    );
+
+    // opennextjs-cloudflare runs the build script itself, so it cannot replace it
+    await this.setScripts({
+      'build:cloudflare': 'opennextjs-cloudflare build',
+      preview: 'opennextjs-cloudflare build && opennextjs-cloudflare preview',
+    });
+
+    logger.info('Configured @opennextjs/cloudflare for Cloudflare Workers');
+  }
+
   /**
    * Run all Next.js-specific post-processing tasks
    */
@@ -283,6 +314,12 @@ export default function Error({
     // Run common tasks first
     await super.process();
 
+    if (this.projectDetails.deployTarget === 'netlify') {
+      await this.configureNetlify();
+    } else if (this.projectDetails.deployTarget === 'cloudflare') {
+      await this.configureCloudflare();
+    }
+
     // Run Next.js-specific tasks
     if (this.projectDetails.features.includes('health-check')) {
       await this.addHealthCheck();
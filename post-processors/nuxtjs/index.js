@@ -1,9 +1,13 @@
 import { join } from 'path';
-import { existsSync } from 'fs';
-import { mkdir, writeFile, readFile } from 'fs/promises';
+import { existsSync, mkdir, writeFile, readFile } from '../../lib/utils/io.js';
 import { BasePostProcessor } from '../common/index.js';
 import { logger } from '../../lib/utils/logger.js';
 
+// Nitro presets for edge targets. Netlify's is set in netlify.toml; container targets keep node-server.
+const nitroPresets = {
+  cloudflare: 'cloudflare_module',
+};
+
 export default class NuxtPostProcessor extends BasePostProcessor {
   /**
    * Add Nuxt.js health check endpoint
@@ -132,6 +136,32 @@ NUXT_PUBLIC_API_BASE=/api
     );
   }
 
+  /**
+   * Build the Nitro server for the deploy target when it needs a preset
+   */
+  async configureNitroPreset() {
+    const preset = nitroPresets[this.projectDetails.deployTarget];
+    const nuxtConfigPath = join(this.projectPath, 'nuxt.config.ts');
+
+    if (!preset) {
+      return;
+    }
+    if (!existsSync(nuxtConfigPath)) {
+      logger.warn(`No nuxt.config.ts found, set nitro.preset to '${preset}' manually`);
+      return;
+    }
+
+    let configContent = await readFile(nuxtConfigPath, 'utf-8');
+
+    // Extend the nitro block the security headers may have added
+    configContent = configContent.includes('nitro: {')
+      ? configContent.replace('nitro: {', `nitro: {\n    preset: '${preset}',`)
+      : configContent.replace(/export default defineNuxtConfig\({/, `export default defineNuxtConfig({\n  nitro: {\n    preset: '${preset}',\n  },`);
+
+    await writeFile(nuxtConfigPath, configContent);
+    logger.info(`Set the Nitro preset to ${preset}`);
+  }
+
   /**
    * Run all Nuxt-specific post-processing tasks
    */
@@ -152,6 +182,9 @@ NUXT_PUBLIC_API_BASE=/api
       await this.addProductionOptimizations();
     }
 
+    // After the security headers, which only add a nitro block when there is none
+    await this.configureNitroPreset();
+
     logger.success('Nuxt.js post-processing completed');
   }
 }
\ No newline at end of file
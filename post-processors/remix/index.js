@@ -1,10 +1,36 @@
 import { join } from 'path';
-import { existsSync } from 'fs';
-import { mkdir, writeFile, readFile } from 'fs/promises';
+import { existsSync, mkdir, writeFile, readFile } from '../../lib/utils/io.js';
 import { BasePostProcessor } from '../common/index.js';
 import { logger } from '../../lib/utils/logger.js';
 
+// Runtime packages and Vite plugin for edge targets; container targets keep @remix-run/node
+const edgeAdapters = {
+  netlify: {
+    packages: [{ name: '@netlify/remix-adapter', version: '^2.5.0' }],
+    plugin: { name: 'netlifyPlugin', from: '@netlify/remix-adapter/plugin' },
+  },
+  cloudflare: {
+    runtime: '@remix-run/cloudflare',
+    packages: [
+      { name: '@remix-run/cloudflare', version: '^2.15.0' },
+      { name: '@remix-run/cloudflare-pages', version: '^2.15.0' },
+    ],
+    devPackages: [{ name: 'wrangler', version: '^4.0.0' }],
+    // Must run before the remix plugin so loaders see the Cloudflare bindings in dev
+    plugin: { name: 'cloudflareDevProxyVitePlugin', from: '@remix-run/dev' },
+  },
+};
+
+const VITE_CONFIG_FILES = ['vite.config.ts', 'vite.config.js'];
+
 export default class RemixPostProcessor extends BasePostProcessor {
+  /**
+   * Server runtime package the app's routes import from
+   */
+  getServerRuntime() {
+    return edgeAdapters[this.projectDetails.deployTarget]?.runtime || '@remix-run/node';
+  }
+
   /**
    * Add Remix health check route
    */
@@ -12,8 +38,9 @@ export default class RemixPostProcessor extends BasePostProcessor {
     const routesDir = join(this.projectPath, 'app', 'routes');
     await mkdir(routesDir, { recursive: true });
     
-    const healthCheckContent = `import { json } from "@remix-run/node";
-import type { LoaderFunction } from "@remix-run/node";
+    const runtime = this.getServerRuntime();
+    const healthCheckContent = `import { json } from "${runtime}";
+import type { LoaderFunction } from "${runtime}";
 
 export const loader: LoaderFunction = async () => {
   return json({
@@ -218,6 +245,74 @@ export function ErrorBoundary() {
     }
   }
 
+  /**
+   * Install the adapter for an edge deploy target and register its Vite plugin
+   */
+  async configureEdgeAdapter() {
+    const adapter = edgeAdapters[this.projectDetails.deployTarget];
+    if (!adapter) {
+      return;
+    }
+
+    for (const dependency of adapter.packages) {
+      await this.addDependency(dependency);
+    }
+    for (const dependency of adapter.devPackages || []) {
+      await this.addDependency(dependency, { dev: true });
+    }
+
+    const configFile = VITE_CONFIG_FILES.find((file) => existsSync(join(this.projectPath, file)));
+    if (!configFile) {
+      logger.warn(`No vite.config found, add ${adapter.plugin.name}() from ${adapter.plugin.from} to your Vite plugins manually`);
+    } else {
+      const configPath = join(this.projectPath, configFile);
+      let configContent = await readFile(configPath, 'utf-8');
+
+      if (!configContent.includes(adapter.plugin.name)) {
+        const imports = [...configContent.matchAll(/^import .*$/gm)];
+        const lastImport = imports[imports.length - 1];
+        const importEnd = lastImport ? lastImport.index + lastImport[0].length : 0;
+
+        configContent =
+          configContent.slice(0, importEnd) +
+          `\nimport { ${adapter.plugin.name} } from "${adapter.plugin.from}";` +
+          configContent.slice(importEnd);
+        configContent = configContent.replace(/plugins:\s*\[/, `plugins: [\n    ${adapter.plugin.name}(),`);
+
+        await writeFile(configPath, configContent);
+        logger.info(`Added ${adapter.plugin.name} to ${configFile}`);
+      }
+    }
+
+    if (this.projectDetails.deployTarget === 'cloudflare') {
+      await this.addPagesFunction();
+    }
+  }
+
+  /**
+   * Serve the Remix server build from a Cloudflare Pages Function
+   */
+  async addPagesFunction() {
+    const functionsDir = join(this.projectPath, 'functions');
+    await mkdir(functionsDir, { recursive: true });
+
+    const pagesFunctionContent = `import { createPagesFunctionHandler } from "@remix-run/cloudflare-pages";
+
+// @ts-ignore - the server build is generated by remix vite:build
+import * as build from "../build/server";
+
+export const onRequest = createPagesFunctionHandler({ build });
+`;
+
+    await writeFile(join(functionsDir, '[[path]].ts'), pagesFunctionContent);
+    logger.info('Added Cloudflare Pages Function at functions/[[path]].ts');
+
+    const entryServerPath = join(this.projectPath, 'app', 'entry.server.tsx');
+    if (existsSync(entryServerPath) && (await readFile(entryServerPath, 'utf-8')).includes('@remix-run/node')) {
+      logger.warn('app/entry.server.tsx uses @remix-run/node; delete it to use the Cloudflare default, or port it to @remix-run/cloudflare');
+    }
+  }
+
   /**
    * Run all Remix-specific post-processing tasks
    */
@@ -225,6 +320,9 @@ export function ErrorBoundary() {
     // Run common tasks first
     await super.process();
 
+    // The deploy target decides the runtime, so this always runs
+    await this.configureEdgeAdapter();
+
     // Run Remix-specific tasks
     if (this.projectDetails.features.includes('health-check')) {
       await this.addHealthCheck();
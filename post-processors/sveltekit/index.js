@@ -0,0 +1,181 @@
+import { join } from 'path';
+import { existsSync, mkdir, writeFile, readFile } from '../../lib/utils/io.js';
+import { BasePostProcessor } from '../common/index.js';
+import { logger } from '../../lib/utils/logger.js';
+
+// Adapter used for each deploy target; container targets run the Node server
+const adapters = {
+  vercel: { name: '@sveltejs/adapter-vercel', version: '^5.5.0' },
+  netlify: { name: '@sveltejs/adapter-netlify', version: '^4.4.0' },
+  cloudflare: { name: '@sveltejs/adapter-cloudflare', version: '^7.0.0' },
+  node: { name: '@sveltejs/adapter-node', version: '^5.2.0' },
+};
+
+export default class SvelteKitPostProcessor extends BasePostProcessor {
+  /**
+   * Adapter package for the project's deploy target
+   */
+  getAdapter() {
+    return adapters[this.projectDetails.deployTarget] || adapters.node;
+  }
+
+  /**
+   * Swap the scaffolded adapter-auto for the adapter matching the deploy target
+   */
+  async configureAdapter() {
+    const adapter = this.getAdapter();
+    await this.addDependency(adapter, { dev: true });
+
+    // adapter-node builds a standalone server started with `node build`
+    if (adapter === adapters.node) {
+      await this.setScripts({ start: 'node build' });
+    }
+
+    const svelteConfigPath = join(this.projectPath, 'svelte.config.js');
+    if (existsSync(svelteConfigPath)) {
+      const configContent = await readFile(svelteConfigPath, 'utf-8');
+      await writeFile(
+        svelteConfigPath,
+        configContent.replace(/from ['"]@sveltejs\/adapter-[a-z-]+['"]/, `from '${adapter.name}'`)
+      );
+    }
+
+    logger.info(`Configured ${adapter.name} for ${this.projectDetails.deployTarget}`);
+  }
+
+  /**
+   * Add SvelteKit health check endpoint
+   */
+  async addHealthCheck() {
+    const healthDir = join(this.projectPath, 'src', 'routes', 'api', 'health');
+    await mkdir(healthDir, { recursive: true });
+
+    const healthCheckContent = `import { json } from '@sveltejs/kit';
+import type { RequestHandler } from './$types';
+
+export const GET: RequestHandler = () => {
+  return json({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    environment: process.env.NODE_ENV || 'development',
+    framework: 'sveltekit',
+    version: process.env.npm_package_version || 'unknown'
+  });
+};
+`;
+
+    await writeFile(join(healthDir, '+server.ts'), healthCheckContent);
+
+    logger.info('Added SvelteKit health check endpoint at /api/health');
+  }
+
+  /**
+   * Add security headers through a server hook
+   */
+  async addSecurityHeaders() {
+    const hooksPath = join(this.projectPath, 'src', 'hooks.server.ts');
+
+    if (existsSync(hooksPath)) {
+      logger.warn('src/hooks.server.ts already exists, skipping security headers');
+      return;
+    }
+
+    const hooksContent = `import type { Handle } from '@sveltejs/kit';
+import { sequence } from '@sveltejs/kit/hooks';
+
+// Security headers
+const securityHeaders: Handle = async ({ event, resolve }) => {
+  const response = await resolve(event);
+
+  response.headers.set('X-Frame-Options', 'SAMEORIGIN');
+  response.headers.set('X-Content-Type-Options', 'nosniff');
+  response.headers.set('X-XSS-Protection', '1; mode=block');
+  response.headers.set('Referrer-Policy', 'strict-origin-when-cross-origin');
+  response.headers.set('Permissions-Policy', 'camera=(), microphone=(), geolocation=()');
+
+  if (process.env.NODE_ENV === 'production') {
+    response.headers.set('Strict-Transport-Security', 'max-age=31536000; includeSubDomains');
+  }
+
+  return response;
+};
+
+export const handle = sequence(securityHeaders);
+`;
+
+    await writeFile(hooksPath, hooksContent);
+    logger.info('Added security headers to src/hooks.server.ts');
+  }
+
+  /**
+   * Add SvelteKit-specific environment configuration
+   */
+  async addEnvTemplate() {
+    const envTemplate = `# Application
+NODE_ENV=production
+PORT=3000
+HOST=0.0.0.0
+
+# Public URL of the app, required by adapter-node for form actions
+ORIGIN=http://localhost:3000
+
+# Database (optional)
+# DATABASE_URL=
+
+# Authentication (optional)
+# AUTH_SECRET=
+
+# External APIs (PUBLIC_ variables are exposed to the browser)
+# API_KEY=
+# PUBLIC_API_BASE_URL=
+
+# Monitoring (optional)
+# SENTRY_DSN=
+# PUBLIC_SENTRY_DSN=
+`;
+
+    await writeFile(join(this.projectPath, '.env.example'), envTemplate);
+    await writeFile(join(this.projectPath, '.env'), envTemplate);
+  }
+
+  /**
+   * Serve precompressed assets from the Node server
+   */
+  async addProductionOptimizations() {
+    const svelteConfigPath = join(this.projectPath, 'svelte.config.js');
+
+    if (this.getAdapter() === adapters.node && existsSync(svelteConfigPath)) {
+      const configContent = await readFile(svelteConfigPath, 'utf-8');
+
+      if (configContent.includes('adapter()')) {
+        await writeFile(svelteConfigPath, configContent.replace('adapter()', 'adapter({ precompress: true })'));
+        logger.info('Enabled precompressed assets in svelte.config.js');
+      }
+    }
+  }
+
+  /**
+   * Run all SvelteKit-specific post-processing tasks
+   */
+  async process() {
+    // Run common tasks first
+    await super.process();
+
+    // The deploy target decides the adapter, so this always runs
+    await this.configureAdapter();
+
+    if (this.projectDetails.features.includes('health-check')) {
+      await this.addHealthCheck();
+    }
+
+    if (this.projectDetails.features.includes('security')) {
+      await this.addSecurityHeaders();
+    }
+
+    if (this.projectDetails.features.includes('production-ready')) {
+      await this.addProductionOptimizations();
+    }
+
+    logger.success('SvelteKit post-processing completed');
+  }
+}
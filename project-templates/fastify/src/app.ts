@@ -0,0 +1,15 @@
+import Fastify, { type FastifyServerOptions } from 'fastify';
+import healthRoutes from './routes/health';
+
+/**
+ * Build the Fastify instance. Kept separate from server.ts so tests can
+ * use app.inject() without opening a port.
+ */
+export async function buildApp(options: FastifyServerOptions = {}) {
+  const app = Fastify(options);
+
+  // Plugins are registered before routes so their hooks apply everywhere
+  await app.register(healthRoutes);
+
+  return app;
+}
@@ -0,0 +1,14 @@
+import type { FastifyPluginAsync } from 'fastify';
+
+const healthRoutes: FastifyPluginAsync = async (app) => {
+  app.get('/health', async () => ({
+    status: 'ok',
+    timestamp: new Date().toISOString(),
+    uptime: process.uptime(),
+    environment: process.env.NODE_ENV || 'development',
+    framework: 'fastify',
+    version: process.env.npm_package_version || 'unknown',
+  }));
+};
+
+export default healthRoutes;
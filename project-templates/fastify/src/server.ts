@@ -0,0 +1,40 @@
+import { buildApp } from './app';
+
+const port = Number(process.env.PORT) || 3000;
+const host = process.env.HOST || '0.0.0.0';
+// Time in-flight requests get to finish once a shutdown signal arrives
+const shutdownTimeout = Number(process.env.SHUTDOWN_TIMEOUT_MS) || 10000;
+
+const app = await buildApp({
+  logger: { level: process.env.LOG_LEVEL || 'info' },
+});
+
+async function shutdown(signal: string) {
+  app.log.info({ signal }, 'Shutting down');
+
+  const timer = setTimeout(() => {
+    app.log.error('Shutdown timed out, forcing exit');
+    process.exit(1);
+  }, shutdownTimeout);
+  timer.unref();
+
+  try {
+    // Stops accepting connections, waits for open requests and runs onClose hooks
+    await app.close();
+    process.exit(0);
+  } catch (error) {
+    app.log.error(error, 'Error during shutdown');
+    process.exit(1);
+  }
+}
+
+for (const signal of ['SIGINT', 'SIGTERM']) {
+  process.once(signal, () => void shutdown(signal));
+}
+
+try {
+  await app.listen({ port, host });
+} catch (error) {
+  app.log.error(error);
+  process.exit(1);
+}
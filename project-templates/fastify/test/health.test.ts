@@ -0,0 +1,12 @@
+import { test } from 'node:test';
+import assert from 'node:assert/strict';
+import { buildApp } from '../src/app';
+
+test('GET /health reports ok', async () => {
+  const app = await buildApp();
+  const response = await app.inject({ method: 'GET', url: '/health' });
+
+  assert.equal(response.statusCode, 200);
+  assert.equal(response.json().status, 'ok');
+  await app.close();
+});
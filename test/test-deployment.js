@@ -72,7 +72,6 @@ if (existsSync(deployInjectorPath)) {
   // Check for key functions
   const functions = [
     'addGitHubActions',
-    'addTerraformConfig',
     'addVercelConfig',
     'getDeploymentInstructions'
   ];
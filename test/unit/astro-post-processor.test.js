@@ -0,0 +1,77 @@
+import { mkdtempSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import AstroPostProcessor from '../../post-processors/astro/index.js';
+
+const astroConfig = `// @ts-check
+import { defineConfig } from 'astro/config';
+
+// https://astro.build/config
+export default defineConfig({});
+`;
+
+describe('AstroPostProcessor', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = mkdtempSync(join(tmpdir(), 'fde-astro-'));
+    writeFileSync(join(projectPath, 'astro.config.mjs'), astroConfig);
+    writeFileSync(join(projectPath, 'package.json'), JSON.stringify({
+      scripts: { build: 'astro build', dev: 'astro dev' },
+      dependencies: { astro: '^5.0.0' },
+    }));
+  });
+
+  afterEach(() => {
+    rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const createProcessor = (deployTarget, features = []) => new AstroPostProcessor(projectPath, 'astro', {
+    projectName: 'my-site',
+    deployTarget,
+    features,
+    skipInstall: true,
+    packageManager: 'yarn',
+    frameworkConfig: { port: 3000 },
+  });
+
+  const readPackageJson = () => JSON.parse(readFileSync(join(projectPath, 'package.json'), 'utf8'));
+
+  test('should use the node adapter in standalone mode for container targets', async () => {
+    await createProcessor('aws-apprunner').process();
+
+    const config = readFileSync(join(projectPath, 'astro.config.mjs'), 'utf8');
+    expect(config).toContain("import node from '@astrojs/node';");
+    expect(config).toContain("output: 'server',");
+    expect(config).toContain("adapter: node({ mode: 'standalone' }),");
+    expect(readPackageJson().dependencies).toHaveProperty('@astrojs/node');
+    expect(readPackageJson().scripts.start).toBe('node ./dist/server/entry.mjs');
+  });
+
+  test('should use the vercel adapter for vercel', async () => {
+    await createProcessor('vercel').process();
+
+    const config = readFileSync(join(projectPath, 'astro.config.mjs'), 'utf8');
+    expect(config).toContain("import vercel from '@astrojs/vercel';");
+    expect(config).toContain('adapter: vercel(),');
+    expect(readPackageJson().scripts).not.toHaveProperty('start');
+  });
+
+  test('should use the cloudflare adapter for cloudflare', async () => {
+    await createProcessor('cloudflare').process();
+
+    const config = readFileSync(join(projectPath, 'astro.config.mjs'), 'utf8');
+    expect(config).toContain("import cloudflare from '@astrojs/cloudflare';");
+    expect(config).toContain('adapter: cloudflare(),');
+    expect(readPackageJson().dependencies).toHaveProperty('@astrojs/cloudflare');
+    expect(readPackageJson().scripts).not.toHaveProperty('start');
+  });
+
+  test('should add the health route and security middleware', async () => {
+    await createProcessor('gcp-cloudrun', ['health-check', 'security']).process();
+
+    expect(existsSync(join(projectPath, 'src', 'pages', 'api', 'health.ts'))).toBe(true);
+    const middleware = readFileSync(join(projectPath, 'src', 'middleware.ts'), 'utf8');
+    expect(middleware).toContain('export const onRequest = sequence(securityHeaders);');
+  });
+});
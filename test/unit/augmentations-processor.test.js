@@ -0,0 +1,59 @@
+import { jest } from '@jest/globals';
+import { mkdtempSync, readFileSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { addAugmentation, processAugmentations } from '../../lib/augmentations-processor.js';
+import { createManifest } from '../../lib/manifest.js';
+import { enableDryRun } from '../../lib/utils/io.js';
+
+describe('processAugmentations', () => {
+  test('should only return the augmentations that were applied', async () => {
+    const projectPath = mkdtempSync(join(tmpdir(), 'fde-augment-'));
+    writeFileSync(join(projectPath, 'package.json'), JSON.stringify({ name: 'my-api', dependencies: { fastify: '^4.0.0' } }));
+    const dryRun = enableDryRun();
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      const applied = await processAugmentations(projectPath, 'fastify', ['utility:sentry', 'utility:bogus'], 'yarn');
+      expect(applied).toEqual(['utility:sentry']);
+      expect(errorSpy).toHaveBeenCalledWith(expect.anything(), 'Failed to add utility:bogus: Unknown utility type: bogus');
+      expect(dryRun.failures).toEqual(['Failed to add utility:bogus: Unknown utility type: bogus']);
+    } finally {
+      logSpy.mockRestore();
+      errorSpy.mockRestore();
+      rmSync(projectPath, { recursive: true, force: true });
+    }
+  });
+});
+
+describe('addAugmentation', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = mkdtempSync(join(tmpdir(), 'fde-add-'));
+  });
+
+  afterEach(() => {
+    rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('should report the manifest update of a dry run without writing it', async () => {
+    writeFileSync(join(projectPath, 'package.json'), JSON.stringify({ name: 'my-api', dependencies: { fastify: '^4.0.0' } }));
+    // Written straight to disk: io writes are only recorded once a dry run is enabled
+    const manifestPath = join(projectPath, 'fde.json');
+    const original = JSON.stringify(createManifest({ projectName: 'my-api', framework: 'fastify', deployTarget: 'fly' }, {}));
+    writeFileSync(manifestPath, original);
+
+    const dryRun = enableDryRun();
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    try {
+      await addAugmentation(projectPath, 'utility:sentry');
+    } finally {
+      logSpy.mockRestore();
+    }
+
+    expect(readFileSync(manifestPath, 'utf8')).toBe(original);
+    expect(JSON.parse(dryRun.readFile(manifestPath)).project.augmentations).toEqual(['utility:sentry']);
+  });
+});
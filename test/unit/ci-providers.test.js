@@ -0,0 +1,128 @@
+import YAML from 'yaml';
+import { renderCiPipelines } from '../../lib/deploy-injector.js';
+import { ciProviders } from '../../lib/ci-providers/index.js';
+import { validateProjectDetails } from '../../lib/validation.js';
+
+describe('CI providers', () => {
+  const project = {
+    projectName: 'my-api',
+    framework: 'fastify',
+    deployTarget: 'aws-ecs',
+    packageManager: 'yarn',
+    features: ['docker'],
+    frameworkConfig: { port: 3000, healthCheckPath: '/health' },
+    deployConfig: { awsRegion: 'eu-west-1' },
+  };
+  const deployTargets = [
+    'aws-apprunner', 'aws-ecs', 'vercel', 'gcp-cloudrun', 'fly', 'kubernetes',
+    'azure-containerapps', 'netlify', 'cloudflare', 'render', 'railway',
+  ];
+
+  test('should render a pipeline for every deploy target and provider', () => {
+    for (const feature of Object.keys(ciProviders)) {
+      for (const deployTarget of deployTargets) {
+        const [file, ...rest] = renderCiPipelines({ ...project, deployTarget }, feature);
+
+        expect(rest).toHaveLength(0);
+        expect(() => YAML.parse(file.content)).not.toThrow();
+        expect(file.content).not.toMatch(/\{\{ \w+ \}\}|undefined/);
+      }
+    }
+    expect(validateProjectDetails({ ...project, features: ['gitlab-ci', 'bitbucket-pipelines', 'circleci'] })).toEqual([]);
+  });
+
+  test('should build merge requests and deploy pushes to main on GitLab CI', () => {
+    const [{ path, content }] = renderCiPipelines(project, 'gitlab-ci');
+    const { stages, build, deploy } = YAML.parse(content);
+
+    expect(path).toBe('.gitlab-ci.yml');
+    expect(content).toMatch(/^# Set AWS_ACCESS_KEY_ID, AWS_SECRET_ACCESS_KEY as masked CI\/CD variables/m);
+    expect(stages).toEqual(['build', 'deploy']);
+    expect(build.rules).toEqual([
+      { if: '$CI_PIPELINE_SOURCE == "merge_request_event" && $CI_MERGE_REQUEST_TARGET_BRANCH_NAME == "main"' },
+    ]);
+    expect(build.script).toEqual(['docker build -t $ECR_REPOSITORY:$COMMIT_SHA .']);
+    expect(build.services).toEqual(['docker:27-dind']);
+    expect(deploy.rules).toEqual([{ if: '$CI_COMMIT_BRANCH == "main"' }]);
+    expect(deploy.variables).toMatchObject({ COMMIT_SHA: '$CI_COMMIT_SHA', AWS_REGION: 'eu-west-1', ECS_SERVICE: 'my-api-service' });
+    expect(deploy.script).toContain('aws ecs update-service --cluster $ECS_CLUSTER --service $ECS_SERVICE --task-definition $TASK_DEFINITION_ARN');
+    expect(deploy.resource_group).toBe('deploy');
+  });
+
+  test('should filter monorepo jobs by the app path', () => {
+    const monorepoProject = { ...project, deployTarget: 'render', monorepo: true, monorepoPath: 'apps/' };
+
+    const [gitlab] = renderCiPipelines(monorepoProject, 'gitlab-ci');
+    const gitlabJobs = YAML.parse(gitlab.content);
+    expect(gitlab.path).toBe('my-api.gitlab-ci.yml');
+    expect(gitlabJobs['my-api-deploy'].rules[0].changes).toEqual(['apps/my-api/**/*', 'my-api.gitlab-ci.yml']);
+    expect(gitlabJobs['my-api-deploy'].script.slice(0, 2)).toEqual(['cd apps/my-api', 'yarn install --frozen-lockfile']);
+
+    const [bitbucket] = renderCiPipelines(monorepoProject, 'bitbucket-pipelines');
+    const { step } = YAML.parse(bitbucket.content).pipelines.branches.main[0];
+    expect(step.name).toBe('my-api-deploy');
+    expect(step.condition.changesets.includePaths).toEqual(['apps/my-api/**', 'bitbucket-pipelines.yml']);
+    expect(step.script).toContain('curl -fsS -X POST "$RENDER_DEPLOY_HOOK_URL?ref=$COMMIT_SHA"');
+
+    const [circleci] = renderCiPipelines(monorepoProject, 'circleci');
+    const { jobs, workflows } = YAML.parse(circleci.content);
+    expect(jobs['my-api-deploy'].steps[1].run.command).toContain(
+      'git diff --quiet "$BASE" HEAD -- apps/my-api .circleci/config.yml; then circleci-agent step halt; fi'
+    );
+    expect(Object.keys(workflows)).toEqual(['my-api']);
+  });
+
+  test('should deploy each environment from its branch', () => {
+    const environments = [{ name: 'staging', branch: 'staging' }, { name: 'production', branch: 'main' }];
+    const environmentProject = { ...project, deployTarget: 'fly', environments };
+
+    const gitlab = YAML.parse(renderCiPipelines(environmentProject, 'gitlab-ci')[0].content);
+    expect(gitlab['deploy-staging'].environment).toEqual({ name: 'staging' });
+    expect(gitlab['deploy-staging'].rules).toEqual([{ if: '$CI_COMMIT_BRANCH == "staging"' }]);
+    expect(gitlab['deploy-staging'].script).toContain('flyctl deploy --remote-only --app my-api-staging --env APP_ENV=staging');
+    expect(gitlab['deploy-production'].script).toContain('flyctl deploy --remote-only --app my-api --env APP_ENV=production');
+
+    const bitbucket = YAML.parse(renderCiPipelines(environmentProject, 'bitbucket-pipelines')[0].content);
+    expect(Object.keys(bitbucket.pipelines.branches)).toEqual(['staging', 'main']);
+    expect(bitbucket.pipelines.branches.staging[0].step.deployment).toBe('staging');
+    expect(bitbucket.pipelines['pull-requests']['**']).toHaveLength(1);
+
+    const circleci = YAML.parse(renderCiPipelines(environmentProject, 'circleci')[0].content);
+    expect(circleci.workflows.deploy.jobs).toEqual([
+      { build: { filters: { branches: { ignore: ['staging', 'main'] } } } },
+      { 'deploy-staging': { context: ['staging'], filters: { branches: { only: ['staging'] } } } },
+      { 'deploy-production': { context: ['production'], filters: { branches: { only: ['main'] } } } },
+    ]);
+  });
+
+  test('should only build on CI when the platform deploys by itself', () => {
+    const vercelProject = { ...project, deployTarget: 'vercel', framework: 'nextjs', packageManager: 'pnpm' };
+
+    const gitlab = YAML.parse(renderCiPipelines(vercelProject, 'gitlab-ci')[0].content);
+    expect(gitlab.deploy).toBeUndefined();
+    expect(gitlab.build.rules).toHaveLength(2);
+    expect(gitlab.build.script).toEqual([
+      'corepack enable pnpm',
+      'pnpm install --frozen-lockfile',
+      'pnpm run --if-present lint',
+      'pnpm run --if-present test',
+      'pnpm build',
+      'pnpm run --if-present type-check',
+    ]);
+
+    const circleci = YAML.parse(renderCiPipelines(vercelProject, 'circleci')[0].content);
+    expect(circleci.workflows.deploy.jobs).toEqual(['build']);
+  });
+
+  test('should push Kubernetes images to the GitLab container registry', () => {
+    const [{ content }] = renderCiPipelines({ ...project, deployTarget: 'kubernetes' }, 'gitlab-ci');
+    const { deploy } = YAML.parse(content);
+
+    expect(deploy.variables.REGISTRY_IMAGE).toBe('$CI_REGISTRY_IMAGE');
+    expect(content).toMatch(/^# Set KUBE_CONFIG, HELM_SECRET_VALUES as masked/m);
+    expect(deploy.script.at(-1)).toBe(
+      'helm upgrade --install $RELEASE_NAME ./chart --namespace $NAMESPACE --create-namespace '
+      + '--set image.repository=$REGISTRY_IMAGE --set image.tag=$COMMIT_SHA -f /tmp/secret-values.yaml --wait --timeout 5m'
+    );
+  });
+});
@@ -0,0 +1,100 @@
+import { mkdtempSync, mkdirSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { loadProjectConfig, mergeConfigs, validateConfig } from '../../lib/config-loader.js';
+
+describe('ConfigLoader', () => {
+  let dir;
+  let originalConfigHome;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'fde-config-'));
+    originalConfigHome = process.env.XDG_CONFIG_HOME;
+    process.env.XDG_CONFIG_HOME = join(dir, 'xdg');
+    mkdirSync(join(dir, 'xdg', 'create-fde-app', 'presets'), { recursive: true });
+  });
+
+  afterEach(() => {
+    if (originalConfigHome === undefined) {
+      delete process.env.XDG_CONFIG_HOME;
+    } else {
+      process.env.XDG_CONFIG_HOME = originalConfigHome;
+    }
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  const writePreset = (name, content) => {
+    writeFileSync(join(dir, 'xdg', 'create-fde-app', 'presets', name), content);
+  };
+
+  test('should return null when no config or preset is given', () => {
+    expect(loadProjectConfig({})).toBeNull();
+  });
+
+  test('should load a YAML config file', () => {
+    const file = join(dir, 'fde.config.yaml');
+    writeFileSync(file, [
+      'framework: nuxtjs',
+      'deployTarget: gcp-cloudrun',
+      'deployConfig:',
+      '  gcpProjectId: acme-prod',
+      'features: [docker, terraform]',
+      'monorepo:',
+      '  enabled: true',
+      '  path: apps/web',
+    ].join('\n'));
+
+    expect(loadProjectConfig({ config: file })).toEqual({
+      framework: 'nuxtjs',
+      deployTarget: 'gcp-cloudrun',
+      deployConfig: { gcpProjectId: 'acme-prod' },
+      features: ['docker', 'terraform'],
+      monorepo: { enabled: true, path: 'apps/web' },
+    });
+  });
+
+  test('should layer a config file over the preset it extends', () => {
+    writePreset('company.json', JSON.stringify({
+      framework: 'nextjs',
+      deployTarget: 'aws-apprunner',
+      deployConfig: { awsRegion: 'eu-west-1' },
+      features: ['docker', 'github-actions', 'terraform'],
+    }));
+    const file = join(dir, 'fde.config.json');
+    writeFileSync(file, JSON.stringify({ extends: 'company', projectName: 'billing', features: ['docker'] }));
+
+    expect(loadProjectConfig({ config: file })).toEqual({
+      framework: 'nextjs',
+      deployTarget: 'aws-apprunner',
+      deployConfig: { awsRegion: 'eu-west-1' },
+      features: ['docker'],
+      projectName: 'billing',
+    });
+  });
+
+  test('should reject configs that do not match the schema', () => {
+    const file = join(dir, 'fde.config.json');
+    writeFileSync(file, JSON.stringify({ framework: 'rails', features: ['docker', 'helm'], colour: 'blue' }));
+
+    expect(() => loadProjectConfig({ config: file })).toThrow(/unknown property "colour"/);
+    expect(validateConfig({ framework: 'remx', features: ['dockr'] })).toEqual([
+      expect.stringMatching(/^config\.features\[0\]: must be one of docker, .* \(got "dockr"\)\. Did you mean "docker"\?$/),
+      expect.stringContaining('config.framework: Unknown framework "remx". Did you mean "remix"?'),
+    ]);
+  });
+
+  test('should report missing presets and circular extends', () => {
+    expect(() => loadProjectConfig({ preset: 'missing' })).toThrow(/Preset "missing" not found/);
+
+    writePreset('a.yaml', 'extends: b\n');
+    writePreset('b.yaml', 'extends: a\n');
+    expect(() => loadProjectConfig({ preset: 'a' })).toThrow(/Circular "extends"/);
+  });
+
+  test('should merge nested objects but replace arrays', () => {
+    expect(mergeConfigs(
+      { deployConfig: { awsRegion: 'us-east-1', a: 1 }, features: ['docker'] },
+      { deployConfig: { awsRegion: 'eu-west-1' }, features: ['terraform'] }
+    )).toEqual({ deployConfig: { awsRegion: 'eu-west-1', a: 1 }, features: ['terraform'] });
+  });
+});
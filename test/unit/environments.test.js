@@ -0,0 +1,43 @@
+import {
+  formatEnvironments,
+  getEnvironmentResourceName,
+  parseEnvironments,
+  renderEnvironmentEnvTemplate,
+} from '../../lib/environments.js';
+
+describe('Environments', () => {
+  test('should deploy well-known environments from their usual branches', () => {
+    expect(parseEnvironments('staging, production,dev,qa')).toEqual([
+      { name: 'staging', branch: 'staging' },
+      { name: 'production', branch: 'main' },
+      { name: 'dev', branch: 'develop' },
+      { name: 'qa', branch: 'qa' },
+    ]);
+    expect(parseEnvironments(undefined)).toEqual([]);
+  });
+
+  test('should pick the branch given after the environment name', () => {
+    const environments = parseEnvironments(['staging:develop', 'production:release']);
+
+    expect(environments).toEqual([
+      { name: 'staging', branch: 'develop' },
+      { name: 'production', branch: 'release' },
+    ]);
+    expect(parseEnvironments(formatEnvironments(environments))).toEqual(environments);
+  });
+
+  test('should suffix the resources of non-production environments', () => {
+    expect(getEnvironmentResourceName('my-app', { name: 'staging' })).toBe('my-app-staging');
+    expect(getEnvironmentResourceName('my-app', { name: 'production' })).toBe('my-app');
+    expect(getEnvironmentResourceName('my-app', null)).toBe('my-app');
+  });
+
+  test('should set APP_ENV in the environment env template', () => {
+    const envTemplate = 'APP_ENV=development\nNODE_ENV=production\nDATABASE_URL=\n';
+    const content = renderEnvironmentEnvTemplate(envTemplate, { name: 'staging', branch: 'staging' });
+
+    expect(content).toContain('APP_ENV=staging\nNODE_ENV=production\nDATABASE_URL=\n');
+    expect(content).not.toContain('APP_ENV=development');
+    expect(renderEnvironmentEnvTemplate('', { name: 'qa', branch: 'qa' })).toContain('APP_ENV=qa\nNODE_ENV=production\n');
+  });
+});
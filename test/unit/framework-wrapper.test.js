@@ -38,10 +38,10 @@ describe('FrameworkWrapper', () => {
       // Validate port is a number
       expect(typeof config.port).toBe('number');
       
-      // Validate commands use yarn
-      expect(config.buildCommand).toContain('yarn');
-      expect(config.startCommand).toContain('yarn');
-      expect(config.devCommand).toContain('yarn');
+      // Validate commands are script names, run with the project's package manager
+      expect(config.buildCommand).toBe('build');
+      expect(config.startCommand).toBe('start');
+      expect(config.devCommand).toBe('dev');
     });
   });
 
@@ -65,4 +65,29 @@ describe('FrameworkWrapper', () => {
     expect(remix.createCommand).toContain('create-remix');
     expect(remix.port).toBe(3000);
   });
+
+  test('should have proper SvelteKit configuration', () => {
+    const sveltekit = frameworks.sveltekit;
+    expect(sveltekit.displayName).toBe('SvelteKit');
+    expect(sveltekit.createCommand).toContain('sv');
+    expect(sveltekit.defaultArgs).toEqual(expect.arrayContaining(['--template', 'minimal', '--no-add-ons']));
+    expect(sveltekit.port).toBe(3000);
+  });
+
+  test('should have proper Astro configuration', () => {
+    const astro = frameworks.astro;
+    expect(astro.displayName).toBe('Astro');
+    expect(astro.createCommand).toContain('create-astro');
+    expect(astro.defaultArgs).toEqual(expect.arrayContaining(['--template', 'minimal', '--yes']));
+    expect(astro.port).toBe(3000);
+  });
+
+  test('should generate Fastify from the built-in template', () => {
+    const fastify = frameworks.fastify;
+    expect(fastify.displayName).toBe('Fastify');
+    expect(fastify.kind).toBe('api');
+    expect(fastify.createCommand).toBeNull();
+    expect(fastify.template).toBe('fastify');
+    expect(fastify.healthCheckPath).toBe('/health');
+  });
 });
\ No newline at end of file
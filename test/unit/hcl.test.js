@@ -0,0 +1,57 @@
+import { readdirSync, readFileSync } from 'fs';
+import { join } from 'path';
+import { checkHclSyntax } from '../../lib/utils/hcl.js';
+
+describe('checkHclSyntax', () => {
+  test('should accept every shipped Terraform template', () => {
+    for (const target of ['aws-apprunner', 'aws-ecs', 'gcp-cloudrun', 'azure-containerapps']) {
+      const templateDir = join('deploy-templates', 'terraform', target);
+      for (const file of readdirSync(templateDir).filter((name) => name.endsWith('.tf'))) {
+        expect([file, checkHclSyntax(readFileSync(join(templateDir, file), 'utf8'))]).toEqual([file, []]);
+      }
+    }
+  });
+
+  test('should skip comments, heredocs, escapes and template interpolations', () => {
+    const content = [
+      '# {{ not a placeholder }}',
+      'locals {',
+      '  literal = "$${HOME} and \\"quotes\\""',
+      '  name    = "${var.env == "prod" ? "app" : "app-${var.env}"}"',
+      '  policy  = <<-EOT',
+      '    { "unbalanced": [',
+      '  EOT',
+      '  ids = { for k, v in var.map : k => v.id }',
+      '}',
+      '',
+    ].join('\n');
+
+    expect(checkHclSyntax(content)).toEqual([]);
+  });
+
+  test('should report what a broken substitution leaves behind, with its line', () => {
+    const content = [
+      'project_name = "my-app"',
+      'aws_region   = ',
+      'image        = "{{ imageUri }}"',
+      'tags = {',
+      '  team = "platform',
+      '}',
+      'ports = [80, 443)',
+      '',
+    ].join('\n');
+
+    expect(checkHclSyntax(content)).toEqual([
+      { line: 2, message: 'Missing value for aws_region' },
+      { line: 3, message: 'Unrendered template placeholder' },
+      { line: 5, message: 'Unterminated string' },
+      { line: 7, message: 'Expected "]" to close "[" from line 7, found ")"' },
+    ]);
+  });
+
+  test('should report unclosed blocks and heredocs where they start', () => {
+    expect(checkHclSyntax('resource "a" "b" {\n  x = 1\n')).toEqual([{ line: 1, message: 'Unclosed "{"' }]);
+    expect(checkHclSyntax('x = 1\ny = <<EOT\nbody\n')).toEqual([{ line: 2, message: 'Unterminated heredoc EOT' }]);
+    expect(checkHclSyntax('x = 1\n}\n')).toEqual([{ line: 2, message: 'Unexpected "}"' }]);
+  });
+});
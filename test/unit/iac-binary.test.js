@@ -0,0 +1,34 @@
+import { detectIacBinary, getIacBinary, isSupportedIacVersion, parseIacVersion } from '../../lib/iac-binary.js';
+import { enableDryRun } from '../../lib/utils/io.js';
+
+describe('IaC binary', () => {
+  test('should parse the version printed by terraform and tofu', () => {
+    expect(parseIacVersion('Terraform v1.9.5\non linux_amd64\n')).toEqual([1, 9, 5]);
+    expect(parseIacVersion('OpenTofu v1.8.2\non darwin_arm64\n')).toEqual([1, 8, 2]);
+    expect(parseIacVersion('')).toBeNull();
+  });
+
+  test('should compare a version with the minimum version', () => {
+    expect(isSupportedIacVersion([1, 4, 0], '1.4.0')).toBe(true);
+    expect(isSupportedIacVersion([1, 10, 0], '1.4.0')).toBe(true);
+    expect(isSupportedIacVersion([1, 3, 9], '1.4.0')).toBe(false);
+    expect(isSupportedIacVersion([0, 15, 5], '1.6.0')).toBe(false);
+  });
+
+  test('should probe the installed binary for real during a dry run', () => {
+    const dryRun = enableDryRun();
+    const iac = detectIacBinary();
+
+    // Either nothing is installed, or the version comes from the binary itself
+    if (iac) {
+      expect(iac.versionLine).toMatch(/v\d+\.\d+\.\d+/);
+    }
+    expect(dryRun.commands).toEqual([]);
+  });
+
+  test('should describe how to install each binary', () => {
+    expect(getIacBinary().name).toBe('terraform');
+    expect(getIacBinary('tofu').install[0]).toEqual(['brew install opentofu', 'macOS']);
+    expect(() => getIacBinary('pulumi')).toThrow('Unknown IaC binary "pulumi". Available: terraform, tofu');
+  });
+});
@@ -0,0 +1,53 @@
+import { mkdtempSync, mkdirSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { runInfraCommand } from '../../lib/infra-runner.js';
+import { createManifest, writeManifest } from '../../lib/manifest.js';
+
+describe('runInfraCommand', () => {
+  let projectPath;
+
+  const createProject = async (project = {}) => {
+    const manifest = createManifest({ projectName: 'my-api', framework: 'fastify', deployTarget: 'aws-ecs', ...project }, {});
+    await writeManifest(projectPath, manifest);
+    mkdirSync(join(projectPath, 'terraform'));
+  };
+
+  beforeEach(() => {
+    projectPath = mkdtempSync(join(tmpdir(), 'fde-infra-'));
+  });
+
+  afterEach(() => {
+    rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('should reject unknown actions and projects without a manifest or terraform directory', async () => {
+    await expect(runInfraCommand(projectPath, 'aply')).rejects.toThrow(
+      'Unknown infra action "aply". Did you mean "apply"? Available: plan, apply, destroy, outputs'
+    );
+    await expect(runInfraCommand(projectPath, 'plan')).rejects.toThrow(`No fde.json found in ${projectPath}`);
+
+    await writeManifest(projectPath, createManifest({ projectName: 'my-api', framework: 'fastify', deployTarget: 'fly' }, {}));
+    await expect(runInfraCommand(projectPath, 'plan')).rejects.toThrow('No terraform/ directory');
+  });
+
+  test('should require a known --env when the project has deploy environments', async () => {
+    await createProject({ environments: [{ name: 'staging', branch: 'staging' }, { name: 'production', branch: 'main' }] });
+
+    await expect(runInfraCommand(projectPath, 'apply')).rejects.toThrow(
+      'This project has deploy environments (staging, production); pick one with --env'
+    );
+    await expect(runInfraCommand(projectPath, 'apply', { env: 'stagin' })).rejects.toThrow(
+      'Unknown environment "stagin". Did you mean "staging"?'
+    );
+  });
+
+  test('should reject --env and unknown binaries for a single environment project', async () => {
+    await createProject();
+
+    await expect(runInfraCommand(projectPath, 'plan', { env: 'staging' })).rejects.toThrow(
+      'This project has no deploy environments; run without --env'
+    );
+    await expect(runInfraCommand(projectPath, 'plan', { iacBinary: 'pulumi' })).rejects.toThrow('Unknown IaC binary "pulumi"');
+  });
+});
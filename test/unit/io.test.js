@@ -0,0 +1,50 @@
+import { mkdtempSync, rmSync, existsSync as diskExists } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { buildDryRunReport } from '../../lib/dry-run-report.js';
+import { DryRunRecorder } from '../../lib/utils/io.js';
+
+describe('DryRunRecorder', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'fde-io-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should keep recorded files in memory only', () => {
+    const recorder = new DryRunRecorder();
+    recorder.recordDirectory(join(dir, 'src'));
+    recorder.recordFile(join(dir, 'src', 'index.js'), 'hello');
+
+    expect(recorder.hasFile(join(dir, 'src', 'index.js'))).toBe(true);
+    expect(recorder.hasDirectory(join(dir, 'src'))).toBe(true);
+    expect(recorder.readFile(join(dir, 'src', 'index.js'))).toBe('hello');
+    expect(diskExists(join(dir, 'src'))).toBe(false);
+  });
+
+  test('should report created files, modified files and commands', () => {
+    const recorder = new DryRunRecorder();
+    recorder.recordFile(join(dir, 'a.txt'), 'new\n');
+    recorder.files.set(join(dir, 'b.txt'), { content: 'x\ny\n', original: 'x\n' });
+    recorder.recordCommand('yarn install', dir);
+
+    const report = buildDryRunReport(recorder, dir);
+
+    expect(report.commands).toEqual([{ command: 'yarn install', cwd: '.' }]);
+    expect(report.files[0]).toMatchObject({ path: 'a.txt', status: 'create', lines: 2 });
+    expect(report.files[1]).toMatchObject({ path: 'b.txt', status: 'modify' });
+    expect(report.files[1].diff).toContain('+y');
+    expect(report.failures).toEqual([]);
+  });
+
+  test('should report the steps that failed', () => {
+    const recorder = new DryRunRecorder();
+    recorder.recordFailure('Failed to add database:mongodb: ENOENT package.json');
+
+    expect(buildDryRunReport(recorder, dir).failures).toEqual(['Failed to add database:mongodb: ENOENT package.json']);
+  });
+});
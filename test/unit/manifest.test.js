@@ -0,0 +1,84 @@
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  ManifestRecorder,
+  createManifest,
+  hashContent,
+  projectDetailsFromManifest,
+  readManifest,
+  writeManifest,
+} from '../../lib/manifest.js';
+
+describe('Manifest', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = mkdtempSync(join(tmpdir(), 'fde-manifest-'));
+  });
+
+  afterEach(() => {
+    rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('should record new and changed files per checkpoint', async () => {
+    writeFileSync(join(projectPath, 'package.json'), '{}');
+    mkdirSync(join(projectPath, 'node_modules'));
+    writeFileSync(join(projectPath, 'node_modules', 'ignored.js'), '');
+
+    const recorder = new ManifestRecorder(projectPath);
+    await recorder.checkpoint();
+
+    writeFileSync(join(projectPath, 'package.json'), '{"scripts":{}}');
+    await recorder.checkpoint('post-processor');
+
+    writeFileSync(join(projectPath, 'Dockerfile'), 'FROM node:20-alpine');
+    await recorder.checkpoint('deploy');
+
+    expect(recorder.files).toEqual({
+      'package.json': { sha256: hashContent('{"scripts":{}}'), source: 'post-processor' },
+      Dockerfile: { sha256: hashContent('FROM node:20-alpine'), source: 'deploy' },
+    });
+  });
+
+  test('should only keep user supplied deploy configuration', () => {
+    const manifest = createManifest({
+      projectName: 'my-app',
+      framework: 'nextjs',
+      deployTarget: 'gcp-cloudrun',
+      features: ['docker'],
+      augmentations: ['utility:sentry'],
+      monorepo: false,
+      monorepoPath: 'apps/',
+      deployConfig: { displayName: 'Google Cloud Run', terraform: true, gcpProjectId: 'acme' },
+    });
+
+    expect(manifest.generator.name).toBe('create-fde-app');
+    expect(manifest.project.framework).toBe('nextjs');
+    expect(manifest.project.augmentations).toEqual(['utility:sentry']);
+    expect(manifest.deployConfig).toEqual({ gcpProjectId: 'acme' });
+  });
+
+  test('should round-trip through fde.json', async () => {
+    expect(readManifest(projectPath)).toBeNull();
+
+    const manifest = createManifest(
+      { projectName: 'my-app', framework: 'remix', deployTarget: 'vercel' },
+      { 'b.txt': { sha256: 'b', source: 'deploy' }, 'a.txt': { sha256: 'a', source: 'deploy' } }
+    );
+    await writeManifest(projectPath, manifest);
+
+    const read = readManifest(projectPath);
+    expect(read.project.name).toBe('my-app');
+    expect(Object.keys(read.files)).toEqual(['a.txt', 'b.txt']);
+  });
+
+  test('should keep the deploy environments and their branches', () => {
+    const environments = [{ name: 'staging', branch: 'develop' }, { name: 'production', branch: 'main' }];
+    const manifest = createManifest({ projectName: 'my-app', framework: 'remix', deployTarget: 'fly', environments }, {});
+
+    expect(manifest.project.environments).toEqual(['staging:develop', 'production:main']);
+    expect(projectDetailsFromManifest(manifest).environments).toEqual(environments);
+    expect(createManifest({ projectName: 'my-app', framework: 'remix', deployTarget: 'fly' }, {}).project.environments).toBeUndefined();
+  });
+});
@@ -0,0 +1,57 @@
+import { createUnifiedDiff, mergeThreeWay } from '../../lib/utils/merge.js';
+
+describe('mergeThreeWay', () => {
+  const labels = { ours: 'current', theirs: 'template' };
+  const base = 'FROM node:18-alpine\nWORKDIR /app\nCOPY . .\nRUN yarn build\nEXPOSE 3000\n';
+
+  test('should take template changes when the user did not edit the file', () => {
+    const theirs = base.replace('node:18', 'node:20');
+    expect(mergeThreeWay(base, base, theirs, labels)).toEqual({ content: theirs, conflicts: 0 });
+  });
+
+  test('should keep user changes when the template did not change', () => {
+    const ours = base.replace('EXPOSE 3000', 'EXPOSE 8080');
+    expect(mergeThreeWay(base, ours, base, labels)).toEqual({ content: ours, conflicts: 0 });
+  });
+
+  test('should combine non-overlapping changes', () => {
+    const ours = base.replace('EXPOSE 3000', 'EXPOSE 8080');
+    const theirs = base.replace('node:18', 'node:20');
+    const { content, conflicts } = mergeThreeWay(base, ours, theirs, labels);
+
+    expect(conflicts).toBe(0);
+    expect(content).toBe('FROM node:20-alpine\nWORKDIR /app\nCOPY . .\nRUN yarn build\nEXPOSE 8080\n');
+  });
+
+  test('should leave conflict markers for overlapping changes', () => {
+    const ours = base.replace('RUN yarn build', 'RUN yarn build:prod');
+    const theirs = base.replace('RUN yarn build', 'RUN corepack enable && yarn build');
+    const { content, conflicts } = mergeThreeWay(base, ours, theirs, labels);
+
+    expect(conflicts).toBe(1);
+    expect(content).toContain(
+      '<<<<<<< current\nRUN yarn build:prod\n=======\nRUN corepack enable && yarn build\n>>>>>>> template\n'
+    );
+    expect(content).toContain('EXPOSE 3000');
+  });
+
+  test('should not conflict when both sides made the same change', () => {
+    const changed = base.replace('node:18', 'node:22');
+    expect(mergeThreeWay(base, changed, changed, labels)).toEqual({ content: changed, conflicts: 0 });
+  });
+});
+
+describe('createUnifiedDiff', () => {
+  test('should return an empty string for identical content', () => {
+    expect(createUnifiedDiff('Dockerfile', 'a\nb\n', 'a\nb\n')).toBe('');
+  });
+
+  test('should render changed lines with context', () => {
+    const before = 'one\ntwo\nthree\nfour\nfive\nsix\n';
+    const after = 'one\ntwo\nthree\nFOUR\nfive\nsix\n';
+
+    expect(createUnifiedDiff('file.txt', before, after, 1)).toBe(
+      '--- a/file.txt\n+++ b/file.txt\n@@ -3,3 +3,3 @@\n three\n-four\n+FOUR\n five'
+    );
+  });
+});
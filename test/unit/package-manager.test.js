@@ -0,0 +1,120 @@
+import { jest } from '@jest/globals';
+import YAML from 'yaml';
+import { execSync } from 'child_process';
+import { mkdtempSync, rmSync, writeFileSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  addPackagesCommand,
+  detectPackageManager,
+  getPackageManager,
+  runScriptCommand,
+  runScriptIfPresentCommand,
+} from '../../lib/package-manager.js';
+import { renderDockerfile, renderGitHubWorkflow } from '../../lib/deploy-injector.js';
+
+describe('PackageManager', () => {
+  let dir;
+
+  beforeEach(() => {
+    dir = mkdtempSync(join(tmpdir(), 'fde-pm-'));
+  });
+
+  afterEach(() => {
+    rmSync(dir, { recursive: true, force: true });
+  });
+
+  test('should build add and run commands', () => {
+    expect(addPackagesCommand('yarn', 'prisma', { dev: true })).toBe('yarn add --dev prisma');
+    expect(addPackagesCommand('npm', ['dd-trace', 'winston'])).toBe('npm install dd-trace winston');
+    expect(addPackagesCommand(undefined, 'next-auth')).toBe('yarn add next-auth');
+    expect(runScriptCommand('pnpm', 'build')).toBe('pnpm build');
+    expect(runScriptCommand('npm', 'db:migrate')).toBe('npm run db:migrate');
+    expect(runScriptCommand('bun', 'dev')).toBe('bun run dev');
+  });
+
+  test('should skip scripts the project does not define', () => {
+    expect(runScriptIfPresentCommand('npm', 'lint')).toBe('npm run --if-present lint');
+    expect(runScriptIfPresentCommand('bun', 'test')).toBe('bun run --if-present test');
+
+    const command = runScriptIfPresentCommand('yarn', 'type-check');
+    expect(command).toBe(
+      `if node -e "process.exit(require('./package.json').scripts?.['type-check'] ? 0 : 1)"; then yarn type-check; fi`
+    );
+    writeFileSync(join(dir, 'package.json'), JSON.stringify({ scripts: { 'type-check': 'echo checked' } }));
+    expect(execSync(command, { cwd: dir, shell: '/bin/sh' }).toString()).toContain('checked');
+    writeFileSync(join(dir, 'package.json'), JSON.stringify({ scripts: {} }));
+    expect(execSync(command, { cwd: dir, shell: '/bin/sh' }).toString()).toBe('');
+  });
+
+  test('should reject unknown package managers', () => {
+    expect(() => getPackageManager('pip')).toThrow(/Unknown package manager "pip"/);
+  });
+
+  test('should detect the package manager from package.json or the lockfile', () => {
+    writeFileSync(join(dir, 'package.json'), JSON.stringify({ name: 'app' }));
+    expect(detectPackageManager(dir)).toBeNull();
+
+    writeFileSync(join(dir, 'pnpm-lock.yaml'), '');
+    expect(detectPackageManager(dir)).toBe('pnpm');
+
+    writeFileSync(join(dir, 'package.json'), JSON.stringify({ name: 'app', packageManager: 'bun@1.1.0' }));
+    expect(detectPackageManager(dir)).toBe('bun');
+  });
+
+  test('should render the Dockerfile for the selected package manager', async () => {
+    const projectDetails = { projectName: 'app', framework: 'remix', packageManager: 'pnpm' };
+    const dockerfile = await renderDockerfile('remix', projectDetails);
+
+    expect(dockerfile).toContain('COPY pnpm-lock.yaml ./');
+    expect(dockerfile).toContain('RUN corepack enable pnpm\nRUN pnpm install --frozen-lockfile\n');
+    expect(dockerfile).toContain('RUN pnpm build');
+    expect(dockerfile).toContain('RUN pnpm install --frozen-lockfile --prod');
+    expect(dockerfile).not.toMatch(/yarn|\{\{/);
+  });
+
+  test('should only log the Dockerfile template when not rendering quietly', async () => {
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+    const projectDetails = { projectName: 'app', framework: 'remix' };
+
+    try {
+      await renderDockerfile('remix', projectDetails, { quiet: true });
+      expect(logSpy).not.toHaveBeenCalled();
+
+      await renderDockerfile('remix', projectDetails);
+      expect(logSpy).toHaveBeenCalledWith('Using remix-specific Dockerfile template');
+    } finally {
+      logSpy.mockRestore();
+    }
+  });
+
+  test('should render CI install steps for the selected package manager', async () => {
+    const { content } = await renderGitHubWorkflow({
+      projectName: 'app',
+      deployTarget: 'vercel',
+      deployConfig: {},
+      packageManager: 'pnpm',
+    });
+
+    expect(content).toContain('      - name: Setup pnpm\n        uses: pnpm/action-setup@v4');
+    expect(content).toContain("cache: 'pnpm'");
+    expect(content).toContain('run: pnpm install --frozen-lockfile');
+    expect(content).toContain('run: pnpm build');
+    expect(content).toContain('  pnpm run --if-present lint\n');
+    expect(content).toContain('  pnpm run --if-present type-check\n');
+    expect(content).not.toMatch(/\bnpm (ci|run)/);
+  });
+
+  test('should render the Yarn checks as valid workflow steps', async () => {
+    const { content } = await renderGitHubWorkflow({
+      projectName: 'app',
+      deployTarget: 'vercel',
+      deployConfig: {},
+      packageManager: 'yarn',
+    });
+    const steps = YAML.parse(content).jobs['test-and-build'].steps;
+
+    expect(steps.find(({ name }) => name === 'Run tests').run).toBe(`${runScriptIfPresentCommand('yarn', 'test')}\n`);
+    expect(content).not.toContain('npm run');
+  });
+});
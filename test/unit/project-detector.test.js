@@ -0,0 +1,74 @@
+import { mkdtempSync, mkdirSync, writeFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import { detectFramework, detectAugmentations } from '../../lib/project-detector.js';
+
+describe('ProjectDetector', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = mkdtempSync(join(tmpdir(), 'fde-detector-'));
+  });
+
+  afterEach(() => {
+    rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const writePackageJson = (packageJson) => {
+    writeFileSync(join(projectPath, 'package.json'), JSON.stringify(packageJson));
+  };
+
+  test('should detect framework from dependencies', () => {
+    writePackageJson({ dependencies: { nuxt: '^3.0.0' } });
+    expect(detectFramework(projectPath)).toBe('nuxtjs');
+  });
+
+  test('should fall back to config files when dependencies are missing', () => {
+    writePackageJson({});
+    writeFileSync(join(projectPath, 'remix.config.js'), 'module.exports = {};');
+    expect(detectFramework(projectPath)).toBe('remix');
+  });
+
+  test('should detect SvelteKit from @sveltejs/kit', () => {
+    writePackageJson({ devDependencies: { '@sveltejs/kit': '^2.0.0' } });
+    expect(detectFramework(projectPath)).toBe('sveltekit');
+  });
+
+  test('should detect Astro from its config file', () => {
+    writePackageJson({});
+    writeFileSync(join(projectPath, 'astro.config.mjs'), 'export default {};');
+    expect(detectFramework(projectPath)).toBe('astro');
+  });
+
+  test('should detect Fastify from its dependency', () => {
+    writePackageJson({ dependencies: { fastify: '^5.2.0', 'fastify-plugin': '^5.0.1' } });
+    expect(detectFramework(projectPath)).toBe('fastify');
+  });
+
+  test('should return null for unknown projects', () => {
+    writePackageJson({ dependencies: { express: '^4.0.0' } });
+    expect(detectFramework(projectPath)).toBeNull();
+  });
+
+  test('should throw when package.json is missing', () => {
+    expect(() => detectFramework(projectPath)).toThrow('No package.json found');
+  });
+
+  test('should detect applied augmentations', () => {
+    writePackageJson({
+      dependencies: { next: '^14.0.0', '@sentry/nextjs': '^7.0.0' },
+      devDependencies: { prisma: '^5.0.0' },
+    });
+    mkdirSync(join(projectPath, 'prisma'));
+    writeFileSync(
+      join(projectPath, 'prisma', 'schema.prisma'),
+      'datasource db {\n  provider = "mysql"\n  url      = env("DATABASE_URL")\n}\n'
+    );
+
+    const augmentations = detectAugmentations(projectPath);
+    expect(augmentations).toContain('database:mysql');
+    expect(augmentations).toContain('utility:sentry');
+    expect(augmentations).not.toContain('database:postgres');
+    expect(augmentations).not.toContain('auth:nextauth');
+  });
+});
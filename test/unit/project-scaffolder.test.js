@@ -0,0 +1,70 @@
+import { mkdtempSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  renderProjectTemplate,
+  scaffoldProject,
+  registerFastifyPlugin,
+  addFastifyPlugin,
+} from '../../lib/project-scaffolder.js';
+
+describe('ProjectScaffolder', () => {
+  let tempDir;
+  let projectPath;
+
+  beforeEach(async () => {
+    tempDir = mkdtempSync(join(tmpdir(), 'fde-scaffolder-'));
+    projectPath = join(tempDir, 'my-api');
+    await scaffoldProject('fastify', projectPath, { projectName: 'my-api' });
+  });
+
+  afterEach(() => {
+    rmSync(tempDir, { recursive: true, force: true });
+  });
+
+  const readApp = () => readFileSync(join(projectPath, 'src', 'app.ts'), 'utf8');
+
+  test('should render the Fastify template with the project name', () => {
+    const files = renderProjectTemplate('fastify', { projectName: 'my-api' });
+
+    expect(JSON.parse(files['package.json']).name).toBe('my-api');
+    expect(Object.keys(files)).toContain('.gitignore');
+    expect(Object.keys(files)).not.toContain('_gitignore');
+    expect(files[join('src', 'routes', 'health.ts')]).toContain("'/health'");
+  });
+
+  test('should refuse to scaffold into an existing directory', async () => {
+    await expect(scaffoldProject('fastify', projectPath, { projectName: 'my-api' }))
+      .rejects.toThrow('already exists');
+  });
+
+  test('should register plugins before the routes', async () => {
+    const registered = await registerFastifyPlugin(projectPath, {
+      name: 'helmet',
+      from: '@fastify/helmet',
+      options: '{ contentSecurityPolicy: false }',
+    });
+
+    const app = readApp();
+    expect(registered).toBe(true);
+    expect(app).toContain("import helmet from '@fastify/helmet';");
+    expect(app.indexOf('await app.register(helmet, { contentSecurityPolicy: false });'))
+      .toBeLessThan(app.indexOf('await app.register(healthRoutes);'));
+
+    // Registering the same plugin again leaves the app unchanged
+    await registerFastifyPlugin(projectPath, { name: 'helmet', from: '@fastify/helmet' });
+    expect(readApp()).toBe(app);
+  });
+
+  test('should write plugin files under src/plugins', async () => {
+    await addFastifyPlugin(projectPath, { file: 'cors', name: 'cors', content: 'export default {};\n' });
+
+    expect(existsSync(join(projectPath, 'src', 'plugins', 'cors.ts'))).toBe(true);
+    expect(readApp()).toContain("import cors from './plugins/cors';");
+  });
+
+  test('should report apps it cannot register plugins in', async () => {
+    rmSync(join(projectPath, 'src', 'app.ts'));
+    expect(await registerFastifyPlugin(projectPath, { name: 'helmet', from: '@fastify/helmet' })).toBe(false);
+  });
+});
@@ -62,4 +62,21 @@ describe('Prompts', () => {
     delete process.env.CREATE_FDE_APP_FEATURES;
     delete process.env.CREATE_FDE_APP_AUGMENTATIONS;
   });
+
+  test('should take git and install settings from the config file in CI', async () => {
+    process.env.CI = 'true';
+    const { promptProjectDetails } = await import('../../lib/prompts.js');
+
+    try {
+      const defaults = await promptProjectDetails('my-app', {}, { framework: 'fastify', deployTarget: 'fly' });
+      expect(defaults).toMatchObject({ initGit: false, skipInstall: true });
+
+      const config = { framework: 'fastify', deployTarget: 'fly', initGit: true, skipInstall: false };
+      expect(await promptProjectDetails('my-app', {}, config)).toMatchObject({ initGit: true, skipInstall: false });
+      expect(await promptProjectDetails('my-app', { skipGit: true, skipInstall: true }, config))
+        .toMatchObject({ initGit: false, skipInstall: true });
+    } finally {
+      delete process.env.CI;
+    }
+  });
 });
\ No newline at end of file
@@ -0,0 +1,88 @@
+import { mkdtempSync, mkdirSync, writeFileSync, readFileSync, existsSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import SvelteKitPostProcessor from '../../post-processors/sveltekit/index.js';
+
+const svelteConfig = `import adapter from '@sveltejs/adapter-auto';
+import { vitePreprocess } from '@sveltejs/vite-plugin-svelte';
+
+const config = {
+  preprocess: vitePreprocess(),
+  kit: {
+    adapter: adapter()
+  }
+};
+
+export default config;
+`;
+
+describe('SvelteKitPostProcessor', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = mkdtempSync(join(tmpdir(), 'fde-sveltekit-'));
+    mkdirSync(join(projectPath, 'src'));
+    writeFileSync(join(projectPath, 'svelte.config.js'), svelteConfig);
+    writeFileSync(join(projectPath, 'package.json'), JSON.stringify({
+      scripts: { build: 'vite build', dev: 'vite dev' },
+      devDependencies: { '@sveltejs/adapter-auto': '^3.0.0', '@sveltejs/kit': '^2.0.0' },
+    }));
+  });
+
+  afterEach(() => {
+    rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  const createProcessor = (deployTarget, features = []) => new SvelteKitPostProcessor(projectPath, 'sveltekit', {
+    projectName: 'my-app',
+    deployTarget,
+    features,
+    skipInstall: true,
+    packageManager: 'yarn',
+    frameworkConfig: { port: 3000 },
+  });
+
+  const readPackageJson = () => JSON.parse(readFileSync(join(projectPath, 'package.json'), 'utf8'));
+
+  test('should use adapter-node for container targets', async () => {
+    await createProcessor('gcp-cloudrun', ['production-ready']).process();
+
+    const config = readFileSync(join(projectPath, 'svelte.config.js'), 'utf8');
+    expect(config).toContain("import adapter from '@sveltejs/adapter-node'");
+    expect(config).toContain('adapter({ precompress: true })');
+    expect(readPackageJson().devDependencies).toHaveProperty('@sveltejs/adapter-node');
+    expect(readPackageJson().scripts.start).toBe('node build');
+  });
+
+  test('should use adapter-vercel for vercel', async () => {
+    await createProcessor('vercel').process();
+
+    const config = readFileSync(join(projectPath, 'svelte.config.js'), 'utf8');
+    expect(config).toContain("import adapter from '@sveltejs/adapter-vercel'");
+    expect(readPackageJson().devDependencies).toHaveProperty('@sveltejs/adapter-vercel');
+    expect(readPackageJson().scripts).not.toHaveProperty('start');
+  });
+
+  test('should use the Netlify and Cloudflare adapters for those targets', async () => {
+    await createProcessor('cloudflare').process();
+
+    const config = readFileSync(join(projectPath, 'svelte.config.js'), 'utf8');
+    expect(config).toContain("import adapter from '@sveltejs/adapter-cloudflare'");
+    expect(readPackageJson().devDependencies).toHaveProperty('@sveltejs/adapter-cloudflare');
+    expect(readPackageJson().scripts).not.toHaveProperty('start');
+
+    writeFileSync(join(projectPath, 'svelte.config.js'), svelteConfig);
+    await createProcessor('netlify').process();
+
+    expect(readFileSync(join(projectPath, 'svelte.config.js'), 'utf8')).toContain("import adapter from '@sveltejs/adapter-netlify'");
+  });
+
+  test('should add the health route and security hook', async () => {
+    await createProcessor('aws-apprunner', ['health-check', 'security']).process();
+
+    expect(existsSync(join(projectPath, 'src', 'routes', 'api', 'health', '+server.ts'))).toBe(true);
+    const hooks = readFileSync(join(projectPath, 'src', 'hooks.server.ts'), 'utf8');
+    expect(hooks).toContain("response.headers.set('X-Frame-Options', 'SAMEORIGIN')");
+    expect(hooks).toContain('export const handle = sequence(securityHeaders);');
+  });
+});
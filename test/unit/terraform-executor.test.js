@@ -0,0 +1,313 @@
+import { jest } from '@jest/globals';
+import { existsSync, mkdtempSync, mkdirSync, writeFileSync, readFileSync, rmSync } from 'fs';
+import { tmpdir } from 'os';
+import { join } from 'path';
+import {
+  TERRAFORM_TEMPLATE_FILES,
+  TerraformExecutor,
+  getAzureRegistryName,
+  getGcpIdPrefix,
+  readTerraformTemplates,
+} from '../../lib/terraform-executor.js';
+
+describe('TerraformExecutor', () => {
+  let projectPath;
+
+  beforeEach(() => {
+    projectPath = mkdtempSync(join(tmpdir(), 'fde-terraform-'));
+    mkdirSync(join(projectPath, 'terraform'));
+  });
+
+  afterEach(() => {
+    rmSync(projectPath, { recursive: true, force: true });
+  });
+
+  test('should ship every template file for each Terraform target', () => {
+    for (const target of ['aws-apprunner', 'aws-ecs', 'gcp-cloudrun', 'azure-containerapps']) {
+      expect(Object.keys(readTerraformTemplates(target))).toEqual(TERRAFORM_TEMPLATE_FILES);
+    }
+  });
+
+  test('should point the ECS load balancer health check at the framework health endpoint', async () => {
+    const templates = readTerraformTemplates('aws-ecs');
+    writeFileSync(join(projectPath, 'terraform', 'terraform.tfvars.example'), templates['terraform.tfvars.example']);
+
+    const executor = new TerraformExecutor(projectPath, 'aws-ecs', {
+      projectName: 'my-api',
+      frameworkConfig: { port: 8080, healthCheckPath: '/health' },
+      deployConfig: { awsRegion: 'eu-west-1' },
+    });
+    await executor.generateTfvars();
+
+    const tfvars = readFileSync(join(projectPath, 'terraform', 'terraform.tfvars'), 'utf8');
+    expect(tfvars).toContain('aws_region = "eu-west-1"');
+    expect(tfvars).toContain('app_port          = 8080');
+    expect(tfvars).toContain('health_check_path = "/health"');
+    expect(templates['main.tf']).toContain('path                = var.health_check_path');
+  });
+
+  test('should probe App Runner and Cloud Run services on the framework health endpoint', async () => {
+    for (const [target, portLine] of [['aws-apprunner', 'app_port          = 8080'], ['gcp-cloudrun', 'container_port    = 8080']]) {
+      const templates = readTerraformTemplates(target);
+      writeFileSync(join(projectPath, 'terraform', 'terraform.tfvars.example'), templates['terraform.tfvars.example']);
+      rmSync(join(projectPath, 'terraform', 'terraform.tfvars'), { force: true });
+
+      const executor = new TerraformExecutor(projectPath, target, {
+        projectName: 'my-api',
+        frameworkConfig: { port: 8080, healthCheckPath: '/health' },
+        deployConfig: {},
+      });
+      await executor.generateTfvars();
+
+      const tfvars = readFileSync(join(projectPath, 'terraform', 'terraform.tfvars'), 'utf8');
+      expect(tfvars).toContain(portLine);
+      expect(tfvars).toContain('health_check_path = "/health"');
+    }
+  });
+
+  test('should probe the Azure container app on the framework health endpoint', async () => {
+    const templates = readTerraformTemplates('azure-containerapps');
+    writeFileSync(join(projectPath, 'terraform', 'terraform.tfvars.example'), templates['terraform.tfvars.example']);
+
+    const executor = new TerraformExecutor(projectPath, 'azure-containerapps', {
+      projectName: 'my-api',
+      frameworkConfig: { port: 8080, healthCheckPath: '/health' },
+      deployConfig: { azureLocation: 'northeurope' },
+    });
+    await executor.generateTfvars();
+
+    const tfvars = readFileSync(join(projectPath, 'terraform', 'terraform.tfvars'), 'utf8');
+    expect(tfvars).toContain('location = "northeurope"');
+    expect(tfvars).toContain('registry_name = "myapiacr"');
+    expect(tfvars).toContain('container_port    = 8080');
+    expect(tfvars).toContain('health_check_path = "/health"');
+    expect(templates['main.tf']).toContain('path                    = var.health_check_path');
+  });
+
+  test('should trust the GitHub repository given for the OIDC login', async () => {
+    const templates = readTerraformTemplates('aws-ecs');
+    writeFileSync(join(projectPath, 'terraform', 'terraform.tfvars.example'), templates['terraform.tfvars.example']);
+
+    const executor = new TerraformExecutor(projectPath, 'aws-ecs', {
+      projectName: 'my-api',
+      deployConfig: { cloudAuth: 'oidc', githubRepository: 'acme/my-api' },
+    });
+    await executor.generateTfvars();
+
+    const tfvars = readFileSync(join(projectPath, 'terraform', 'terraform.tfvars'), 'utf8');
+    expect(tfvars).toContain('github_repository  = "acme/my-api"\n');
+    expect(tfvars).not.toContain('github_environment');
+    expect(templates['main.tf']).toContain('"token.actions.githubusercontent.com:sub" = local.github_subject\n');
+    expect(templates['main.tf']).not.toContain(':pull_request');
+    expect(templates['outputs.tf']).toContain('AWS_ROLE_ARN = aws_iam_role.github_actions[0].arn');
+  });
+
+  test('should trust pull requests only with the preview identity', () => {
+    const appRunner = readTerraformTemplates('aws-apprunner');
+    expect(appRunner['main.tf']).toMatch(
+      /resource "aws_iam_role" "github_actions"[\s\S]*?:sub" = local\.github_subject\n/
+    );
+    expect(appRunner['main.tf']).toMatch(
+      /resource "aws_iam_role" "github_previews"[\s\S]*?:sub" = local\.github_preview_subject\n/
+    );
+    expect(appRunner['main.tf']).toContain('service/${var.project_name}-pr-*/*');
+    expect(appRunner['outputs.tf']).toContain('AWS_PREVIEW_ROLE_ARN = aws_iam_role.github_previews[0].arn');
+
+    const cloudRun = readTerraformTemplates('gcp-cloudrun');
+    expect(cloudRun['main.tf']).toContain('/subject/${local.github_subject}"');
+    expect(cloudRun['main.tf']).toContain('/subject/${local.github_preview_subject}"');
+    expect(cloudRun['main.tf']).not.toContain('principalSet://');
+    expect(cloudRun['main.tf']).toContain('.startsWith(\\"${var.project_name}-pr-\\")"');
+    expect(cloudRun['outputs.tf']).toContain('GCP_PREVIEW_SERVICE_ACCOUNT');
+  });
+
+  test('should keep Google Cloud service account and pool IDs within their length limits', () => {
+    const mainTf = readTerraformTemplates('gcp-cloudrun')['main.tf'];
+    const idPrefixLength = 17;
+    const ids = [...mainTf.matchAll(/(account_id|workload_identity_pool_id)\s+= "(.*)"/g)];
+
+    expect(mainTf).toContain('id_prefix = length(var.project_name) <= 17 ? var.project_name : "${substr(var.project_name, 0, 12)}-${substr(md5(var.project_name), 0, 4)}"');
+    // The preview workflow names the runtime service account with the same prefix
+    expect(getGcpIdPrefix('my-api-production')).toBe('my-api-production');
+    expect(getGcpIdPrefix('acme-payments-gateway')).toBe('acme-payment-09d6');
+    expect(ids).toHaveLength(5);
+    for (const [, attribute, id] of ids) {
+      expect(id).toMatch(/^\$\{local\.id_prefix\}-[a-z-]+$/);
+      const length = id.length - '${local.id_prefix}'.length + idPrefixLength;
+      expect(length).toBeLessThanOrEqual(attribute === 'account_id' ? 30 : 32);
+    }
+  });
+
+  test('should write a variables file per deploy environment', async () => {
+    const templates = readTerraformTemplates('azure-containerapps');
+    writeFileSync(join(projectPath, 'terraform', 'terraform.tfvars.example'), templates['terraform.tfvars.example']);
+
+    const executor = new TerraformExecutor(projectPath, 'azure-containerapps', {
+      projectName: 'my-api',
+      deployConfig: {},
+      environments: [{ name: 'staging', branch: 'staging' }, { name: 'production', branch: 'main' }],
+    });
+    await executor.generateTfvars();
+
+    const staging = readFileSync(join(projectPath, 'terraform', 'environments', 'staging.tfvars'), 'utf8');
+    expect(staging).toContain('project_name  = "my-api-staging"');
+    expect(staging).toContain('registry_name = "myapistagingacr"');
+    expect(staging).toContain('environment   = "staging"');
+    expect(staging).toContain('APP_ENV  = "staging"');
+    expect(staging).toContain('# github_repository  = "your-org/my-api"');
+    expect(staging).toContain('github_environment = "staging"');
+
+    const production = readFileSync(join(projectPath, 'terraform', 'environments', 'production.tfvars'), 'utf8');
+    expect(production).toContain('project_name  = "my-api"');
+    expect(production).toContain('environment   = "production"');
+    expect(existsSync(join(projectPath, 'terraform', 'terraform.tfvars'))).toBe(false);
+  });
+
+  test('should keep the state in the S3 bucket with a bootstrap module creating it', () => {
+    const executor = new TerraformExecutor(projectPath, 'aws-ecs', {
+      projectName: 'my-api',
+      deployConfig: { awsRegion: 'eu-west-1', stateBucket: 'acme-tf-state', stateBootstrap: true },
+    });
+    executor.generateStateFiles();
+
+    const backend = readFileSync(join(projectPath, 'terraform', 'backend.tf'), 'utf8');
+    expect(backend).toContain('backend "s3"');
+    expect(backend).toContain('key            = "my-api/terraform.tfstate"');
+    expect(backend).toContain('region         = "eu-west-1"');
+    expect(backend).toContain('dynamodb_table = "acme-tf-state-lock"');
+    expect(backend).not.toMatch(/\{\{ \w+ \}\}/);
+
+    const tfvars = readFileSync(join(projectPath, 'terraform', 'bootstrap', 'terraform.tfvars'), 'utf8');
+    expect(tfvars).toContain('state_bucket = "acme-tf-state"');
+    expect(tfvars).toContain('lock_table   = "acme-tf-state-lock"');
+    expect(readFileSync(join(projectPath, 'terraform', 'bootstrap', 'main.tf'), 'utf8')).toContain('resource "aws_dynamodb_table" "lock"');
+  });
+
+  test('should keep Cloud Run state in Cloud Storage and leave other state local', () => {
+    const executor = new TerraformExecutor(projectPath, 'gcp-cloudrun', {
+      projectName: 'my-app',
+      deployConfig: { gcpProjectId: 'acme', stateBucket: 'acme-tf-state', statePrefix: 'apps/my-app' },
+    });
+    executor.generateStateFiles();
+
+    const backend = readFileSync(join(projectPath, 'terraform', 'backend.tf'), 'utf8');
+    expect(backend).toContain('backend "gcs"');
+    expect(backend).toContain('prefix = "apps/my-app"');
+    expect(existsSync(join(projectPath, 'terraform', 'bootstrap'))).toBe(false);
+
+    expect(new TerraformExecutor(projectPath, 'azure-containerapps', {
+      projectName: 'my-app',
+      deployConfig: { stateBucket: 'acme-tf-state' },
+    }).getStateBackend()).toBeNull();
+  });
+
+  test('should report syntax errors in the generated files with their line', async () => {
+    const templates = readTerraformTemplates('aws-apprunner');
+    for (const [file, content] of Object.entries(templates)) {
+      writeFileSync(join(projectPath, 'terraform', file), content);
+    }
+    const executor = new TerraformExecutor(projectPath, 'aws-apprunner', { projectName: 'my-app', deployConfig: {} });
+    await executor.generateTfvars();
+    expect(executor.validateConfiguration()).toEqual({ errors: [], warnings: [] });
+
+    writeFileSync(join(projectPath, 'terraform', 'terraform.tfvars'), 'project_name = "my-app"\naws_region = "{{ awsRegion }}"\n');
+    expect(executor.validateConfiguration().errors).toEqual([
+      'terraform/terraform.tfvars:2: Unrendered template placeholder',
+    ]);
+    expect(() => executor.assertValidConfiguration()).toThrow(
+      'Invalid Terraform configuration:\n  - terraform/terraform.tfvars:2: Unrendered template placeholder'
+    );
+  });
+
+  test('should run terraform init and validate only with validateProviders, in a temporary copy', () => {
+    writeFileSync(join(projectPath, 'terraform', 'main.tf'), 'locals {\n  name = "my-app"\n}\n');
+    const executor = new TerraformExecutor(projectPath, 'aws-apprunner', { projectName: 'my-app', deployConfig: {} });
+    executor.terraformInstalled = true;
+    const check = jest.spyOn(executor, 'runTerraformCheck').mockReturnValue({ ok: true, stdout: '{"diagnostics":[]}', stderr: '' });
+
+    expect(executor.validateConfiguration()).toEqual({ errors: [], warnings: [] });
+    expect(check.mock.calls.map(([command]) => command)).toEqual([
+      'terraform fmt -check -recursive -list=true -no-color',
+    ]);
+
+    check.mockClear();
+    executor.projectDetails.validateProviders = true;
+    executor.validateConfiguration();
+    const [, init, validate] = check.mock.calls;
+    expect(init[0]).toBe('terraform init -backend=false -input=false -no-color');
+    expect(validate[0]).toBe('terraform validate -json -no-color');
+    expect(init[1]).not.toBe(executor.terraformDir);
+    expect(existsSync(init[1])).toBe(false);
+    expect(existsSync(join(projectPath, 'terraform', '.terraform'))).toBe(false);
+  });
+
+  test('should document the OpenTofu commands when tofu runs the configuration', () => {
+    const executor = new TerraformExecutor(projectPath, 'aws-ecs', {
+      projectName: 'my-api',
+      iacBinary: 'tofu',
+      deployConfig: { stateBucket: 'acme-tf-state', stateBootstrap: true },
+    });
+    executor.generateTerraformReadme();
+
+    const readme = readFileSync(join(projectPath, 'terraform', 'README.md'), 'utf8');
+    expect(readme).toContain('Install OpenTofu: https://opentofu.org/docs/intro/install/');
+    expect(readme).toContain('tofu -chdir=bootstrap apply');
+    expect(readme).toContain('   tofu init');
+    expect(readme).not.toMatch(/^\s*terraform (init|plan|apply|destroy)/m);
+  });
+
+  test('should keep the templates free of settings only Terraform understands', () => {
+    for (const target of ['aws-apprunner', 'aws-ecs', 'gcp-cloudrun', 'azure-containerapps']) {
+      for (const content of Object.values(readTerraformTemplates(target))) {
+        expect(content).not.toMatch(/^\s*cloud \{|backend "remote"|registry\.terraform\.io/m);
+      }
+    }
+  });
+
+  test('should only apply plans that destroy resources with --allow-destroy', () => {
+    const summary = { create: [], update: [], replace: [], destroy: ['aws_lb.main'], sensitive: [], destructive: true };
+    const executor = new TerraformExecutor(projectPath, 'aws-ecs', { projectName: 'my-api', deployConfig: {} });
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+
+    try {
+      expect(executor.checkDestroyAllowed(summary)).toBe(false);
+      expect(executor.checkDestroyAllowed(null)).toBe(false);
+      expect(executor.checkDestroyAllowed({ ...summary, destroy: [], destructive: false })).toBe(true);
+
+      executor.projectDetails.allowDestroy = true;
+      expect(executor.checkDestroyAllowed(summary)).toBe(true);
+    } finally {
+      errorSpy.mockRestore();
+    }
+  });
+
+  test('should not apply without --auto-approve in CI mode', async () => {
+    const executor = new TerraformExecutor(projectPath, 'aws-ecs', { projectName: 'my-api' }, { environment: 'staging' });
+    executor.planSummary = { create: ['aws_ecs_service.app'], update: [], replace: [], destroy: [], sensitive: [], destructive: false };
+    const originalCi = process.env.CI;
+    process.env.CI = 'true';
+    const errorSpy = jest.spyOn(console, 'error').mockImplementation(() => {});
+    const logSpy = jest.spyOn(console, 'log').mockImplementation(() => {});
+
+    try {
+      expect(await executor.runApply()).toBe(false);
+      expect(errorSpy).toHaveBeenCalledWith(expect.anything(), expect.stringContaining('Pass --auto-approve'));
+    } finally {
+      if (originalCi === undefined) {
+        delete process.env.CI;
+      } else {
+        process.env.CI = originalCi;
+      }
+      errorSpy.mockRestore();
+      logSpy.mockRestore();
+    }
+  });
+
+  test('should derive a valid Azure registry name from the project name', () => {
+    expect(getAzureRegistryName({ projectName: 'my-app' })).toBe('myappacr');
+    expect(getAzureRegistryName({ projectName: 'a'.repeat(60) })).toHaveLength(50);
+    expect(getAzureRegistryName({ projectName: 'my-app', deployConfig: { azureRegistryName: 'acmeapps' } })).toBe(
+      'acmeapps'
+    );
+  });
+});
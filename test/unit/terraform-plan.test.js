@@ -0,0 +1,65 @@
+import { describePlanCounts, describeReplacement, hasPlanChanges, summarizePlan } from '../../lib/terraform-plan.js';
+
+describe('Terraform plan summary', () => {
+  const change = (address, actions, extra = {}) => ({
+    address,
+    mode: 'managed',
+    change: { actions, before: null, after: {}, after_unknown: {}, after_sensitive: {}, ...extra },
+  });
+
+  const plan = {
+    resource_changes: [
+      { address: 'data.aws_caller_identity.current', mode: 'data', change: { actions: ['read'] } },
+      change('aws_ecr_repository.app', ['no-op']),
+      change('aws_ecs_cluster.main', ['create']),
+      change('aws_ssm_parameter.db_password', ['create'], { after_sensitive: { value: true } }),
+      change('aws_ecs_task_definition.app', ['update'], {
+        before: { container_definitions: 'a', secrets: ['x'] },
+        after: { container_definitions: 'b', secrets: ['x'] },
+        after_sensitive: { container_definitions: true, secrets: [true] },
+      }),
+      {
+        ...change('aws_lb.main', ['delete', 'create']),
+        action_reason: 'replace_because_cannot_update',
+      },
+      change('aws_db_instance.main', ['create', 'delete'], { replace_paths: [['engine_version']] }),
+      change('aws_cloudwatch_log_group.old', ['delete'], { before: { name: 'old' } }),
+    ],
+  };
+
+  test('should group resource changes by action', () => {
+    const summary = summarizePlan(plan);
+
+    expect(summary.create).toEqual(['aws_ecs_cluster.main', 'aws_ssm_parameter.db_password']);
+    expect(summary.update).toEqual(['aws_ecs_task_definition.app']);
+    expect(summary.destroy).toEqual(['aws_cloudwatch_log_group.old']);
+    expect(summary.replace).toEqual([
+      { address: 'aws_lb.main', reason: 'replace_because_cannot_update', paths: [] },
+      { address: 'aws_db_instance.main', reason: null, paths: ['engine_version'] },
+    ]);
+    expect(summary.destructive).toBe(true);
+    expect(describePlanCounts(summary)).toBe('2 to create, 1 to update, 2 to replace, 1 to destroy');
+  });
+
+  test('should list changed sensitive attributes without their values', () => {
+    const { sensitive } = summarizePlan(plan);
+
+    expect(sensitive).toEqual([
+      { address: 'aws_ssm_parameter.db_password', attributes: ['value'] },
+      { address: 'aws_ecs_task_definition.app', attributes: ['container_definitions'] },
+    ]);
+    expect(JSON.stringify(sensitive)).not.toContain('"b"');
+  });
+
+  test('should explain replacements and detect empty plans', () => {
+    expect(describeReplacement({ reason: 'replace_because_cannot_update', paths: ['image'] })).toBe(
+      'a changed attribute cannot be updated in place: image'
+    );
+    expect(describeReplacement({ reason: null, paths: [] })).toBe('the provider requires it');
+
+    const empty = summarizePlan({ resource_changes: [change('aws_ecr_repository.app', ['no-op'])] });
+    expect(hasPlanChanges(empty)).toBe(false);
+    expect(empty.destructive).toBe(false);
+    expect(hasPlanChanges(summarizePlan({}))).toBe(false);
+  });
+});
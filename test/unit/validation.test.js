@@ -0,0 +1,128 @@
+import {
+  suggest,
+  validateAugmentationName,
+  validateCloudAuth,
+  validateEnvironments,
+  validateProjectDetails,
+  validateStateBackend,
+} from '../../lib/validation.js';
+
+describe('Validation', () => {
+  const valid = {
+    projectName: 'my-app',
+    framework: 'nextjs',
+    deployTarget: 'aws-apprunner',
+    features: ['docker', 'terraform'],
+    augmentations: ['database:postgres', 'auth:nextauth'],
+  };
+
+  test('should accept valid project details', () => {
+    expect(validateProjectDetails(valid)).toEqual([]);
+  });
+
+  test('should suggest the closest known name', () => {
+    expect(suggest('remx', ['nextjs', 'nuxtjs', 'remix'])).toBe('remix');
+    expect(suggest('django', ['nextjs', 'nuxtjs', 'remix'])).toBeNull();
+  });
+
+  test('should reject unknown names with suggestions', () => {
+    const errors = validateProjectDetails({
+      ...valid,
+      framework: 'nuxt',
+      deployTarget: 'gcp-cloud-run',
+      features: ['github-action'],
+      augmentations: ['database:postgress'],
+    });
+
+    expect(errors).toEqual([
+      expect.stringContaining('Unknown framework "nuxt". Did you mean "nuxtjs"?'),
+      expect.stringContaining('Unknown deploy target "gcp-cloud-run". Did you mean "gcp-cloudrun"?'),
+      expect.stringContaining('Unknown feature "github-action". Did you mean "github-actions"?'),
+      expect.stringContaining('Unknown augmentation "database:postgress". Did you mean "database:postgres"?'),
+    ]);
+  });
+
+  test('should accept post-processing features', () => {
+    expect(validateProjectDetails({ ...valid, features: ['docker', 'health-check', 'security'] })).toEqual([]);
+  });
+
+  test('should validate augmentation format and category', () => {
+    expect(validateAugmentationName('sentry')).toMatch(/Use the form <category>:<type>/);
+    expect(validateAugmentationName('utilities:sentry')).toMatch(/Did you mean "utility"\?/);
+    expect(validateAugmentationName('utility:sentry')).toBeNull();
+  });
+
+  test('should enforce the project name pattern', () => {
+    expect(validateProjectDetails({ ...valid, projectName: 'My_App' })).toEqual([
+      'Invalid project name "My_App". Use only lowercase letters, numbers and hyphens.',
+    ]);
+  });
+
+  test('should enforce compatibility rules', () => {
+    expect(validateProjectDetails({ ...valid, framework: 'remix' })).toEqual([
+      expect.stringContaining('auth:nextauth requires the nextjs framework'),
+    ]);
+    expect(validateProjectDetails({ ...valid, deployTarget: 'vercel', augmentations: [] })).toEqual([
+      expect.stringContaining('The terraform feature is not supported for vercel'),
+    ]);
+    expect(validateProjectDetails({ ...valid, augmentations: ['database:postgres', 'database:mysql'] })).toEqual([
+      expect.stringContaining('Only one database augmentation'),
+    ]);
+    expect(validateProjectDetails({ ...valid, deployTarget: 'netlify', features: [], augmentations: ['monitoring:datadog'] })).toEqual([
+      'monitoring:datadog is not available for netlify, which provides its own monitoring.',
+    ]);
+  });
+
+  test('should limit API frameworks to container targets and server-side augmentations', () => {
+    const api = { ...valid, framework: 'fastify', augmentations: ['database:postgres', 'utility:cors'] };
+
+    expect(validateProjectDetails(api)).toEqual([]);
+    expect(validateProjectDetails({ ...api, deployTarget: 'render', features: [] })).toEqual([]);
+    expect(validateProjectDetails({ ...api, deployTarget: 'vercel', features: [] })).toEqual([
+      expect.stringContaining('fastify is an API framework and needs a container deploy target'),
+    ]);
+    expect(validateProjectDetails({ ...api, augmentations: ['auth:auth0', 'utility:cors'] })).toEqual([
+      expect.stringContaining('auth:auth0 is not available for fastify'),
+    ]);
+  });
+
+  test('should give each environment a valid name and its own branch', () => {
+    expect(validateProjectDetails({ ...valid, environments: [{ name: 'staging', branch: 'staging' }, { name: 'production', branch: 'main' }] })).toEqual([]);
+    expect(validateEnvironments([{ name: 'Staging', branch: 'staging' }])).toEqual([
+      expect.stringContaining('Invalid environment name "Staging"'),
+    ]);
+    expect(validateEnvironments([{ name: 'staging', branch: 'staging' }, { name: 'staging', branch: 'develop' }])).toEqual([
+      'Environment "staging" is listed more than once.',
+    ]);
+    expect(validateEnvironments([{ name: 'staging', branch: 'main' }, { name: 'production', branch: 'main' }])).toEqual([
+      'Environments staging and production both deploy from the main branch. Use name:branch to pick another branch.',
+    ]);
+  });
+
+  test('should check the cloud auth method and the repository it trusts', () => {
+    expect(validateProjectDetails({ ...valid, deployConfig: { cloudAuth: 'oidc', githubRepository: 'acme/my-app' } })).toEqual([]);
+    expect(validateCloudAuth({ cloudAuth: 'odic' })).toEqual([
+      expect.stringContaining('Unknown cloud auth method "odic". Did you mean "oidc"?'),
+    ]);
+    expect(validateCloudAuth({ cloudAuth: 'oidc', githubRepository: 'my-app' })).toEqual([
+      'Invalid GitHub repository "my-app". Use the form owner/name, e.g. acme/my-app',
+    ]);
+  });
+
+  test('should check the IaC binary', () => {
+    expect(validateProjectDetails({ ...valid, iacBinary: 'tofu' })).toEqual([]);
+    expect(validateProjectDetails({ ...valid, iacBinary: 'tf' })).toEqual([
+      expect.stringContaining('Unknown IaC binary "tf".'),
+    ]);
+  });
+
+  test('should check the Terraform state bucket and its deploy target', () => {
+    expect(validateProjectDetails({ ...valid, deployConfig: { stateBucket: 'acme-tf-state', stateBootstrap: true } })).toEqual([]);
+    expect(validateStateBackend({ stateBucket: 'Acme_State' }, 'aws-ecs')).toEqual([
+      'Invalid state bucket "Acme_State". Use 3-63 lowercase letters, numbers, dots and hyphens.',
+    ]);
+    expect(validateStateBackend({ stateBucket: 'acme-tf-state' }, 'azure-containerapps')).toEqual([
+      'Remote Terraform state is not supported for azure-containerapps. Supported targets: aws-apprunner, aws-ecs, gcp-cloudrun',
+    ]);
+  });
+});